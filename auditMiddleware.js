@@ -0,0 +1,45 @@
+const { diffFields, recordAudit } = require('./services/audit');
+
+// Registra a ação na trilha de auditoria quando a resposta termina, com o resultado
+// (status HTTP e erro devolvido ao cliente). O handler informa o alvo e o estado antes
+// e depois da ação em res.locals.auditoria = { alvo_id, user_id, antes, depois }.
+// Vem antes de ensureOwnUser e validate, para registrar também as tentativas recusadas; respostas
+// repetidas pelo idempotency (Idempotent-Replayed) não são registradas, já que a ação não rodou de novo.
+function audit(acao, alvoTipo) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditoriaResposta = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      if (res.get('Idempotent-Replayed') === 'true') return;
+
+      const { alvo_id, user_id, antes, depois } = res.locals.auditoria || {};
+      const resposta = res.locals.auditoriaResposta || {};
+      const falhou = res.statusCode >= 400;
+      const erro = [resposta.error || resposta.message, resposta.details].filter(Boolean).join(': ');
+
+      recordAudit({
+        ator_id: req.user?.isService ? null : req.user?.id ?? null,
+        ator_tipo: req.user?.isService ? 'servico' : 'usuario',
+        user_id: user_id || req.body?.user_id || req.params?.user_id || null,
+        acao,
+        alvo_tipo: alvoTipo,
+        alvo_id: alvo_id != null ? String(alvo_id) : null,
+        request_id: req.id || null,
+        ip: req.ip || null,
+        resultado: falhou ? 'falha' : 'sucesso',
+        status_http: res.statusCode,
+        erro: falhou ? erro || null : null,
+        // Sem depois, a ação não chegou a alterar o alvo
+        mudancas: depois ? diffFields(antes, depois) : {},
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = { audit };
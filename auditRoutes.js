@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { ensureOwnUser, resolveUserId } = require('./auth');
+const { validate } = require('./validationMiddleware');
+const schemas = require('./schemas/audit');
+const { parsePagination } = require('./utils/pagination');
+const { listAudit } = require('./services/audit');
+
+/**
+ * @swagger
+ * /v1/auditoria:
+ *   get:
+ *     summary: Lista a trilha de auditoria
+ *     description: "Ações sobre instâncias (/setup, /disconnect, /delete) e campanhas (comecar-campanha, pausar-campanha), mais recentes primeiro. Cada registro traz quem executou (ator_id e ator_tipo), a ação, o alvo, o request_id (cabeçalho X-Request-Id da resposta), o IP, o resultado com o status HTTP e o erro, e as mudanças de status (mudancas). Com JWT, só os registros do próprio usuário; com a chave de serviço, user_id é opcional."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: auditoria.listar
+ *     responses:
+ *       200:
+ *         description: Página de registros (registros e paginacao)
+ *       400:
+ *         description: Parâmetros inválidos
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/', ensureOwnUser, validate(schemas.listar), async (req, res, next) => {
+  const { acao, alvo_tipo, alvo_id, resultado, de, ate } = req.query;
+
+  try {
+    const userId = resolveUserId(req, req.query.user_id);
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    const { registros, total } = await listAudit({
+      userId,
+      acao,
+      alvoTipo: alvo_tipo,
+      alvoId: alvo_id,
+      resultado,
+      de,
+      ate,
+      from,
+      to,
+    });
+
+    res.json({ success: true, registros, paginacao: { page, limit, total } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,119 @@
+const supabase = require('./config/supabase');
+const logger = require('./logger');
 
 const API_KEY = process.env.API_KEY;
 
-function authenticate(req, res, next) {
+// Autentica a requisição e popula req.user.
+// - x-api-key: credencial de serviço/admin (pode agir em nome de qualquer user_id)
+// - Authorization: Bearer <JWT do Supabase>: usuário final, restrito ao próprio user_id
+async function authenticate(req, res, next) {
   const apiKey = req.headers['x-api-key'];
 
-  if (!apiKey || apiKey !== API_KEY) {
+  if (apiKey) {
+    if (!API_KEY || apiKey !== API_KEY) {
+      return res.status(401).send('Chave de API inválida ou não fornecida.');
+    }
+    req.user = { id: null, isService: true };
+    return next();
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
     return res.status(401).send('Chave de API inválida ou não fornecida.');
   }
 
+  try {
+    const { data, error } = await supabase.auth.getUser(token);
+
+    if (error || !data?.user) {
+      return res.status(401).send('Token inválido ou expirado.');
+    }
+
+    req.user = { id: data.user.id, email: data.user.email, isService: false };
+    next();
+  } catch (error) {
+    logger.error('Erro ao validar token do Supabase:', error);
+    res.status(401).send('Token inválido ou expirado.');
+  }
+}
+
+// Aceita o JWT em ?access_token= nas rotas de stream (EventSource não envia cabeçalhos).
+// Deve vir antes de authenticate; o token é mascarado na URL para não ir aos logs de acesso.
+function tokenFromQuery(req, res, next) {
+  const token = req.query?.access_token;
+
+  if (token && !req.headers.authorization && !req.headers['x-api-key']) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  if (token) {
+    req.originalUrl = req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1***');
+  }
+
+  next();
+}
+
+// Retorna o user_id efetivo da requisição. Usuários autenticados por JWT
+// sempre agem sobre o próprio id; nomear outro usuário gera erro 403.
+function resolveUserId(req, requestedUserId) {
+  if (req.user?.isService) {
+    return requestedUserId;
+  }
+
+  if (requestedUserId && requestedUserId !== req.user?.id) {
+    const error = new Error('Acesso negado aos recursos de outro usuário.');
+    error.statusCode = 403;
+    error.code = 'FORBIDDEN_USER';
+    throw error;
+  }
+
+  return req.user?.id;
+}
+
+// Garante que user_id do path, da query e do body pertencem ao usuário autenticado.
+// Para usuários JWT, preenche req.body.user_id com o id do token.
+function ensureOwnUser(req, res, next) {
+  try {
+    if (req.params?.user_id !== undefined) {
+      resolveUserId(req, req.params.user_id);
+    }
+    if (req.query?.user_id !== undefined) {
+      resolveUserId(req, req.query.user_id);
+    }
+
+    const userId = resolveUserId(req, req.body?.user_id);
+    if (userId && req.body && typeof req.body === 'object') {
+      req.body.user_id = userId;
+    }
+  } catch (error) {
+    logger.warn(`Acesso negado em ${req.path} para o usuário ${req.user?.id}`);
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  next();
+}
+
+// Restringe a rota à chave de serviço: recursos de todos os usuários, como a lista de pastas
+function requireService(req, res, next) {
+  if (!req.user?.isService) {
+    logger.warn(`Acesso negado em ${req.path} para o usuário ${req.user?.id}: rota exclusiva da chave de serviço`);
+    return res.status(403).json({
+      success: false,
+      error: 'Acesso restrito à chave de serviço.',
+      code: 'SERVICE_ONLY'
+    });
+  }
+
   next();
 }
 
-module.exports = authenticate;
+module.exports = {
+  authenticate,
+  ensureOwnUser,
+  requireService,
+  resolveUserId,
+  tokenFromQuery,
+};
@@ -0,0 +1,587 @@
+const express = require('express');
+const router = express.Router();
+const axios = require('axios');
+const supabase = require('./config/supabase');
+const logger = require('./logger');
+const { ensureOwnUser, resolveUserId } = require('./auth');
+const { validate } = require('./validationMiddleware');
+const { idempotency } = require('./idempotencyMiddleware');
+const schemas = require('./schemas/campaign');
+const { parsePagination } = require('./utils/pagination');
+const { readContacts, prepareContacts } = require('./services/campaignContacts');
+const { checkAttachment, signAttachmentUrl } = require('./services/campaignAttachment');
+const { validateTemplate, availableFields, renderTemplate } = require('./utils/template');
+const { isWithinWindow, nextWindowStart } = require('./utils/sendingWindow');
+const { CAMPANHAS_BACKEND, N8N_BASE_URL } = require('./config/campanhas');
+const {
+  startCampaign,
+  pauseCampaign,
+  getConnectedInstances,
+  getSendingInstances,
+  estimateDuration,
+  MEDIA_TYPES,
+} = require('./services/campaignDispatcher');
+const { getProvider } = require('./services/whatsapp');
+const { audit } = require('./auditMiddleware');
+
+const EMPTY_PROGRESS = { total: 0, pending: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+
+// Quantidade de destinatários inseridos por chamada ao Supabase
+const INSERT_CHUNK_SIZE = 1000;
+
+const whatsappNotConnected = (res) => res.status(403).json({
+  success: false,
+  error: 'WhatsApp não conectado',
+  message: 'Conecte seu WhatsApp antes de criar campanhas.',
+  code: 'WHATSAPP_NOT_CONNECTED'
+});
+
+// Repassa a requisição ao n8n. extra é mesclado às respostas em JSON.
+const forwardToN8n = async (res, webhook, body, extra = {}) => {
+  const response = await axios.post(`${N8N_BASE_URL}/webhook/${webhook}`, body);
+  const isObject = response.data && typeof response.data === 'object' && !Array.isArray(response.data);
+  res.status(response.status).send(isObject ? { ...response.data, ...extra } : response.data);
+};
+
+// IDs escolhidos para a campanha que não são instâncias ativas do usuário
+async function findUnknownInstances(userId, instanceIds) {
+  const { data: instances, error } = await supabase
+    .from('whatsapp')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .in('id', instanceIds);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return instanceIds.filter((id) => !instances.some((instance) => instance.id === id));
+}
+
+async function findCampaign(campanhaId, userId) {
+  const { data: campanha, error } = await supabase
+    .from('campanhas')
+    .select('id, user_id, tipo, status, pausa_motivo, janela_envio, instancias')
+    .eq('id', campanhaId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return campanha;
+}
+
+// Contagem de destinatários por status (view campanha_progresso), indexada por campanha_id
+async function fetchProgress(campanhaIds) {
+  if (campanhaIds.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('campanha_progresso')
+    .select('*')
+    .in('campanha_id', campanhaIds);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return Object.fromEntries(data.map(({ campanha_id, ...contagem }) => [campanha_id, contagem]));
+}
+
+// Resposta 400 para mensagens com variáveis desconhecidas ou placeholders malformados
+const invalidTemplate = (res, { erros, desconhecidas }) => res.status(400).json({
+  success: false,
+  error: erros.join('; '),
+  code: 'INVALID_TEMPLATE',
+  variaveis_desconhecidas: desconhecidas
+});
+
+/**
+ * @swagger
+ * /v1/disparos/criar-campanha:
+ *   post:
+ *     summary: Cria uma nova campanha
+ *     description: "Com CAMPANHAS_BACKEND=interno, salva a campanha e seus destinatários no Supabase com status 'draft'. Com CAMPANHAS_BACKEND=n8n, repassa o body ao webhook do n8n. Os envios se alternam entre as instâncias escolhidas em instancias (ou todas as conectadas), conforme config_envio.rotacao. Campanhas de template (tipo 'template') saem só pelas instâncias da Cloud API."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: disparos.criarCampanha
+ *     x-idempotent: true
+ *     responses:
+ *       201:
+ *         description: Campanha criada com sucesso
+ *       400:
+ *         description: "Body inválido, instâncias que não são do usuário (INSTANCE_NOT_FOUND), mensagem com variáveis desconhecidas, arquivo de contatos ilegível ou anexo que o WhatsApp recusaria (UNSUPPORTED_FILE_TYPE, FILE_TOO_LARGE, ATTACHMENT_NOT_FOUND, ATTACHMENT_UNREACHABLE) ou template sem instância da Cloud API conectada (TEMPLATE_NOT_SUPPORTED)"
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       403:
+ *         description: Nenhuma das instâncias da campanha está conectada
+ *       404:
+ *         description: Arquivo de contatos ou lista não encontrados
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/criar-campanha', ensureOwnUser, validate(schemas.criarCampanha), idempotency, async (req, res, next) => {
+  const { user_id, campanha, contatos, config_envio, agendado_para, janela_envio, instancias } = req.body;
+
+  try {
+    if (instancias) {
+      const desconhecidas = await findUnknownInstances(user_id, instancias);
+      if (desconhecidas.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Instâncias não encontradas: ${desconhecidas.join(', ')}`,
+          code: 'INSTANCE_NOT_FOUND'
+        });
+      }
+    }
+
+    // Ao menos uma das instâncias da campanha precisa estar conectada
+    const conectadas = await getConnectedInstances(user_id, instancias);
+
+    if (conectadas.length === 0) {
+      logger.warn(`Tentativa de criar campanha sem WhatsApp conectado para user_id: ${user_id}`);
+      return whatsappNotConnected(res);
+    }
+
+    // Templates só são enviados pela Cloud API
+    if (campanha.tipo === 'template' && !conectadas.some((instance) => getProvider(instance).supportsTemplates)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Campanhas de template precisam de ao menos uma instância WHATSAPP-CLOUD-API conectada',
+        code: 'TEMPLATE_NOT_SUPPORTED'
+      });
+    }
+
+    // Recusa anexos que o WhatsApp não aceitaria (tipo incompatível ou acima do limite)
+    if (MEDIA_TYPES[campanha.tipo]) {
+      try {
+        await checkAttachment(user_id, campanha.tipo, campanha.url_anexo);
+      } catch (attachmentError) {
+        if (!attachmentError.statusCode) throw attachmentError;
+        logger.warn(`Anexo recusado na campanha do usuário ${user_id}: ${attachmentError.message}`);
+        return res.status(attachmentError.statusCode).json({ success: false, error: attachmentError.message, code: attachmentError.code });
+      }
+    }
+
+    // Normaliza os telefones e remove inválidos, duplicados e contatos na lista de supressão
+    let destinatarios;
+    let relatorioContatos;
+    try {
+      ({ destinatarios, relatorio: relatorioContatos } = await prepareContacts(user_id, contatos));
+    } catch (importError) {
+      if (!importError.statusCode) throw importError;
+      return res.status(importError.statusCode).json({ success: false, error: importError.message, code: importError.code });
+    }
+
+    const removidosSupressao = relatorioContatos.resumo.removidos_supressao;
+
+    // A URL do anexo precisa valer até o fim do envio, contando a espera pelo agendamento
+    if (MEDIA_TYPES[campanha.tipo]) {
+      const espera = agendado_para ? Math.max(0, (new Date(agendado_para).getTime() - Date.now()) / 1000) : 0;
+      campanha.url_anexo = await signAttachmentUrl(user_id, campanha.url_anexo, espera + estimateDuration(destinatarios.length, config_envio));
+    }
+
+    if (CAMPANHAS_BACKEND === 'n8n') {
+      // O n8n recebe o body validado, com a lista de telefones já normalizada
+      return await forwardToN8n(res, 'criar-campanha', {
+        ...req.body,
+        contatos: { origem: 'manual', dados: destinatarios.map((d) => d.numero) }
+      }, {
+        removidos_supressao: removidosSupressao,
+        relatorio_contatos: relatorioContatos
+      });
+    }
+
+    if (destinatarios.length === 0) {
+      const allSuppressed = relatorioContatos.resumo.validos > 0;
+      return res.status(400).json({
+        success: false,
+        error: allSuppressed ? 'Todos os contatos estão na lista de supressão' : 'Nenhum contato válido para envio',
+        code: allSuppressed ? 'ALL_CONTACTS_SUPPRESSED' : 'NO_VALID_CONTACTS',
+        relatorio_contatos: relatorioContatos
+      });
+    }
+
+    // Só são aceitas as variáveis padrão e os campos presentes em algum destinatário
+    const textoCampanha = campanha.tipo === 'template' ? campanha.template.parametros.join('\n') : campanha.mensagem;
+    const templateCheck = validateTemplate(textoCampanha, availableFields(destinatarios));
+    if (templateCheck.erros.length > 0) {
+      return invalidTemplate(res, templateCheck);
+    }
+
+    const { data: novaCampanha, error: insertError } = await supabase
+      .from('campanhas')
+      .insert({
+        user_id,
+        nome: campanha.nome,
+        tipo: campanha.tipo,
+        mensagem: campanha.mensagem || null,
+        url_anexo: campanha.url_anexo || null,
+        template: campanha.template || null,
+        config_envio: config_envio || {},
+        agendado_para: agendado_para || null,
+        janela_envio: janela_envio || null,
+        instancias: instancias || null,
+        status: agendado_para ? 'scheduled' : 'draft'
+      })
+      .select('id')
+      .single();
+
+    if (insertError) {
+      throw new Error(`Erro ao salvar campanha: ${insertError.message}`);
+    }
+
+    const rows = destinatarios.map(({ numero, nome, campos }) => ({
+      campanha_id: novaCampanha.id,
+      numero,
+      nome,
+      campos,
+      status: 'pending'
+    }));
+
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+      const { error: recipientsError } = await supabase
+        .from('campanha_destinatarios')
+        .insert(rows.slice(i, i + INSERT_CHUNK_SIZE));
+
+      if (recipientsError) {
+        await supabase.from('campanhas').delete().eq('id', novaCampanha.id);
+        throw new Error(`Erro ao salvar destinatários: ${recipientsError.message}`);
+      }
+    }
+
+    logger.info(`Campanha ${novaCampanha.id} criada para o usuário ${user_id} com ${destinatarios.length} contatos.`);
+    res.status(201).json({
+      success: true,
+      campanha_id: novaCampanha.id,
+      status: agendado_para ? 'scheduled' : 'draft',
+      agendado_para: agendado_para || null,
+      total_contatos: destinatarios.length,
+      removidos_supressao: removidosSupressao,
+      relatorio_contatos: relatorioContatos,
+      message: 'Campanha criada com sucesso'
+    });
+  } catch (error) {
+    logger.error(`Erro ao criar campanha para user_id ${user_id}:`, error);
+    next(error); // Passa o erro para o middleware de tratamento de erros
+  }
+});
+
+/**
+ * @swagger
+ * /v1/disparos/preview:
+ *   post:
+ *     summary: Mostra a mensagem da campanha como cada contato vai recebê-la
+ *     description: "Valida as variáveis da mensagem e a renderiza para os primeiros contatos, sem salvar nada. Os contatos seguem o formato do criar-campanha (manual, arquivo ou lista)."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: disparos.preview
+ *     responses:
+ *       200:
+ *         description: Variáveis usadas e a mensagem renderizada por contato, com as variáveis que ficaram sem valor
+ *       400:
+ *         description: Mensagem ausente, com variáveis desconhecidas, ou contatos inválidos
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Arquivo de contatos ou lista não encontrados
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/preview', ensureOwnUser, validate(schemas.preview), async (req, res, next) => {
+  const { user_id, campanha, contatos, quantidade } = req.body;
+
+  try {
+    const { contatos: lidos } = await readContacts(user_id, contatos);
+    const campos = availableFields(lidos);
+
+    const templateCheck = validateTemplate(campanha.mensagem, campos);
+    if (templateCheck.erros.length > 0) {
+      return invalidTemplate(res, templateCheck);
+    }
+
+    res.json({
+      success: true,
+      campos_disponiveis: campos,
+      total_contatos: lidos.length,
+      previas: lidos.slice(0, quantidade).map((contato) => {
+        const { texto, faltando } = renderTemplate(campanha.mensagem, contato);
+        return { numero: contato.numero, nome: contato.nome, mensagem: texto, variaveis_sem_valor: faltando };
+      })
+    });
+  } catch (error) {
+    if (error.code && error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/disparos/comecar-campanha:
+ *   post:
+ *     summary: Inicia ou retoma uma campanha
+ *     description: "Com o backend interno, envia os destinatários pendentes respeitando config_envio. Uma campanha pausada continua do primeiro destinatário ainda não enviado. Campanhas agendadas começam na hora; fora da janela de envio, a campanha fica pausada até a janela abrir."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: disparos.comecarCampanha
+ *     x-idempotent: true
+ *     responses:
+ *       200:
+ *         description: Campanha iniciada com sucesso
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       403:
+ *         description: WhatsApp não conectado
+ *       404:
+ *         description: Campanha não encontrada
+ *       409:
+ *         description: Campanha já em execução ou finalizada
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/comecar-campanha', audit('campanha.iniciar', 'campanha'), ensureOwnUser, validate(schemas.comecarCampanha), idempotency, async (req, res, next) => {
+  const { campanha_id, user_id } = req.body;
+  res.locals.auditoria = { alvo_id: campanha_id };
+
+  try {
+    if (CAMPANHAS_BACKEND === 'n8n') {
+      return await forwardToN8n(res, 'comecar-campanha', req.body);
+    }
+
+    const campanha = await findCampaign(campanha_id, user_id);
+    if (!campanha) {
+      return res.status(404).json({ success: false, error: 'Campanha não encontrada', code: 'CAMPAIGN_NOT_FOUND' });
+    }
+
+    if (campanha.status === 'running' || campanha.status === 'finished') {
+      return res.status(409).json({
+        success: false,
+        error: campanha.status === 'running' ? 'Campanha já está em execução' : 'Campanha já finalizada',
+        code: campanha.status === 'running' ? 'CAMPAIGN_ALREADY_RUNNING' : 'CAMPAIGN_FINISHED'
+      });
+    }
+
+    const conectadas = await getSendingInstances(campanha);
+    if (conectadas.length === 0) {
+      return whatsappNotConnected(res);
+    }
+
+    res.locals.auditoria.antes = { status: campanha.status };
+    // Outra requisição ou outro processo pode ter iniciado a campanha depois da consulta acima
+    if (!(await startCampaign(campanha.id))) {
+      return res.status(409).json({ success: false, error: 'Campanha já está em execução', code: 'CAMPAIGN_ALREADY_RUNNING' });
+    }
+    res.locals.auditoria.depois = { status: 'running' };
+
+    // Fora da janela, o dispatcher pausa a campanha e o agendador a retoma quando a janela abrir
+    if (!isWithinWindow(campanha.janela_envio)) {
+      return res.json({
+        success: true,
+        campanha_id: campanha.id,
+        proximo_envio: nextWindowStart(campanha.janela_envio),
+        message: 'Campanha fora da janela de envio; o envio começa quando a janela abrir'
+      });
+    }
+
+    res.json({ success: true, campanha_id: campanha.id, message: 'Campanha iniciada com sucesso' });
+  } catch (error) {
+    next(error); // Passa o erro para o middleware de tratamento de erros
+  }
+});
+
+/**
+ * @swagger
+ * /v1/disparos/pausar-campanha:
+ *   post:
+ *     summary: Pausa uma campanha
+ *     description: "Interrompe o envio após a mensagem em andamento. Também cancela o início de uma campanha agendada e a retomada automática de uma campanha pausada fora da janela de envio. A campanha pode ser retomada com /comecar-campanha."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: disparos.pausarCampanha
+ *     x-idempotent: true
+ *     responses:
+ *       200:
+ *         description: Campanha pausada com sucesso
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Campanha não encontrada
+ *       409:
+ *         description: Campanha não está em execução
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/pausar-campanha', audit('campanha.pausar', 'campanha'), ensureOwnUser, validate(schemas.pausarCampanha), idempotency, async (req, res, next) => {
+  const { campanha_id, user_id } = req.body;
+  res.locals.auditoria = { alvo_id: campanha_id };
+
+  try {
+    if (CAMPANHAS_BACKEND === 'n8n') {
+      return await forwardToN8n(res, 'pausar-campanha', req.body);
+    }
+
+    const campanha = await findCampaign(campanha_id, user_id);
+    if (!campanha) {
+      return res.status(404).json({ success: false, error: 'Campanha não encontrada', code: 'CAMPAIGN_NOT_FOUND' });
+    }
+
+    const waitingWindow = campanha.status === 'paused' && campanha.pausa_motivo === 'fora_janela';
+    if (campanha.status !== 'running' && campanha.status !== 'scheduled' && !waitingWindow) {
+      return res.status(409).json({ success: false, error: 'Campanha não está em execução', code: 'CAMPAIGN_NOT_RUNNING' });
+    }
+
+    res.locals.auditoria.antes = { status: campanha.status };
+    if (!(await pauseCampaign(campanha.id))) {
+      return res.status(409).json({ success: false, error: 'Campanha não está em execução', code: 'CAMPAIGN_NOT_RUNNING' });
+    }
+    res.locals.auditoria.depois = { status: 'paused' };
+    res.json({ success: true, campanha_id: campanha.id, message: 'Campanha pausada com sucesso' });
+  } catch (error) {
+    next(error); // Passa o erro para o middleware de tratamento de erros
+  }
+});
+
+/**
+ * @swagger
+ * /v1/disparos/campanhas:
+ *   get:
+ *     summary: Lista as campanhas de um usuário
+ *     description: "Retorna as campanhas mais recentes primeiro, com a contagem de destinatários por status."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: disparos.campanhas
+ *     responses:
+ *       200:
+ *         description: Página de campanhas
+ *       400:
+ *         description: Parâmetros inválidos
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/campanhas', ensureOwnUser, validate(schemas.campanhas), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+  const { status } = req.query;
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    let query = supabase
+      .from('campanhas')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: campanhas, count, error } = await query
+      .order('criado_em', { ascending: false })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const progress = await fetchProgress(campanhas.map((c) => c.id));
+
+    res.json({
+      success: true,
+      campanhas: campanhas.map((c) => ({ ...c, contagem: progress[c.id] || EMPTY_PROGRESS })),
+      paginacao: { page, limit, total: count }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/disparos/campanhas/{id}:
+ *   get:
+ *     summary: Detalha uma campanha e o progresso por destinatário
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: disparos.campanha
+ *     responses:
+ *       200:
+ *         description: Campanha, contagem por status e página de destinatários (com o motivo das falhas)
+ *       400:
+ *         description: Parâmetros inválidos
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Campanha não encontrada
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/campanhas/:id', ensureOwnUser, validate(schemas.campanha), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+  const { id: campanhaId } = req.params;
+  const { status } = req.query;
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { data: campanha, error } = await supabase
+      .from('campanhas')
+      .select('*')
+      .eq('id', campanhaId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!campanha) {
+      return res.status(404).json({ success: false, error: 'Campanha não encontrada', code: 'CAMPAIGN_NOT_FOUND' });
+    }
+
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    let query = supabase
+      .from('campanha_destinatarios')
+      .select('*', { count: 'exact' })
+      .eq('campanha_id', campanha.id);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: destinatarios, count, error: recipientsError } = await query
+      .order('id', { ascending: true })
+      .range(from, to);
+
+    if (recipientsError) {
+      throw new Error(recipientsError.message);
+    }
+
+    const progress = await fetchProgress([campanha.id]);
+
+    res.json({
+      success: true,
+      campanha: { ...campanha, contagem: progress[campanha.id] || EMPTY_PROGRESS },
+      destinatarios,
+      paginacao: { page, limit, total: count }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// Backend de disparo das campanhas:
+// - 'interno': dispatcher deste serviço (services/campaignDispatcher.js)
+// - 'n8n': repassa as requisições para os webhooks do n8n (comportamento legado)
+const CAMPANHAS_BACKEND = process.env.CAMPANHAS_BACKEND || 'interno';
+const N8N_BASE_URL = process.env.N8N_BASE_URL;
+
+// Validade da reserva de uma campanha em execução (campanhas.executor_ate), em milissegundos.
+// O processo que envia a renova a cada terço desse tempo; se ele cair, outro processo (ou o
+// mesmo, ao reiniciar) retoma a campanha depois que a reserva vence.
+const CAMPANHAS_LEASE_MS = Number(process.env.CAMPANHAS_LEASE_MS || 60000);
+
+if (!['interno', 'n8n'].includes(CAMPANHAS_BACKEND)) {
+  throw new Error('CAMPANHAS_BACKEND deve ser "interno" ou "n8n"');
+}
+
+if (CAMPANHAS_BACKEND === 'n8n' && !N8N_BASE_URL) {
+  throw new Error('N8N_BASE_URL é obrigatória quando CAMPANHAS_BACKEND=n8n');
+}
+
+if (!(CAMPANHAS_LEASE_MS > 0)) {
+  throw new Error('CAMPANHAS_LEASE_MS deve ser um número positivo');
+}
+
+module.exports = {
+  CAMPANHAS_BACKEND,
+  N8N_BASE_URL,
+  CAMPANHAS_LEASE_MS,
+};
@@ -0,0 +1,44 @@
+// Conexão com a Evolution API. Sem URL ou chave, as chamadas falham com EVOLUTION_NOT_CONFIGURED.
+const EVOLUTION_API_URL = process.env.EVOLUTION_API_URL;
+const EVOLUTION_API_KEY = process.env.EVOLUTION_API_KEY;
+
+// Tempo máximo de cada chamada, em milissegundos
+const EVOLUTION_TIMEOUT_MS = Number(process.env.EVOLUTION_TIMEOUT_MS || 15000);
+
+// Novas tentativas em falhas temporárias (rede, timeout, 429, 5xx), com espera dobrando a partir de EVOLUTION_RETRY_DELAY_MS
+const EVOLUTION_RETRIES = Number(process.env.EVOLUTION_RETRIES ?? 2);
+const EVOLUTION_RETRY_DELAY_MS = Number(process.env.EVOLUTION_RETRY_DELAY_MS || 500);
+
+// Falhas temporárias seguidas que abrem o circuito, e por quanto tempo as chamadas ficam bloqueadas
+const EVOLUTION_CIRCUIT_THRESHOLD = Number(process.env.EVOLUTION_CIRCUIT_THRESHOLD || 5);
+const EVOLUTION_CIRCUIT_RESET_MS = Number(process.env.EVOLUTION_CIRCUIT_RESET_MS || 30000);
+
+if (!(EVOLUTION_TIMEOUT_MS > 0)) {
+  throw new Error('EVOLUTION_TIMEOUT_MS deve ser um número positivo');
+}
+
+if (!Number.isInteger(EVOLUTION_RETRIES) || EVOLUTION_RETRIES < 0) {
+  throw new Error('EVOLUTION_RETRIES deve ser um inteiro maior ou igual a 0');
+}
+
+if (!(EVOLUTION_RETRY_DELAY_MS >= 0)) {
+  throw new Error('EVOLUTION_RETRY_DELAY_MS deve ser maior ou igual a 0');
+}
+
+if (!Number.isInteger(EVOLUTION_CIRCUIT_THRESHOLD) || EVOLUTION_CIRCUIT_THRESHOLD < 1) {
+  throw new Error('EVOLUTION_CIRCUIT_THRESHOLD deve ser um inteiro positivo');
+}
+
+if (!(EVOLUTION_CIRCUIT_RESET_MS > 0)) {
+  throw new Error('EVOLUTION_CIRCUIT_RESET_MS deve ser um número positivo');
+}
+
+module.exports = {
+  EVOLUTION_API_URL,
+  EVOLUTION_API_KEY,
+  EVOLUTION_TIMEOUT_MS,
+  EVOLUTION_RETRIES,
+  EVOLUTION_RETRY_DELAY_MS,
+  EVOLUTION_CIRCUIT_THRESHOLD,
+  EVOLUTION_CIRCUIT_RESET_MS,
+};
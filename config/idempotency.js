@@ -0,0 +1,19 @@
+// Por quanto tempo uma Idempotency-Key guarda a resposta, em horas
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+
+// Validade máxima da trava do /whatsapp/setup, em milissegundos. A trava é liberada ao fim
+// da requisição; a validade só vale quando o processo cai no meio dela.
+const SETUP_LOCK_TTL_MS = Number(process.env.SETUP_LOCK_TTL_MS || 120000);
+
+if (!(IDEMPOTENCY_TTL_HOURS > 0)) {
+  throw new Error('IDEMPOTENCY_TTL_HOURS deve ser um número positivo');
+}
+
+if (!(SETUP_LOCK_TTL_MS > 0)) {
+  throw new Error('SETUP_LOCK_TTL_MS deve ser um número positivo');
+}
+
+module.exports = {
+  IDEMPOTENCY_TTL_HOURS,
+  SETUP_LOCK_TTL_MS,
+};
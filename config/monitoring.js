@@ -0,0 +1,31 @@
+// Health checks (/health/ready): tempo máximo de cada verificação e latência a partir
+// da qual uma dependência que respondeu é considerada lenta (status 'degraded'), em milissegundos
+const HEALTH_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS || 3000);
+const HEALTH_SLOW_MS = Number(process.env.HEALTH_SLOW_MS || 1000);
+
+// Tempo em que o resultado do /health/ready é reaproveitado, em milissegundos: probes e
+// chamadas anônimas repetidas não geram uma consulta ao Supabase e à Evolution a cada requisição
+const HEALTH_CACHE_MS = Number(process.env.HEALTH_CACHE_MS ?? 5000);
+
+// Token exigido em /metrics (Authorization: Bearer). Sem ele, as métricas ficam abertas:
+// nesse caso, exponha /metrics apenas na rede interna.
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+if (!(HEALTH_TIMEOUT_MS > 0)) {
+  throw new Error('HEALTH_TIMEOUT_MS deve ser um número positivo');
+}
+
+if (!(HEALTH_SLOW_MS > 0)) {
+  throw new Error('HEALTH_SLOW_MS deve ser um número positivo');
+}
+
+if (!(HEALTH_CACHE_MS >= 0)) {
+  throw new Error('HEALTH_CACHE_MS deve ser um número maior ou igual a zero');
+}
+
+module.exports = {
+  HEALTH_TIMEOUT_MS,
+  HEALTH_SLOW_MS,
+  HEALTH_CACHE_MS,
+  METRICS_TOKEN,
+};
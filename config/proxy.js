@@ -0,0 +1,19 @@
+// Proxies reversos confiáveis (app.set('trust proxy')). Atrás de um proxy ou balanceador, req.ip
+// (auditoria, rate limiting, logs) só é o IP do cliente se o proxy for confiável; sem isso, é o do proxy.
+// Aceita o número de proxies à frente da API (ex.: 1), uma lista de IPs/sub-redes separados por vírgula
+// (ex.: loopback,10.0.0.0/8) ou true para confiar em qualquer um. Vazio: nenhum proxy é confiável e o
+// cabeçalho X-Forwarded-For é ignorado.
+function parseTrustProxy(value) {
+  const texto = (value || '').trim();
+  if (!texto || texto === 'false') return false;
+  if (texto === 'true') return true;
+  if (/^\d+$/.test(texto)) return Number(texto);
+  return texto.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+module.exports = {
+  TRUST_PROXY,
+  parseTrustProxy,
+};
@@ -0,0 +1,79 @@
+// Driver de armazenamento dos arquivos enviados por /v1/storage e das mídias recebidas:
+// - 'local': pasta no disco do servidor (não persiste em ambientes como a Vercel)
+// - 'supabase': bucket do Supabase Storage
+// - 's3': qualquer serviço compatível com S3 (AWS, MinIO, Cloudflare R2...)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+// Validade padrão, em segundos, das URLs assinadas devolvidas pelo upload (padrão: 7 dias, o máximo do S3).
+// Anexos de campanha recebem URLs com a validade estimada da campanha.
+const STORAGE_URL_EXPIRES_IN = Number(process.env.STORAGE_URL_EXPIRES_IN || 7 * 24 * 60 * 60);
+
+// Segredo do HMAC das URLs de download assinadas pela API (driver local). Obrigatório com o driver
+// local e separado da API_KEY, para que trocar uma não invalide nem exponha a outra.
+const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET;
+
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || 'uploads';
+
+// Retenção padrão dos arquivos, em horas. Usuários e planos podem ter outra na tabela retencao_arquivos.
+const STORAGE_RETENTION_HOURS = Number(process.env.STORAGE_RETENTION_HOURS || 24);
+
+// Cota padrão de armazenamento por usuário, em megabytes. Vazia ou 0: sem limite.
+// Usuários e planos podem ter outra na tabela cotas_armazenamento.
+const STORAGE_QUOTA_MB = Number(process.env.STORAGE_QUOTA_MB || 0);
+
+// Mantém a pasta local pública em /uploads, sem assinatura (comportamento antigo; desativado por padrão)
+const SERVE_UPLOADS_STATIC = process.env.SERVE_UPLOADS_STATIC === 'true';
+
+const SUPABASE_STORAGE_BUCKET = process.env.SUPABASE_STORAGE_BUCKET || 'uploads';
+const SUPABASE_STORAGE_PUBLIC = process.env.SUPABASE_STORAGE_PUBLIC === 'true';
+
+const S3 = {
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  publicUrl: process.env.S3_PUBLIC_URL,
+};
+
+if (!['local', 'supabase', 's3'].includes(STORAGE_DRIVER)) {
+  throw new Error('STORAGE_DRIVER deve ser "local", "supabase" ou "s3"');
+}
+
+if (!Number.isInteger(STORAGE_URL_EXPIRES_IN) || STORAGE_URL_EXPIRES_IN <= 0) {
+  throw new Error('STORAGE_URL_EXPIRES_IN deve ser um número inteiro de segundos');
+}
+
+if (!(STORAGE_RETENTION_HOURS > 0)) {
+  throw new Error('STORAGE_RETENTION_HOURS deve ser um número de horas maior que zero');
+}
+
+if (!(STORAGE_QUOTA_MB >= 0)) {
+  throw new Error('STORAGE_QUOTA_MB deve ser um número de megabytes (0 para sem limite)');
+}
+
+if (STORAGE_DRIVER === 'local' && !STORAGE_SIGNING_SECRET) {
+  throw new Error('STORAGE_SIGNING_SECRET é obrigatória quando STORAGE_DRIVER=local');
+}
+
+if (STORAGE_SIGNING_SECRET && STORAGE_SIGNING_SECRET === process.env.API_KEY) {
+  throw new Error('STORAGE_SIGNING_SECRET deve ser diferente da API_KEY');
+}
+
+if (STORAGE_DRIVER === 's3' && !S3.bucket) {
+  throw new Error('S3_BUCKET é obrigatória quando STORAGE_DRIVER=s3');
+}
+
+module.exports = {
+  STORAGE_DRIVER,
+  STORAGE_URL_EXPIRES_IN,
+  STORAGE_SIGNING_SECRET,
+  LOCAL_STORAGE_DIR,
+  STORAGE_RETENTION_HOURS,
+  STORAGE_QUOTA_MB,
+  SERVE_UPLOADS_STATIC,
+  SUPABASE_STORAGE_BUCKET,
+  SUPABASE_STORAGE_PUBLIC,
+  S3,
+};
@@ -0,0 +1,47 @@
+// Provedores de WhatsApp (coluna whatsapp.tipo_integracao):
+// - 'WHATSAPP-BAILEYS': Evolution API, conectada por QR Code (config/evolution.js)
+// - 'WHATSAPP-CLOUD-API': API oficial da Meta, com as credenciais de cada número
+const INTEGRATIONS = ['WHATSAPP-BAILEYS', 'WHATSAPP-CLOUD-API'];
+
+// Provedor das novas instâncias quando nem o /setup nem o usuário (usuarios.provedor_whatsapp) escolhem um
+const WHATSAPP_PROVIDER = process.env.WHATSAPP_PROVIDER || 'WHATSAPP-BAILEYS';
+
+// Graph API da Meta
+const CLOUD_API_URL = process.env.CLOUD_API_URL || 'https://graph.facebook.com';
+const CLOUD_API_VERSION = process.env.CLOUD_API_VERSION || 'v21.0';
+const CLOUD_API_TIMEOUT_MS = Number(process.env.CLOUD_API_TIMEOUT_MS || 15000);
+
+// Segredo do app da Meta, que assina as entregas do webhook (X-Hub-Signature-256),
+// e token conferido na verificação do webhook (hub.verify_token)
+const CLOUD_API_APP_SECRET = process.env.CLOUD_API_APP_SECRET;
+const CLOUD_API_VERIFY_TOKEN = process.env.CLOUD_API_VERIFY_TOKEN;
+
+// Segredo que cifra os tokens de acesso das instâncias da Cloud API na tabela whatsapp
+const CLOUD_API_TOKEN_SECRET = process.env.CLOUD_API_TOKEN_SECRET;
+
+// Intervalo dos heartbeats nos streams de /v1/whatsapp/events, que mantêm a conexão aberta em proxies
+const WHATSAPP_EVENTS_HEARTBEAT_MS = Number(process.env.WHATSAPP_EVENTS_HEARTBEAT_MS || 25000);
+
+if (!INTEGRATIONS.includes(WHATSAPP_PROVIDER)) {
+  throw new Error(`WHATSAPP_PROVIDER deve ser ${INTEGRATIONS.map((tipo) => `"${tipo}"`).join(' ou ')}`);
+}
+
+if (!(CLOUD_API_TIMEOUT_MS > 0)) {
+  throw new Error('CLOUD_API_TIMEOUT_MS deve ser um número positivo');
+}
+
+if (!(WHATSAPP_EVENTS_HEARTBEAT_MS > 0)) {
+  throw new Error('WHATSAPP_EVENTS_HEARTBEAT_MS deve ser um número positivo');
+}
+
+module.exports = {
+  INTEGRATIONS,
+  WHATSAPP_PROVIDER,
+  CLOUD_API_URL,
+  CLOUD_API_VERSION,
+  CLOUD_API_TIMEOUT_MS,
+  CLOUD_API_APP_SECRET,
+  CLOUD_API_VERIFY_TOKEN,
+  CLOUD_API_TOKEN_SECRET,
+  WHATSAPP_EVENTS_HEARTBEAT_MS,
+};
@@ -0,0 +1,550 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('./config/supabase');
+const logger = require('./logger');
+const { ensureOwnUser, resolveUserId } = require('./auth');
+const { validate } = require('./validationMiddleware');
+const { idempotency } = require('./idempotencyMiddleware');
+const schemas = require('./schemas/contact');
+const { parsePagination } = require('./utils/pagination');
+const { importContactFile } = require('./services/contactImport');
+const { readContacts } = require('./services/campaignContacts');
+const { normalizeTags, saveContacts, findList, addToList } = require('./services/contacts');
+const { normalizePhone, normalizePhoneList } = require('./utils/phone');
+
+// Linhas devolvidas na prévia da importação
+const PREVIEW_SAMPLE_SIZE = 20;
+const PREVIEW_MAX_ERRORS = 1000;
+
+/**
+ * @swagger
+ * /v1/contatos/validar:
+ *   post:
+ *     summary: Valida e normaliza uma lista de telefones (simulação)
+ *     description: "Aplica a mesma normalização do criar-campanha (DDI 55, DDD, nono dígito, duplicados) sem salvar nada. Retorna os números em E.164 e JID do WhatsApp e o motivo de cada entrada inválida."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.validar
+ *     responses:
+ *       200:
+ *         description: Relatório da normalização
+ *       400:
+ *         description: Lista ausente ou muito grande
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ */
+router.post('/validar', validate(schemas.validar), (req, res) => {
+  const { numeros } = req.body;
+
+  res.json({ success: true, ...normalizePhoneList(numeros) });
+});
+
+/**
+ * @swagger
+ * /v1/contatos/importar/preview:
+ *   post:
+ *     summary: Prévia da importação de contatos de um arquivo CSV ou XLSX
+ *     description: "Lê um arquivo enviado por /v1/storage/upload sem salvar nada. Detecta a codificação (UTF-8, UTF-16 ou Windows-1252), o separador do CSV e a linha de cabeçalho, e sugere o mapeamento das colunas de telefone, nome e campos personalizados. O mesmo arquivo e mapeamento podem ser usados em criar-campanha com contatos.origem = \"arquivo\"."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.importarPreview
+ *     responses:
+ *       200:
+ *         description: Colunas, mapeamento aplicado, resumo, amostra de contatos e erros por linha
+ *       400:
+ *         description: Arquivo ilegível, sem coluna de telefone ou mapeamento inválido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Arquivo não encontrado
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/importar/preview', ensureOwnUser, validate(schemas.importarPreview), async (req, res, next) => {
+  const { user_id, arquivo, mapeamento, linha_cabecalho } = req.body;
+
+  try {
+    const { contatos, invalidos, duplicados, ...importacao } = await importContactFile(user_id, arquivo, {
+      mapeamento,
+      linha_cabecalho,
+    });
+
+    res.json({
+      success: true,
+      ...importacao,
+      amostra: contatos.slice(0, PREVIEW_SAMPLE_SIZE),
+      invalidos: invalidos.slice(0, PREVIEW_MAX_ERRORS),
+      duplicados: duplicados.slice(0, PREVIEW_MAX_ERRORS),
+    });
+  } catch (error) {
+    if (error.code && error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+const contactNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Contato não encontrado',
+  code: 'CONTACT_NOT_FOUND'
+});
+
+const contactExists = (res) => res.status(409).json({
+  success: false,
+  error: 'Já existe um contato com este número',
+  code: 'CONTACT_EXISTS'
+});
+
+// Remove caracteres com significado nos filtros do PostgREST
+const sanitizeSearch = (value) => String(value).replace(/[,()*%]/g, ' ').trim();
+
+async function findContact(userId, contatoId) {
+  const { data: contato, error } = await supabase
+    .from('contatos')
+    .select('*')
+    .eq('id', contatoId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return contato;
+}
+
+/**
+ * @swagger
+ * /v1/contatos:
+ *   get:
+ *     summary: Lista os contatos salvos do usuário
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.listar
+ *     responses:
+ *       200:
+ *         description: Página de contatos em ordem alfabética
+ *       400:
+ *         description: user_id não fornecido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/', ensureOwnUser, validate(schemas.listar), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    let query = supabase
+      .from('contatos')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (req.query.busca) {
+      const busca = sanitizeSearch(req.query.busca);
+      const digits = busca.replace(/\D/g, '');
+      query = digits
+        ? query.or(`nome.ilike.%${busca}%,numero.ilike.%${digits}%`)
+        : query.ilike('nome', `%${busca}%`);
+    }
+
+    const tags = normalizeTags(String(req.query.tags || '').split(','));
+    if (tags.length > 0) {
+      query = query.overlaps('tags', tags);
+    }
+
+    const { data: contatos, count, error } = await query
+      .order('nome', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, contatos, paginacao: { page, limit, total: count } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/contatos/tags:
+ *   get:
+ *     summary: Lista as tags em uso e a quantidade de contatos em cada uma
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.tags
+ *     responses:
+ *       200:
+ *         description: Tags do usuário
+ *       400:
+ *         description: user_id não fornecido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/tags', ensureOwnUser, validate(schemas.tags), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('contato_tags')
+      .select('tag, total')
+      .eq('user_id', userId)
+      .order('tag', { ascending: true });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, tags: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/contatos/tags:
+ *   post:
+ *     summary: Adiciona e remove tags de vários contatos
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.alterarTags
+ *     x-idempotent: true
+ *     responses:
+ *       200:
+ *         description: Quantidade de contatos atualizados
+ *       400:
+ *         description: Body inválido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/tags', ensureOwnUser, validate(schemas.alterarTags), idempotency, async (req, res, next) => {
+  const { user_id, contato_ids } = req.body;
+  const adicionar = normalizeTags(req.body.adicionar);
+  const remover = normalizeTags(req.body.remover);
+
+  if (adicionar.length === 0 && remover.length === 0) {
+    return res.status(400).json({ success: false, error: 'Informe tags em adicionar ou remover' });
+  }
+
+  try {
+    const { data: contatos, error } = await supabase
+      .from('contatos')
+      .select('id, tags')
+      .eq('user_id', user_id)
+      .in('id', contato_ids);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    // Agrupa os contatos que terminam com o mesmo conjunto de tags para atualizar em lote
+    const groups = new Map();
+    for (const contato of contatos) {
+      const tags = normalizeTags([...contato.tags, ...adicionar]).filter((tag) => !remover.includes(tag));
+      const key = JSON.stringify(tags);
+      if (!groups.has(key)) groups.set(key, { tags, ids: [] });
+      groups.get(key).ids.push(contato.id);
+    }
+
+    for (const { tags, ids } of groups.values()) {
+      const { error: updateError } = await supabase
+        .from('contatos')
+        .update({ tags, atualizado_em: new Date().toISOString() })
+        .in('id', ids);
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+    }
+
+    res.json({ success: true, atualizados: contatos.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/contatos/importar:
+ *   post:
+ *     summary: Salva contatos em massa, opcionalmente em uma lista
+ *     description: "Aceita os mesmos formatos de contatos do criar-campanha (origem manual ou arquivo). Contatos já existentes (mesmo número) são atualizados: o nome é trocado se informado, os campos são mesclados e as tags somadas."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.importar
+ *     x-idempotent: true
+ *     responses:
+ *       200:
+ *         description: Quantidade de contatos salvos e relatório das entradas descartadas
+ *       400:
+ *         description: Body inválido ou arquivo ilegível
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Lista ou arquivo não encontrados
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/importar', ensureOwnUser, validate(schemas.importar), idempotency, async (req, res, next) => {
+  const { user_id, contatos, tags, lista_id } = req.body;
+
+  try {
+    if (lista_id !== undefined && !await findList(user_id, lista_id)) {
+      return res.status(404).json({ success: false, error: 'Lista não encontrada', code: 'LIST_NOT_FOUND' });
+    }
+
+    const { contatos: lidos, invalidos, duplicados, resumo } = await readContacts(user_id, contatos);
+    const salvos = await saveContacts(user_id, lidos, tags);
+
+    if (lista_id !== undefined) {
+      await addToList(lista_id, salvos.map((c) => c.id));
+    }
+
+    logger.info(`${salvos.length} contatos importados para o usuário ${user_id}.`);
+    res.json({ success: true, salvos: salvos.length, relatorio: { resumo, invalidos, duplicados } });
+  } catch (error) {
+    if (error.code && error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/contatos:
+ *   post:
+ *     summary: Cria um contato
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.criar
+ *     x-idempotent: true
+ *     responses:
+ *       201:
+ *         description: Contato criado
+ *       400:
+ *         description: Número ou campos inválidos
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       409:
+ *         description: Já existe um contato com este número
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/', ensureOwnUser, validate(schemas.criar), idempotency, async (req, res, next) => {
+  const { user_id, nome, campos, tags } = req.body;
+  const { valido, numero, motivo } = normalizePhone(req.body.numero);
+
+  if (!valido) {
+    return res.status(400).json({ success: false, error: `Número inválido: ${motivo}`, code: 'INVALID_NUMBER' });
+  }
+
+  try {
+    const { data: contato, error } = await supabase
+      .from('contatos')
+      .insert({ user_id, numero, nome: nome || null, campos: campos || {}, tags: normalizeTags(tags) })
+      .select('*')
+      .single();
+
+    if (error?.code === '23505') {
+      return contactExists(res);
+    }
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.status(201).json({ success: true, contato });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/contatos/{id}:
+ *   get:
+ *     summary: Detalha um contato e as listas das quais ele faz parte
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.detalhar
+ *     responses:
+ *       200:
+ *         description: Contato e ids das listas
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Contato não encontrado
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/:id', ensureOwnUser, validate(schemas.detalhar), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+  const { id: contatoId } = req.params;
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const contato = await findContact(userId, contatoId);
+    if (!contato) {
+      return contactNotFound(res);
+    }
+
+    const { data: listas, error } = await supabase
+      .from('lista_contatos')
+      .select('lista_id')
+      .eq('contato_id', contato.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, contato: { ...contato, listas: listas.map((l) => l.lista_id) } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/contatos/{id}:
+ *   patch:
+ *     summary: Atualiza um contato
+ *     description: "Somente os campos enviados são alterados. campos e tags substituem os valores atuais."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.atualizar
+ *     responses:
+ *       200:
+ *         description: Contato atualizado
+ *       400:
+ *         description: Número ou campos inválidos
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Contato não encontrado
+ *       409:
+ *         description: Já existe um contato com este número
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.patch('/:id', ensureOwnUser, validate(schemas.atualizar), async (req, res, next) => {
+  const { user_id, nome, campos, tags } = req.body;
+  const { id: contatoId } = req.params;
+
+  const changes = { atualizado_em: new Date().toISOString() };
+  if (nome !== undefined) changes.nome = nome || null;
+  if (campos !== undefined) changes.campos = campos;
+  if (tags !== undefined) changes.tags = normalizeTags(tags);
+
+  if (req.body.numero !== undefined) {
+    const { valido, numero, motivo } = normalizePhone(req.body.numero);
+    if (!valido) {
+      return res.status(400).json({ success: false, error: `Número inválido: ${motivo}`, code: 'INVALID_NUMBER' });
+    }
+    changes.numero = numero;
+  }
+
+  try {
+    const { data: contato, error } = await supabase
+      .from('contatos')
+      .update(changes)
+      .eq('id', contatoId)
+      .eq('user_id', user_id)
+      .select('*')
+      .maybeSingle();
+
+    if (error?.code === '23505') {
+      return contactExists(res);
+    }
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!contato) {
+      return contactNotFound(res);
+    }
+
+    res.json({ success: true, contato });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/contatos/{id}:
+ *   delete:
+ *     summary: Exclui um contato
+ *     description: "Remove o contato de todas as listas. Destinatários de campanhas já criadas não são afetados."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: contatos.excluir
+ *     responses:
+ *       200:
+ *         description: Contato excluído
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Contato não encontrado
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.delete('/:id', ensureOwnUser, validate(schemas.excluir), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+  const { id: contatoId } = req.params;
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { data: removidos, error } = await supabase
+      .from('contatos')
+      .delete()
+      .eq('id', contatoId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (removidos.length === 0) {
+      return contactNotFound(res);
+    }
+
+    res.json({ success: true, message: 'Contato excluído com sucesso' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
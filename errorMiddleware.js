@@ -5,12 +5,14 @@ const errorHandler = (err, req, res, next) => {
     message: err.message,
     stack: err.stack,
     path: req.path,
+    request_id: req.id,
     error: err,
   });
 
   const statusCode = err.statusCode || 500;
   res.status(statusCode).json({
     message: err.message || 'Internal Server Error',
+    ...(err.statusCode && err.code && { code: err.code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 };
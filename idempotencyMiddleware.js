@@ -0,0 +1,89 @@
+const logger = require('./logger');
+const { hashBody, claimKey, completeKey, releaseKey } = require('./services/idempotency');
+
+// Caracteres ASCII visíveis, até 255 (ex.: um UUID gerado pelo cliente a cada ação)
+const VALID_KEY = /^[\x21-\x7e]{1,255}$/;
+
+// Idempotency-Key nas rotas POST que alteram dados. O cabeçalho é opcional; com ele, a primeira
+// resposta é guardada e repetida nas requisições seguintes com a mesma chave (cabeçalho
+// Idempotent-Replayed: true). A chave é do usuário autenticado e vale para uma rota e um body:
+// reutilizá-la com outro body responde 422. Falhas do servidor (5xx) não são guardadas.
+// Deve vir depois do validate(), para o hash usar o body já normalizado.
+async function idempotency(req, res, next) {
+  const chave = req.get('idempotency-key');
+  if (chave === undefined) return next();
+
+  if (!VALID_KEY.test(chave)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key deve ter de 1 a 255 caracteres ASCII visíveis',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const ator = req.user?.isService ? 'servico' : req.user?.id;
+  const rota = `${req.method} ${req.baseUrl}${req.path}`;
+
+  let reserva;
+  try {
+    reserva = await claimKey({ ator, chave, rota, bodyHash: hashBody(req.body) });
+  } catch (error) {
+    return next(error);
+  }
+
+  if (reserva.estado === 'divergente') {
+    logger.warn(`Idempotency-Key reutilizada com outra requisição em ${rota} (ator ${ator}).`);
+    return res.status(422).json({
+      success: false,
+      error: 'Idempotency-Key já usada com outra rota ou outro body',
+      code: 'IDEMPOTENCY_KEY_MISMATCH'
+    });
+  }
+
+  if (reserva.estado === 'processando') {
+    return res.status(409).set('Retry-After', '1').json({
+      success: false,
+      error: 'Uma requisição com esta Idempotency-Key ainda está em andamento',
+      code: 'IDEMPOTENCY_KEY_IN_USE'
+    });
+  }
+
+  if (reserva.estado === 'concluida') {
+    const { status_http: statusHttp, resposta, content_type: contentType } = reserva.registro;
+    logger.info(`Resposta repetida para a Idempotency-Key em ${rota} (ator ${ator}).`);
+    res.status(statusHttp).set('Idempotent-Replayed', 'true');
+    if (resposta === null) return res.end();
+    if (contentType) res.set('Content-Type', contentType);
+    return res.send(resposta);
+  }
+
+  // res.json e res.send(objeto) terminam em res.send com o corpo já serializado: a última chamada
+  // traz o corpo como enviado ao cliente
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    if (typeof body === 'string') {
+      res.locals.idempotencyResposta = body;
+    } else if (Buffer.isBuffer(body)) {
+      res.locals.idempotencyResposta = body.toString('utf8');
+    }
+    return send(body);
+  };
+
+  let encerrada = false;
+  res.on('finish', () => {
+    encerrada = true;
+    if (res.statusCode >= 500) {
+      releaseKey(reserva.id);
+    } else {
+      completeKey(reserva.id, res.statusCode, res.locals.idempotencyResposta, res.get('Content-Type'));
+    }
+  });
+  // Conexão interrompida antes da resposta: a chave é liberada para uma nova tentativa
+  res.on('close', () => {
+    if (!encerrada) releaseKey(reserva.id);
+  });
+
+  next();
+}
+
+module.exports = { idempotency };
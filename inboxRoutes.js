@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('./config/supabase');
+const logger = require('./logger');
+const { ensureOwnUser, resolveUserId } = require('./auth');
+const { validate } = require('./validationMiddleware');
+const { idempotency } = require('./idempotencyMiddleware');
+const schemas = require('./schemas/inbox');
+const { parsePagination } = require('./utils/pagination');
+const { getConnectedInstances } = require('./services/campaignDispatcher');
+const { getProvider } = require('./services/whatsapp');
+
+/**
+ * @swagger
+ * /v1/conversas:
+ *   get:
+ *     summary: Lista as conversas da caixa de entrada
+ *     description: "Uma entrada por contato, com a última mensagem trocada e a campanha que enviou a última mensagem ao contato."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: conversas.listar
+ *     responses:
+ *       200:
+ *         description: Página de conversas, da mais recente para a mais antiga
+ *       400:
+ *         description: user_id não fornecido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/', ensureOwnUser, validate(schemas.listar), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    const { data: conversas, count, error } = await supabase
+      .from('conversas')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('ultima_mensagem_em', { ascending: false })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, conversas, paginacao: { page, limit, total: count } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/conversas/{contato}:
+ *   get:
+ *     summary: Lê as mensagens de uma conversa
+ *     description: "Mensagens recebidas e enviadas para o contato, da mais recente para a mais antiga. Mídias recebidas ficam nos arquivos do usuário em /v1/storage (campo arquivo)."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: conversas.mensagens
+ *     responses:
+ *       200:
+ *         description: Página de mensagens
+ *       400:
+ *         description: Contato inválido ou user_id não fornecido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/:contato', ensureOwnUser, validate(schemas.mensagens), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+  const { contato } = req.params;
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    const { data: mensagens, count, error } = await supabase
+      .from('mensagens')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .eq('contato', contato)
+      .order('criado_em', { ascending: false })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, contato, mensagens, paginacao: { page, limit, total: count } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instância que responde o contato: a da última mensagem trocada com ele, se estiver conectada,
+// para a conversa continuar no mesmo número; senão, a primeira conectada do usuário.
+async function findReplyInstance(userId, contato) {
+  const [instances, ultima] = await Promise.all([
+    getConnectedInstances(userId),
+    supabase
+      .from('mensagens')
+      .select('whatsapp_id')
+      .eq('user_id', userId)
+      .eq('contato', contato)
+      .order('criado_em', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+  ]);
+
+  if (ultima.error) {
+    throw new Error(ultima.error.message);
+  }
+
+  return instances.find((instance) => instance.id === ultima.data?.whatsapp_id) || instances[0] || null;
+}
+
+/**
+ * @swagger
+ * /v1/conversas/{contato}/responder:
+ *   post:
+ *     summary: Responde um contato pela instância do usuário
+ *     description: "Envia pelo número da última mensagem trocada com o contato, se estiver conectado; senão, pela primeira instância conectada do usuário."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: conversas.responder
+ *     x-idempotent: true
+ *     responses:
+ *       201:
+ *         description: Mensagem enviada e registrada na conversa
+ *       400:
+ *         description: Contato ou texto inválido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       403:
+ *         description: WhatsApp não conectado
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/:contato/responder', ensureOwnUser, validate(schemas.responder), idempotency, async (req, res, next) => {
+  const { user_id, texto } = req.body;
+  const { contato } = req.params;
+
+  try {
+    const instance = await findReplyInstance(user_id, contato);
+    if (!instance) {
+      return res.status(403).json({
+        success: false,
+        error: 'WhatsApp não conectado',
+        message: 'Conecte seu WhatsApp antes de responder mensagens.',
+        code: 'WHATSAPP_NOT_CONNECTED'
+      });
+    }
+
+    const messageId = await getProvider(instance).sendText(instance, contato, texto);
+
+    const { data: mensagem, error } = await supabase
+      .from('mensagens')
+      .insert({
+        user_id,
+        whatsapp_id: instance.id,
+        message_id: messageId,
+        contato,
+        direcao: 'saida',
+        tipo: 'texto',
+        texto
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Mensagem enviada, mas não registrada: ${error.message}`);
+    }
+
+    logger.info(`Resposta enviada para ${contato} pelo usuário ${user_id}.`);
+    res.status(201).json({ success: true, mensagem });
+  } catch (error) {
+    logger.error(`Erro ao responder ${contato} para user_id ${user_id}:`, error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,55 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger.js');
-const authenticate = require('./auth.js');
+const { authenticate, ensureOwnUser, requireService, resolveUserId, tokenFromQuery } = require('./auth.js');
+const { validate } = require('./validationMiddleware');
+const storageSchemas = require('./schemas/storage');
 const multer = require('multer');
 const cron = require('node-cron');
-const fs = require('fs').promises; // Usar fs.promises para async/await
 const path = require('path');
 const morgan = require('morgan');
 const instanceRoutes = require('./instanceRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const campaignRoutes = require('./campaignRoutes');
+const inboxRoutes = require('./inboxRoutes');
+const suppressionRoutes = require('./suppressionRoutes');
+const contactRoutes = require('./contactRoutes');
+const listRoutes = require('./listRoutes');
+const monitoringRoutes = require('./monitoringRoutes');
+const auditRoutes = require('./auditRoutes');
+const requestId = require('./requestIdMiddleware');
+const { metricsMiddleware } = require('./services/metrics');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const logger = require('./logger');
 const errorHandler = require('./errorMiddleware');
 const cors = require('cors');
-const supabase = require('./config/supabase'); // Importar Supabase
+const { runScheduledCampaigns } = require('./services/campaignScheduler');
+const { CAMPANHAS_BACKEND } = require('./config/campanhas');
+const {
+  STORAGE_DRIVER,
+  LOCAL_STORAGE_DIR,
+  SERVE_UPLOADS_STATIC,
+  STORAGE_SIGNING_SECRET,
+} = require('./config/storage');
+const { TRUST_PROXY } = require('./config/proxy');
+const storage = require('./services/storage');
+const { MAX_FILE_SIZE, formatSize, inspectFile, detectMimeType } = require('./utils/fileType');
+const { verifyDownloadSignature } = require('./utils/signedUrl');
+const { cleanupUploads } = require('./services/storageCleanup');
+const { listFiles, getUsage, checkQuota } = require('./services/storageFiles');
+const { purgeExpiredKeys } = require('./services/idempotency');
+const { purgeExpiredDeliveries } = require('./services/webhookDeliveries');
+const { encryptLegacyTokens } = require('./services/whatsapp/cloudApi');
+const { updateOutdatedWebhooks } = require('./services/whatsapp/evolution');
+const { sanitizeFilename } = require('./utils/safePath');
 
 const app = express();
 
+// IP do cliente (req.ip) pelo X-Forwarded-For dos proxies confiáveis (TRUST_PROXY)
+app.set('trust proxy', TRUST_PROXY);
+
 // Configuração do Rate Limiting
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
@@ -26,8 +57,15 @@ const apiLimiter = rateLimit({
   message: 'Muitas requisições a partir deste IP, por favor, tente novamente após 15 minutos',
 });
 
-app.use(cors());
-app.use(express.json());
+app.use(metricsMiddleware); // Antes de tudo, para medir também as requisições recusadas
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed'] }));
+// Os webhooks guardam o body bruto para conferir assinaturas (X-Hub-Signature-256 da Cloud API)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/v1/webhooks/')) req.rawBody = buf;
+  },
+}));
 
 // Pipe morgan output to winston
 const morganStream = {
@@ -36,9 +74,15 @@ const morganStream = {
   },
 };
 
-app.use(morgan('combined', { stream: morganStream }));
+// Formato combined com o id da requisição (X-Request-Id) no fim
+morgan.token('request-id', (req) => req.id);
+app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :request-id', { stream: morganStream }));
 
 app.use(helmet()); // Usar Helmet para segurança
+
+// Health checks e métricas, sem autenticação de usuário e fora do rate limiting (probes e Prometheus)
+app.use(monitoringRoutes);
+
 app.use(apiLimiter); // Aplicar rate limiting a todas as requisições
 
 app.get('/', (req, res) => {
@@ -48,74 +92,85 @@ app.get('/', (req, res) => {
 });
 
 // Rotas versionadas com /v1
+app.use('/v1/whatsapp/events', tokenFromQuery); // Stream SSE: o EventSource do navegador só envia o JWT na query
 app.use('/v1/whatsapp', authenticate, instanceRoutes);
+app.use('/v1/disparos', authenticate, campaignRoutes);
+app.use('/v1/conversas', authenticate, inboxRoutes);
+app.use('/v1/supressoes', authenticate, suppressionRoutes);
+app.use('/v1/contatos', authenticate, contactRoutes);
+app.use('/v1/listas', authenticate, listRoutes);
+app.use('/v1/auditoria', authenticate, auditRoutes);
+app.use('/v1/webhooks', webhookRoutes); // Autenticado pelo token de cada instância (Evolution) ou pela assinatura da Meta (Cloud API)
 
 const PORT = process.env.PORT || 3000;
-const N8N_BASE_URL = process.env.N8N_BASE_URL;
 
-// Servir arquivos estáticos da pasta 'uploads'
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-const storage = multer.diskStorage({
-  destination: async function (req, file, cb) {
-    const userId = req.body.user_id;
-    if (!userId) {
-      return cb(new Error('user_id não fornecido'));
-    }
-    const userDir = path.join('uploads', userId);
-    try {
-      await fs.mkdir(userDir, { recursive: true });
-      cb(null, userDir);
-    } catch (error) {
-      cb(error);
-    }
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname)
+// Pasta local pública, sem assinatura: só para links antigos, com SERVE_UPLOADS_STATIC=true.
+// Normalmente os arquivos são baixados por URLs assinadas (/v1/storage/download).
+if (STORAGE_DRIVER === 'local' && SERVE_UPLOADS_STATIC) {
+  app.use('/uploads', express.static(path.resolve(LOCAL_STORAGE_DIR)));
+}
+
+// O arquivo fica em memória até ser conferido e gravado pelo driver de armazenamento.
+// O limite do multer é o maior aceito pelo WhatsApp (documentos); o de cada tipo é conferido depois.
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_SIZE, files: 1 } });
+
+const uploadFile = (req, res, next) => upload.single('file')(req, res, (err) => {
+  if (err instanceof multer.MulterError) {
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    return res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      error: tooLarge ? `Arquivo excede o limite de ${formatSize(MAX_FILE_SIZE)}` : `Upload inválido: ${err.message}`,
+      code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD'
+    });
   }
+  next(err);
 });
 
-const upload = multer({ storage: storage });
-
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 
-// Cron job para deletar arquivos com mais de 24 horas
+// Cron job de limpeza: remove os arquivos mais antigos que a retenção de cada usuário
+// (24 horas por padrão), exceto anexos de campanhas não finalizadas e mídias das conversas
 cron.schedule('0 0 * * *', async () => {
-  const directory = 'uploads';
   try {
-    const userFolders = await fs.readdir(directory, { withFileTypes: true });
-    for (const userFolder of userFolders) {
-      if (userFolder.isDirectory()) {
-        const userFolderPath = path.join(directory, userFolder.name);
-        const files = await fs.readdir(userFolderPath);
-
-        if (files.length === 0) {
-          await fs.rmdir(userFolderPath);
-          logger.info(`Pasta ${userFolder.name} deletada.`);
-          continue;
-        }
-
-        for (const file of files) {
-          const filePath = path.join(userFolderPath, file);
-          const stats = await fs.stat(filePath);
-
-          const now = new Date().getTime();
-          const fileTime = new Date(stats.mtime).getTime();
-          const diff = now - fileTime;
-
-          if (diff > 24 * 60 * 60 * 1000) {
-            await fs.unlink(filePath);
-            logger.info(`Arquivo ${file} deletado.`);
-          }
-        }
-      }
-    }
+    const relatorio = await cleanupUploads({ origem: 'cron' });
+    logger.info(`Limpeza de arquivos: ${relatorio.total_removidos} arquivo(s) removido(s), ${relatorio.mantidos_em_uso.length} mantido(s) em uso por campanhas ou conversas.`);
   } catch (err) {
     logger.error('Erro no cron job de limpeza de arquivos:', err);
   }
 });
 
+// Remove as Idempotency-Keys expiradas (IDEMPOTENCY_TTL_HOURS)
+cron.schedule('30 0 * * *', async () => {
+  try {
+    const removidas = await purgeExpiredKeys();
+    logger.info(`Idempotency-Keys expiradas removidas: ${removidas}.`);
+  } catch (err) {
+    logger.error('Erro no cron job de limpeza de Idempotency-Keys:', err);
+  }
+});
+
+// Remove as entregas de webhook vencidas (webhook_entregas)
+cron.schedule('15 * * * *', async () => {
+  try {
+    const removidas = await purgeExpiredDeliveries();
+    logger.info(`Entregas de webhook vencidas removidas: ${removidas}.`);
+  } catch (err) {
+    logger.error('Erro no cron job de limpeza de entregas de webhook:', err);
+  }
+});
+
+// Agendador de campanhas: inicia as agendadas e retoma as pausadas que podem voltar a enviar
+if (CAMPANHAS_BACKEND === 'interno') {
+  cron.schedule('* * * * *', async () => {
+    try {
+      await runScheduledCampaigns();
+    } catch (err) {
+      logger.error('Erro no cron job de agendamento de campanhas:', err);
+    }
+  });
+}
+
 /**
  * @swagger
  * /v1/storage/upload:
@@ -123,18 +178,8 @@ cron.schedule('0 0 * * *', async () => {
  *     summary: Faz upload de um arquivo
  *     security:
  *       - apiKey: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               user_id:
- *                 type: string
- *               file:
- *                 type: string
- *                 format: binary
+ *       - bearerAuth: []
+ *     x-schema: storage.upload
  *     responses:
  *       200:
  *         description: Upload bem-sucedido
@@ -145,27 +190,88 @@ cron.schedule('0 0 * * *', async () => {
  *               properties:
  *                 url:
  *                   type: string
+ *                   description: URL do arquivo, gerada pelo driver de armazenamento (STORAGE_DRIVER). No driver local e em buckets privados, é uma URL assinada com validade.
+ *                 expira_em:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Validade da URL assinada (STORAGE_URL_EXPIRES_IN; no S3, no máximo 7 dias). null quando a URL é pública e não expira (SUPABASE_STORAGE_PUBLIC ou S3_PUBLIC_URL).
+ *                 filename:
+ *                   type: string
+ *                   description: Nome do arquivo no armazenamento, sem caracteres especiais.
+ *                 tipo:
+ *                   type: string
+ *                   enum: [imagem, video, audio, documento]
+ *                   description: Categoria de mídia do WhatsApp, detectada pelo conteúdo.
+ *                 mimetype:
+ *                   type: string
+ *                 tamanho:
+ *                   type: integer
+ *                   description: Tamanho em bytes.
  *       400:
- *         description: user_id não fornecido
+ *         description: "user_id inválido ou nenhum arquivo enviado (FILE_REQUIRED, INVALID_UPLOAD)"
  *       401:
  *         description: Chave de API inválida ou não fornecida
+ *       413:
+ *         description: "Arquivo maior que o limite do WhatsApp para o tipo (FILE_TOO_LARGE) ou que o espaço restante na cota do usuário (QUOTA_EXCEEDED, com uso_bytes e cota_bytes)"
+ *       415:
+ *         description: Tipo de arquivo não aceito pelo WhatsApp (UNSUPPORTED_FILE_TYPE)
  *       500:
  *         description: Erro interno no servidor
  */
-app.post('/v1/storage/upload', authenticate, upload.single('file'), (req, res) => {
+app.post('/v1/storage/upload', authenticate, uploadFile, ensureOwnUser, validate(storageSchemas.upload), async (req, res, next) => {
   if (!req.file) {
-    return res.status(400).send('Nenhum arquivo enviado.');
+    return res.status(400).json({ success: false, error: 'Nenhum arquivo enviado', code: 'FILE_REQUIRED' });
+  }
+
+  const userId = req.body.user_id;
+  const filename = `${Date.now()}-${sanitizeFilename(req.file.originalname)}`;
+
+  // O tipo vem do conteúdo, não da extensão ou do Content-Type enviado pelo cliente
+  let media;
+  try {
+    media = inspectFile(req.file.buffer, req.file.originalname);
+  } catch (fileError) {
+    logger.warn(`Upload recusado para o usuário ${userId}: ${fileError.message}`);
+    return res.status(fileError.statusCode).json({ success: false, error: fileError.message, code: fileError.code });
+  }
+
+  try {
+    await checkQuota(userId, media.tamanho);
+  } catch (quotaError) {
+    if (quotaError.code !== 'QUOTA_EXCEEDED') return next(quotaError);
+    logger.warn(`Upload recusado para o usuário ${userId}: ${quotaError.message}`);
+    return res.status(413).json({
+      success: false,
+      error: quotaError.message,
+      code: quotaError.code,
+      uso_bytes: quotaError.uso_bytes,
+      cota_bytes: quotaError.cota_bytes
+    });
   }
 
-  const url = `${req.protocol}://${req.get('host')}/uploads/${req.body.user_id}/${req.file.filename}`;
-  res.status(200).send({ url });
+  try {
+    await storage.save(userId, filename, req.file.buffer, media.mimetype);
+    const url = await storage.getUrl(userId, filename, { baseUrl: `${req.protocol}://${req.get('host')}` });
+    res.status(200).send({
+      url,
+      expira_em: storage.urlExpiresAt(),
+      filename,
+      tipo: media.categoria,
+      mimetype: media.mimetype,
+      tamanho: media.tamanho
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
 /**
  * @swagger
  * /v1/storage/folders:
  *   get:
- *     summary: Lista todas as pastas de usuário no diretório de uploads
+ *     summary: Lista as pastas de usuário do armazenamento
+ *     description: "Exclusivo da chave de serviço: a lista inclui as pastas de todos os usuários."
  *     security:
  *       - apiKey: []
  *     responses:
@@ -179,14 +285,14 @@ app.post('/v1/storage/upload', authenticate, upload.single('file'), (req, res) =
  *                 type: string
  *       401:
  *         description: Chave de API inválida ou não fornecida
+ *       403:
+ *         description: Rota exclusiva da chave de serviço (SERVICE_ONLY)
  *       500:
  *         description: Erro interno no servidor
  */
-app.get('/v1/storage/folders', authenticate, async (req, res, next) => {
-  const directory = 'uploads';
+app.get('/v1/storage/folders', authenticate, requireService, async (req, res, next) => {
   try {
-    const entries = await fs.readdir(directory, { withFileTypes: true });
-    const folders = entries.filter(dirent => dirent.isDirectory()).map(dirent => dirent.name);
+    const folders = await storage.listFolders();
     res.status(200).send(folders);
   } catch (err) {
     next(err); // Passa o erro para o middleware de tratamento de erros
@@ -197,323 +303,170 @@ app.get('/v1/storage/folders', authenticate, async (req, res, next) => {
  * @swagger
  * /v1/storage/files/{user_id}:
  *   get:
- *     summary: Lista os arquivos de um usuário específico no diretório de uploads
+ *     summary: Lista os arquivos de um usuário específico
+ *     description: "Cada arquivo traz tamanho, tipo MIME (pela extensão), data de envio, expira_em (remoção prevista pela limpeza; null para anexos de campanhas não finalizadas, indicadas em campanha_id, e mídias das conversas, indicadas em mensagem_id) e a URL de download. Mais recentes primeiro por padrão."
  *     security:
  *       - apiKey: []
- *     parameters:
- *       - in: path
- *         name: user_id
- *         required: true
- *         schema:
- *           type: string
- *         description: ID do usuário para listar os arquivos.
+ *       - bearerAuth: []
+ *     x-schema: storage.files
  *     responses:
  *       200:
- *         description: Lista de arquivos do usuário
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: string
+ *         description: Página de arquivos do usuário (arquivos e paginacao)
+ *       400:
+ *         description: Parâmetros inválidos
  *       401:
  *         description: Chave de API inválida ou não fornecida
- *       404:
- *         description: Usuário não encontrado ou diretório vazio
  *       500:
  *         description: Erro interno no servidor
  */
-app.get('/v1/storage/files/:user_id', authenticate, async (req, res, next) => {
+app.get('/v1/storage/files/:user_id', authenticate, ensureOwnUser, validate(storageSchemas.files), async (req, res, next) => {
   const userId = req.params.user_id;
-  const userDir = path.join('uploads', userId);
+  const { page, limit, ordenar, ordem } = req.query;
 
   try {
-    // Verifica se o diretório existe
-    await fs.access(userDir); // fs.access lança um erro se o diretório não existe
-    const files = await fs.readdir(userDir);
-    res.status(200).send(files);
+    const resultado = await listFiles(userId, { page, limit, ordenar, ordem, baseUrl: `${req.protocol}://${req.get('host')}` });
+    res.status(200).json({ success: true, ...resultado });
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      return res.status(404).send('Usuário não encontrado ou diretório vazio.');
-    }
-    next(err); // Passa outros erros para o middleware de tratamento de erros
+    next(err); // Passa o erro para o middleware de tratamento de erros
   }
 });
 
 /**
  * @swagger
- * /v1/storage/files/{user_id}/{filename}:
+ * /v1/storage/usage/{user_id}:
  *   get:
- *     summary: Baixa um arquivo de um usuário
+ *     summary: Espaço de armazenamento usado por um usuário
+ *     description: "Total de arquivos e bytes, por tipo de mídia, e a cota do usuário (tabela cotas_armazenamento ou STORAGE_QUOTA_MB). Sem cota, cota_bytes, disponivel_bytes e uso_percentual são null."
  *     security:
  *       - apiKey: []
- *     parameters:
- *       - in: path
- *         name: user_id
- *         required: true
- *         schema:
- *           type: string
- *       - in: path
- *         name: filename
- *         required: true
- *         schema:
- *           type: string
+ *       - bearerAuth: []
+ *     x-schema: storage.usage
  *     responses:
  *       200:
- *         description: Arquivo
+ *         description: Uso do armazenamento
  *       401:
  *         description: Chave de API inválida ou não fornecida
- *       404:
- *         description: Arquivo não encontrado
  *       500:
  *         description: Erro interno no servidor
  */
-app.get('/v1/storage/files/:user_id/:filename', authenticate, async (req, res, next) => {
-  const userId = req.params.user_id;
-  const filename = req.params.filename;
-  const filePath = path.join('uploads', userId, filename);
-
+app.get('/v1/storage/usage/:user_id', authenticate, ensureOwnUser, validate(storageSchemas.usage), async (req, res, next) => {
   try {
-    await fs.access(filePath); // Verifica se o arquivo existe
-    res.download(filePath);
+    const uso = await getUsage(req.params.user_id);
+    res.status(200).json({ success: true, ...uso });
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      return res.status(404).send('Arquivo não encontrado.');
-    }
-    next(err); // Passa outros erros para o middleware de tratamento de erros
+    next(err);
   }
 });
 
-
 /**
  * @swagger
- * /v1/disparos/criar-campanha:
- *   post:
- *     summary: Cria uma nova campanha
+ * /v1/storage/files/{user_id}/{filename}:
+ *   get:
+ *     summary: Baixa um arquivo de um usuário
  *     security:
  *       - apiKey: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               user_id:
- *                 type: string
- *               campanha:
- *                 type: object
- *                 properties:
- *                   tipo:
- *                     type: string
- *                   nome:
- *                     type: string
- *                   mensagem:
- *                     type: string
- *                   url_anexo:
- *                     type: string
- *               contatos:
- *                 type: object
- *                 properties:
- *                   origem:
- *                     type: string
- *                   dados:
- *                     type: array
- *                     items:
- *                       type: string
- *               config_envio:
- *                 type: object
- *                 properties:
- *                   lote:
- *                     type: integer
- *                   atraso_lote:
- *                     type: integer
- *                   atraso_msg:
- *                     type: integer
+ *       - bearerAuth: []
+ *     x-schema: storage.file
  *     responses:
  *       200:
- *         description: Campanha criada com sucesso
+ *         description: Arquivo
  *       401:
  *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Arquivo não encontrado
  *       500:
  *         description: Erro interno no servidor
  */
-app.post('/v1/disparos/criar-campanha', authenticate, async (req, res, next) => {
-  const { user_id } = req.body;
+app.get('/v1/storage/files/:user_id/:filename', authenticate, ensureOwnUser, validate(storageSchemas.file), async (req, res, next) => {
+  const userId = req.params.user_id;
+  const filename = req.params.filename;
 
   try {
-    // Verificar se WhatsApp está conectado
-    const { data: whatsappInstance, error: dbError } = await supabase
-      .from('whatsapp')
-      .select('status')
-      .eq('user_id', user_id)
-      .eq('is_active', true)
-      .maybeSingle();
-
-    if (dbError) {
-        logger.error(`Erro ao verificar status do whatsapp para user_id ${user_id}:`, dbError);
-        throw new Error(dbError.message);
-    }
-
-    if (!whatsappInstance || whatsappInstance.status !== 'connected') {
-      logger.warn(`Tentativa de criar campanha sem WhatsApp conectado para user_id: ${user_id}`);
-      return res.status(403).json({
-        success: false,
-        error: 'WhatsApp não conectado',
-        message: 'Conecte seu WhatsApp antes de criar campanhas.',
-        code: 'WHATSAPP_NOT_CONNECTED'
-      });
+    const file = await storage.read(userId, filename);
+    res.attachment(filename).send(file);
+  } catch (err) {
+    if (err.code === 'FILE_NOT_FOUND') {
+      return res.status(404).send('Arquivo não encontrado.');
     }
-
-    // Se conectado, prossegue para o n8n
-    const response = await axios.post(`${N8N_BASE_URL}/webhook/criar-campanha`, req.body);
-    res.status(response.status).send(response.data);
-  } catch (error) {
-    logger.error(`Erro ao criar campanha para user_id ${user_id}:`, error);
-    next(error); // Passa o erro para o middleware de tratamento de erros
+    next(err); // Passa outros erros para o middleware de tratamento de erros
   }
 });
 
 /**
  * @swagger
- * /v1/disparos/comecar-campanha:
+ * /v1/storage/cleanup:
  *   post:
- *     summary: Inicia uma campanha
+ *     summary: Executa a limpeza de arquivos sob demanda
+ *     description: "Mesma limpeza do cron diário: remove os arquivos mais antigos que a retenção do usuário (tabela retencao_arquivos ou STORAGE_RETENTION_HOURS), exceto anexos de campanhas não finalizadas e mídias das conversas, e as pastas vazias. Com dry_run (padrão), só retorna o relatório. Com JWT, limpa apenas os arquivos do próprio usuário."
  *     security:
  *       - apiKey: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               campanha_id:
- *                 type: integer
- *               user_id:
- *                 type: string
+ *       - bearerAuth: []
+ *     x-schema: storage.cleanup
  *     responses:
  *       200:
- *         description: Campanha iniciada com sucesso
+ *         description: Relatório da limpeza (removidos, mantidos_em_uso e pastas_removidas)
  *       401:
  *         description: Chave de API inválida ou não fornecida
  *       500:
  *         description: Erro interno no servidor
  */
-app.post('/v1/disparos/comecar-campanha', authenticate, async (req, res, next) => {
+app.post('/v1/storage/cleanup', authenticate, ensureOwnUser, validate(storageSchemas.cleanup), async (req, res, next) => {
+  const { dry_run: dryRun } = req.body;
+
   try {
-    const response = await axios.post(`${N8N_BASE_URL}/webhook/comecar-campanha`, req.body);
-    res.status(response.status).send(response.data);
-  } catch (error) {
-    next(error); // Passa o erro para o middleware de tratamento de erros
+    // Com JWT, sempre o próprio usuário, mesmo sem body; só a chave de serviço limpa todos
+    const userId = resolveUserId(req, req.body.user_id);
+    const relatorio = await cleanupUploads({ userId, dryRun, origem: 'manual' });
+    if (!dryRun) {
+      logger.info(`Limpeza manual de arquivos${userId ? ` do usuário ${userId}` : ''}: ${relatorio.total_removidos} arquivo(s) removido(s).`);
+    }
+    res.status(200).json({ success: true, ...relatorio });
+  } catch (err) {
+    next(err);
   }
 });
 
 /**
  * @swagger
- * /v1/disparos/pausar-campanha:
- *   post:
- *     summary: Pausa uma campanha
- *     security:
- *       - apiKey: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               campanha_id:
- *                 type: integer
- *               user_id:
- *                 type: string
+ * /v1/storage/download/{user_id}/{filename}:
+ *   get:
+ *     summary: Baixa um arquivo por URL assinada
+ *     description: "URL devolvida pelo upload com o driver local. Não exige autenticação: a assinatura HMAC e a validade (expires) autorizam o acesso a um único arquivo."
+ *     x-schema: storage.download
  *     responses:
  *       200:
- *         description: Campanha pausada com sucesso
- *       401:
- *         description: Chave de API inválida ou não fornecida
+ *         description: Arquivo
+ *       403:
+ *         description: "Assinatura inválida (INVALID_SIGNATURE) ou URL expirada (URL_EXPIRED)"
+ *       404:
+ *         description: Arquivo não encontrado
  *       500:
  *         description: Erro interno no servidor
  */
-app.post('/v1/disparos/pausar-campanha', authenticate, async (req, res, next) => {
-  try {
-    const response = await axios.post(`${N8N_BASE_URL}/webhook/pausar-campanha`, req.body);
-    res.status(response.status).send(response.data);
-  } catch (error) {
-    next(error); // Passa o erro para o middleware de tratamento de erros
-  }
-});
-
-// Webhook para receber atualizações da Evolution API (sem autenticação de API Key)
-app.post('/v1/webhooks/whatsapp', async (req, res) => {
-  const { event, instance, data } = req.body;
-
-  logger.info(`[WEBHOOK] Recebido evento '${event}' para a instância '${instance}'`);
+app.get('/v1/storage/download/:user_id/:filename', validate(storageSchemas.download), async (req, res, next) => {
+  const { user_id: userId, filename } = req.params;
+  const { expires, signature } = req.query;
 
   try {
-    const { data: whatsappInstance, error: findError } = await supabase
-      .from('whatsapp')
-      .select('id, status')
-      .eq('nome_instancia', instance)
-      .single();
-
-    if (findError || !whatsappInstance) {
-      logger.warn(`[WEBHOOK] Instância '${instance}' não encontrada no Supabase.`);
-      return res.status(404).json({ success: false, error: 'Instância não encontrada' });
-    }
-
-    let updateData = {};
-    let logMessage = '';
-
-    switch (event) {
-      case 'connection.update':
-        const newStatus = data.state === 'open' ? 'connected'
-                        : data.state === 'connecting' ? 'connecting'
-                        : 'disconnected';
-        
-        if (whatsappInstance.status !== newStatus) {
-            updateData = {
-                status: newStatus,
-                atualizado_em: new Date().toISOString(),
-                ...(newStatus === 'connected' && { last_connection_at: new Date().toISOString(), connection_attempts: 0 })
-            };
-            logMessage = `Status atualizado para: ${newStatus}`;
-        }
-        break;
-
-      case 'qrcode.updated':
-        if (data.qrcode) {
-          updateData = {
-            qr_code: data.qrcode,
-            atualizado_em: new Date().toISOString()
-          };
-          logMessage = 'QR Code atualizado no banco de dados.';
-        }
-        break;
-
-      default:
-        logger.info(`[WEBHOOK] Evento não tratado: ${event}`);
-        return res.json({ success: true, message: 'Evento não tratado' });
+    const result = verifyDownloadSignature(STORAGE_SIGNING_SECRET, userId, filename, expires, signature);
+    if (result !== 'valid') {
+      logger.warn(`Download recusado (${result}) para ${userId}/${filename}`);
+      return res.status(403).json({
+        success: false,
+        error: result === 'expired' ? 'URL de download expirada' : 'Assinatura de download inválida',
+        code: result === 'expired' ? 'URL_EXPIRED' : 'INVALID_SIGNATURE'
+      });
     }
 
-    if (Object.keys(updateData).length > 0) {
-        const { error: updateError } = await supabase
-            .from('whatsapp')
-            .update(updateData)
-            .eq('id', whatsappInstance.id);
-
-        if (updateError) {
-            logger.error(`[WEBHOOK] Erro ao atualizar Supabase para instância ${instance}:`, updateError);
-            return res.status(500).json({ success: false, error: 'Erro ao atualizar dados' });
-        }
-        logger.info(`[WEBHOOK] ${logMessage}`);
+    const file = await storage.read(userId, filename);
+    res.type(detectMimeType(file, filename) || 'application/octet-stream')
+      .set('Content-Disposition', `inline; filename="${filename}"`)
+      .send(file);
+  } catch (err) {
+    if (err.code === 'FILE_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: 'Arquivo não encontrado', code: 'FILE_NOT_FOUND' });
     }
-
-    res.json({ success: true, message: 'Webhook processado com sucesso' });
-
-  } catch (error) {
-    logger.error(`[WEBHOOK] Erro fatal no processamento do webhook para instância ${instance}:`, error);
-    res.status(500).json({ success: false, error: error.message });
+    next(err);
   }
 });
 
@@ -522,6 +475,20 @@ app.use(errorHandler);
 
 app.listen(PORT, () => {
   logger.info(`Servidor rodando na porta ${PORT}`);
+
+  // Tokens da Cloud API salvos antes de serem cifrados no banco
+  encryptLegacyTokens()
+    .catch((err) => logger.error('Erro ao cifrar os tokens da Cloud API:', err));
+
+  // Webhooks registrados sem segredo ou com uma lista de eventos anterior à atual
+  updateOutdatedWebhooks()
+    .catch((err) => logger.error('Erro ao atualizar os webhooks da Evolution API:', err));
+
+  if (CAMPANHAS_BACKEND === 'interno') {
+    // Recupera campanhas em execução e agendamentos vencidos enquanto o servidor estava parado
+    runScheduledCampaigns()
+      .catch((err) => logger.error('Erro ao recuperar campanhas na inicialização:', err));
+  }
 });
 
 module.exports = app; // Adicionado para compatibilidade com Vercel
\ No newline at end of file
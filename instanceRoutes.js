@@ -1,22 +1,68 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const supabase = require('./config/supabase');
 const logger = require('./logger');
+const { ensureOwnUser, resolveUserId } = require('./auth');
+const { validate } = require('./validationMiddleware');
+const { idempotency } = require('./idempotencyMiddleware');
+const { userLock } = require('./lockMiddleware');
+const { SETUP_LOCK_TTL_MS } = require('./config/idempotency');
+const schemas = require('./schemas/instance');
+const { getProvider } = require('./services/whatsapp');
+const { WHATSAPP_PROVIDER, WHATSAPP_EVENTS_HEARTBEAT_MS } = require('./config/whatsapp');
+const { publishInstanceEvent, subscribeInstanceEvents } = require('./services/instanceEvents');
+const { audit } = require('./auditMiddleware');
+
+// Remove campos internos (segredo do webhook e token da Cloud API) antes de devolver a instância ao cliente
+const toPublicInstance = ({ webhook_secret_hash, cloud_access_token_cifrado, ...instance }) => instance;
+
+// Instâncias ativas do usuário, em ordem de criação. Com instanceId, só ela (se for do usuário).
+async function findUserInstances(userId, instanceId) {
+  let query = supabase
+    .from('whatsapp')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('is_active', true);
+
+  if (instanceId) {
+    query = query.eq('id', instanceId);
+  }
 
-const EVOLUTION_API_URL = process.env.EVOLUTION_API_URL;
-const EVOLUTION_API_KEY = process.env.EVOLUTION_API_KEY;
+  const { data: instances, error } = await query.order('id', { ascending: true });
 
-// Middleware para verificar configuração da Evolution API
-router.use((req, res, next) => {
-    if (!EVOLUTION_API_URL || !EVOLUTION_API_KEY) {
-        logger.error('EVOLUTION_API_URL ou EVOLUTION_API_KEY não configurado.');
-        return res.status(500).json({ 
-            success: false,
-            error: 'Configuração da API de evolução incompleta.' 
-        });
-    }
-    next();
+  if (error) {
+    logger.error('Erro ao buscar instâncias no Supabase', error);
+    throw new Error(error.message);
+  }
+  return instances;
+}
+
+// Com mais de uma instância, as rotas por user_id precisam saber qual usar
+const instanceIdRequired = (res, instances) => res.status(400).json({
+  success: false,
+  error: 'O usuário tem mais de uma instância. Informe instance_id.',
+  code: 'INSTANCE_ID_REQUIRED',
+  instancias: instances.map(({ id, rotulo, nome_instancia, status }) => ({ id, rotulo, nome_instancia, status }))
+});
+
+const instanceNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Instância não encontrada',
+  code: 'INSTANCE_NOT_FOUND'
+});
+
+// O provedor de uma instância existente não muda: para usar outro, o usuário cria uma nova
+const providerMismatch = (res, instance) => res.status(400).json({
+  success: false,
+  error: `A instância usa ${getProvider(instance).tipoIntegracao}. Para usar outro provedor, crie uma nova instância com nova: true.`,
+  code: 'PROVIDER_MISMATCH'
+});
+
+const errorResponse = (res, error, message) => res.status(error.statusCode || 500).json({
+  success: false,
+  error: message,
+  ...(error.code && error.statusCode && { code: error.code }),
+  details: error.message
 });
 
 /**
@@ -24,46 +70,34 @@ router.use((req, res, next) => {
  * /v1/whatsapp/setup:
  *   post:
  *     summary: "Cria ou conecta uma instância WhatsApp para um usuário"
- *     description: "Verifica se uma instância já existe para o user_id. Se não, cria uma na Evolution API e no Supabase. Se sim, sincroniza o status e retorna os dados existentes, incluindo um novo QR code se estiver desconectado."
+ *     description: "Verifica se uma instância já existe para o user_id (a de instance_id, quando o usuário tem mais de uma). Se não, cria uma no provedor escolhido (tipo_integracao, o provedor do usuário ou o padrão do servidor) e no Supabase: na Evolution API a conexão é feita pelo QR code; na Cloud API, pelas credenciais de cloud_api. Se sim, sincroniza o status e retorna os dados existentes, incluindo um novo QR code se estiver desconectado. Com nova, cria mais um número para o usuário."
  *     security:
  *       - apiKey: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               user_id:
- *                 type: string
- *                 description: "ID do usuário do Supabase."
- *             example:
- *               user_id: "49e72cf1-ac56-463d-bc11-189907599938"
+ *       - bearerAuth: []
+ *     x-schema: whatsapp.setup
+ *     x-idempotent: true
  *     responses:
  *       200:
  *         description: "Operação bem-sucedida. Retorna a instância e o QR code se aplicável."
  *       400:
- *         description: "Requisição inválida, como user_id faltando ou usuário sem telefone."
+ *         description: "Requisição inválida, como user_id faltando, usuário sem telefone, instance_id ausente para um usuário com várias instâncias (INSTANCE_ID_REQUIRED), cloud_api ausente para a Cloud API (CLOUD_API_CREDENTIALS_REQUIRED) ou provedor diferente do da instância existente (PROVIDER_MISMATCH)."
  *       404:
- *         description: "Usuário não encontrado no banco de dados."
+ *         description: "Usuário ou instância não encontrados."
+ *       409:
+ *         description: "O número da Cloud API já está em outra instância (CLOUD_NUMBER_IN_USE) ou outro /setup do mesmo usuário está em andamento (REQUEST_IN_PROGRESS)."
  *       500:
- *         description: "Erro interno no servidor."
+ *         description: "Erro interno no servidor, como PUBLIC_API_URL não configurado para registrar o webhook da Evolution API (WEBHOOK_URL_NOT_CONFIGURED)."
+ *       502:
+ *         description: "O provedor recusou a requisição, como credenciais da Cloud API inválidas (CLOUD_API_UNAUTHORIZED)."
  */
-router.post('/setup', async (req, res) => {
-  const { user_id } = req.body;
-
-  if (!user_id) {
-    return res.status(400).json({ 
-      success: false,
-      error: 'user_id é obrigatório' 
-    });
-  }
+router.post('/setup', audit('whatsapp.setup', 'whatsapp'), ensureOwnUser, validate(schemas.setup), idempotency, userLock('whatsapp.setup', SETUP_LOCK_TTL_MS), async (req, res) => {
+  const { user_id, instance_id, nova, rotulo, peso, tipo_integracao, cloud_api } = req.body;
 
   try {
-    // 1. Buscar telefone do usuário no Supabase
+    // 1. Buscar telefone e provedor padrão do usuário no Supabase
     const { data: usuario, error: userError } = await supabase
       .from('usuarios')
-      .select('telefone')
+      .select('telefone, provedor_whatsapp')
       .eq('id', user_id)
       .single();
 
@@ -75,202 +109,320 @@ router.post('/setup', async (req, res) => {
         });
     }
 
-    if (!usuario.telefone) {
-        logger.warn(`Usuário ${user_id} não possui telefone cadastrado.`);
-        return res.status(400).json({ 
-            success: false,
-            error: 'Usuário não possui telefone cadastrado' 
-        });
+    // 2. Verificar se já existe instância ativa (a de instance_id ou a única do usuário).
+    // Com nova, cria mais uma mesmo que o usuário já tenha outras.
+    let existingInstance = null;
+    if (!nova) {
+      const instances = await findUserInstances(user_id, instance_id);
+      if (instances.length > 1) {
+        return instanceIdRequired(res, instances);
+      }
+      if (instance_id && instances.length === 0) {
+        return instanceNotFound(res);
+      }
+      existingInstance = instances[0] || null;
     }
 
-    // 2. Verificar se já existe instância ativa
-    const { data: existingInstance, error: checkError } = await supabase
-      .from('whatsapp')
-      .select('*')
-      .eq('user_id', user_id)
-      .eq('is_active', true)
-      .maybeSingle();
+    if (existingInstance) {
+      const provider = getProvider(existingInstance);
+      res.locals.auditoria = { alvo_id: existingInstance.id, antes: { status: existingInstance.status } };
 
-    if (checkError) {
-        logger.error('Erro ao verificar instância existente no Supabase', checkError);
-        throw new Error(checkError.message);
-    }
+      if ((tipo_integracao && tipo_integracao !== provider.tipoIntegracao) || (cloud_api && provider.tipoIntegracao !== 'WHATSAPP-CLOUD-API')) {
+        return providerMismatch(res, existingInstance);
+      }
+
+      // Novas credenciais da Cloud API (ex.: token renovado) reconectam a instância
+      if (cloud_api) {
+        const changes = await provider.create(existingInstance.nome_instancia, cloud_api);
+        const { data: updatedInstance, error: updateError } = await supabase
+          .from('whatsapp')
+          .update({ ...changes, atualizado_em: new Date().toISOString() })
+          .eq('id', existingInstance.id)
+          .select()
+          .single();
+
+        if (updateError) {
+          throw new Error(`Erro ao salvar no banco: ${updateError.message}`);
+        }
+
+        res.locals.auditoria.depois = { status: updatedInstance.status };
+        logger.info(`Credenciais da Cloud API atualizadas na instância ${existingInstance.nome_instancia}.`);
+        return res.json({
+          success: true,
+          instance: toPublicInstance(updatedInstance),
+          qrcode: null,
+          message: 'Credenciais atualizadas. Instância conectada.'
+        });
+      }
 
-    if (existingInstance) {
       logger.info(`Instância já existe para o usuário ${user_id}. Sincronizando status.`);
       
       try {
-        const statusResponse = await axios.get(
-          `${EVOLUTION_API_URL}/instance/connectionState/${existingInstance.nome_instancia}`,
-          { headers: { 'apikey': EVOLUTION_API_KEY } }
-        );
-
-        const evolutionStatus = statusResponse.data?.instance?.state || 'close';
-        const mappedStatus = evolutionStatus === 'open' ? 'connected'
-                           : evolutionStatus === 'connecting' ? 'connecting'
-                           : 'disconnected';
+        const { status, qrcode, changes } = await provider.connect(existingInstance);
 
         await supabase
           .from('whatsapp')
           .update({ 
-            status: mappedStatus,
+            status,
+            ...changes,
             atualizado_em: new Date().toISOString()
           })
           .eq('id', existingInstance.id);
 
-        existingInstance.status = mappedStatus;
+        existingInstance.status = status;
+        res.locals.auditoria.depois = { status };
 
-        let qrCode = null;
-        if (mappedStatus === 'disconnected') {
-          logger.info(`Instância ${existingInstance.nome_instancia} está desconectada. Obtendo novo QR Code.`);
-          const qrResponse = await axios.get(
-            `${EVOLUTION_API_URL}/instance/connect/${existingInstance.nome_instancia}`,
-            { headers: { 'apikey': EVOLUTION_API_KEY } }
-          );
-          qrCode = qrResponse.data?.base64 || qrResponse.data?.qrcode?.base64;
+        let message = 'Instância já existe e está conectada';
+        if (status !== 'connected') {
+          message = provider.usesQrCode
+            ? 'Instância já existe. Escaneie o QR Code para conectar.'
+            : 'Instância já existe, mas o token da Cloud API não é mais aceito. Envie novas credenciais em cloud_api.';
         }
 
         return res.json({
           success: true,
-          instance: existingInstance,
-          qrcode: qrCode,
-          message: mappedStatus === 'connected' 
-            ? 'Instância já existe e está conectada'
-            : 'Instância já existe. Escaneie o QR Code para conectar.'
+          instance: toPublicInstance(existingInstance),
+          qrcode,
+          message
         });
 
       } catch (syncError) {
         logger.error(`Erro ao sincronizar status da instância existente ${existingInstance.nome_instancia}:`, syncError.message);
         return res.json({
           success: true,
-          instance: existingInstance,
+          instance: toPublicInstance(existingInstance),
           qrcode: null,
-          message: 'Instância já existe. Status da Evolution API indisponível no momento.'
+          message: 'Instância já existe. Status do provedor indisponível no momento.'
         });
       }
     }
 
-    // 3. Gerar instanceName único
+    // 3. Escolher o provedor: o do body, o do usuário ou o padrão do servidor
+    const tipo = tipo_integracao || usuario.provedor_whatsapp || WHATSAPP_PROVIDER;
+    const provider = getProvider(tipo);
+
+    if (cloud_api && tipo !== 'WHATSAPP-CLOUD-API') {
+      return res.status(400).json({
+        success: false,
+        error: `cloud_api só é aceito em instâncias WHATSAPP-CLOUD-API, e a nova instância seria ${tipo}`,
+        code: 'PROVIDER_MISMATCH'
+      });
+    }
+
+    if (tipo === 'WHATSAPP-CLOUD-API' && !cloud_api) {
+      return res.status(400).json({
+        success: false,
+        error: 'Informe as credenciais do número em cloud_api para criar uma instância da Cloud API',
+        code: 'CLOUD_API_CREDENTIALS_REQUIRED'
+      });
+    }
+
+    if (tipo === 'WHATSAPP-BAILEYS' && !usuario.telefone) {
+        logger.warn(`Usuário ${user_id} não possui telefone cadastrado.`);
+        return res.status(400).json({ 
+            success: false,
+            error: 'Usuário não possui telefone cadastrado' 
+        });
+    }
+
+    // 4. Gerar instanceName único (com o telefone do usuário ou o id do número na Cloud API)
     const randomDigits = Math.floor(1000 + Math.random() * 9000);
-    const instanceName = `${usuario.telefone}_${randomDigits}`;
-
-    logger.info(`Criando nova instância: ${instanceName} para o usuário ${user_id}`);
-
-    // 4. Criar instância na Evolution API
-    await axios.post(
-      `${EVOLUTION_API_URL}/instance/create`,
-      {
-        instanceName: instanceName,
-        qrcode: true,
-        integration: 'WHATSAPP-BAILEYS'
-      },
-      {
-        headers: { 'apikey': EVOLUTION_API_KEY }
-      }
-    );
+    const instanceName = `${cloud_api ? cloud_api.phone_number_id : usuario.telefone}_${randomDigits}`;
+
+    logger.info(`Criando nova instância ${tipo}: ${instanceName} para o usuário ${user_id}`);
 
-    logger.info(`Instância ${instanceName} criada na Evolution API com sucesso.`);
+    // 5. Criar instância no provedor
+    const campos = await provider.create(instanceName, cloud_api);
 
-    // 5. Salvar no Supabase
+    // 6. Salvar no Supabase
     const { data: newInstance, error: insertError } = await supabase
       .from('whatsapp')
       .insert({
         user_id: user_id,
         nome_instancia: instanceName,
         numero: usuario.telefone,
-        status: 'disconnected',
-        tipo_integracao: 'WHATSAPP-BAILEYS',
+        tipo_integracao: tipo,
+        rotulo: rotulo || null,
+        peso: peso || 1,
         is_active: true,
-        connection_attempts: 1 // Inicia com 1 tentativa
+        connection_attempts: 1, // Inicia com 1 tentativa
+        ...campos
       })
       .select()
       .single();
 
+    // 23505: o número da Cloud API já está em uma instância ativa
+    if (insertError?.code === '23505' && cloud_api) {
+      return res.status(409).json({
+        success: false,
+        error: 'Este número da Cloud API já está vinculado a outra instância',
+        code: 'CLOUD_NUMBER_IN_USE'
+      });
+    }
+
     if (insertError) {
       logger.error('Erro ao salvar nova instância no Supabase:', insertError);
       throw new Error(`Erro ao salvar no banco: ${insertError.message}`);
     }
 
+    res.locals.auditoria = {
+      alvo_id: newInstance.id,
+      depois: { status: newInstance.status, tipo_integracao: newInstance.tipo_integracao },
+    };
     logger.info(`Instância ${instanceName} salva no Supabase com ID: ${newInstance.id}`);
 
-    // 6. Obter QR Code
+    // 7. Obter QR Code (só nos provedores conectados por QR Code)
     let qrCodeBase64 = null;
-    try {
-      const qrResponse = await axios.get(
-        `${EVOLUTION_API_URL}/instance/connect/${instanceName}`,
-        {
-          headers: { 'apikey': EVOLUTION_API_KEY },
-          timeout: 10000
-        }
-      );
+    if (provider.usesQrCode) {
+      try {
+        qrCodeBase64 = await provider.getQrCode(newInstance);
 
-      qrCodeBase64 = qrResponse.data?.base64 || qrResponse.data?.qrcode?.base64;
+        if (qrCodeBase64) {
+          await supabase
+            .from('whatsapp')
+            .update({ qr_code: qrCodeBase64 })
+            .eq('id', newInstance.id);
+          logger.info(`QR Code para ${instanceName} salvo no Supabase.`);
+        }
 
-      if (qrCodeBase64) {
-        await supabase
-          .from('whatsapp')
-          .update({ qr_code: qrCodeBase64 })
-          .eq('id', newInstance.id);
-        logger.info(`QR Code para ${instanceName} salvo no Supabase.`);
+      } catch (qrError) {
+        logger.error(`Erro ao obter QR Code para ${instanceName}:`, qrError.message);
       }
-
-    } catch (qrError) {
-      logger.error(`Erro ao obter QR Code para ${instanceName}:`, qrError.message);
     }
 
     res.status(201).json({
       success: true,
-      instance: newInstance,
+      instance: toPublicInstance(newInstance),
       qrcode: qrCodeBase64,
-      message: 'Instância criada com sucesso. Escaneie o QR Code no WhatsApp.'
+      message: provider.usesQrCode
+        ? 'Instância criada com sucesso. Escaneie o QR Code no WhatsApp.'
+        : 'Instância criada com sucesso. Número da Cloud API conectado.'
     });
 
   } catch (error) {
     logger.error(`Erro no endpoint /setup para user_id ${user_id}:`, error);
-    res.status(500).json({
-      success: false,
-      error: 'Erro ao configurar WhatsApp',
-      details: error.response?.data?.message || error.message
+    errorResponse(res, error, 'Erro ao configurar WhatsApp');
+  }
+});
+
+
+/**
+ * @swagger
+ * /v1/whatsapp/instancias:
+ *   get:
+ *     summary: "Lista as instâncias WhatsApp de um usuário"
+ *     description: "Instâncias ativas em ordem de criação, com rótulo, peso na rotação e status. Os ids são usados em instancias ao criar campanhas e em instance_id nas rotas por user_id."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: whatsapp.instancias
+ *     responses:
+ *       200:
+ *         description: "Instâncias do usuário."
+ *       400:
+ *         description: "user_id ausente."
+ *       500:
+ *         description: "Erro interno no servidor."
+ */
+router.get('/instancias', ensureOwnUser, validate(schemas.instancias), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const instances = await findUserInstances(userId);
+    res.json({
+      success: true,
+      instancias: instances.map(({ qr_code, ...instance }) => toPublicInstance(instance))
     });
+  } catch (error) {
+    next(error);
   }
 });
 
+/**
+ * @swagger
+ * /v1/whatsapp/instancias/{id}:
+ *   patch:
+ *     summary: "Altera o rótulo ou o peso de uma instância"
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: whatsapp.atualizarInstancia
+ *     responses:
+ *       200:
+ *         description: "Instância atualizada."
+ *       400:
+ *         description: "Body inválido."
+ *       404:
+ *         description: "Instância não encontrada (INSTANCE_NOT_FOUND)."
+ *       500:
+ *         description: "Erro interno no servidor."
+ */
+router.patch('/instancias/:id', ensureOwnUser, validate(schemas.atualizarInstancia), async (req, res, next) => {
+  const { user_id, rotulo, peso } = req.body;
+
+  const changes = { atualizado_em: new Date().toISOString() };
+  if (rotulo !== undefined) changes.rotulo = rotulo || null;
+  if (peso !== undefined) changes.peso = peso;
+
+  try {
+    const { data: instance, error } = await supabase
+      .from('whatsapp')
+      .update(changes)
+      .eq('id', req.params.id)
+      .eq('user_id', user_id)
+      .eq('is_active', true)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!instance) {
+      return instanceNotFound(res);
+    }
+
+    const { qr_code, ...publicInstance } = toPublicInstance(instance);
+    res.json({ success: true, instance: publicInstance });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
  * @swagger
  * /v1/whatsapp/sync-status/{user_id}:
  *   get:
  *     summary: "Sincroniza e retorna o status da instância de um usuário"
- *     description: "Busca a instância do usuário, consulta o status real na Evolution API, atualiza o Supabase e retorna os dados consolidados."
+ *     description: "Busca a instância do usuário (a de instance_id, quando ele tem mais de uma), consulta o status real no provedor (Evolution API ou Cloud API), atualiza o Supabase e retorna os dados consolidados."
  *     security:
  *       - apiKey: []
- *     parameters:
- *       - in: path
- *         name: user_id
- *         required: true
- *         schema:
- *           type: string
- *         description: "ID do usuário."
+ *       - bearerAuth: []
+ *     x-schema: whatsapp.syncStatus
  *     responses:
  *       200:
  *         description: "Status sincronizado. Retorna os dados da instância e um novo QR code se aplicável."
+ *       400:
+ *         description: "O usuário tem mais de uma instância e instance_id não foi informado (INSTANCE_ID_REQUIRED)."
  *       404:
  *         description: "Nenhuma instância ativa encontrada para o usuário."
  *       500:
  *         description: "Erro interno no servidor."
  */
-router.get('/sync-status/:user_id', async (req, res) => {
+router.get('/sync-status/:user_id', ensureOwnUser, validate(schemas.syncStatus), async (req, res) => {
     const { user_id } = req.params;
 
     try {
-        const { data: instance, error } = await supabase
-            .from('whatsapp')
-            .select('*')
-            .eq('user_id', user_id)
-            .eq('is_active', true)
-            .maybeSingle();
+        const instances = await findUserInstances(user_id, req.query.instance_id);
+        if (instances.length > 1) {
+            return instanceIdRequired(res, instances);
+        }
 
-        if (error || !instance) {
+        const [instance] = instances;
+        if (!instance) {
             return res.status(404).json({
                 success: false,
                 hasInstance: false,
@@ -278,39 +430,31 @@ router.get('/sync-status/:user_id', async (req, res) => {
             });
         }
 
-        let evolutionStatus = 'close';
-        let profileData = null;
+        const provider = getProvider(instance);
         let mappedStatus = 'disconnected';
+        let profileData = null;
 
-        // Polling para verificar o status da conexão
-        for (let i = 0; i < 5; i++) { // Tenta 5 vezes
+        // Polling para verificar o status da conexão. Só os provedores com QR Code
+        // esperam a leitura do código; na Cloud API uma consulta basta.
+        const tentativas = provider.usesQrCode ? 5 : 1;
+        for (let i = 0; i < tentativas; i++) {
             try {
-                const statusResponse = await axios.get(
-                    `${EVOLUTION_API_URL}/instance/connectionState/${instance.nome_instancia}`,
-                    { headers: { 'apikey': EVOLUTION_API_KEY }, timeout: 8000 }
-                );
-                evolutionStatus = statusResponse.data?.instance?.state || 'close';
-
-                if (evolutionStatus === 'open') {
-                    const profileResponse = await axios.get(
-                        `${EVOLUTION_API_URL}/instance/fetchProfile/${instance.nome_instancia}`,
-                        { headers: { 'apikey': EVOLUTION_API_KEY }, timeout: 8000 }
-                    );
-                    profileData = profileResponse.data;
-                    mappedStatus = 'connected';
+                mappedStatus = await provider.getStatus(instance);
+
+                if (mappedStatus === 'connected') {
+                    profileData = await provider.getProfile(instance);
                     break; // Sai do loop se conectado
                 }
             } catch (apiError) {
-                logger.error(`Erro ao consultar Evolution API para ${instance.nome_instancia}:`, apiError.message);
-                evolutionStatus = 'close';
+                logger.error(`Erro ao consultar o provedor da instância ${instance.nome_instancia}:`, apiError.message);
+                mappedStatus = 'disconnected';
+            }
+            if (i < tentativas - 1) {
+                await new Promise(resolve => setTimeout(resolve, 2000)); // Espera 2 segundos
             }
-            await new Promise(resolve => setTimeout(resolve, 2000)); // Espera 2 segundos
         }
 
         const oldStatus = instance.status;
-        mappedStatus = evolutionStatus === 'open' ? 'connected'
-            : evolutionStatus === 'connecting' ? 'connecting'
-                : 'disconnected';
 
         const updateData = {
             status: mappedStatus,
@@ -332,16 +476,23 @@ router.get('/sync-status/:user_id', async (req, res) => {
             logger.error(`Erro ao atualizar Supabase para instância ${instance.id}:`, updateError);
         }
 
+        if (oldStatus !== mappedStatus) {
+            publishInstanceEvent(instance, 'status', { status: mappedStatus });
+        }
+        if (profileData) {
+            publishInstanceEvent(instance, 'profile', {
+                profile_name: updateData.profile_name,
+                profile_picture_url: updateData.profile_picture_url,
+            });
+        }
+
         let qrCode = null;
-        if (mappedStatus === 'disconnected') {
+        if (mappedStatus === 'disconnected' && provider.usesQrCode) {
             try {
-                const qrResponse = await axios.get(
-                    `${EVOLUTION_API_URL}/instance/connect/${instance.nome_instancia}`,
-                    { headers: { 'apikey': EVOLUTION_API_KEY } }
-                );
-                qrCode = qrResponse.data?.base64 || qrResponse.data?.qrcode?.base64;
+                qrCode = await provider.getQrCode(instance);
                 if (qrCode) {
                     await supabase.from('whatsapp').update({ qr_code: qrCode }).eq('id', instance.id);
+                    publishInstanceEvent(instance, 'qrcode', { qrcode: qrCode });
                 }
             } catch (qrError) {
                 logger.error(`Erro ao obter novo QR Code para ${instance.nome_instancia}:`, qrError.message);
@@ -351,7 +502,7 @@ router.get('/sync-status/:user_id', async (req, res) => {
         res.json({
             success: true,
             hasInstance: true,
-            instance: updatedInstance || { ...instance, ...updateData },
+            instance: toPublicInstance(updatedInstance || { ...instance, ...updateData }),
             qrcode: qrCode,
             statusChanged: oldStatus !== mappedStatus
         });
@@ -366,48 +517,118 @@ router.get('/sync-status/:user_id', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /v1/whatsapp/events/{user_id}:
+ *   get:
+ *     summary: "Stream em tempo real do status, QR Code e perfil das instâncias"
+ *     description: "Server-Sent Events. Ao conectar, envia o evento snapshot com as instâncias do usuário; depois, status, qrcode e profile assim que chegam pelo webhook do provedor (ou por sync-status e disconnect), cada um com instance_id. Um comentário de heartbeat é enviado a cada WHATSAPP_EVENTS_HEARTBEAT_MS. Navegadores, que não enviam cabeçalhos no EventSource, podem passar o JWT em access_token."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: whatsapp.events
+ *     responses:
+ *       200:
+ *         description: "Stream text/event-stream."
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: status\ndata: {\"instance_id\":12,\"nome_instancia\":\"5511987654321_1234\",\"status\":\"connected\",\"em\":\"2026-10-18T12:00:00.000Z\"}\n\n"
+ *       401:
+ *         description: "Chave de API ou token inválidos."
+ *       404:
+ *         description: "Instância não encontrada (INSTANCE_NOT_FOUND)."
+ *       500:
+ *         description: "Erro interno no servidor."
+ */
+router.get('/events/:user_id', ensureOwnUser, validate(schemas.events), async (req, res) => {
+  const { user_id } = req.params;
+  const { instance_id } = req.query;
+
+  let instances;
+  try {
+    instances = await findUserInstances(user_id, instance_id);
+  } catch (error) {
+    return errorResponse(res, error, 'Erro ao buscar instâncias');
+  }
+  if (instance_id && instances.length === 0) {
+    return instanceNotFound(res);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Sem buffer no nginx
+  });
+  res.flushHeaders();
+
+  const send = (tipo, dados) => res.write(`event: ${tipo}\ndata: ${JSON.stringify(dados)}\n\n`);
+
+  send('snapshot', {
+    instancias: instances.map((instance) => ({
+      instance_id: instance.id,
+      nome_instancia: instance.nome_instancia,
+      rotulo: instance.rotulo,
+      tipo_integracao: getProvider(instance).tipoIntegracao,
+      status: instance.status,
+      qrcode: instance.status === 'connected' ? null : instance.qr_code || null,
+      profile_name: instance.profile_name || null,
+      profile_picture_url: instance.profile_picture_url || null,
+    })),
+  });
+
+  const unsubscribe = subscribeInstanceEvents(user_id, ({ tipo, dados, em }) => {
+    if (instance_id && dados.instance_id !== instance_id) return;
+    send(tipo, { ...dados, em });
+  });
+  const heartbeat = setInterval(() => res.write(`: heartbeat ${new Date().toISOString()}\n\n`), WHATSAPP_EVENTS_HEARTBEAT_MS);
+
+  logger.info(`Stream de eventos aberto para o usuário ${user_id}.`);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info(`Stream de eventos encerrado para o usuário ${user_id}.`);
+  });
+});
+
 /**
  * @swagger
  * /v1/whatsapp/disconnect/{user_id}:
  *   delete:
  *     summary: "Desconecta a instância de um usuário"
- *     description: "Faz o logout da instância na Evolution API e atualiza o status no Supabase para 'disconnected'."
+ *     description: "Faz o logout da instância na Evolution API (na Cloud API, descarta o token de acesso) e atualiza o status no Supabase para 'disconnected'."
  *     security:
  *       - apiKey: []
- *     parameters:
- *       - in: path
- *         name: user_id
- *         required: true
- *         schema:
- *           type: string
- *         description: "ID do usuário."
+ *       - bearerAuth: []
+ *     x-schema: whatsapp.disconnect
  *     responses:
  *       200:
  *         description: "Instância desconectada com sucesso."
+ *       400:
+ *         description: "O usuário tem mais de uma instância e instance_id não foi informado (INSTANCE_ID_REQUIRED)."
  *       404:
  *         description: "Instância não encontrada."
  *       500:
  *         description: "Erro interno no servidor."
  */
-router.delete('/disconnect/:user_id', async (req, res) => {
+router.delete('/disconnect/:user_id', audit('whatsapp.disconnect', 'whatsapp'), ensureOwnUser, validate(schemas.disconnect), async (req, res) => {
     const { user_id } = req.params;
   
     try {
-      const { data: instance, error } = await supabase
-        .from('whatsapp')
-        .select('id, nome_instancia')
-        .eq('user_id', user_id)
-        .eq('is_active', true)
-        .single();
-  
-      if (error || !instance) {
-        return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+      const instances = await findUserInstances(user_id, req.query.instance_id);
+      if (instances.length > 1) {
+        return instanceIdRequired(res, instances);
+      }
+
+      const [instance] = instances;
+      if (!instance) {
+        return instanceNotFound(res);
       }
   
-      await axios.delete(
-        `${EVOLUTION_API_URL}/instance/logout/${instance.nome_instancia}`,
-        { headers: { 'apikey': EVOLUTION_API_KEY } }
-      );
+      res.locals.auditoria = { alvo_id: instance.id, antes: { status: instance.status } };
+      const changes = await getProvider(instance).logout(instance);
   
       await supabase
         .from('whatsapp')
@@ -416,20 +637,19 @@ router.delete('/disconnect/:user_id', async (req, res) => {
           profile_name: null,
           profile_picture_url: null,
           qr_code: null,
+          ...changes,
           atualizado_em: new Date().toISOString()
         })
         .eq('id', instance.id);
   
+      res.locals.auditoria.depois = { status: 'disconnected' };
+      publishInstanceEvent(instance, 'status', { status: 'disconnected' });
       logger.info(`Instância ${instance.nome_instancia} desconectada para o usuário ${user_id}.`);
       res.json({ success: true, message: 'WhatsApp desconectado com sucesso' });
   
     } catch (error) {
-      logger.error(`Erro ao desconectar instância para user_id ${user_id}:`, error.response?.data || error.message);
-      res.status(500).json({
-        success: false,
-        error: 'Erro ao desconectar WhatsApp',
-        details: error.response?.data?.message || error.message
-      });
+      logger.error(`Erro ao desconectar instância para user_id ${user_id}:`, error.message);
+      errorResponse(res, error, 'Erro ao desconectar WhatsApp');
     }
 });
 
@@ -438,51 +658,38 @@ router.delete('/disconnect/:user_id', async (req, res) => {
  * /v1/whatsapp/delete/{user_id}:
  *   delete:
  *     summary: "Deleta a instância de um usuário"
- *     description: "Deleta a instância na Evolution API e a marca como inativa no Supabase (soft delete)."
+ *     description: "Deleta a instância na Evolution API (instâncias da Cloud API só são desativadas) e a marca como inativa no Supabase (soft delete)."
  *     security:
  *       - apiKey: []
- *     parameters:
- *       - in: path
- *         name: user_id
- *         required: true
- *         schema:
- *           type: string
- *         description: "ID do usuário."
+ *       - bearerAuth: []
+ *     x-schema: whatsapp.delete
  *     responses:
  *       200:
  *         description: "Instância deletada com sucesso."
+ *       400:
+ *         description: "O usuário tem mais de uma instância e instance_id não foi informado (INSTANCE_ID_REQUIRED)."
  *       404:
  *         description: "Instância não encontrada."
  *       500:
  *         description: "Erro interno no servidor."
  */
-router.delete('/delete/:user_id', async (req, res) => {
+router.delete('/delete/:user_id', audit('whatsapp.delete', 'whatsapp'), ensureOwnUser, validate(schemas.delete), async (req, res) => {
     const { user_id } = req.params;
   
     try {
-      const { data: instance, error } = await supabase
-        .from('whatsapp')
-        .select('id, nome_instancia')
-        .eq('user_id', user_id)
-        .eq('is_active', true)
-        .single();
-  
-      if (error || !instance) {
-        return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+      const instances = await findUserInstances(user_id, req.query.instance_id);
+      if (instances.length > 1) {
+        return instanceIdRequired(res, instances);
       }
-  
-      try {
-        await axios.delete(
-          `${EVOLUTION_API_URL}/instance/delete/${instance.nome_instancia}`,
-          { headers: { 'apikey': EVOLUTION_API_KEY } }
-        );
-        logger.info(`Instância ${instance.nome_instancia} deletada da Evolution API.`);
-      } catch (evolutionError) {
-        if (evolutionError.response?.status !== 404) {
-            logger.warn(`Erro não crítico ao deletar instância ${instance.nome_instancia} da Evolution (pode já ter sido removida):`, evolutionError.message);
-        }
+
+      const [instance] = instances;
+      if (!instance) {
+        return instanceNotFound(res);
       }
   
+      res.locals.auditoria = { alvo_id: instance.id, antes: { status: instance.status, is_active: true } };
+      await getProvider(instance).remove(instance);
+  
       await supabase
         .from('whatsapp')
         .update({
@@ -492,6 +699,7 @@ router.delete('/delete/:user_id', async (req, res) => {
         })
         .eq('id', instance.id);
   
+      res.locals.auditoria.depois = { status: 'disconnected', is_active: false };
       logger.info(`Instância ${instance.nome_instancia} marcada como inativa no Supabase para o usuário ${user_id}.`);
       res.json({ success: true, message: 'Instância deletada com sucesso' });
   
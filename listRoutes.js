@@ -0,0 +1,451 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('./config/supabase');
+const logger = require('./logger');
+const { ensureOwnUser, resolveUserId } = require('./auth');
+const { validate } = require('./validationMiddleware');
+const { idempotency } = require('./idempotencyMiddleware');
+const schemas = require('./schemas/list');
+const { parsePagination } = require('./utils/pagination');
+const { findList, addToList } = require('./services/contacts');
+
+const listNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Lista não encontrada',
+  code: 'LIST_NOT_FOUND'
+});
+
+const listExists = (res) => res.status(409).json({
+  success: false,
+  error: 'Já existe uma lista com este nome',
+  code: 'LIST_EXISTS'
+});
+
+// Quantidade de contatos por lista (view lista_totais), indexada por lista_id
+async function fetchTotals(listaIds) {
+  if (listaIds.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('lista_totais')
+    .select('*')
+    .in('lista_id', listaIds);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return Object.fromEntries(data.map((t) => [t.lista_id, t.total_contatos]));
+}
+
+// Retorna o user_id e o id da lista na rota ({ userId, listaId }), ou responde 400 sem user_id
+function listParams(req, res) {
+  const userId = resolveUserId(req, req.query.user_id ?? req.body?.user_id);
+
+  if (!userId) {
+    res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+    return null;
+  }
+  return { userId, listaId: req.params.id };
+}
+
+/**
+ * @swagger
+ * /v1/listas:
+ *   get:
+ *     summary: Lista as listas de contatos do usuário
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: listas.listar
+ *     responses:
+ *       200:
+ *         description: Página de listas, com a quantidade de contatos de cada uma
+ *       400:
+ *         description: user_id não fornecido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/', ensureOwnUser, validate(schemas.listar), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    const { data: listas, count, error } = await supabase
+      .from('listas')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('nome', { ascending: true })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const totals = await fetchTotals(listas.map((l) => l.id));
+
+    res.json({
+      success: true,
+      listas: listas.map((l) => ({ ...l, total_contatos: totals[l.id] || 0 })),
+      paginacao: { page, limit, total: count }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/listas:
+ *   post:
+ *     summary: Cria uma lista de contatos
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: listas.criar
+ *     x-idempotent: true
+ *     responses:
+ *       201:
+ *         description: Lista criada
+ *       400:
+ *         description: nome não fornecido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       409:
+ *         description: Já existe uma lista com este nome
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/', ensureOwnUser, validate(schemas.criar), idempotency, async (req, res, next) => {
+  const { user_id, nome, descricao } = req.body;
+
+  try {
+    const { data: lista, error } = await supabase
+      .from('listas')
+      .insert({ user_id, nome, descricao: descricao || null })
+      .select('*')
+      .single();
+
+    if (error?.code === '23505') {
+      return listExists(res);
+    }
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Lista ${lista.id} criada para o usuário ${user_id}.`);
+    res.status(201).json({ success: true, lista: { ...lista, total_contatos: 0 } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/listas/{id}:
+ *   get:
+ *     summary: Detalha uma lista de contatos
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: listas.detalhar
+ *     responses:
+ *       200:
+ *         description: Lista e quantidade de contatos
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Lista não encontrada
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/:id', ensureOwnUser, validate(schemas.detalhar), async (req, res, next) => {
+  const params = listParams(req, res);
+  if (!params) return;
+
+  try {
+    const lista = await findList(params.userId, params.listaId);
+    if (!lista) {
+      return listNotFound(res);
+    }
+
+    const totals = await fetchTotals([lista.id]);
+    res.json({ success: true, lista: { ...lista, total_contatos: totals[lista.id] || 0 } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/listas/{id}:
+ *   patch:
+ *     summary: Renomeia ou altera a descrição de uma lista
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: listas.atualizar
+ *     responses:
+ *       200:
+ *         description: Lista atualizada
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Lista não encontrada
+ *       409:
+ *         description: Já existe uma lista com este nome
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.patch('/:id', ensureOwnUser, validate(schemas.atualizar), async (req, res, next) => {
+  const params = listParams(req, res);
+  if (!params) return;
+
+  const { nome, descricao } = req.body;
+  const changes = { atualizado_em: new Date().toISOString() };
+
+  if (nome !== undefined) changes.nome = nome;
+  if (descricao !== undefined) changes.descricao = descricao || null;
+
+  try {
+    const { data: lista, error } = await supabase
+      .from('listas')
+      .update(changes)
+      .eq('id', params.listaId)
+      .eq('user_id', params.userId)
+      .select('*')
+      .maybeSingle();
+
+    if (error?.code === '23505') {
+      return listExists(res);
+    }
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!lista) {
+      return listNotFound(res);
+    }
+
+    res.json({ success: true, lista });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/listas/{id}:
+ *   delete:
+ *     summary: Exclui uma lista
+ *     description: "Os contatos da lista não são excluídos."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: listas.excluir
+ *     responses:
+ *       200:
+ *         description: Lista excluída
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Lista não encontrada
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.delete('/:id', ensureOwnUser, validate(schemas.excluir), async (req, res, next) => {
+  const params = listParams(req, res);
+  if (!params) return;
+
+  try {
+    const { data: removidas, error } = await supabase
+      .from('listas')
+      .delete()
+      .eq('id', params.listaId)
+      .eq('user_id', params.userId)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (removidas.length === 0) {
+      return listNotFound(res);
+    }
+
+    logger.info(`Lista ${params.listaId} excluída pelo usuário ${params.userId}.`);
+    res.json({ success: true, message: 'Lista excluída com sucesso' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/listas/{id}/contatos:
+ *   get:
+ *     summary: Lista os contatos de uma lista
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: listas.contatos
+ *     responses:
+ *       200:
+ *         description: Página de contatos, na ordem em que entraram na lista
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Lista não encontrada
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/:id/contatos', ensureOwnUser, validate(schemas.contatos), async (req, res, next) => {
+  const params = listParams(req, res);
+  if (!params) return;
+
+  try {
+    if (!await findList(params.userId, params.listaId)) {
+      return listNotFound(res);
+    }
+
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    const { data: membros, count, error } = await supabase
+      .from('lista_contatos')
+      .select('contato_id', { count: 'exact' })
+      .eq('lista_id', params.listaId)
+      .order('criado_em', { ascending: true })
+      .order('contato_id', { ascending: true })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const ids = membros.map((m) => m.contato_id);
+    let contatos = [];
+
+    if (ids.length > 0) {
+      const { data, error: contactsError } = await supabase
+        .from('contatos')
+        .select('*')
+        .in('id', ids);
+
+      if (contactsError) {
+        throw new Error(contactsError.message);
+      }
+      contatos = ids.map((id) => data.find((c) => c.id === id)).filter(Boolean);
+    }
+
+    res.json({ success: true, contatos, paginacao: { page, limit, total: count } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/listas/{id}/contatos:
+ *   post:
+ *     summary: Adiciona contatos salvos a uma lista
+ *     description: "Para adicionar números que ainda não são contatos, use /v1/contatos/importar com lista_id."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: listas.adicionarContatos
+ *     x-idempotent: true
+ *     responses:
+ *       200:
+ *         description: Quantidade de contatos adicionados
+ *       400:
+ *         description: Lista de contatos ausente ou muito grande
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Lista não encontrada
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/:id/contatos', ensureOwnUser, validate(schemas.adicionarContatos), idempotency, async (req, res, next) => {
+  const params = listParams(req, res);
+  if (!params) return;
+
+  const { contato_ids } = req.body;
+
+  try {
+    if (!await findList(params.userId, params.listaId)) {
+      return listNotFound(res);
+    }
+
+    // Só entram na lista contatos do próprio usuário
+    const { data: contatos, error } = await supabase
+      .from('contatos')
+      .select('id')
+      .eq('user_id', params.userId)
+      .in('id', contato_ids);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    await addToList(params.listaId, contatos.map((c) => c.id));
+    res.json({ success: true, adicionados: contatos.length, ignorados: contato_ids.length - contatos.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/listas/{id}/contatos/{contato_id}:
+ *   delete:
+ *     summary: Remove um contato de uma lista
+ *     description: "O contato continua salvo em /v1/contatos."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: listas.removerContato
+ *     responses:
+ *       200:
+ *         description: Contato removido da lista
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Lista não encontrada ou contato não faz parte dela
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.delete('/:id/contatos/:contato_id', ensureOwnUser, validate(schemas.removerContato), async (req, res, next) => {
+  const params = listParams(req, res);
+  if (!params) return;
+
+  try {
+    if (!await findList(params.userId, params.listaId)) {
+      return listNotFound(res);
+    }
+
+    const { data: removidos, error } = await supabase
+      .from('lista_contatos')
+      .delete()
+      .eq('lista_id', params.listaId)
+      .eq('contato_id', req.params.contato_id)
+      .select('contato_id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (removidos.length === 0) {
+      return res.status(404).json({ success: false, error: 'Contato não faz parte da lista', code: 'CONTACT_NOT_IN_LIST' });
+    }
+
+    res.json({ success: true, message: 'Contato removido da lista' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
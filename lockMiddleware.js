@@ -0,0 +1,39 @@
+const logger = require('./logger');
+const { acquireLock, releaseLock } = require('./services/locks');
+
+// Executa a rota com uma trava por usuário (req.body.user_id): requisições simultâneas do mesmo
+// usuário recebem 409 em vez de rodar em paralelo. A trava é liberada quando a resposta termina.
+function userLock(nome, ttlMs) {
+  return async (req, res, next) => {
+    const chave = `${nome}:${req.body.user_id}`;
+
+    let dono;
+    try {
+      dono = await acquireLock(chave, ttlMs);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!dono) {
+      logger.warn(`Requisição recusada: ${nome} já em andamento para o usuário ${req.body.user_id}.`);
+      return res.status(409).set('Retry-After', '2').json({
+        success: false,
+        error: 'Outra requisição deste usuário ainda está em andamento. Tente novamente em instantes.',
+        code: 'REQUEST_IN_PROGRESS'
+      });
+    }
+
+    let liberada = false;
+    const release = () => {
+      if (liberada) return;
+      liberada = true;
+      releaseLock(chave, dono);
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  };
+}
+
+module.exports = { userLock };
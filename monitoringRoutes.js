@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const logger = require('./logger');
+const { checkReadiness, publicReadiness } = require('./services/health');
+const { register } = require('./services/metrics');
+const { METRICS_TOKEN } = require('./config/monitoring');
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: "Liveness: o processo está no ar"
+ *     description: "Não consulta dependências; use /health/ready para saber se a API consegue atender."
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: "Processo ativo, com o tempo no ar em segundos."
+ */
+router.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime_s: Math.round(process.uptime()) });
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: "Readiness: verifica Supabase, Evolution API e n8n"
+ *     description: "Cada dependência traz status (ok, degraded quando responde acima de HEALTH_SLOW_MS, down ou disabled quando não configurada). Com x-api-key ou Authorization: Bearer <METRICS_TOKEN>, traz também latencia_ms e, se falhou, erro e code; sem eles, só os status. O status geral é down quando o Supabase está fora e degraded quando a Evolution API ou o n8n (com CAMPANHAS_BACKEND=n8n) estão fora ou lentos. O resultado é reaproveitado por HEALTH_CACHE_MS."
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: "API pronta (status ok ou degraded)."
+ *       503:
+ *         description: "Dependência crítica fora do ar (status down)."
+ */
+router.get('/health/ready', async (req, res) => {
+  try {
+    const resultado = await checkReadiness();
+    const detalhado = hasMetricsToken(req) || safeEqual(process.env.API_KEY, req.headers['x-api-key']);
+    res.status(resultado.status === 'down' ? 503 : 200).json(detalhado ? resultado : publicReadiness(resultado));
+  } catch (error) {
+    logger.error('Erro no health check:', error);
+    res.status(503).json({ status: 'down' });
+  }
+});
+
+function safeEqual(expected, received) {
+  if (!expected || !received) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function hasMetricsToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && safeEqual(METRICS_TOKEN, token);
+}
+
+// Com METRICS_TOKEN, o Prometheus envia o token no cabeçalho Authorization (bearer_token)
+function metricsAuth(req, res, next) {
+  if (!METRICS_TOKEN) return next();
+
+  if (!hasMetricsToken(req)) {
+    return res.status(401).json({ success: false, error: 'Token de métricas inválido', code: 'INVALID_METRICS_TOKEN' });
+  }
+  next();
+}
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: "Métricas no formato do Prometheus"
+ *     description: "Requisições e latência por rota (http_requests_total, http_request_duration_seconds), eventos de webhook por tipo (webhook_events_total), erros da Evolution API (evolution_errors_total), instâncias por status (whatsapp_instances), envios de campanhas (campaign_messages_total) e métricas do processo. Com METRICS_TOKEN, exige Authorization: Bearer."
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: "Métricas em text/plain (formato de exposição do Prometheus)."
+ *       401:
+ *         description: "Token de métricas inválido (INVALID_METRICS_TOKEN)."
+ */
+router.get('/metrics', metricsAuth, async (req, res, next) => {
+  try {
+    res.type(register.contentType).send(await register.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Ids aceitos do cliente ou do proxy (X-Request-Id); outros valores são substituídos por um novo
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Identifica cada requisição em req.id e no cabeçalho X-Request-Id da resposta,
+// para cruzar logs, a trilha de auditoria e os chamados de suporte.
+function requestId(req, res, next) {
+  const received = req.get('x-request-id');
+  req.id = received && VALID_REQUEST_ID.test(received) ? received : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
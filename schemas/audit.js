@@ -0,0 +1,17 @@
+const Joi = require('joi');
+const { paginatedQuery } = require('./common');
+const { AUDIT_ACTIONS } = require('../services/audit');
+
+module.exports = {
+  listar: {
+    query: paginatedQuery({
+      acao: Joi.string().valid(...AUDIT_ACTIONS),
+      alvo_tipo: Joi.string().valid('whatsapp', 'campanha'),
+      alvo_id: Joi.string().description('ID da instância ou da campanha.'),
+      resultado: Joi.string().valid('sucesso', 'falha'),
+      de: Joi.date().iso().description('Registros a partir desta data (ISO 8601).'),
+      ate: Joi.date().iso().min(Joi.ref('de')).description('Registros até esta data (ISO 8601).')
+        .messages({ 'date.min': '{{#label}} deve ser igual ou posterior a de' }),
+    }),
+  },
+};
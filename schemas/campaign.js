@@ -0,0 +1,96 @@
+const Joi = require('joi');
+const { MEDIA_TYPES } = require('../services/campaignDispatcher');
+const { ROTATION_MODES } = require('../services/instanceRotation');
+const { validateWindow } = require('../utils/sendingWindow');
+const { bodyUserId, id, contactSource, paginatedQuery } = require('./common');
+
+const CAMPAIGN_TYPES = ['texto', ...Object.keys(MEDIA_TYPES), 'template'];
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'running', 'paused', 'finished', 'failed'];
+const RECIPIENT_STATUSES = ['pending', 'sent', 'delivered', 'read', 'played', 'failed'];
+
+const TIME = Joi.string().pattern(/^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/, 'HH:MM');
+
+const MESSAGE_DESCRIPTION = 'Texto ou legenda do anexo. Aceita variáveis como {{nome}}, {{primeiro_nome}}, {{numero}} e campos dos contatos, com padrão opcional: {{cidade|sua cidade}}.';
+
+const sendingWindow = Joi.object({
+  dias: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).description('0 = domingo ... 6 = sábado'),
+  inicio: TIME.example('08:00'),
+  fim: TIME.example('20:00').description('Exclusivo; aceita 24:00.'),
+  fuso: Joi.string().default('America/Sao_Paulo'),
+}).custom((janela, helpers) => {
+  // Início antes do fim e fuso horário conhecido
+  const erro = validateWindow(janela);
+  return erro ? helpers.message(erro) : janela;
+}).description('Dias e horários permitidos. Fora da janela, o envio é pausado e retomado automaticamente.')
+  .meta({ className: 'JanelaEnvio' });
+
+const campaignBody = Joi.object({
+  user_id: bodyUserId,
+  campanha: Joi.object({
+    tipo: Joi.string().valid(...CAMPAIGN_TYPES).default('texto'),
+    nome: Joi.string().trim().required(),
+    mensagem: Joi.string().allow('', null)
+      .when('tipo', { is: 'texto', then: Joi.string().required() })
+      .description(`${MESSAGE_DESCRIPTION} Obrigatório para campanhas de texto.`),
+    url_anexo: Joi.string().uri({ scheme: ['http', 'https'] })
+      .when('tipo', { is: Joi.valid(...Object.keys(MEDIA_TYPES)), then: Joi.required() })
+      .description('URL do anexo, como a devolvida por /v1/storage/upload. Obrigatório para imagem, vídeo e documento. O tipo e o tamanho são conferidos com os limites do WhatsApp: imagem JPEG/PNG até 5 MB, vídeo MP4/3GP até 16 MB e documento até 100 MB.'),
+    template: Joi.object({
+      nome: Joi.string().trim().pattern(/^[a-z0-9_]+$/, 'nome de template').required()
+        .description('Nome do template aprovado na Meta.'),
+      idioma: Joi.string().trim().default('pt_BR').description('Idioma do template aprovado, como pt_BR.'),
+      parametros: Joi.array().items(Joi.string().trim().min(1)).max(20).default([])
+        .description('Valores das variáveis do corpo do template ({{1}}, {{2}}...), em ordem. Aceitam as variáveis da mensagem, como {{primeiro_nome}}.'),
+    }).when('tipo', { is: 'template', then: Joi.required(), otherwise: Joi.forbidden() })
+      .description('Template da Cloud API, obrigatório em campanhas de template. Só é enviado por instâncias WHATSAPP-CLOUD-API.')
+      .meta({ className: 'TemplateCampanha' }),
+  }).required(),
+  contatos: contactSource('ContatosCampanha').required(),
+  config_envio: Joi.object({
+    lote: Joi.number().integer().min(1).description('Mensagens por lote.'),
+    atraso_lote: Joi.number().min(0).description('Segundos de espera entre lotes.'),
+    atraso_msg: Joi.number().min(0).description('Segundos de espera entre mensagens.'),
+    rotacao: Joi.string().valid(...ROTATION_MODES)
+      .description("Distribuição dos envios entre as instâncias: 'round_robin' (padrão, uma de cada vez) ou 'peso' (proporcional ao peso de cada instância)."),
+  }),
+  instancias: Joi.array().items(Joi.number().integer().positive()).min(1).unique()
+    .description('IDs das instâncias de WhatsApp que enviam a campanha (de /v1/whatsapp/instancias). Sem instancias, usa todas as conectadas do usuário.'),
+  agendado_para: Joi.date().iso().greater('now').raw().allow(null)
+    .description("Data e hora de início (ISO 8601, com fuso). A campanha fica com status 'scheduled' até lá."),
+  janela_envio: sendingWindow.allow(null),
+});
+
+const campaignAction = Joi.object({
+  campanha_id: id('ID da campanha.'),
+  user_id: bodyUserId,
+});
+
+module.exports = {
+  criarCampanha: { body: campaignBody },
+  preview: {
+    body: Joi.object({
+      user_id: bodyUserId,
+      campanha: Joi.object({
+        mensagem: Joi.string().required().description(MESSAGE_DESCRIPTION),
+      }).required(),
+      contatos: contactSource('ContatosCampanha').required(),
+      quantidade: Joi.number().integer().min(1).max(20).default(5),
+    }).example({
+      campanha: { mensagem: 'Olá, {{primeiro_nome|cliente}}! Sua loja em {{cidade}} está com ofertas.' },
+      contatos: { origem: 'manual', dados: [{ numero: '11987654321', nome: 'Ana Souza', campos: { cidade: 'Campinas' } }] },
+    }),
+  },
+  comecarCampanha: { body: campaignAction },
+  pausarCampanha: { body: campaignAction },
+  campanhas: {
+    query: paginatedQuery({
+      status: Joi.string().valid(...CAMPAIGN_STATUSES),
+    }),
+  },
+  campanha: {
+    params: Joi.object({ id: id('ID da campanha.') }),
+    query: paginatedQuery({
+      status: Joi.string().valid(...RECIPIENT_STATUSES).description('Filtra os destinatários por status.'),
+    }),
+  },
+};
@@ -0,0 +1,92 @@
+const Joi = require('joi');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../utils/pagination');
+const { CONTACT_SOURCES } = require('../services/campaignContacts');
+
+// user_id no body: com JWT, o ensureOwnUser o preenche com o usuário autenticado
+const bodyUserId = Joi.string().required()
+  .description('ID do usuário. Com JWT, é preenchido com o usuário autenticado.');
+
+// user_id na query: obrigatório só com a chave de serviço (verificado pelos handlers)
+const queryUserId = Joi.string()
+  .description('ID do usuário. Obrigatório com a chave de serviço; com JWT, é o usuário autenticado.');
+
+const pathUserId = Joi.string().required().description('ID do usuário.');
+
+const page = Joi.number().integer().min(1).default(1);
+const limit = Joi.number().integer().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT);
+
+const id = (description) => Joi.number().integer().positive().required().description(description);
+
+const tags = Joi.array().items(Joi.string()).description('Tags do contato. São gravadas em minúsculas e sem repetição.');
+
+// Coluna da planilha: nome do cabeçalho ou índice (a partir de 0)
+const column = Joi.alternatives().try(Joi.string(), Joi.number().integer().min(0));
+
+const mapping = Joi.object({
+  telefone: column,
+  nome: column,
+  campos: Joi.object().pattern(Joi.string(), column),
+}).description('Colunas por índice (a partir de 0) ou nome do cabeçalho. Sem campos, as demais colunas viram campos personalizados.')
+  .meta({ className: 'MapeamentoColunas' });
+
+const headerRow = Joi.number().integer().min(0)
+  .description('Linha do cabeçalho (1 = primeira, 0 = sem cabeçalho). Detectada automaticamente se omitida.');
+
+// Entradas inválidas não são erro de validação: vão para o relatório de contatos
+const manualContact = Joi.alternatives().try(
+  Joi.string(),
+  Joi.number(),
+  Joi.object({
+    numero: Joi.alternatives().try(Joi.string(), Joi.number()),
+    telefone: Joi.alternatives().try(Joi.string(), Joi.number()).description('Alternativa a numero.'),
+    nome: Joi.string().allow('', null),
+    campos: Joi.object().description('Valores das variáveis da mensagem, como { cidade: "Campinas" }.'),
+    tags,
+  })
+);
+
+// Contatos de uma campanha ou importação, na origem manual, arquivo ou lista
+const contactSource = (className, origens = CONTACT_SOURCES) => {
+  const schema = Joi.object({
+    origem: Joi.string().valid(...origens).default('manual'),
+    dados: Joi.array().items(manualContact).min(1)
+      .when('origem', { is: 'manual', then: Joi.required() })
+      .description('Origem manual: telefones ou objetos { numero, nome, campos }.'),
+    arquivo: Joi.string()
+      .when('origem', { is: 'arquivo', then: Joi.required() })
+      .description('Origem arquivo: nome ou URL de um CSV/XLSX enviado por /v1/storage/upload.'),
+    mapeamento: mapping,
+    linha_cabecalho: headerRow,
+  }).meta({ className });
+
+  if (!origens.includes('lista')) return schema;
+
+  return schema.keys({
+    listas: Joi.array().items(Joi.number().integer().positive()).min(1)
+      .description('Origem lista: ids das listas de /v1/listas.'),
+    tags: Joi.array().items(Joi.string())
+      .description('Origem lista: contatos com qualquer uma das tags. Com listas, filtra os membros.'),
+  }).when(Joi.object({ origem: Joi.valid('lista').required() }).unknown(), {
+    then: Joi.object().or('listas', 'tags'),
+  });
+};
+
+// Query das listagens paginadas, com filtros extras
+const paginatedQuery = (filters = {}) => Joi.object({ user_id: queryUserId, ...filters, page, limit });
+
+const userIdQuery = Joi.object({ user_id: queryUserId });
+
+module.exports = {
+  bodyUserId,
+  queryUserId,
+  pathUserId,
+  page,
+  limit,
+  id,
+  tags,
+  mapping,
+  headerRow,
+  contactSource,
+  paginatedQuery,
+  userIdQuery,
+};
@@ -0,0 +1,79 @@
+const Joi = require('joi');
+const { bodyUserId, id, tags, mapping, headerRow, contactSource, paginatedQuery, userIdQuery } = require('./common');
+
+const MAX_VALIDATION_SIZE = 50000;
+const MAX_BULK_TAG_SIZE = 10000;
+
+const contactParams = Joi.object({ id: id('ID do contato.') });
+
+const contactFields = {
+  nome: Joi.string().allow('', null),
+  campos: Joi.object().description('Campos personalizados, usados como variáveis nas mensagens.'),
+  tags,
+};
+
+module.exports = {
+  validar: {
+    body: Joi.object({
+      numeros: Joi.array().items(Joi.any()).min(1).max(MAX_VALIDATION_SIZE).required()
+        .description('Telefones em qualquer formato. Entradas inválidas são devolvidas com o motivo.'),
+    }).example({ numeros: ['(11) 98765-4321', '11987654321', '5511987654321', '98765-4321'] }),
+  },
+  importarPreview: {
+    body: Joi.object({
+      user_id: bodyUserId,
+      arquivo: Joi.string().required().description('Nome ou URL do arquivo enviado por /v1/storage/upload.'),
+      mapeamento: mapping,
+      linha_cabecalho: headerRow,
+    }).example({
+      user_id: 'uuid-do-usuario',
+      arquivo: '1712345678901-clientes.csv',
+      mapeamento: { telefone: 'Celular', nome: 'Nome', campos: { cidade: 'Cidade' } },
+    }),
+  },
+  listar: {
+    query: paginatedQuery({
+      busca: Joi.string().description('Filtra por parte do nome ou do número.'),
+      tags: Joi.string().description('Tags separadas por vírgula. Retorna contatos com qualquer uma delas.'),
+    }),
+  },
+  tags: { query: userIdQuery },
+  alterarTags: {
+    body: Joi.object({
+      user_id: bodyUserId,
+      contato_ids: Joi.array().items(Joi.number().integer()).min(1).max(MAX_BULK_TAG_SIZE).required(),
+      adicionar: Joi.array().items(Joi.string()),
+      remover: Joi.array().items(Joi.string()),
+    }),
+  },
+  importar: {
+    body: Joi.object({
+      user_id: bodyUserId,
+      contatos: contactSource('ContatosImportacao', ['manual', 'arquivo']).required(),
+      tags: tags.description('Tags aplicadas a todos os contatos importados.'),
+      lista_id: Joi.number().integer().positive().description('Lista que recebe os contatos importados.'),
+    }),
+  },
+  criar: {
+    body: Joi.object({
+      user_id: bodyUserId,
+      numero: Joi.string().required(),
+      ...contactFields,
+    }).example({
+      numero: '(11) 98765-4321',
+      nome: 'Ana',
+      campos: { cidade: 'São Paulo' },
+      tags: ['cliente', 'vip'],
+    }),
+  },
+  detalhar: { params: contactParams, query: userIdQuery },
+  atualizar: {
+    params: contactParams,
+    body: Joi.object({
+      user_id: bodyUserId,
+      numero: Joi.string(),
+      ...contactFields,
+    }),
+  },
+  excluir: { params: contactParams, query: userIdQuery },
+};
@@ -0,0 +1,19 @@
+const Joi = require('joi');
+const { bodyUserId, paginatedQuery } = require('./common');
+
+const contactParams = Joi.object({
+  contato: Joi.string().pattern(/^\d{8,15}$/, 'dígitos com DDI').required()
+    .description('Número do contato, apenas dígitos com DDI.'),
+});
+
+module.exports = {
+  listar: { query: paginatedQuery() },
+  mensagens: { params: contactParams, query: paginatedQuery() },
+  responder: {
+    params: contactParams,
+    body: Joi.object({
+      user_id: bodyUserId,
+      texto: Joi.string().trim().required(),
+    }),
+  },
+};
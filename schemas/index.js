@@ -0,0 +1,14 @@
+// Schemas Joi das rotas, agrupados pelo prefixo da URL (/v1/<grupo>).
+// Cada entrada traz os schemas de params, query e body de uma rota; o validate()
+// os aplica na requisição e o swagger.js gera a documentação a partir deles
+// (operações marcadas com x-schema: <grupo>.<rota> no JSDoc).
+module.exports = {
+  whatsapp: require('./instance'),
+  storage: require('./storage'),
+  disparos: require('./campaign'),
+  conversas: require('./inbox'),
+  supressoes: require('./suppression'),
+  contatos: require('./contact'),
+  listas: require('./list'),
+  auditoria: require('./audit'),
+};
@@ -0,0 +1,60 @@
+const Joi = require('joi');
+const { bodyUserId, pathUserId, id, userIdQuery } = require('./common');
+const { INTEGRATIONS } = require('../config/whatsapp');
+
+const userIdParams = Joi.object({ user_id: pathUserId });
+
+const instanceId = Joi.number().integer().positive()
+  .description('ID da instância (de /v1/whatsapp/instancias). Obrigatório quando o usuário tem mais de uma.');
+
+const instanceQuery = Joi.object({ instance_id: instanceId });
+
+const graphId = Joi.string().trim().pattern(/^\d+$/, 'id numérico');
+
+const cloudApiCredentials = Joi.object({
+  phone_number_id: graphId.required().description('ID do número de telefone no WhatsApp Manager.'),
+  business_account_id: graphId.required().description('ID da conta do WhatsApp Business (WABA).'),
+  access_token: Joi.string().trim().required().description('Token de acesso permanente de um usuário do sistema da Meta.'),
+}).description('Credenciais do número na Cloud API. Obrigatório ao criar uma instância WHATSAPP-CLOUD-API; numa instância existente, substitui o token e a reconecta.')
+  .meta({ className: 'CredenciaisCloudApi' });
+
+const instanceFields = {
+  rotulo: Joi.string().trim().max(60).allow('', null).description('Nome para identificar o número, como "Vendas" ou "Suporte".'),
+  peso: Joi.number().integer().min(1).max(100)
+    .description("Participação nos envios das campanhas com rotacao 'peso': uma instância de peso 2 envia o dobro de uma de peso 1."),
+};
+
+module.exports = {
+  setup: {
+    body: Joi.object({
+      user_id: bodyUserId,
+      instance_id: instanceId.when('nova', { is: true, then: Joi.forbidden() }),
+      nova: Joi.boolean().default(false)
+        .description('Cria mais uma instância, mesmo que o usuário já tenha outras.'),
+      tipo_integracao: Joi.string().valid(...INTEGRATIONS)
+        .description('Provedor da nova instância: WHATSAPP-BAILEYS (Evolution API, conectada por QR Code) ou WHATSAPP-CLOUD-API (API oficial da Meta). Sem ele, vale o provedor do usuário (usuarios.provedor_whatsapp) ou o padrão do servidor.'),
+      cloud_api: cloudApiCredentials,
+      ...instanceFields,
+    }).example({ user_id: '49e72cf1-ac56-463d-bc11-189907599938' }),
+  },
+  instancias: { query: userIdQuery },
+  atualizarInstancia: {
+    params: Joi.object({ id: id('ID da instância.') }),
+    body: Joi.object({
+      user_id: bodyUserId,
+      ...instanceFields,
+    }).or('rotulo', 'peso'),
+  },
+  syncStatus: { params: userIdParams, query: instanceQuery },
+  events: {
+    params: userIdParams,
+    query: Joi.object({
+      instance_id: Joi.number().integer().positive()
+        .description('Recebe só os eventos desta instância. Sem ele, os de todas as instâncias do usuário.'),
+      access_token: Joi.string()
+        .description('JWT do Supabase, para clientes que não enviam o cabeçalho Authorization (EventSource do navegador).'),
+    }),
+  },
+  disconnect: { params: userIdParams, query: instanceQuery },
+  delete: { params: userIdParams, query: instanceQuery },
+};
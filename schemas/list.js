@@ -0,0 +1,39 @@
+const Joi = require('joi');
+const { bodyUserId, id, paginatedQuery, userIdQuery } = require('./common');
+
+const MAX_MEMBERS_PER_REQUEST = 10000;
+
+const listParams = Joi.object({ id: id('ID da lista.') });
+
+module.exports = {
+  listar: { query: paginatedQuery() },
+  criar: {
+    body: Joi.object({
+      user_id: bodyUserId,
+      nome: Joi.string().trim().required(),
+      descricao: Joi.string().allow('', null),
+    }),
+  },
+  detalhar: { params: listParams, query: userIdQuery },
+  atualizar: {
+    params: listParams,
+    body: Joi.object({
+      user_id: bodyUserId,
+      nome: Joi.string().trim(),
+      descricao: Joi.string().allow('', null),
+    }),
+  },
+  excluir: { params: listParams, query: userIdQuery },
+  contatos: { params: listParams, query: paginatedQuery() },
+  adicionarContatos: {
+    params: listParams,
+    body: Joi.object({
+      user_id: bodyUserId,
+      contato_ids: Joi.array().items(Joi.number().integer()).min(1).max(MAX_MEMBERS_PER_REQUEST).required(),
+    }),
+  },
+  removerContato: {
+    params: Joi.object({ id: id('ID da lista.'), contato_id: id('ID do contato.') }),
+    query: userIdQuery,
+  },
+};
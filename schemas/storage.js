@@ -0,0 +1,58 @@
+const Joi = require('joi');
+const { bodyUserId, pathUserId, page, limit } = require('./common');
+const { SAFE_SEGMENT } = require('../utils/safePath');
+
+// user_id e nomes de arquivo viram caminhos no armazenamento: só caracteres seguros
+const safeSegment = (schema) => schema.pattern(SAFE_SEGMENT).messages({
+  'string.pattern.base': '{{#label}} deve ter apenas letras, números, ".", "-", "_" ou "@" e não pode começar com ponto',
+});
+
+module.exports = {
+  upload: {
+    // O arquivo chega em req.file (multer); file aparece aqui só para a documentação
+    body: Joi.object({
+      user_id: safeSegment(bodyUserId),
+      file: Joi.any().meta({ type: 'string', format: 'binary' })
+        .description('Arquivo enviado. Aceita imagens JPEG/PNG (até 5 MB), vídeos MP4/3GP e áudios AAC/MP4/MP3/AMR/OGG (até 16 MB) e documentos PDF, TXT, CSV e do Office (até 100 MB). O tipo é detectado pelo conteúdo.'),
+    }).meta({ contentType: 'multipart/form-data' }),
+  },
+  cleanup: {
+    body: Joi.object({
+      user_id: safeSegment(Joi.string())
+        .description('Limita a limpeza aos arquivos de um usuário. Com JWT, é o usuário autenticado.'),
+      dry_run: Joi.boolean().default(true).description('Só gera o relatório, sem remover nada.'),
+    }),
+  },
+  files: {
+    params: Joi.object({
+      user_id: safeSegment(pathUserId).description('ID do usuário para listar os arquivos.'),
+    }),
+    query: Joi.object({
+      ordenar: Joi.string().valid('nome', 'tamanho', 'enviado_em').default('enviado_em'),
+      ordem: Joi.string().valid('asc', 'desc').default('desc'),
+      page,
+      limit,
+    }),
+  },
+  usage: {
+    params: Joi.object({
+      user_id: safeSegment(pathUserId),
+    }),
+  },
+  download: {
+    params: Joi.object({
+      user_id: safeSegment(pathUserId),
+      filename: safeSegment(Joi.string().required()),
+    }),
+    query: Joi.object({
+      expires: Joi.number().integer().required().description('Validade da URL (timestamp Unix, em segundos).'),
+      signature: Joi.string().hex().required().description('Assinatura HMAC-SHA256 da URL.'),
+    }),
+  },
+  file: {
+    params: Joi.object({
+      user_id: safeSegment(pathUserId),
+      filename: safeSegment(Joi.string().required()).description('Nome do arquivo, como devolvido na listagem.'),
+    }),
+  },
+};
@@ -0,0 +1,30 @@
+const Joi = require('joi');
+const { bodyUserId, paginatedQuery, userIdQuery } = require('./common');
+
+const MAX_IMPORT_SIZE = 50000;
+
+module.exports = {
+  listar: {
+    query: paginatedQuery({
+      numero: Joi.string().description('Filtra por parte do número.'),
+    }),
+  },
+  adicionar: {
+    body: Joi.object({
+      user_id: bodyUserId,
+      numero: Joi.string().required(),
+      motivo: Joi.string().allow('', null),
+    }),
+  },
+  importar: {
+    body: Joi.object({
+      user_id: bodyUserId,
+      numeros: Joi.array().items(Joi.any()).min(1).max(MAX_IMPORT_SIZE).required(),
+      motivo: Joi.string().allow('', null),
+    }),
+  },
+  remover: {
+    params: Joi.object({ numero: Joi.string().required() }),
+    query: userIdQuery,
+  },
+};
@@ -0,0 +1,60 @@
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+
+const AUDIT_ACTIONS = ['whatsapp.setup', 'whatsapp.disconnect', 'whatsapp.delete', 'campanha.iniciar', 'campanha.pausar'];
+
+// Campos que mudaram entre antes e depois: { campo: { antes, depois } }
+function diffFields(antes = {}, depois = {}) {
+  const mudancas = {};
+
+  for (const campo of new Set([...Object.keys(antes), ...Object.keys(depois)])) {
+    const de = antes[campo] ?? null;
+    const para = depois[campo] ?? null;
+    if (de !== para) {
+      mudancas[campo] = { antes: de, depois: para };
+    }
+  }
+  return mudancas;
+}
+
+// Grava um registro na tabela auditoria. Uma falha aqui não desfaz nem interrompe a ação
+// auditada: fica só no log, com o request_id para localizar a requisição.
+async function recordAudit(registro) {
+  const { error } = await supabase.from('auditoria').insert(registro);
+
+  if (error) {
+    logger.error(`Erro ao gravar auditoria (${registro.acao}, request ${registro.request_id}):`, error.message);
+  }
+}
+
+// Registros da auditoria, mais recentes primeiro. userId null (chave de serviço) lista todos os usuários.
+async function listAudit({ userId, acao, alvoTipo, alvoId, resultado, de, ate, from, to }) {
+  let query = supabase
+    .from('auditoria')
+    .select('*', { count: 'exact' });
+
+  if (userId) query = query.eq('user_id', userId);
+  if (acao) query = query.eq('acao', acao);
+  if (alvoTipo) query = query.eq('alvo_tipo', alvoTipo);
+  if (alvoId) query = query.eq('alvo_id', String(alvoId));
+  if (resultado) query = query.eq('resultado', resultado);
+  if (de) query = query.gte('criado_em', de.toISOString());
+  if (ate) query = query.lte('criado_em', ate.toISOString());
+
+  const { data, count, error } = await query
+    .order('criado_em', { ascending: false })
+    .order('id', { ascending: false })
+    .range(from, to);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return { registros: data, total: count };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffFields,
+  recordAudit,
+  listAudit,
+};
@@ -0,0 +1,128 @@
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const logger = require('../logger');
+const storage = require('./storage');
+const { isSafeSegment } = require('../utils/safePath');
+const { assertPublicHost, publicLookup } = require('../utils/publicAddress');
+const { WHATSAPP_MEDIA, categoryOf, detectMimeType, formatSize } = require('../utils/fileType');
+
+const HEAD_TIMEOUT_MS = 10000;
+
+// O HEAD em URLs externas só conecta a endereços públicos (ver utils/publicAddress.js)
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Folga, em segundos, somada à duração estimada da campanha na validade da URL do anexo
+const ATTACHMENT_URL_MARGIN = 24 * 60 * 60;
+
+// Categorias de arquivo aceitas por tipo de campanha. Como documento, o WhatsApp envia qualquer arquivo suportado.
+const ACCEPTED_CATEGORIES = {
+  imagem: ['imagem'],
+  video: ['video'],
+  documento: Object.keys(WHATSAPP_MEDIA),
+};
+
+function attachmentError(message, code) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = code;
+  return error;
+}
+
+// Nome do arquivo quando a URL aponta para os arquivos do próprio usuário
+// (URL devolvida por /v1/storage/upload, em qualquer driver), ou null
+function storedFilename(userId, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url).pathname);
+  } catch {
+    return null;
+  }
+
+  const filename = path.posix.basename(pathname);
+  return isSafeSegment(filename) && pathname.endsWith(`/${userId}/${filename}`) ? filename : null;
+}
+
+// Tipo e tamanho do anexo: pelo conteúdo, se estiver no armazenamento; senão, pelos cabeçalhos de um HEAD.
+// URLs externas precisam ser http(s) e apontar para endereços públicos, e redirecionamentos não são
+// seguidos. O motivo de uma falha só vai para o log: a resposta não revela o que existe na rede da API.
+async function describeAttachment(userId, url) {
+  const filename = storedFilename(userId, url);
+
+  if (filename) {
+    try {
+      const buffer = await storage.read(userId, filename);
+      return { mimetype: detectMimeType(buffer, filename), tamanho: buffer.length };
+    } catch (error) {
+      if (error.code !== 'FILE_NOT_FOUND') throw error;
+      throw attachmentError('Anexo não encontrado nos arquivos do usuário', 'ATTACHMENT_NOT_FOUND');
+    }
+  }
+
+  let response;
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`Protocolo ${protocol} não permitido`);
+    }
+    await assertPublicHost(hostname);
+    response = await axios.head(url, { timeout: HEAD_TIMEOUT_MS, maxRedirects: 0, httpAgent, httpsAgent });
+  } catch (error) {
+    logger.warn(`Anexo inacessível para o usuário ${userId} (${url}): ${error.message}`);
+    throw attachmentError('Não foi possível acessar o anexo', 'ATTACHMENT_UNREACHABLE');
+  }
+
+  const length = Number(response.headers['content-length']);
+  return {
+    mimetype: String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase() || null,
+    tamanho: length > 0 ? length : null,
+  };
+}
+
+// Confere se o WhatsApp aceitará o anexo de uma campanha de imagem, vídeo ou documento:
+// tipo compatível com o da campanha e tamanho dentro do limite. Retorna { mimetype, categoria, tamanho }.
+// Lança erros 400 com code UNSUPPORTED_FILE_TYPE, FILE_TOO_LARGE, ATTACHMENT_NOT_FOUND ou ATTACHMENT_UNREACHABLE.
+async function checkAttachment(userId, tipo, url) {
+  const { mimetype, tamanho } = await describeAttachment(userId, url);
+  const categoria = categoryOf(mimetype);
+  const aceitas = ACCEPTED_CATEGORIES[tipo];
+
+  if (!aceitas.includes(categoria)) {
+    const tipos = aceitas.flatMap((aceita) => WHATSAPP_MEDIA[aceita].tipos).join(', ');
+    throw attachmentError(
+      `Anexo do tipo ${mimetype || 'desconhecido'} não é aceito pelo WhatsApp em campanhas de ${tipo}. Tipos aceitos: ${tipos}`,
+      'UNSUPPORTED_FILE_TYPE'
+    );
+  }
+
+  const { limite } = WHATSAPP_MEDIA[tipo === 'documento' ? 'documento' : categoria];
+  if (tamanho !== null && tamanho > limite) {
+    throw attachmentError(
+      `Anexo de ${formatSize(tamanho)} excede o limite de ${formatSize(limite)} do WhatsApp para ${tipo}`,
+      'FILE_TOO_LARGE'
+    );
+  }
+
+  return { mimetype, categoria, tamanho };
+}
+
+// URL do anexo válida por pelo menos duration segundos (mais a folga), para que a Evolution API
+// consiga baixá-lo até o fim da campanha. Arquivos do usuário recebem uma nova URL assinada;
+// URLs externas são mantidas.
+async function signAttachmentUrl(userId, url, duration) {
+  const filename = storedFilename(userId, url);
+  if (!filename) return url;
+
+  return storage.getUrl(userId, filename, {
+    baseUrl: new URL(url).origin,
+    expiresIn: duration + ATTACHMENT_URL_MARGIN,
+  });
+}
+
+module.exports = {
+  storedFilename,
+  checkAttachment,
+  signAttachmentUrl,
+};
@@ -0,0 +1,85 @@
+const { filterSuppressed } = require('./optOut');
+const { importContactFile } = require('./contactImport');
+const { loadAudience } = require('./contacts');
+const { normalizePhoneList } = require('../utils/phone');
+
+const CONTACT_SOURCES = ['manual', 'arquivo', 'lista'];
+
+// Contatos informados no body: telefones ou objetos { numero, nome, campos, tags }
+function loadManualContacts(dados) {
+  const entradas = dados.map((item) => (item && typeof item === 'object' ? item.numero ?? item.telefone : item));
+  const { validos, invalidos, duplicados, resumo } = normalizePhoneList(entradas);
+
+  const contatos = validos.map(({ indice, numero }) => {
+    const item = dados[indice];
+    return typeof item === 'object'
+      ? { numero, nome: item.nome || null, campos: item.campos || {}, tags: item.tags || [] }
+      : { numero, nome: null, campos: {}, tags: [] };
+  });
+
+  return { contatos, invalidos, duplicados, resumo };
+}
+
+// Contatos salvos em /v1/contatos, selecionados por lista e/ou tag. Já estão normalizados.
+async function loadSavedContacts(userId, { listas, tags }) {
+  const ids = [].concat(listas || []).map(Number);
+
+  if (ids.some((id) => !Number.isInteger(id))) {
+    const error = new Error('contatos.listas deve conter ids de lista');
+    error.statusCode = 400;
+    error.code = 'INVALID_LIST_ID';
+    throw error;
+  }
+
+  const contatos = await loadAudience(userId, { listas: ids, tags: tags || [] });
+  const total = contatos.length;
+
+  return {
+    contatos,
+    invalidos: [],
+    duplicados: [],
+    resumo: { total, validos: total, invalidos: 0, duplicados: 0 },
+  };
+}
+
+// Lê os contatos de qualquer origem (manual, arquivo ou lista).
+// Retorna { contatos: [{ numero, nome, campos }], invalidos, duplicados, resumo }.
+function readContacts(userId, contatos) {
+  switch (contatos.origem) {
+    case 'arquivo':
+      return importContactFile(userId, contatos.arquivo, {
+        mapeamento: contatos.mapeamento,
+        linha_cabecalho: contatos.linha_cabecalho,
+      });
+    case 'lista':
+      return loadSavedContacts(userId, contatos);
+    default:
+      return loadManualContacts(contatos.dados);
+  }
+}
+
+// Normaliza os contatos da campanha e remove duplicados, inválidos e suprimidos.
+// Retorna os destinatários prontos para envio ({ numero, nome, campos }) e o relatório.
+async function prepareContacts(userId, contatos) {
+  const { contatos: lidos, invalidos, duplicados, resumo } = await readContacts(userId, contatos);
+
+  const { permitidos, removidos } = await filterSuppressed(userId, lidos.map((c) => c.numero));
+  const allowed = new Set(permitidos);
+
+  return {
+    destinatarios: lidos
+      .filter((c) => allowed.has(c.numero))
+      .map(({ numero, nome, campos }) => ({ numero, nome, campos })),
+    relatorio: {
+      resumo: { ...resumo, removidos_supressao: removidos, enviaveis: permitidos.length },
+      invalidos,
+      duplicados,
+    },
+  };
+}
+
+module.exports = {
+  CONTACT_SOURCES,
+  readContacts,
+  prepareContacts,
+};
@@ -0,0 +1,542 @@
+const os = require('os');
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+const { CAMPANHAS_LEASE_MS } = require('../config/campanhas');
+const { getProvider, PROVIDER_COLUMNS } = require('./whatsapp');
+const { findSuppressed } = require('./optOut');
+const { renderTemplate } = require('../utils/template');
+const { isWithinWindow, nextWindowStart } = require('../utils/sendingWindow');
+const { signAttachmentUrl } = require('./campaignAttachment');
+const { createRotation } = require('./instanceRotation');
+const { recordCampaignMessage } = require('./metrics');
+
+// Valores usados quando config_envio não informa algum campo (atrasos em segundos)
+const DEFAULT_CONFIG_ENVIO = { lote: 50, atraso_lote: 120, atraso_msg: 5, rotacao: 'round_robin' };
+
+// Tipos de campanha com anexo -> mediatype enviado aos provedores
+const MEDIA_TYPES = { imagem: 'image', video: 'video', documento: 'document' };
+
+// Status a partir dos quais /comecar-campanha inicia ou retoma uma campanha
+const STARTABLE_STATUSES = ['draft', 'scheduled', 'paused', 'failed'];
+
+// Status em que uma campanha pode ser pausada (paused: esperando a janela de envio)
+const PAUSABLE_STATUSES = ['running', 'scheduled', 'paused'];
+
+// Identifica este processo na reserva das campanhas (campanhas.executor)
+const EXECUTOR_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+
+// Campanhas em execução neste processo: campanha_id -> estado do loop de envio.
+// Entre processos, quem envia é decidido pela reserva no banco (claimCampaign).
+const activeRuns = new Map();
+
+function createRun() {
+  const run = { stopped: false, wake: null, done: null };
+
+  // Espera interrompível: pausar a campanha acorda o loop imediatamente
+  run.sleep = (ms) => new Promise((resolve) => {
+    if (run.stopped || ms <= 0) return resolve();
+    const timer = setTimeout(resolve, ms);
+    run.wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+  run.stop = () => {
+    run.stopped = true;
+    if (run.wake) run.wake();
+  };
+
+  return run;
+}
+
+// Com reservada, só atualiza se a campanha ainda estiver 'running' e reservada para este processo:
+// um envio que perdeu a reserva ou foi pausado por outro processo não sobrescreve o status
+async function updateCampaign(campanhaId, fields, { reservada = false } = {}) {
+  let query = supabase
+    .from('campanhas')
+    .update({ ...fields, atualizado_em: new Date().toISOString() })
+    .eq('id', campanhaId);
+
+  if (reservada) {
+    query = query.eq('executor', EXECUTOR_ID).eq('status', 'running');
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    throw new Error(`Erro ao atualizar campanha ${campanhaId}: ${error.message}`);
+  }
+}
+
+// Duração estimada, em segundos, do envio de total mensagens com os atrasos de config_envio.
+// Não inclui pausas fora da janela de envio: a URL do anexo é renovada quando a campanha é retomada.
+function estimateDuration(total, configEnvio) {
+  const config = { ...DEFAULT_CONFIG_ENVIO, ...configEnvio };
+  const lotes = Math.ceil(total / Math.max(1, config.lote));
+  return total * config.atraso_msg + Math.max(0, lotes - 1) * config.atraso_lote;
+}
+
+// Renova a URL assinada do anexo para cobrir o envio dos destinatários pendentes
+async function refreshAttachmentUrl(campanha) {
+  const { count, error } = await supabase
+    .from('campanha_destinatarios')
+    .select('id', { count: 'exact', head: true })
+    .eq('campanha_id', campanha.id)
+    .eq('status', 'pending');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const url = await signAttachmentUrl(campanha.user_id, campanha.url_anexo, estimateDuration(count, campanha.config_envio));
+  if (url !== campanha.url_anexo) {
+    campanha.url_anexo = url;
+    await updateCampaign(campanha.id, { url_anexo: url }, { reservada: true });
+  }
+}
+
+// Instâncias ativas e conectadas do usuário, em ordem de id. Com instanceIds, só as escolhidas.
+async function getConnectedInstances(userId, instanceIds = null) {
+  let query = supabase
+    .from('whatsapp')
+    .select(`id, nome_instancia, status, rotulo, peso, ${PROVIDER_COLUMNS}`)
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .eq('status', 'connected');
+
+  if (instanceIds?.length) {
+    query = query.in('id', instanceIds);
+  }
+
+  const { data: instances, error } = await query.order('id', { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return instances;
+}
+
+// Instâncias conectadas que podem enviar a campanha ({ user_id, instancias, tipo }):
+// campanhas de template só saem por provedores que suportam templates (Cloud API)
+async function getSendingInstances(campanha) {
+  const instances = await getConnectedInstances(campanha.user_id, campanha.instancias);
+  return campanha.tipo === 'template'
+    ? instances.filter((instance) => getProvider(instance).supportsTemplates)
+    : instances;
+}
+
+async function getConnectedInstance(userId) {
+  const [instance] = await getConnectedInstances(userId);
+  return instance || null;
+}
+
+async function markDisconnected(instance) {
+  const { error } = await supabase
+    .from('whatsapp')
+    .update({ status: 'disconnected', atualizado_em: new Date().toISOString() })
+    .eq('id', instance.id);
+
+  if (error) {
+    logger.error(`Erro ao marcar a instância ${instance.nome_instancia} como desconectada:`, error.message);
+  }
+}
+
+// Depois de uma falha no envio, confere no provedor se a instância caiu.
+// Se a consulta também falhar, a falha fica com o destinatário, e não com a instância.
+async function lostConnection(instance) {
+  try {
+    return (await getProvider(instance).getStatus(instance)) !== 'connected';
+  } catch (stateError) {
+    logger.warn(`Não foi possível consultar a conexão da instância ${instance.nome_instancia}:`, stateError.message);
+    return false;
+  }
+}
+
+// Envia a mensagem da campanha com as variáveis preenchidas com os dados do destinatário
+async function sendMessage(instance, campanha, destinatario) {
+  const provider = getProvider(instance);
+  const mediatype = MEDIA_TYPES[campanha.tipo];
+
+  if (campanha.tipo === 'template') {
+    const { nome, idioma, parametros = [] } = campanha.template;
+    return provider.sendTemplate(instance, destinatario.numero, {
+      nome,
+      idioma,
+      parametros: parametros.map((parametro) => renderTemplate(parametro, destinatario).texto)
+    });
+  }
+
+  const { texto } = renderTemplate(campanha.mensagem, destinatario);
+
+  if (mediatype) {
+    return provider.sendMedia(instance, destinatario.numero, {
+      mediatype,
+      url: campanha.url_anexo,
+      caption: texto
+    });
+  }
+  return provider.sendText(instance, destinatario.numero, texto);
+}
+
+// Registra o envio ou a falha no destinatário. Retorna false, sem registrar nada, quando a
+// falha foi a instância ter desconectado: o destinatário continua pendente para outra instância.
+async function sendToRecipient(instance, campanha, destinatario) {
+  let update;
+
+  try {
+    const messageId = await sendMessage(instance, campanha, destinatario);
+    update = { status: 'sent', message_id: messageId, whatsapp_id: instance.id, enviado_em: new Date().toISOString(), erro: null };
+  } catch (sendError) {
+    // Com o circuito da instância aberto a Evolution não a atende: o destinatário não falhou
+    if (sendError.code === 'EVOLUTION_CIRCUIT_OPEN') throw sendError;
+    if (await lostConnection(instance)) return false;
+
+    // Erro normalizado pelo provedor: a mensagem já é a devolvida pela Evolution ou pela Cloud API
+    const reason = sendError.message;
+    logger.warn(`Falha ao enviar campanha ${campanha.id} para ${destinatario.numero}:`, reason);
+    update = { status: 'failed', whatsapp_id: instance.id, erro: reason };
+  }
+
+  const { error } = await supabase
+    .from('campanha_destinatarios')
+    .update(update)
+    .eq('id', destinatario.id);
+
+  if (error) {
+    throw new Error(`Erro ao registrar envio para o destinatário ${destinatario.id}: ${error.message}`);
+  }
+  recordCampaignMessage(update.status);
+  return true;
+}
+
+// Envia pela próxima instância da rotação. Uma instância que desconectou ou está com o circuito
+// aberto sai da rotação (a do circuito, só até o próximo lote) e o destinatário passa para a
+// seguinte. Retorna false quando não sobra instância conectada; lança o EVOLUTION_CIRCUIT_OPEN
+// quando as que sobraram estão com o circuito aberto.
+async function sendWithFailover(rotation, campanha, destinatario) {
+  let circuitError = null;
+
+  for (let instance = rotation.next(); instance; instance = rotation.next()) {
+    try {
+      if (await sendToRecipient(instance, campanha, destinatario)) return true;
+    } catch (sendError) {
+      if (sendError.code !== 'EVOLUTION_CIRCUIT_OPEN') throw sendError;
+      circuitError = sendError;
+      rotation.remove(instance.id);
+      logger.warn(`Instância ${instance.nome_instancia} fora da rotação da campanha ${campanha.id}: ${sendError.message}`);
+      continue;
+    }
+
+    rotation.remove(instance.id);
+    await markDisconnected(instance);
+    logger.warn(`Instância ${instance.nome_instancia} desconectou durante a campanha ${campanha.id}. Envios restantes seguem por ${rotation.size} instância(s).`);
+  }
+
+  if (circuitError) throw circuitError;
+  return false;
+}
+
+async function pauseDisconnected(campanha) {
+  logger.warn(`Campanha ${campanha.id} pausada: nenhum WhatsApp do usuário ${campanha.user_id} está conectado.`);
+  await updateCampaign(campanha.id, { status: 'paused', pausa_motivo: 'whatsapp_desconectado', erro: 'WhatsApp não conectado' }, { reservada: true });
+}
+
+// Pausa a campanha quando a Evolution API para de responder, em vez de falhar os destinatários
+// restantes. O agendador a retoma depois de EVOLUTION_CIRCUIT_RESET_MS (campaignScheduler.js).
+async function pauseUnavailable(campanha, sendError) {
+  logger.warn(`Campanha ${campanha.id} pausada: ${sendError.message}`);
+  await updateCampaign(campanha.id, { status: 'paused', pausa_motivo: 'evolution_indisponivel', erro: sendError.message }, { reservada: true });
+}
+
+async function skipSuppressedRecipient(destinatario) {
+  const { error } = await supabase
+    .from('campanha_destinatarios')
+    .update({ status: 'failed', erro: 'Contato na lista de supressão' })
+    .eq('id', destinatario.id);
+
+  if (error) {
+    throw new Error(`Erro ao registrar supressão do destinatário ${destinatario.id}: ${error.message}`);
+  }
+}
+
+// Pausa a campanha até a próxima abertura da janela de envio; o agendador a retoma
+async function pauseOutsideWindow(campanha) {
+  const proximo = nextWindowStart(campanha.janela_envio);
+  logger.info(`Campanha ${campanha.id} pausada fora da janela de envio. Próximo envio: ${proximo?.toISOString()}.`);
+  await updateCampaign(campanha.id, { status: 'paused', pausa_motivo: 'fora_janela' }, { reservada: true });
+}
+
+// Envia os destinatários pendentes em ordem de id, em lotes de config_envio.lote.
+// Cada destinatário é marcado individualmente, então retomar continua do primeiro pendente.
+// Fora da janela de envio (campanha.janela_envio), a campanha é pausada com pausa_motivo 'fora_janela'.
+// Os envios se alternam entre as instâncias conectadas (campanha.instancias, ou todas do usuário)
+// conforme config_envio.rotacao; sem nenhuma conectada, a campanha é pausada. Também é pausada
+// ('evolution_indisponivel') quando o circuito de todas as instâncias disponíveis está aberto.
+async function runCampaign(campanhaId, run) {
+  const { data: campanha, error } = await supabase
+    .from('campanhas')
+    .select('*')
+    .eq('id', campanhaId)
+    .single();
+
+  if (error || !campanha) {
+    throw new Error(`Campanha ${campanhaId} não encontrada`);
+  }
+
+  if (!campanha.iniciado_em) {
+    await updateCampaign(campanhaId, { iniciado_em: new Date().toISOString() }, { reservada: true });
+  }
+
+  if (MEDIA_TYPES[campanha.tipo]) {
+    await refreshAttachmentUrl(campanha);
+  }
+
+  const config = { ...DEFAULT_CONFIG_ENVIO, ...campanha.config_envio };
+  const lote = Math.max(1, config.lote);
+  const rotation = createRotation(config.rotacao);
+
+  while (!run.stopped) {
+    if (!isWithinWindow(campanha.janela_envio)) {
+      return pauseOutsideWindow(campanha);
+    }
+
+    // A cada lote, instâncias que reconectaram voltam para a rotação
+    rotation.setInstances(await getSendingInstances(campanha));
+    if (rotation.size === 0) {
+      return pauseDisconnected(campanha);
+    }
+
+    const { data: batch, error: batchError } = await supabase
+      .from('campanha_destinatarios')
+      .select('id, numero, nome, campos')
+      .eq('campanha_id', campanhaId)
+      .eq('status', 'pending')
+      .order('id', { ascending: true })
+      .limit(lote);
+
+    if (batchError) {
+      throw new Error(batchError.message);
+    }
+
+    if (batch.length === 0) {
+      await updateCampaign(campanhaId, { status: 'finished', finalizado_em: new Date().toISOString() }, { reservada: true });
+      logger.info(`Campanha ${campanhaId} finalizada.`);
+      return;
+    }
+
+    // Contatos que se descadastraram depois da criação da campanha não recebem a mensagem
+    const suppressed = await findSuppressed(campanha.user_id, batch.map((d) => d.numero));
+
+    for (let i = 0; i < batch.length; i++) {
+      if (suppressed.has(batch[i].numero)) {
+        await skipSuppressedRecipient(batch[i]);
+        continue;
+      }
+      if (i > 0) await run.sleep(config.atraso_msg * 1000);
+      // Uma pausa feita por outro processo só muda o banco: confere a reserva antes de cada envio
+      await keepLease(campanhaId, run);
+      if (run.stopped) return;
+      if (!isWithinWindow(campanha.janela_envio)) {
+        return pauseOutsideWindow(campanha);
+      }
+      let sent;
+      try {
+        sent = await sendWithFailover(rotation, campanha, batch[i]);
+      } catch (sendError) {
+        if (sendError.code !== 'EVOLUTION_CIRCUIT_OPEN') throw sendError;
+        return pauseUnavailable(campanha, sendError);
+      }
+      if (!sent) {
+        return pauseDisconnected(campanha);
+      }
+    }
+
+    if (batch.length === lote) {
+      await run.sleep(config.atraso_lote * 1000);
+    }
+  }
+}
+
+// Reserva a campanha para este processo e a marca como 'running' numa única atualização
+// condicional: só vale se o status for um dos esperados (e pausa_motivo, quando informado) e
+// se nenhum outro processo tiver uma reserva válida. Retorna false se outro chegou antes.
+async function claimCampaign(campanhaId, { status, pausaMotivo }) {
+  const agora = new Date();
+  let query = supabase
+    .from('campanhas')
+    .update({
+      status: 'running',
+      pausa_motivo: null,
+      erro: null,
+      executor: EXECUTOR_ID,
+      executor_ate: new Date(agora.getTime() + CAMPANHAS_LEASE_MS).toISOString(),
+      atualizado_em: agora.toISOString()
+    })
+    .eq('id', campanhaId)
+    .in('status', status)
+    .or(`executor.is.null,executor_ate.lt.${agora.toISOString()}`);
+
+  if (pausaMotivo) {
+    query = query.eq('pausa_motivo', pausaMotivo);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    throw new Error(`Erro ao reservar a campanha ${campanhaId}: ${error.message}`);
+  }
+  return data.length > 0;
+}
+
+// Renova a reserva durante o envio. Retorna false quando a campanha deixou de estar 'running'
+// (pausada por outro processo) ou a reserva passou para outro processo.
+async function renewLease(campanhaId) {
+  const { data, error } = await supabase
+    .from('campanhas')
+    .update({ executor_ate: new Date(Date.now() + CAMPANHAS_LEASE_MS).toISOString() })
+    .eq('id', campanhaId)
+    .eq('executor', EXECUTOR_ID)
+    .eq('status', 'running')
+    .select('id');
+
+  if (error) {
+    // Falha temporária: a próxima renovação tenta de novo antes de a reserva vencer
+    logger.warn(`Erro ao renovar a reserva da campanha ${campanhaId}:`, error.message);
+    return true;
+  }
+  return data.length > 0;
+}
+
+// Renova a reserva e interrompe o envio neste processo se a campanha foi pausada ou reservada
+// por outro processo
+async function keepLease(campanhaId, run) {
+  if (run.stopped || await renewLease(campanhaId)) return;
+  logger.warn(`Campanha ${campanhaId} pausada ou reservada por outro processo: envio interrompido neste processo.`);
+  run.stop();
+}
+
+async function releaseCampaign(campanhaId) {
+  const { error } = await supabase
+    .from('campanhas')
+    .update({ executor: null, executor_ate: null })
+    .eq('id', campanhaId)
+    .eq('executor', EXECUTOR_ID);
+
+  if (error) {
+    logger.error(`Erro ao liberar a reserva da campanha ${campanhaId}:`, error.message);
+  }
+}
+
+// Inicia (ou retoma) o envio de uma campanha neste processo, se conseguir reservá-la
+// (claimCampaign) a partir de um dos status de condicao. Retorna false se a campanha já
+// estiver em execução aqui ou em outro processo, ou se tiver mudado de status.
+async function startCampaign(campanhaId, condicao = { status: STARTABLE_STATUSES }) {
+  const id = Number(campanhaId);
+  const current = activeRuns.get(id);
+
+  if (current && !current.stopped) {
+    return false;
+  }
+
+  const run = createRun();
+  activeRuns.set(id, run);
+
+  let claimed = false;
+  try {
+    // Uma pausa recente pode ter deixado um envio em andamento; espera ele terminar e liberar a reserva
+    if (current) await current.done;
+    claimed = await claimCampaign(id, condicao);
+  } finally {
+    if (!claimed && activeRuns.get(id) === run) activeRuns.delete(id);
+  }
+
+  if (!claimed) {
+    return false;
+  }
+
+  const heartbeat = setInterval(() => keepLease(id, run), CAMPANHAS_LEASE_MS / 3);
+  heartbeat.unref();
+
+  run.done = (async () => {
+    // Pausada enquanto a reserva era feita
+    if (run.stopped) {
+      return updateCampaign(id, { status: 'paused', pausa_motivo: 'manual' }, { reservada: true });
+    }
+    await runCampaign(id, run);
+  })()
+    .catch(async (error) => {
+      logger.error(`Erro no envio da campanha ${id}:`, error);
+      await updateCampaign(id, { status: 'failed', erro: error.message }, { reservada: true }).catch(() => {});
+    })
+    .finally(async () => {
+      // O envio terminou: um novo início espera a liberação da reserva (current.done)
+      run.stop();
+      clearInterval(heartbeat);
+      await releaseCampaign(id);
+      if (activeRuns.get(id) === run) activeRuns.delete(id);
+    });
+
+  logger.info(`Envio da campanha ${id} iniciado.`);
+  return true;
+}
+
+// Pausa a campanha e aguarda o envio em andamento neste processo terminar. Um envio em outro
+// processo para antes da mensagem seguinte (keepLease). Retorna false se a campanha já não
+// estava em um status que pode ser pausado (ex.: terminou entre a consulta e a pausa).
+async function pauseCampaign(campanhaId) {
+  const id = Number(campanhaId);
+  const run = activeRuns.get(id);
+
+  if (run) run.stop();
+  const { data, error } = await supabase
+    .from('campanhas')
+    .update({ status: 'paused', pausa_motivo: 'manual', atualizado_em: new Date().toISOString() })
+    .eq('id', id)
+    .in('status', PAUSABLE_STATUSES)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Erro ao atualizar campanha ${id}: ${error.message}`);
+  }
+  if (run) await run.done;
+  if (data.length === 0) return false;
+
+  logger.info(`Envio da campanha ${id} pausado.`);
+  return true;
+}
+
+// Retoma campanhas 'running' sem reserva válida: as que estavam em execução quando este
+// processo foi encerrado e as de processos que caíram. Executada na inicialização e pelo agendador.
+async function resumeRunningCampaigns() {
+  const { data: campanhas, error } = await supabase
+    .from('campanhas')
+    .select('id')
+    .eq('status', 'running')
+    .or(`executor.is.null,executor_ate.lt.${new Date().toISOString()}`);
+
+  if (error) {
+    logger.error('Erro ao buscar campanhas em execução para retomar:', error);
+    return;
+  }
+
+  for (const campanha of campanhas) {
+    if (await startCampaign(campanha.id, { status: ['running'] })) {
+      logger.info(`Campanha ${campanha.id} retomada: o processo que a enviava foi encerrado.`);
+    }
+  }
+}
+
+module.exports = {
+  STARTABLE_STATUSES,
+  startCampaign,
+  pauseCampaign,
+  resumeRunningCampaigns,
+  getConnectedInstance,
+  getConnectedInstances,
+  getSendingInstances,
+  estimateDuration,
+  MEDIA_TYPES,
+};
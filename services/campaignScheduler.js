@@ -0,0 +1,92 @@
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+const { startCampaign, resumeRunningCampaigns, getSendingInstances } = require('./campaignDispatcher');
+const { isWithinWindow } = require('../utils/sendingWindow');
+const { EVOLUTION_CIRCUIT_RESET_MS } = require('../config/evolution');
+
+// Inicia as campanhas agendadas cujo horário já passou (inclusive as que venceram
+// com o servidor parado), retoma as pausadas fora da janela quando ela abre, as pausadas
+// com a Evolution API indisponível, as pausadas sem WhatsApp conectado quando um número
+// volta a conectar e as que ficaram 'running' sem processo enviando.
+// Executado a cada minuto pelo cron do index.js e uma vez na inicialização. Com várias
+// réplicas, cada campanha é iniciada por uma só: as outras não conseguem reservá-la.
+async function runScheduledCampaigns(now = new Date()) {
+  const { data: agendadas, error } = await supabase
+    .from('campanhas')
+    .select('id, agendado_para')
+    .eq('status', 'scheduled')
+    .lte('agendado_para', now.toISOString())
+    .order('agendado_para', { ascending: true });
+
+  if (error) {
+    throw new Error(`Erro ao buscar campanhas agendadas: ${error.message}`);
+  }
+
+  for (const campanha of agendadas) {
+    if (await startCampaign(campanha.id, { status: ['scheduled'] })) {
+      logger.info(`Campanha agendada ${campanha.id} iniciada (agendada para ${campanha.agendado_para}).`);
+    }
+  }
+
+  const { data: pausadas, error: pausedError } = await supabase
+    .from('campanhas')
+    .select('id, janela_envio')
+    .eq('status', 'paused')
+    .eq('pausa_motivo', 'fora_janela');
+
+  if (pausedError) {
+    throw new Error(`Erro ao buscar campanhas fora da janela: ${pausedError.message}`);
+  }
+
+  for (const campanha of pausadas) {
+    if (isWithinWindow(campanha.janela_envio, now)) {
+      if (await startCampaign(campanha.id, { status: ['paused'], pausaMotivo: 'fora_janela' })) {
+        logger.info(`Janela de envio aberta: campanha ${campanha.id} retomada.`);
+      }
+    }
+  }
+
+  // Passado EVOLUTION_CIRCUIT_RESET_MS da pausa, o circuito da instância libera uma chamada de
+  // teste: se a Evolution ainda estiver fora, a campanha é pausada de novo e tentada mais tarde
+  const { data: indisponiveis, error: unavailableError } = await supabase
+    .from('campanhas')
+    .select('id')
+    .eq('status', 'paused')
+    .eq('pausa_motivo', 'evolution_indisponivel')
+    .lte('atualizado_em', new Date(now.getTime() - EVOLUTION_CIRCUIT_RESET_MS).toISOString());
+
+  if (unavailableError) {
+    throw new Error(`Erro ao buscar campanhas pausadas pela Evolution API: ${unavailableError.message}`);
+  }
+
+  for (const campanha of indisponiveis) {
+    if (await startCampaign(campanha.id, { status: ['paused'], pausaMotivo: 'evolution_indisponivel' })) {
+      logger.info(`Campanha ${campanha.id} retomada após a Evolution API ficar indisponível.`);
+    }
+  }
+
+  // O status das instâncias vem do connection.update: a campanha volta assim que um dos números
+  // que podem enviá-la (os escolhidos em instancias, se houver) está conectado de novo
+  const { data: desconectadas, error: disconnectedError } = await supabase
+    .from('campanhas')
+    .select('id, user_id, tipo, instancias')
+    .eq('status', 'paused')
+    .eq('pausa_motivo', 'whatsapp_desconectado');
+
+  if (disconnectedError) {
+    throw new Error(`Erro ao buscar campanhas pausadas sem WhatsApp conectado: ${disconnectedError.message}`);
+  }
+
+  for (const campanha of desconectadas) {
+    if ((await getSendingInstances(campanha)).length === 0) continue;
+    if (await startCampaign(campanha.id, { status: ['paused'], pausaMotivo: 'whatsapp_desconectado' })) {
+      logger.info(`WhatsApp reconectado: campanha ${campanha.id} retomada.`);
+    }
+  }
+
+  await resumeRunningCampaigns();
+}
+
+module.exports = {
+  runScheduledCampaigns,
+};
@@ -0,0 +1,319 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { normalizePhone } = require('../utils/phone');
+const storage = require('./storage');
+
+const MAX_ROWS = 100000;
+
+// Quantas linhas iniciais são examinadas para achar o cabeçalho
+const HEADER_SCAN_ROWS = 10;
+
+// Nomes de coluna reconhecidos automaticamente (comparados sem acento e em minúsculas)
+const PHONE_HEADERS = ['telefone', 'celular', 'numero', 'whatsapp', 'fone', 'phone', 'mobile', 'tel', 'contato'];
+const NAME_HEADERS = ['nome', 'name', 'nome completo', 'cliente'];
+
+const CSV_DELIMITERS = [';', ',', '\t', '|'];
+
+const fileError = (message, code) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = code;
+  return error;
+};
+
+const normalizeHeader = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+// Nome de campo personalizado a partir do cabeçalho ("Data de Nascimento" -> data_de_nascimento)
+const toFieldName = (header) => normalizeHeader(header).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Decodifica o CSV: UTF-8 (com ou sem BOM), UTF-16 com BOM, ou Windows-1252 (Excel em português)
+function decodeText(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+  }
+}
+
+// Escolhe o delimitador que aparece com a mesma frequência (não nula) nas primeiras linhas
+function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim()).slice(0, HEADER_SCAN_ROWS);
+  let best = { delimiter: ',', score: 0 };
+
+  for (const delimiter of CSV_DELIMITERS) {
+    const counts = lines.map((line) => line.split(delimiter).length - 1);
+    const consistent = counts.filter((count) => count > 0 && count === counts[0]).length;
+    if (consistent > best.score) {
+      best = { delimiter, score: consistent };
+    }
+  }
+
+  return best.delimiter;
+}
+
+function parseCsv(buffer) {
+  const { text, encoding } = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+
+  const records = parse(text, {
+    delimiter,
+    info: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+
+  return {
+    rows: records.map(({ record }) => record),
+    lines: records.map(({ info }) => info.lines),
+    formato: 'csv',
+    encoding,
+    delimitador: delimiter,
+  };
+}
+
+const cellText = (cell) => {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+  }
+  // Telefones salvos como número no Excel perdem a formatação, mas não os dígitos
+  return typeof value === 'number' ? String(Math.round(value)) : String(value).trim();
+};
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw fileError('Planilha XLSX inválida ou corrompida', 'INVALID_SPREADSHEET');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw fileError('A planilha não tem abas', 'INVALID_SPREADSHEET');
+  }
+
+  const rows = [];
+  const lines = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let col = 1; col <= row.cellCount; col++) {
+      values.push(cellText(row.getCell(col)));
+    }
+    if (values.some((value) => value !== '')) {
+      rows.push(values);
+      lines.push(row.number);
+    }
+  });
+
+  return { rows, lines, formato: 'xlsx', aba: sheet.name };
+}
+
+const isXlsx = (buffer, filename) => path.extname(filename).toLowerCase() === '.xlsx'
+  || (buffer[0] === 0x50 && buffer[1] === 0x4b); // "PK": arquivo ZIP
+
+// Índice (base 0) da linha de cabeçalho, ou -1 se a planilha não tiver cabeçalho
+function detectHeaderRow(rows) {
+  const known = [...PHONE_HEADERS, ...NAME_HEADERS];
+
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const cells = rows[i].map(normalizeHeader);
+    if (cells.some((cell) => known.includes(cell))) return i;
+    if (rows[i].some((cell) => normalizePhone(cell).valido)) return -1;
+  }
+
+  return -1;
+}
+
+// Resolve uma coluna do mapeamento: índice (0, 1, ...) ou nome do cabeçalho
+function resolveColumn(reference, headers) {
+  if (reference === undefined || reference === null) return -1;
+  if (Number.isInteger(reference)) return reference < headers.length ? reference : -2;
+
+  const index = headers.findIndex((header) => normalizeHeader(header) === normalizeHeader(reference));
+  return index === -1 ? -2 : index;
+}
+
+// Coluna com mais telefones válidos nas primeiras linhas de dados
+function guessPhoneColumn(dataRows, width) {
+  let best = { index: -1, hits: 0 };
+
+  for (let col = 0; col < width; col++) {
+    const hits = dataRows.slice(0, 50).filter((row) => normalizePhone(row[col]).valido).length;
+    if (hits > best.hits) best = { index: col, hits };
+  }
+
+  return best.index;
+}
+
+function buildMapping(headers, dataRows, mapeamento = {}) {
+  const byHeader = (aliases) => headers.findIndex((header) => aliases.includes(normalizeHeader(header)));
+
+  let telefone = resolveColumn(mapeamento.telefone, headers);
+  if (telefone === -1) telefone = byHeader(PHONE_HEADERS);
+  if (telefone === -1) telefone = guessPhoneColumn(dataRows, headers.length);
+
+  let nome = resolveColumn(mapeamento.nome, headers);
+  if (nome === -1 && mapeamento.nome === undefined) nome = byHeader(NAME_HEADERS);
+
+  if (telefone < 0) {
+    throw fileError('Coluna de telefone não encontrada. Informe mapeamento.telefone.', 'PHONE_COLUMN_NOT_FOUND');
+  }
+  if (nome === -2) {
+    throw fileError(`Coluna "${mapeamento.nome}" não encontrada`, 'COLUMN_NOT_FOUND');
+  }
+
+  // Sem mapeamento explícito, as demais colunas com cabeçalho viram campos personalizados
+  const campos = {};
+  if (mapeamento.campos) {
+    for (const [field, reference] of Object.entries(mapeamento.campos)) {
+      const index = resolveColumn(reference, headers);
+      if (index < 0) throw fileError(`Coluna "${reference}" não encontrada`, 'COLUMN_NOT_FOUND');
+      campos[toFieldName(field)] = index;
+    }
+  } else {
+    headers.forEach((header, index) => {
+      if (index !== telefone && index !== nome && toFieldName(header)) {
+        campos[toFieldName(header)] = index;
+      }
+    });
+  }
+
+  return { telefone, nome, campos };
+}
+
+// Lê um arquivo CSV ou XLSX de contatos e devolve cada linha de dados com
+// telefone normalizado, nome e campos personalizados. Linhas inválidas e
+// duplicadas são devolvidas à parte, com o número da linha no arquivo.
+// opcoes.mapeamento: { telefone, nome, campos: { campo: coluna } } (coluna = índice ou cabeçalho)
+// opcoes.linha_cabecalho: número da linha (1 = primeira) ou 0 para "sem cabeçalho"
+async function parseContactFile(buffer, filename, opcoes = {}) {
+  const parsed = isXlsx(buffer, filename) ? await parseXlsx(buffer) : parseCsv(buffer);
+  // lines: número de cada linha no arquivo original (linhas vazias são descartadas)
+  const { rows, lines, ...formato } = parsed;
+
+  if (rows.length === 0) {
+    throw fileError('O arquivo não tem linhas', 'EMPTY_FILE');
+  }
+  if (rows.length > MAX_ROWS + 1) {
+    throw fileError(`O arquivo excede o limite de ${MAX_ROWS} linhas`, 'TOO_MANY_ROWS');
+  }
+
+  const headerIndex = opcoes.linha_cabecalho !== undefined
+    ? (opcoes.linha_cabecalho > 0 ? lines.indexOf(opcoes.linha_cabecalho) : -1)
+    : detectHeaderRow(rows);
+
+  if (opcoes.linha_cabecalho > 0 && headerIndex === -1) {
+    throw fileError(`A linha ${opcoes.linha_cabecalho} está vazia ou não existe`, 'INVALID_HEADER_ROW');
+  }
+
+  const width = Math.max(...rows.map((row) => row.length));
+  const headers = headerIndex >= 0
+    ? Array.from({ length: width }, (_, i) => rows[headerIndex][i] || `coluna_${i + 1}`)
+    : Array.from({ length: width }, (_, i) => `coluna_${i + 1}`);
+  const dataRows = rows.slice(headerIndex + 1);
+
+  const mapping = buildMapping(headers, dataRows, opcoes.mapeamento);
+  const seen = new Set();
+  const contatos = [];
+  const invalidos = [];
+  const duplicados = [];
+
+  dataRows.forEach((row, i) => {
+    const linha = lines[headerIndex + 1 + i];
+    const telefone = row[mapping.telefone];
+    const result = normalizePhone(telefone);
+
+    if (!result.valido) {
+      invalidos.push({ linha, entrada: telefone ?? null, motivo: result.motivo });
+      return;
+    }
+    if (seen.has(result.numero)) {
+      duplicados.push({ linha, entrada: telefone, numero: result.numero });
+      return;
+    }
+    seen.add(result.numero);
+
+    const campos = {};
+    for (const [field, index] of Object.entries(mapping.campos)) {
+      if (row[index]) campos[field] = row[index];
+    }
+
+    contatos.push({
+      linha,
+      numero: result.numero,
+      nome: mapping.nome >= 0 ? row[mapping.nome] || null : null,
+      campos,
+    });
+  });
+
+  return {
+    formato,
+    linha_cabecalho: headerIndex >= 0 ? lines[headerIndex] : 0,
+    colunas: headers,
+    mapeamento: {
+      telefone: headers[mapping.telefone],
+      nome: mapping.nome >= 0 ? headers[mapping.nome] : null,
+      campos: Object.fromEntries(Object.entries(mapping.campos).map(([field, index]) => [field, headers[index]])),
+    },
+    contatos,
+    invalidos,
+    duplicados,
+    resumo: {
+      total: dataRows.length,
+      validos: contatos.length,
+      invalidos: invalidos.length,
+      duplicados: duplicados.length,
+    },
+  };
+}
+
+// Lê um arquivo enviado por /v1/storage/upload. `arquivo` pode ser o nome
+// do arquivo ou a URL devolvida pelo upload.
+async function readUploadedFile(userId, arquivo) {
+  const filename = path.basename(decodeURIComponent(String(arquivo).split('?')[0]));
+
+  try {
+    return { buffer: await storage.read(userId, filename), filename };
+  } catch (error) {
+    if (error.code === 'FILE_NOT_FOUND') {
+      const notFound = new Error('Arquivo de contatos não encontrado');
+      notFound.statusCode = 404;
+      notFound.code = 'FILE_NOT_FOUND';
+      throw notFound;
+    }
+    throw error;
+  }
+}
+
+async function importContactFile(userId, arquivo, opcoes) {
+  const { buffer, filename } = await readUploadedFile(userId, arquivo);
+  return parseContactFile(buffer, filename, opcoes);
+}
+
+module.exports = {
+  parseContactFile,
+  importContactFile,
+};
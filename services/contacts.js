@@ -0,0 +1,176 @@
+const supabase = require('../config/supabase');
+
+// Limite de linhas por consulta/escrita no Supabase
+const PAGE_SIZE = 1000;
+
+const notFoundError = (message, code) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  error.code = code;
+  return error;
+};
+
+// Tags são comparadas sem diferenciar maiúsculas e sem espaços nas pontas
+const normalizeTags = (tags) => [...new Set([].concat(tags || [])
+  .map((tag) => String(tag).trim().toLowerCase())
+  .filter(Boolean))];
+
+// Executa uma consulta paginada até trazer todas as linhas.
+// buildQuery deve devolver uma query nova, já ordenada, a cada chamada.
+async function fetchAll(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(error.message);
+    }
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Cria ou atualiza contatos pelo número (já normalizado). Em contatos existentes,
+// o nome só é trocado se informado, os campos são mesclados e as tags somadas.
+// Retorna { id, numero } de cada contato salvo.
+async function saveContacts(userId, contatos, tags = []) {
+  const extraTags = normalizeTags(tags);
+  const saved = [];
+
+  for (let i = 0; i < contatos.length; i += PAGE_SIZE) {
+    const chunk = contatos.slice(i, i + PAGE_SIZE);
+
+    const { data: existentes, error: selectError } = await supabase
+      .from('contatos')
+      .select('numero, nome, campos, tags')
+      .eq('user_id', userId)
+      .in('numero', chunk.map((c) => c.numero));
+
+    if (selectError) {
+      throw new Error(selectError.message);
+    }
+
+    const byNumber = new Map(existentes.map((c) => [c.numero, c]));
+    const rows = chunk.map((contato) => {
+      const atual = byNumber.get(contato.numero) || {};
+      return {
+        user_id: userId,
+        numero: contato.numero,
+        nome: contato.nome || atual.nome || null,
+        campos: { ...atual.campos, ...contato.campos },
+        tags: normalizeTags([...(atual.tags || []), ...normalizeTags(contato.tags), ...extraTags]),
+        atualizado_em: new Date().toISOString()
+      };
+    });
+
+    const { data, error } = await supabase
+      .from('contatos')
+      .upsert(rows, { onConflict: 'user_id,numero' })
+      .select('id, numero');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    saved.push(...data);
+  }
+
+  return saved;
+}
+
+async function findList(userId, listaId) {
+  const { data: lista, error } = await supabase
+    .from('listas')
+    .select('*')
+    .eq('id', listaId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return lista;
+}
+
+// Adiciona contatos a uma lista; contatos que já são membros são ignorados
+async function addToList(listaId, contatoIds) {
+  for (let i = 0; i < contatoIds.length; i += PAGE_SIZE) {
+    const { error } = await supabase
+      .from('lista_contatos')
+      .upsert(
+        contatoIds.slice(i, i + PAGE_SIZE).map((contato_id) => ({ lista_id: listaId, contato_id })),
+        { onConflict: 'lista_id,contato_id', ignoreDuplicates: true }
+      );
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  }
+}
+
+// Contatos do público de uma campanha: membros das listas informadas e/ou
+// contatos com qualquer uma das tags. Com listas e tags, as tags filtram os membros.
+async function loadAudience(userId, { listas = [], tags = [] }) {
+  const tagFilter = normalizeTags(tags);
+  const columns = 'id, numero, nome, campos';
+
+  if (listas.length === 0) {
+    return fetchAll(() => supabase
+      .from('contatos')
+      .select(columns)
+      .eq('user_id', userId)
+      .overlaps('tags', tagFilter)
+      .order('id', { ascending: true }));
+  }
+
+  const { data: encontradas, error } = await supabase
+    .from('listas')
+    .select('id')
+    .eq('user_id', userId)
+    .in('id', listas);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const ausentes = listas.filter((id) => !encontradas.some((l) => l.id === id));
+  if (ausentes.length > 0) {
+    throw notFoundError(`Lista não encontrada: ${ausentes.join(', ')}`, 'LIST_NOT_FOUND');
+  }
+
+  const membros = await fetchAll(() => supabase
+    .from('lista_contatos')
+    .select('contato_id')
+    .in('lista_id', listas)
+    .order('contato_id', { ascending: true }));
+
+  const ids = [...new Set(membros.map((m) => m.contato_id))];
+  const contatos = [];
+
+  for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+    let query = supabase
+      .from('contatos')
+      .select(columns)
+      .eq('user_id', userId)
+      .in('id', ids.slice(i, i + PAGE_SIZE));
+
+    if (tagFilter.length > 0) {
+      query = query.overlaps('tags', tagFilter);
+    }
+
+    const { data, error: contactsError } = await query.order('id', { ascending: true });
+    if (contactsError) {
+      throw new Error(contactsError.message);
+    }
+    contatos.push(...data);
+  }
+
+  return contatos;
+}
+
+module.exports = {
+  normalizeTags,
+  saveContacts,
+  findList,
+  addToList,
+  loadAudience,
+};
@@ -0,0 +1,49 @@
+// Circuito das chamadas à Evolution API. Depois de threshold falhas temporárias seguidas, o circuito
+// abre e as chamadas falham na hora, sem esperar timeouts. Passado resetMs, uma única chamada de
+// teste é liberada (meio aberto): se der certo, o circuito fecha; se falhar, abre de novo.
+function createCircuitBreaker({ threshold, resetMs, now = Date.now }) {
+  let failures = 0;
+  let openedAt = null;
+  let testing = false;
+
+  return {
+    get state() {
+      if (openedAt === null) return 'closed';
+      return now() - openedAt >= resetMs ? 'half_open' : 'open';
+    },
+
+    // Milissegundos até a próxima chamada ser liberada, ou 0 se já puder chamar
+    retryIn() {
+      if (openedAt === null) return 0;
+      const restante = openedAt + resetMs - now();
+      if (restante > 0) return restante;
+      return testing ? resetMs : 0;
+    },
+
+    // Libera a chamada (e, com o circuito meio aberto, reserva a chamada de teste)
+    tryAcquire() {
+      if (this.retryIn() > 0) return false;
+      if (openedAt !== null) testing = true;
+      return true;
+    },
+
+    success() {
+      failures = 0;
+      openedAt = null;
+      testing = false;
+    },
+
+    // Retorna true quando esta falha abriu o circuito
+    failure() {
+      failures += 1;
+      const wasOpen = openedAt !== null;
+      if (wasOpen || failures >= threshold) {
+        openedAt = now();
+        testing = false;
+      }
+      return !wasOpen && openedAt !== null;
+    },
+  };
+}
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,228 @@
+const axios = require('axios');
+const logger = require('../../logger');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { normalizeError, circuitOpen, notConfigured } = require('./errors');
+
+// Download de mídia recebida: arquivos de até 100 MB em base64
+const MEDIA_TIMEOUT_MS = 60000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Estado de conexão da Evolution (open | connecting | close) -> status salvo na tabela whatsapp
+function toInstanceStatus(state) {
+  if (state === 'open') return 'connected';
+  if (state === 'connecting') return 'connecting';
+  return 'disconnected';
+}
+
+// Cliente da Evolution API. Todas as chamadas têm timeout, passam pelo circuito da instância
+// chamada e lançam erros normalizados (services/evolution/errors.js). Cada instância tem o seu
+// circuito: falhas de um número não suspendem as chamadas dos outros. Falhas temporárias são repetidas até retries vezes,
+// com espera dobrando a partir de retryDelay; envios de mensagem e criação de instância só são
+// repetidos quando a Evolution certamente não os processou, para não duplicar mensagens.
+// onError recebe cada erro lançado às rotas (depois das novas tentativas), para as métricas.
+function createEvolutionClient({ baseUrl, apiKey, timeout, retries, retryDelay, circuitThreshold, circuitResetMs, onError = () => {} }) {
+  // Circuitos abertos ou com falhas recentes, por nome da instância; os fechados são descartados
+  const breakers = new Map();
+
+  function breakerFor(circuit) {
+    if (!breakers.has(circuit)) {
+      breakers.set(circuit, createCircuitBreaker({ threshold: circuitThreshold, resetMs: circuitResetMs }));
+    }
+    return breakers.get(circuit);
+  }
+
+  function closeCircuit(circuit, breaker) {
+    breaker.success();
+    breakers.delete(circuit);
+  }
+
+  async function request(method, path, options) {
+    try {
+      return await attemptRequest(method, path, options);
+    } catch (error) {
+      onError(error);
+      throw error;
+    }
+  }
+
+  // circuit: nome da instância chamada; sem ele, a chamada não passa por circuito (ex.: ping)
+  async function attemptRequest(method, path, {
+    data,
+    operation,
+    idempotent = method !== 'post',
+    timeout: requestTimeout = timeout,
+    retries: requestRetries = retries,
+    circuit = null,
+  } = {}) {
+    if (!baseUrl || !apiKey) {
+      throw notConfigured();
+    }
+
+    const url = `${baseUrl.replace(/\/$/, '')}${path}`;
+    const config = { headers: { 'apikey': apiKey }, timeout: requestTimeout };
+
+    for (let attempt = 0; ; attempt++) {
+      const breaker = circuit === null ? null : breakerFor(circuit);
+      if (breaker && !breaker.tryAcquire()) {
+        throw circuitOpen(circuit, breaker.retryIn());
+      }
+
+      try {
+        const response = method === 'post'
+          ? await axios.post(url, data, config)
+          : await axios[method](url, config);
+        if (breaker) closeCircuit(circuit, breaker);
+        return response.data;
+      } catch (rawError) {
+        const error = normalizeError(rawError, operation, requestTimeout);
+
+        // Respostas 4xx mostram que a Evolution está no ar: só falhas temporárias contam para o circuito
+        if (!error.transient) {
+          if (breaker) closeCircuit(circuit, breaker);
+          throw error;
+        }
+        if (breaker?.failure()) {
+          logger.error(`Evolution API: circuito da instância ${circuit} aberto após falhas seguidas. Chamadas suspensas por ${circuitResetMs} ms.`);
+        }
+
+        const canRetry = idempotent || error.notDelivered;
+        if (attempt >= requestRetries || !canRetry) {
+          throw error;
+        }
+
+        const delay = retryDelay * 2 ** attempt;
+        logger.warn(`Evolution API: ${operation} falhou (${error.message}). Nova tentativa em ${delay} ms.`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  const instancePath = (action, instanceName) => `/${action}/${encodeURIComponent(instanceName)}`;
+
+  return {
+    // Consulta a raiz da API, sem novas tentativas e fora dos circuitos: usada pelo /health/ready
+    async ping({ timeout: pingTimeout = timeout } = {}) {
+      return request('get', '/', { operation: 'verificar a Evolution API', timeout: pingTimeout, retries: 0 });
+    },
+
+    // Cria a instância; a conexão é feita depois pelo QR Code de connect()
+    async createInstance(instanceName, { integration = 'WHATSAPP-BAILEYS' } = {}) {
+      return request('post', '/instance/create', {
+        data: { instanceName, qrcode: true, integration },
+        operation: `criar a instância ${instanceName}`,
+        circuit: instanceName,
+      });
+    },
+
+    // Inicia a conexão e retorna o QR Code em base64 (null se a instância já estiver conectada)
+    async connect(instanceName) {
+      const data = await request('get', instancePath('instance/connect', instanceName), {
+        circuit: instanceName,
+        operation: `conectar a instância ${instanceName}`,
+      });
+      return data?.base64 || data?.qrcode?.base64 || null;
+    },
+
+    // Estado da conexão: open | connecting | close
+    async getConnectionState(instanceName) {
+      const data = await request('get', instancePath('instance/connectionState', instanceName), {
+        circuit: instanceName,
+        operation: `consultar a conexão de ${instanceName}`,
+      });
+      return data?.instance?.state || 'close';
+    },
+
+    // Nome e foto do perfil do número conectado
+    async fetchProfile(instanceName) {
+      const data = await request('get', instancePath('instance/fetchProfile', instanceName), {
+        circuit: instanceName,
+        operation: `buscar o perfil de ${instanceName}`,
+      });
+      return { name: data?.name || null, profilePictureUrl: data?.profilePictureUrl || null };
+    },
+
+    // Registra o webhook da instância (substitui o anterior, então pode ser repetido)
+    async setWebhook(instanceName, { url, events }) {
+      await request('post', instancePath('webhook/set', instanceName), {
+        circuit: instanceName,
+        data: { webhook: { enabled: true, url, byEvents: false, base64: false, events } },
+        operation: `registrar o webhook de ${instanceName}`,
+        idempotent: true,
+      });
+    },
+
+    async logout(instanceName) {
+      await request('delete', instancePath('instance/logout', instanceName), {
+        circuit: instanceName,
+        operation: `desconectar a instância ${instanceName}`,
+      });
+    },
+
+    async deleteInstance(instanceName) {
+      await request('delete', instancePath('instance/delete', instanceName), {
+        circuit: instanceName,
+        operation: `remover a instância ${instanceName}`,
+      });
+    },
+
+    // Envia uma mensagem de texto e retorna o id da mensagem no WhatsApp
+    async sendText(instanceName, numero, texto) {
+      const data = await request('post', instancePath('message/sendText', instanceName), {
+        circuit: instanceName,
+        data: { number: numero, text: texto },
+        operation: `enviar texto para ${numero}`,
+      });
+      return data?.key?.id || null;
+    },
+
+    // Envia uma mídia por URL (mediatype: image | video | document) e retorna o id da mensagem
+    async sendMedia(instanceName, numero, { mediatype, url, caption, fileName }) {
+      const data = await request('post', instancePath('message/sendMedia', instanceName), {
+        circuit: instanceName,
+        data: {
+          number: numero,
+          mediatype,
+          media: url,
+          caption: caption || '',
+          fileName: fileName || decodeURIComponent(url.split('/').pop().split('?')[0]),
+        },
+        operation: `enviar mídia para ${numero}`,
+      });
+      return data?.key?.id || null;
+    },
+
+    // Baixa a mídia de uma mensagem recebida. Retorna { buffer, mimetype, fileName }.
+    async downloadMedia(instanceName, messageId) {
+      const data = await request('post', instancePath('chat/getBase64FromMediaMessage', instanceName), {
+        circuit: instanceName,
+        data: { message: { key: { id: messageId } }, convertToMp4: false },
+        operation: `baixar a mídia ${messageId}`,
+        idempotent: true,
+        timeout: MEDIA_TIMEOUT_MS,
+      });
+      return {
+        buffer: Buffer.from(data.base64, 'base64'),
+        mimetype: data.mimetype,
+        fileName: data.fileName,
+      };
+    },
+
+    // Estado do circuito de uma instância: closed | open | half_open
+    circuitState(instanceName) {
+      return breakers.get(instanceName)?.state || 'closed';
+    },
+
+    // Instâncias com o circuito aberto (ou meio aberto, aguardando a chamada de teste)
+    openCircuits() {
+      return [...breakers.entries()]
+        .filter(([, breaker]) => breaker.state !== 'closed')
+        .map(([instanceName]) => instanceName);
+    },
+  };
+}
+
+module.exports = {
+  createEvolutionClient,
+  toInstanceStatus,
+};
@@ -0,0 +1,106 @@
+// Erros de rede em que a requisição nem chegou à Evolution API: repetir é seguro mesmo em envios
+const NOT_DELIVERED_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Demais erros de rede temporários: a requisição pode ter sido processada
+const NETWORK_CODES = ['ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK'];
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ERR_CANCELED'];
+
+// 429 e 503 indicam que a Evolution recusou a requisição sem processá-la
+const NOT_PROCESSED_STATUSES = [429, 503];
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Erro normalizado das chamadas à Evolution API.
+// statusCode é o status HTTP que a rota deve responder; status é o devolvido pela Evolution.
+// transient indica falha temporária; notDelivered, que a requisição certamente não foi processada.
+function evolutionError(message, { code, statusCode, status = null, transient = false, notDelivered = false, details = null }) {
+  const error = new Error(message);
+  error.name = 'EvolutionError';
+  error.code = code;
+  error.statusCode = statusCode;
+  error.status = status;
+  error.transient = transient;
+  error.notDelivered = notDelivered;
+  error.details = details;
+  return error;
+}
+
+// Mensagem de erro devolvida pela Evolution (as validações vêm em response.message, às vezes como lista)
+function upstreamMessage(data) {
+  const message = data?.response?.message || data?.message || data?.error;
+  if (!message) return null;
+  return typeof message === 'string' ? message : JSON.stringify(message);
+}
+
+// Converte um erro do axios no erro normalizado. operation identifica a chamada nos logs e mensagens.
+function normalizeError(error, operation, timeout) {
+  if (error.name === 'EvolutionError') return error;
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return evolutionError(`Evolution API não respondeu em ${timeout} ms (${operation})`, {
+      code: 'EVOLUTION_TIMEOUT',
+      statusCode: 504,
+      transient: true,
+    });
+  }
+
+  if (!error.response && [...NOT_DELIVERED_CODES, ...NETWORK_CODES].includes(error.code)) {
+    return evolutionError(`Evolution API indisponível (${operation}): ${error.code}`, {
+      code: 'EVOLUTION_UNAVAILABLE',
+      statusCode: 503,
+      transient: true,
+      notDelivered: NOT_DELIVERED_CODES.includes(error.code),
+    });
+  }
+
+  const status = error.response?.status ?? null;
+  const details = upstreamMessage(error.response?.data);
+  const message = details || error.message || `Erro na Evolution API (${operation})`;
+
+  if (TRANSIENT_STATUSES.includes(status)) {
+    return evolutionError(message, {
+      code: status === 429 ? 'EVOLUTION_RATE_LIMITED' : 'EVOLUTION_UNAVAILABLE',
+      statusCode: 503,
+      status,
+      transient: true,
+      notDelivered: NOT_PROCESSED_STATUSES.includes(status),
+      details,
+    });
+  }
+
+  if (status === 401 || status === 403) {
+    return evolutionError(`Evolution API recusou a chave de acesso (${operation})`, {
+      code: 'EVOLUTION_UNAUTHORIZED',
+      statusCode: 502,
+      status,
+      details,
+    });
+  }
+
+  if (status === 404) {
+    return evolutionError(message, { code: 'EVOLUTION_NOT_FOUND', statusCode: 404, status, details });
+  }
+
+  // Demais respostas 4xx (número inexistente, body recusado) e erros desconhecidos
+  return evolutionError(message, { code: 'EVOLUTION_REQUEST_FAILED', statusCode: 502, status, details });
+}
+
+function circuitOpen(instanceName, retryInMs) {
+  return evolutionError(`Evolution API indisponível para a instância ${instanceName}: chamadas suspensas por ${Math.ceil(retryInMs / 1000)} s após falhas seguidas`, {
+    code: 'EVOLUTION_CIRCUIT_OPEN',
+    statusCode: 503,
+  });
+}
+
+function notConfigured() {
+  return evolutionError('EVOLUTION_API_URL ou EVOLUTION_API_KEY não configurado.', {
+    code: 'EVOLUTION_NOT_CONFIGURED',
+    statusCode: 500,
+  });
+}
+
+module.exports = {
+  normalizeError,
+  circuitOpen,
+  notConfigured,
+};
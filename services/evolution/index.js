@@ -0,0 +1,32 @@
+// Cliente da Evolution API usado pelas rotas, pelo webhook e pelos envios.
+const config = require('../../config/evolution');
+const { createEvolutionClient, toInstanceStatus } = require('./client');
+const { recordEvolutionError } = require('../metrics');
+
+const client = createEvolutionClient({
+  baseUrl: config.EVOLUTION_API_URL,
+  apiKey: config.EVOLUTION_API_KEY,
+  timeout: config.EVOLUTION_TIMEOUT_MS,
+  retries: config.EVOLUTION_RETRIES,
+  retryDelay: config.EVOLUTION_RETRY_DELAY_MS,
+  circuitThreshold: config.EVOLUTION_CIRCUIT_THRESHOLD,
+  circuitResetMs: config.EVOLUTION_CIRCUIT_RESET_MS,
+  onError: recordEvolutionError,
+});
+
+module.exports = {
+  ping: client.ping,
+  createInstance: client.createInstance,
+  connect: client.connect,
+  getConnectionState: client.getConnectionState,
+  fetchProfile: client.fetchProfile,
+  setWebhook: client.setWebhook,
+  logout: client.logout,
+  deleteInstance: client.deleteInstance,
+  sendText: client.sendText,
+  sendMedia: client.sendMedia,
+  downloadMedia: client.downloadMedia,
+  circuitState: client.circuitState,
+  openCircuits: client.openCircuits,
+  toInstanceStatus,
+};
@@ -0,0 +1,121 @@
+const axios = require('axios');
+const supabase = require('../config/supabase');
+const evolution = require('./evolution');
+const { CAMPANHAS_BACKEND, N8N_BASE_URL } = require('../config/campanhas');
+const logger = require('../logger');
+const { HEALTH_TIMEOUT_MS, HEALTH_SLOW_MS, HEALTH_CACHE_MS } = require('../config/monitoring');
+
+// Dependências verificadas pelo /health/ready. Sem o Supabase a API não atende nada (critical);
+// sem a Evolution ou o n8n, só parte dela (envios, instâncias), e a API fica 'degraded'.
+const CHECKS = {
+  supabase: {
+    critical: true,
+    async run() {
+      const { error } = await supabase.from('usuarios').select('id').limit(1);
+      if (error) throw new Error(error.message);
+    },
+  },
+  // O ping não passa pelos circuitos das instâncias: falhas dele não suspendem envios
+  evolution: {
+    critical: false,
+    run: () => evolution.ping({ timeout: HEALTH_TIMEOUT_MS }),
+  },
+  // O n8n só é usado com CAMPANHAS_BACKEND=n8n
+  ...(CAMPANHAS_BACKEND === 'n8n' && {
+    n8n: {
+      critical: false,
+      run: () => axios.get(`${N8N_BASE_URL.replace(/\/$/, '')}/healthz`, { timeout: HEALTH_TIMEOUT_MS }),
+    },
+  }),
+};
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Sem resposta em ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Executa uma verificação: 'ok', 'degraded' (respondeu, mas acima de HEALTH_SLOW_MS) ou 'down'.
+// Dependências não configuradas (EVOLUTION_NOT_CONFIGURED) ficam 'disabled' e não afetam o resultado.
+async function runCheck(check) {
+  const inicio = Date.now();
+
+  try {
+    await withTimeout(Promise.resolve().then(check.run), HEALTH_TIMEOUT_MS);
+    const latencia = Date.now() - inicio;
+    return { status: latencia > HEALTH_SLOW_MS ? 'degraded' : 'ok', latencia_ms: latencia };
+  } catch (error) {
+    if (error.code === 'EVOLUTION_NOT_CONFIGURED') {
+      return { status: 'disabled', latencia_ms: null };
+    }
+    return {
+      status: 'down',
+      latencia_ms: Date.now() - inicio,
+      erro: error.message,
+      ...(error.code && { code: error.code }),
+    };
+  }
+}
+
+// Verifica todas as dependências em paralelo. O status geral é 'down' se uma dependência
+// crítica estiver fora, 'degraded' se alguma estiver fora ou lenta e 'ok' caso contrário.
+async function runChecks() {
+  const nomes = Object.keys(CHECKS);
+  const resultados = await Promise.all(nomes.map((nome) => runCheck(CHECKS[nome])));
+
+  const dependencias = {};
+  nomes.forEach((nome, i) => {
+    dependencias[nome] = { ...resultados[i], critica: CHECKS[nome].critical };
+  });
+  dependencias.evolution.circuitos_abertos = evolution.openCircuits().length;
+
+  const estados = Object.values(dependencias);
+  let status = 'ok';
+  if (estados.some((dep) => dep.critica && dep.status === 'down')) {
+    status = 'down';
+  } else if (estados.some((dep) => ['down', 'degraded'].includes(dep.status))) {
+    status = 'degraded';
+  }
+
+  if (status !== 'ok') {
+    logger.warn(`Health check: API ${status}`, { dependencias });
+  }
+  return { status, verificado_em: new Date().toISOString(), dependencias };
+}
+
+let cache = null;
+
+// Resultado das verificações, reaproveitado por HEALTH_CACHE_MS. Chamadas simultâneas
+// esperam a mesma verificação em vez de disparar outra.
+function checkReadiness() {
+  if (!cache || Date.now() - cache.em > HEALTH_CACHE_MS) {
+    const promise = runChecks();
+    cache = { em: Date.now(), promise };
+    promise.catch(() => {
+      if (cache?.promise === promise) cache = null;
+    });
+  }
+  return cache.promise;
+}
+
+// Versão para chamadas anônimas: só os status, sem mensagens de erro nem detalhes das dependências
+function publicReadiness({ status, verificado_em: verificadoEm, dependencias }) {
+  return {
+    status,
+    verificado_em: verificadoEm,
+    dependencias: Object.fromEntries(Object.entries(dependencias).map(([nome, dep]) => [nome, { status: dep.status }])),
+  };
+}
+
+// Descarta o resultado guardado (usado nos testes)
+function resetReadinessCache() {
+  cache = null;
+}
+
+module.exports = {
+  checkReadiness,
+  publicReadiness,
+  resetReadinessCache,
+};
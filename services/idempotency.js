@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+const { IDEMPOTENCY_TTL_HOURS } = require('../config/idempotency');
+
+// JSON com as chaves dos objetos em ordem, para que o mesmo body tenha sempre o mesmo hash
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+const hashBody = (body) => crypto.createHash('sha256').update(canonicalJson(body ?? {})).digest('hex');
+
+// Reserva a chave para esta requisição. Retorna:
+// - { estado: 'nova', id }: primeira requisição com a chave; processe e chame completeKey ou releaseKey
+// - { estado: 'concluida', registro }: resposta guardada, para repetir
+// - { estado: 'processando' }: a primeira requisição ainda não terminou
+// - { estado: 'divergente' }: a chave já foi usada com outra rota ou outro body
+async function claimKey({ ator, chave, rota, bodyHash }) {
+  const expiraEm = new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 3600 * 1000).toISOString();
+
+  for (let tentativa = 0; tentativa < 2; tentativa++) {
+    const { data: novo, error } = await supabase
+      .from('idempotencia')
+      .insert({ ator, chave, rota, body_hash: bodyHash, status: 'processando', expira_em: expiraEm })
+      .select('id')
+      .single();
+
+    if (!error) {
+      return { estado: 'nova', id: novo.id };
+    }
+    if (error.code !== '23505') {
+      throw new Error(`Erro ao registrar a Idempotency-Key: ${error.message}`);
+    }
+
+    const { data: registro, error: fetchError } = await supabase
+      .from('idempotencia')
+      .select('*')
+      .eq('ator', ator)
+      .eq('chave', chave)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Erro ao consultar a Idempotency-Key: ${fetchError.message}`);
+    }
+    if (!registro) continue; // Removida entre o insert e a consulta: tenta de novo
+
+    // Chave expirada: é liberada e reservada para esta requisição
+    if (new Date(registro.expira_em) <= new Date()) {
+      await releaseKey(registro.id);
+      continue;
+    }
+
+    if (registro.rota !== rota || registro.body_hash !== bodyHash) {
+      return { estado: 'divergente' };
+    }
+    return registro.status === 'concluida' ? { estado: 'concluida', registro } : { estado: 'processando' };
+  }
+
+  return { estado: 'processando' };
+}
+
+// Libera a chave (falha do servidor ou conexão interrompida): o cliente pode tentar de novo
+async function releaseKey(id) {
+  const { error } = await supabase
+    .from('idempotencia')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    logger.error(`Erro ao liberar a Idempotency-Key ${id}:`, error.message);
+  }
+}
+
+// Guarda a resposta da primeira requisição (corpo como enviado e Content-Type) para as repetições.
+// Se não conseguir, libera a chave: presa em 'processando', ela responderia 409 a todas as
+// repetições até expirar.
+async function completeKey(id, statusHttp, resposta, contentType) {
+  const { error } = await supabase
+    .from('idempotencia')
+    .update({ status: 'concluida', status_http: statusHttp, resposta: resposta ?? null, content_type: contentType ?? null })
+    .eq('id', id);
+
+  if (error) {
+    logger.error(`Erro ao guardar a resposta da Idempotency-Key ${id}:`, error.message);
+    await releaseKey(id);
+  }
+}
+
+// Remove as chaves expiradas (cron diário). Retorna quantas foram removidas.
+async function purgeExpiredKeys() {
+  const { data, error } = await supabase
+    .from('idempotencia')
+    .delete()
+    .lt('expira_em', new Date().toISOString())
+    .select('id');
+
+  if (error) {
+    throw new Error(`Erro ao remover Idempotency-Keys expiradas: ${error.message}`);
+  }
+  return data.length;
+}
+
+module.exports = {
+  hashBody,
+  claimKey,
+  completeKey,
+  releaseKey,
+  purgeExpiredKeys,
+};
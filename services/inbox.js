@@ -0,0 +1,123 @@
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+const storage = require('./storage');
+const { getProvider } = require('./whatsapp');
+const { handleOptOutMessage } = require('./optOut');
+const { checkQuota } = require('./storageFiles');
+const { inspectFile } = require('../utils/fileType');
+const { sanitizeFilename } = require('../utils/safePath');
+
+const MEDIA_TYPES = ['imagem', 'video', 'audio', 'documento', 'sticker'];
+
+// Restrição única de (whatsapp_id, message_id): um conflito nela é reentrega da mesma mensagem
+const DUPLICATE_CONSTRAINT = 'mensagens_whatsapp_id_message_id_key';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'application/pdf': 'pdf',
+};
+
+// Campanha que enviou a mensagem mais recente para o contato
+async function findLastCampaign(userId, contato) {
+  const { data, error } = await supabase
+    .from('campanha_destinatarios')
+    .select('campanha_id, campanhas!inner(user_id)')
+    .eq('numero', contato)
+    .eq('campanhas.user_id', userId)
+    .not('enviado_em', 'is', null)
+    .order('enviado_em', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logger.error(`Erro ao buscar campanha do contato ${contato}:`, error);
+    return null;
+  }
+  return data[0]?.campanha_id || null;
+}
+
+// Baixa a mídia de uma mensagem já registrada, confere o tipo pelo conteúdo e a cota do usuário,
+// grava o arquivo e o liga à mensagem. Uma falha só fica no log: a mensagem continua registrada, sem arquivo.
+async function attachMedia(instance, parsed, mensagemId) {
+  let filename = null;
+  try {
+    const media = await getProvider(instance).downloadMedia(instance, parsed);
+    const informado = (media.mimetype || parsed.mimetype || '').split(';')[0];
+    const originalName = media.fileName || parsed.fileName || `${parsed.messageId}.${EXTENSIONS[informado] || 'bin'}`;
+    const { mimetype, tamanho } = inspectFile(media.buffer, originalName);
+    await checkQuota(instance.user_id, tamanho);
+
+    const nome = `${Date.now()}-${sanitizeFilename(originalName)}`;
+    await storage.save(instance.user_id, nome, media.buffer, mimetype);
+    filename = nome;
+
+    const { error } = await supabase
+      .from('mensagens')
+      .update({ arquivo: filename, mimetype })
+      .eq('id', mensagemId);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  } catch (mediaError) {
+    logger.error(`[WEBHOOK] Mídia da mensagem ${parsed.messageId} não salva:`, mediaError.message);
+    if (filename) {
+      await storage.remove(instance.user_id, filename)
+        .catch((removeError) => logger.warn(`[WEBHOOK] Erro ao remover ${filename}:`, removeError.message));
+    }
+  }
+}
+
+// Persiste mensagens recebidas na caixa de entrada do usuário. mensagens vem do parseWebhook
+// dos provedores; instance é a linha da tabela whatsapp (com as colunas do provedor).
+// Retorna quantas foram registradas.
+async function saveInboundMessages(instance, mensagens) {
+  let saved = 0;
+
+  for (const parsed of mensagens) {
+    // A mensagem é registrada antes da mídia: numa reentrega, o conflito aparece antes de baixar o arquivo
+    const { data: mensagem, error } = await supabase
+      .from('mensagens')
+      .insert({
+        user_id: instance.user_id,
+        whatsapp_id: instance.id,
+        message_id: parsed.messageId,
+        contato: parsed.contato,
+        nome_contato: parsed.nomeContato,
+        direcao: 'entrada',
+        tipo: parsed.tipo,
+        texto: parsed.texto,
+        arquivo: null,
+        mimetype: parsed.mimetype,
+        campanha_id: await findLastCampaign(instance.user_id, parsed.contato),
+        criado_em: parsed.criadoEm
+      })
+      .select('id')
+      .single();
+
+    // 23505 na restrição da instância: mensagem já registrada (reentrega do webhook)
+    if (error && !(error.code === '23505' && error.message.includes(DUPLICATE_CONSTRAINT))) {
+      throw new Error(error.message);
+    }
+    if (error) continue;
+
+    saved += 1;
+    if (MEDIA_TYPES.includes(parsed.tipo)) {
+      await attachMedia(instance, parsed, mensagem.id);
+    }
+    if (parsed.tipo === 'texto') {
+      await handleOptOutMessage(instance, parsed.contato, parsed.texto);
+    }
+  }
+
+  return saved;
+}
+
+module.exports = {
+  saveInboundMessages,
+};
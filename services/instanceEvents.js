@@ -0,0 +1,32 @@
+const { EventEmitter } = require('events');
+
+// Eventos das instâncias de WhatsApp (status, QR Code e perfil), publicados pelo webhook
+// e pelas rotas de instância e entregues aos streams de /v1/whatsapp/events de cada usuário.
+// Ficam em memória: cada processo só entrega os eventos que ele mesmo recebeu.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // Um listener por stream aberto
+
+const channel = (userId) => `user:${userId}`;
+
+// Publica um evento para os streams do dono da instância.
+// tipo: 'status' | 'qrcode' | 'profile'; dados sempre trazem instance_id.
+function publishInstanceEvent(instance, tipo, dados) {
+  if (!instance?.user_id) return;
+
+  emitter.emit(channel(instance.user_id), {
+    tipo,
+    dados: { instance_id: instance.id, nome_instancia: instance.nome_instancia, ...dados },
+    em: new Date().toISOString(),
+  });
+}
+
+// Recebe os eventos das instâncias do usuário. Retorna a função que cancela a inscrição.
+function subscribeInstanceEvents(userId, listener) {
+  emitter.on(channel(userId), listener);
+  return () => emitter.off(channel(userId), listener);
+}
+
+module.exports = {
+  publishInstanceEvent,
+  subscribeInstanceEvents,
+};
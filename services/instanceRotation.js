@@ -0,0 +1,54 @@
+// Formas de distribuir os envios de uma campanha entre as instâncias conectadas
+const ROTATION_MODES = ['round_robin', 'peso'];
+
+// Rotação entre instâncias pelo round-robin ponderado suave (o mesmo do nginx): em cada escolha,
+// todas somam o próprio peso ao acumulado, a de maior acumulado envia e perde a soma dos pesos.
+// Com pesos 2 e 1, a sequência é A, B, A, A, B, A... No modo round_robin, todas têm peso 1.
+function createRotation(mode = 'round_robin') {
+  let instances = [];
+  const acumulado = new Map();
+
+  const weightOf = (instance) => (mode === 'peso' ? Math.max(1, instance.peso || 1) : 1);
+
+  return {
+    // Atualiza as instâncias disponíveis, preservando o acumulado das que continuam
+    setInstances(list) {
+      instances = list;
+      for (const id of acumulado.keys()) {
+        if (!list.some((instance) => instance.id === id)) acumulado.delete(id);
+      }
+    },
+
+    // Tira uma instância da rotação (desconectada no meio da campanha)
+    remove(instanceId) {
+      instances = instances.filter((instance) => instance.id !== instanceId);
+      acumulado.delete(instanceId);
+    },
+
+    // Próxima instância a enviar, ou null se nenhuma estiver disponível
+    next() {
+      if (instances.length === 0) return null;
+
+      let total = 0;
+      let escolhida = null;
+      for (const instance of instances) {
+        const peso = weightOf(instance);
+        total += peso;
+        acumulado.set(instance.id, (acumulado.get(instance.id) || 0) + peso);
+        if (!escolhida || acumulado.get(instance.id) > acumulado.get(escolhida.id)) escolhida = instance;
+      }
+
+      acumulado.set(escolhida.id, acumulado.get(escolhida.id) - total);
+      return escolhida;
+    },
+
+    get size() {
+      return instances.length;
+    },
+  };
+}
+
+module.exports = {
+  ROTATION_MODES,
+  createRotation,
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+
+// Travas compartilhadas entre as réplicas da API, na tabela travas (uma linha por trava ativa).
+// Tenta pegar a trava; retorna o token do dono, para liberar depois, ou null se outra requisição a tem.
+async function acquireLock(chave, ttlMs) {
+  const dono = crypto.randomUUID();
+
+  for (let tentativa = 0; tentativa < 2; tentativa++) {
+    const { error } = await supabase
+      .from('travas')
+      .insert({ chave, dono, expira_em: new Date(Date.now() + ttlMs).toISOString() });
+
+    if (!error) return dono;
+    if (error.code !== '23505') {
+      throw new Error(`Erro ao obter a trava ${chave}: ${error.message}`);
+    }
+
+    // Trava de um processo que caiu sem liberá-la: remove se já expirou e tenta de novo
+    const { data: expiradas, error: deleteError } = await supabase
+      .from('travas')
+      .delete()
+      .eq('chave', chave)
+      .lt('expira_em', new Date().toISOString())
+      .select('chave');
+
+    if (deleteError) {
+      throw new Error(`Erro ao obter a trava ${chave}: ${deleteError.message}`);
+    }
+    if (expiradas.length === 0) return null;
+  }
+
+  return null;
+}
+
+// Libera a trava, se ainda for deste dono
+async function releaseLock(chave, dono) {
+  const { error } = await supabase
+    .from('travas')
+    .delete()
+    .eq('chave', chave)
+    .eq('dono', dono);
+
+  if (error) {
+    logger.error(`Erro ao liberar a trava ${chave}:`, error.message);
+  }
+}
+
+module.exports = {
+  acquireLock,
+  releaseLock,
+};
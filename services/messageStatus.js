@@ -0,0 +1,106 @@
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+
+// Ordem de progressão: eventos fora de ordem nunca fazem o status regredir
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3, played: 4 };
+
+// Coluna de horário registrada para cada status
+const TIMESTAMP_COLUMNS = {
+  sent: 'confirmado_em',
+  delivered: 'entregue_em',
+  read: 'lido_em',
+  played: 'reproduzido_em',
+  failed: 'falhou_em',
+};
+
+function buildRecipientUpdate(destinatario, { status, erro }, at) {
+  const update = {};
+  const column = TIMESTAMP_COLUMNS[status];
+
+  if (!destinatario[column]) {
+    update[column] = at;
+  }
+
+  if (status === 'failed') {
+    // Uma falha só vale enquanto a mensagem não chegou ao aparelho
+    if (STATUS_RANK[destinatario.status] <= STATUS_RANK.sent) {
+      update.status = 'failed';
+      update.erro = destinatario.erro || erro || 'Falha reportada pelo WhatsApp';
+    }
+  } else if (destinatario.status === 'failed' || STATUS_RANK[status] > STATUS_RANK[destinatario.status]) {
+    update.status = status;
+  }
+
+  return update;
+}
+
+// Destinatário da mensagem entre os envios da instância que recebeu o webhook. Envios sem
+// instância registrada (feitos pelo n8n) valem quando a campanha é do dono da instância.
+async function findRecipient(instance, messageId) {
+  const { data: candidatos, error } = await supabase
+    .from('campanha_destinatarios')
+    .select('id, campanha_id, whatsapp_id, status, erro, confirmado_em, entregue_em, lido_em, reproduzido_em, falhou_em')
+    .eq('message_id', messageId)
+    .or(`whatsapp_id.eq.${instance.id},whatsapp_id.is.null`);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const daInstancia = candidatos.find((destinatario) => destinatario.whatsapp_id === instance.id);
+  if (daInstancia) {
+    return daInstancia;
+  }
+
+  for (const destinatario of candidatos) {
+    const { data: campanha, error: campanhaError } = await supabase
+      .from('campanhas')
+      .select('id')
+      .eq('id', destinatario.campanha_id)
+      .eq('user_id', instance.user_id)
+      .maybeSingle();
+
+    if (campanhaError) {
+      throw new Error(campanhaError.message);
+    }
+    if (campanha) {
+      return destinatario;
+    }
+  }
+  return null;
+}
+
+// Aplica confirmações de envio, entrega e leitura aos destinatários de campanhas, localizados
+// pelo id da mensagem no WhatsApp entre os envios da instância (ver findRecipient). statuses vem
+// do parseWebhook dos provedores ([{ messageId, status, erro }]). Retorna quantos foram atualizados.
+async function applyMessageStatuses(instance, statuses, at = new Date().toISOString()) {
+  let updated = 0;
+
+  for (const { messageId, status, erro } of statuses) {
+    const destinatario = await findRecipient(instance, messageId);
+    if (!destinatario) {
+      continue; // Mensagem fora de campanhas (ex.: enviada pelo próprio aparelho) ou de outra instância
+    }
+
+    const update = buildRecipientUpdate(destinatario, { status, erro }, at);
+    if (Object.keys(update).length === 0) {
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('campanha_destinatarios')
+      .update(update)
+      .eq('id', destinatario.id);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    logger.info(`[WEBHOOK] Mensagem ${messageId}: destinatário ${destinatario.id} -> ${update.status || destinatario.status}`);
+    updated += 1;
+  }
+
+  return updated;
+}
+
+module.exports = { applyMessageStatuses };
@@ -0,0 +1,97 @@
+const client = require('prom-client');
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+
+// Métricas no formato do Prometheus, expostas em /metrics. Além das métricas do processo
+// (CPU, memória, event loop), registra requisições, webhooks, erros da Evolution e envios de campanhas.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Requisições HTTP por rota, método e status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duração das requisições HTTP por rota, método e status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const webhookEvents = new client.Counter({
+  name: 'webhook_events_total',
+  help: 'Eventos recebidos nos webhooks dos provedores de WhatsApp, por tipo',
+  labelNames: ['provider', 'event'],
+  registers: [register],
+});
+
+const evolutionErrors = new client.Counter({
+  name: 'evolution_errors_total',
+  help: 'Chamadas à Evolution API que falharam, por código de erro (EVOLUTION_*)',
+  labelNames: ['code'],
+  registers: [register],
+});
+
+const campaignMessages = new client.Counter({
+  name: 'campaign_messages_total',
+  help: 'Mensagens de campanhas enviadas ou com falha; a taxa (rate) dá a vazão dos envios',
+  labelNames: ['status'],
+  registers: [register],
+});
+
+// Consultado no Supabase a cada coleta: reflete também as instâncias atualizadas por outras réplicas
+new client.Gauge({
+  name: 'whatsapp_instances',
+  help: 'Instâncias ativas de WhatsApp por status',
+  labelNames: ['status'],
+  registers: [register],
+  async collect() {
+    const { data, error } = await supabase
+      .from('whatsapp')
+      .select('status')
+      .eq('is_active', true);
+
+    if (error) {
+      logger.error('Erro ao contar instâncias para as métricas:', error.message);
+      return;
+    }
+
+    this.reset();
+    for (const status of ['connected', 'connecting', 'disconnected']) {
+      this.set({ status }, 0);
+    }
+    for (const instance of data) {
+      this.inc({ status: instance.status || 'disconnected' });
+    }
+  },
+});
+
+// Registra cada requisição ao terminar. A rota é o padrão do Express (/v1/disparos/campanhas/:id),
+// não a URL, para não criar uma série por id; requisições sem rota ficam como 'unmatched'.
+function metricsMiddleware(req, res, next) {
+  const stopTimer = httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+    };
+    httpRequests.inc(labels);
+    stopTimer(labels);
+  });
+
+  next();
+}
+
+module.exports = {
+  register,
+  metricsMiddleware,
+  recordWebhookEvent: (provider, event) => webhookEvents.inc({ provider, event: event || 'desconhecido' }),
+  recordEvolutionError: (error) => evolutionErrors.inc({ code: error.code || 'EVOLUTION_ERROR' }),
+  recordCampaignMessage: (status) => campaignMessages.inc({ status }),
+};
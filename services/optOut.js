@@ -0,0 +1,103 @@
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+const { getProvider } = require('./whatsapp');
+
+// Palavras que descadastram o contato quando enviadas sozinhas na mensagem
+const OPT_OUT_KEYWORDS = (process.env.OPT_OUT_KEYWORDS || 'SAIR,PARAR,STOP')
+  .split(',')
+  .map((keyword) => normalizeText(keyword))
+  .filter(Boolean);
+
+// Resposta enviada ao contato descadastrado. Vazia = não responde.
+const OPT_OUT_CONFIRMACAO = process.env.OPT_OUT_CONFIRMACAO ?? '';
+
+// Quantidade de números por consulta .in() ao Supabase
+const QUERY_CHUNK_SIZE = 200;
+
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s]/g, '')
+    .trim()
+    .toUpperCase();
+}
+
+function isOptOutMessage(texto) {
+  return OPT_OUT_KEYWORDS.includes(normalizeText(texto));
+}
+
+// Adiciona números à lista de supressão do usuário. Números já suprimidos são mantidos como estão.
+async function suppressNumbers(userId, numeros, origem, motivo = null) {
+  const rows = [...new Set(numeros)].map((numero) => ({ user_id: userId, numero, origem, motivo }));
+
+  for (let i = 0; i < rows.length; i += QUERY_CHUNK_SIZE) {
+    const { error } = await supabase
+      .from('supressoes')
+      .upsert(rows.slice(i, i + QUERY_CHUNK_SIZE), { onConflict: 'user_id,numero', ignoreDuplicates: true });
+
+    if (error) {
+      throw new Error(`Erro ao salvar lista de supressão: ${error.message}`);
+    }
+  }
+
+  return rows.length;
+}
+
+// Retorna o conjunto de números (dentre os informados) que estão na lista de supressão do usuário
+async function findSuppressed(userId, numeros) {
+  const unique = [...new Set(numeros)];
+  const suppressed = new Set();
+
+  for (let i = 0; i < unique.length; i += QUERY_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('supressoes')
+      .select('numero')
+      .eq('user_id', userId)
+      .in('numero', unique.slice(i, i + QUERY_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Erro ao consultar lista de supressão: ${error.message}`);
+    }
+    data.forEach(({ numero }) => suppressed.add(numero));
+  }
+
+  return suppressed;
+}
+
+// Remove da lista os números suprimidos. Retorna { permitidos, removidos }.
+async function filterSuppressed(userId, numeros) {
+  const suppressed = await findSuppressed(userId, numeros);
+  const permitidos = numeros.filter((numero) => !suppressed.has(numero));
+
+  return { permitidos, removidos: numeros.length - permitidos.length };
+}
+
+// Trata uma mensagem recebida: se for uma palavra de descadastro, suprime o contato
+// e envia a confirmação configurada. Retorna true se o contato foi descadastrado.
+async function handleOptOutMessage(instance, contato, texto) {
+  if (!isOptOutMessage(texto)) {
+    return false;
+  }
+
+  await suppressNumbers(instance.user_id, [contato], 'palavra_chave', normalizeText(texto));
+  logger.info(`Contato ${contato} descadastrado do usuário ${instance.user_id} por palavra-chave.`);
+
+  if (OPT_OUT_CONFIRMACAO) {
+    try {
+      await getProvider(instance).sendText(instance, contato, OPT_OUT_CONFIRMACAO);
+    } catch (sendError) {
+      logger.error(`Erro ao enviar confirmação de descadastro para ${contato}:`, sendError.message);
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  isOptOutMessage,
+  suppressNumbers,
+  findSuppressed,
+  filterSuppressed,
+  handleOptOutMessage,
+};
@@ -0,0 +1,20 @@
+// Erro padrão dos drivers quando o arquivo não existe
+function fileNotFound(filename) {
+  const error = new Error(`Arquivo ${filename} não encontrado`);
+  error.statusCode = 404;
+  error.code = 'FILE_NOT_FOUND';
+  return error;
+}
+
+// user_id ou nome de arquivo que poderia sair da pasta do usuário
+function invalidPath() {
+  const error = new Error('Caminho de arquivo inválido');
+  error.statusCode = 400;
+  error.code = 'INVALID_PATH';
+  return error;
+}
+
+module.exports = {
+  fileNotFound,
+  invalidPath,
+};
@@ -0,0 +1,68 @@
+// Armazenamento dos arquivos dos usuários, com o driver escolhido por STORAGE_DRIVER (config/storage.js).
+// Todo driver implementa:
+//   save(userId, filename, buffer, contentType)
+//   read(userId, filename) -> Buffer; erro FILE_NOT_FOUND (404) se não existir
+//   list(userId) -> [{ name, size, updatedAt }]; [] se o usuário não tiver arquivos
+//   listFolders() -> [userId]
+//   remove(userId, filename)
+//   removeFolder(userId) -> remove a pasta do usuário se estiver vazia
+//   getUrl(userId, filename, { baseUrl, expiresIn }) -> URL de acesso ao arquivo, assinada por expiresIn segundos
+//     quando o armazenamento é privado. baseUrl é o endereço desta API (usado pelo driver local).
+//   urlExpiresIn(expiresIn) -> validade efetiva, em segundos, das URLs de getUrl, ou null se elas não expiram
+// user_id e nomes de arquivo são conferidos aqui, antes de chegar ao driver (erro INVALID_PATH).
+const config = require('../../config/storage');
+const { isSafeSegment } = require('../../utils/safePath');
+const { invalidPath } = require('./errors');
+
+// Os drivers são carregados sob demanda para não exigir SDKs que não estão em uso
+const drivers = {
+  local: () => require('./local').createLocalDriver({
+    root: config.LOCAL_STORAGE_DIR,
+    publicUrl: process.env.PUBLIC_API_URL,
+    signingSecret: config.STORAGE_SIGNING_SECRET,
+  }),
+  supabase: () => require('./supabase').createSupabaseDriver({
+    bucket: config.SUPABASE_STORAGE_BUCKET,
+    isPublic: config.SUPABASE_STORAGE_PUBLIC,
+  }),
+  s3: () => require('./s3').createS3Driver(config.S3),
+};
+
+const driver = drivers[config.STORAGE_DRIVER]();
+
+function assertSafePath(...segments) {
+  if (!segments.every(isSafeSegment)) throw invalidPath();
+}
+
+module.exports = {
+  async save(userId, filename, buffer, contentType) {
+    assertSafePath(userId, filename);
+    return driver.save(userId, filename, buffer, contentType);
+  },
+  async read(userId, filename) {
+    assertSafePath(userId, filename);
+    return driver.read(userId, filename);
+  },
+  async list(userId) {
+    assertSafePath(userId);
+    return driver.list(userId);
+  },
+  listFolders: () => driver.listFolders(),
+  async remove(userId, filename) {
+    assertSafePath(userId, filename);
+    return driver.remove(userId, filename);
+  },
+  async removeFolder(userId) {
+    assertSafePath(userId);
+    return driver.removeFolder(userId);
+  },
+  async getUrl(userId, filename, { baseUrl, expiresIn = config.STORAGE_URL_EXPIRES_IN } = {}) {
+    assertSafePath(userId, filename);
+    return driver.getUrl(userId, filename, { baseUrl, expiresIn: Math.ceil(expiresIn) });
+  },
+  // Quando vence uma URL gerada agora por getUrl (ISO), ou null se o driver devolve endereços públicos
+  urlExpiresAt({ expiresIn = config.STORAGE_URL_EXPIRES_IN } = {}) {
+    const validade = driver.urlExpiresIn(Math.ceil(expiresIn));
+    return validade === null ? null : new Date(Date.now() + validade * 1000).toISOString();
+  },
+};
@@ -0,0 +1,79 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fileNotFound } = require('./errors');
+const { signDownloadUrl } = require('../../utils/signedUrl');
+
+// Arquivos em <root>/<user_id>/<arquivo>, baixados por URLs assinadas pela própria API
+function createLocalDriver({ root, publicUrl, signingSecret }) {
+  const userDir = (userId) => path.join(root, userId);
+
+  return {
+    async save(userId, filename, buffer) {
+      await fs.mkdir(userDir(userId), { recursive: true });
+      await fs.writeFile(path.join(userDir(userId), filename), buffer);
+    },
+
+    async read(userId, filename) {
+      try {
+        return await fs.readFile(path.join(userDir(userId), filename));
+      } catch (error) {
+        if (error.code === 'ENOENT') throw fileNotFound(filename);
+        throw error;
+      }
+    },
+
+    async list(userId) {
+      let entries;
+      try {
+        entries = await fs.readdir(userDir(userId), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const files = [];
+      for (const entry of entries.filter((dirent) => dirent.isFile())) {
+        const stats = await fs.stat(path.join(userDir(userId), entry.name));
+        files.push({ name: entry.name, size: stats.size, updatedAt: stats.mtime });
+      }
+      return files;
+    },
+
+    async listFolders() {
+      try {
+        const entries = await fs.readdir(root, { withFileTypes: true });
+        return entries.filter((dirent) => dirent.isDirectory()).map((dirent) => dirent.name);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async remove(userId, filename) {
+      try {
+        await fs.unlink(path.join(userDir(userId), filename));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    // Remove a pasta do usuário se ela estiver vazia
+    async removeFolder(userId) {
+      try {
+        await fs.rmdir(userDir(userId));
+      } catch (error) {
+        if (!['ENOENT', 'ENOTEMPTY', 'EEXIST'].includes(error.code)) throw error;
+      }
+    },
+
+    async getUrl(userId, filename, { baseUrl, expiresIn }) {
+      return signDownloadUrl(signingSecret, publicUrl || baseUrl, userId, filename, expiresIn);
+    },
+
+    urlExpiresIn: (expiresIn) => expiresIn,
+  };
+}
+
+module.exports = {
+  createLocalDriver,
+};
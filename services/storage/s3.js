@@ -0,0 +1,97 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { fileNotFound } = require('./errors');
+
+// Validade máxima de uma URL pré-assinada (SigV4): 7 dias
+const MAX_PRESIGNED_EXPIRES_IN = 7 * 24 * 60 * 60;
+
+// Arquivos em <bucket>/<user_id>/<arquivo> em um serviço compatível com S3.
+// Para o MinIO, informe endpoint e forcePathStyle.
+function createS3Driver({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  const key = (userId, filename) => `${userId}/${filename}`;
+
+  // Percorre todas as páginas do ListObjectsV2
+  async function listAll(params) {
+    const contents = [];
+    const prefixes = [];
+    let ContinuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, ...params, ContinuationToken }));
+      contents.push(...(page.Contents || []));
+      prefixes.push(...(page.CommonPrefixes || []));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return { contents, prefixes };
+  }
+
+  return {
+    async save(userId, filename, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key(userId, filename),
+        Body: buffer,
+        ContentType: contentType,
+      }));
+    },
+
+    async read(userId, filename) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key(userId, filename) }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey') throw fileNotFound(filename);
+        throw error;
+      }
+    },
+
+    async list(userId) {
+      const prefix = `${userId}/`;
+      const { contents } = await listAll({ Prefix: prefix, Delimiter: '/' });
+      return contents.map((object) => ({
+        name: object.Key.slice(prefix.length),
+        size: object.Size,
+        updatedAt: object.LastModified,
+      }));
+    },
+
+    async listFolders() {
+      const { prefixes } = await listAll({ Delimiter: '/' });
+      return prefixes.map(({ Prefix }) => Prefix.slice(0, -1));
+    },
+
+    async remove(userId, filename) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key(userId, filename) }));
+    },
+
+    // Pastas não existem de fato no bucket: somem com o último arquivo
+    async removeFolder() {},
+
+    async getUrl(userId, filename, { expiresIn }) {
+      if (publicUrl) {
+        return `${publicUrl.replace(/\/$/, '')}/${encodeURIComponent(userId)}/${encodeURIComponent(filename)}`;
+      }
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key(userId, filename) }), {
+        expiresIn: Math.min(expiresIn, MAX_PRESIGNED_EXPIRES_IN),
+      });
+    },
+
+    urlExpiresIn: (expiresIn) => (publicUrl ? null : Math.min(expiresIn, MAX_PRESIGNED_EXPIRES_IN)),
+  };
+}
+
+module.exports = {
+  createS3Driver,
+};
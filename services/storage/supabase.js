@@ -0,0 +1,78 @@
+const supabase = require('../../config/supabase');
+const { fileNotFound } = require('./errors');
+
+const PAGE_SIZE = 1000;
+
+// Arquivos em <bucket>/<user_id>/<arquivo> no Supabase Storage
+function createSupabaseDriver({ bucket, isPublic }) {
+  const storage = () => supabase.storage.from(bucket);
+
+  // Lista todas as entradas de uma pasta; pastas vêm com id null
+  async function listAll(prefix) {
+    const entries = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await storage().list(prefix, { limit: PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+      if (error) throw new Error(error.message);
+      entries.push(...data);
+      if (data.length < PAGE_SIZE) return entries;
+    }
+  }
+
+  return {
+    async save(userId, filename, buffer, contentType) {
+      const { error } = await storage().upload(`${userId}/${filename}`, buffer, { contentType, upsert: false });
+      if (error) throw new Error(error.message);
+    },
+
+    async read(userId, filename) {
+      const { data, error } = await storage().download(`${userId}/${filename}`);
+      if (error) {
+        // O Storage responde 400 ou 404 para objetos inexistentes
+        if ([400, 404].includes(error.originalError?.status)) throw fileNotFound(filename);
+        throw new Error(error.message);
+      }
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async list(userId) {
+      const entries = await listAll(userId);
+      return entries
+        .filter((entry) => entry.id !== null)
+        .map((entry) => ({
+          name: entry.name,
+          size: entry.metadata?.size ?? null,
+          updatedAt: new Date(entry.updated_at || entry.created_at),
+        }));
+    },
+
+    async listFolders() {
+      const entries = await listAll('');
+      return entries.filter((entry) => entry.id === null).map((entry) => entry.name);
+    },
+
+    async remove(userId, filename) {
+      const { error } = await storage().remove([`${userId}/${filename}`]);
+      if (error) throw new Error(error.message);
+    },
+
+    // Pastas não existem de fato no bucket: somem com o último arquivo
+    async removeFolder() {},
+
+    async getUrl(userId, filename, { expiresIn }) {
+      const objectPath = `${userId}/${filename}`;
+      if (isPublic) {
+        return storage().getPublicUrl(objectPath).data.publicUrl;
+      }
+
+      const { data, error } = await storage().createSignedUrl(objectPath, expiresIn);
+      if (error) throw new Error(error.message);
+      return data.signedUrl;
+    },
+
+    urlExpiresIn: (expiresIn) => (isPublic ? null : expiresIn),
+  };
+}
+
+module.exports = {
+  createSupabaseDriver,
+};
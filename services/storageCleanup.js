@@ -0,0 +1,100 @@
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+const storage = require('./storage');
+const { loadRetention, loadReferencedFiles, loadInboxFiles } = require('./storagePolicy');
+const { STORAGE_RETENTION_HOURS } = require('../config/storage');
+
+// Registros de remoção inseridos por chamada ao Supabase
+const INSERT_CHUNK_SIZE = 1000;
+
+// Os arquivos já foram removidos: uma falha aqui é registrada no log, sem interromper a limpeza
+async function recordDeletions(removidos, origem) {
+  const rows = removidos.map((removido) => ({ ...removido, origem }));
+
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+    const { error } = await supabase.from('arquivos_removidos').insert(rows.slice(i, i + INSERT_CHUNK_SIZE));
+    if (error) {
+      logger.error(`Erro ao registrar ${rows.length} arquivo(s) removido(s) pela limpeza:`, error.message);
+      return;
+    }
+  }
+}
+
+// Remove os arquivos mais antigos que a retenção de cada usuário, exceto anexos de campanhas
+// não finalizadas e mídias da caixa de entrada, e as pastas que ficarem vazias. Com dryRun, nada é removido: só o relatório é gerado.
+// origem ('cron' ou 'manual') vai para o registro em arquivos_removidos.
+async function cleanupUploads({ userId = null, dryRun = false, origem = 'cron' } = {}) {
+  const agora = Date.now();
+  const pastas = (await storage.listFolders()).filter((pasta) => !userId || pasta === userId);
+  const [retencao, referenciados] = await Promise.all([loadRetention(pastas), loadReferencedFiles()]);
+
+  const removidos = [];
+  const emUso = [];
+  const pastasRemovidas = [];
+
+  try {
+    for (const pasta of pastas) {
+      const horas = retencao.get(pasta);
+      const limite = agora - horas * 60 * 60 * 1000;
+      const arquivos = await storage.list(pasta);
+      const expirados = arquivos.filter((arquivo) => new Date(arquivo.updatedAt).getTime() < limite);
+      const caixaDeEntrada = await loadInboxFiles(pasta, expirados.map((arquivo) => arquivo.name));
+      let restantes = arquivos.length;
+
+      for (const arquivo of expirados) {
+        const modificadoEm = new Date(arquivo.updatedAt);
+
+        const campanhaId = referenciados.get(`${pasta}/${arquivo.name}`);
+        if (campanhaId) {
+          emUso.push({ user_id: pasta, arquivo: arquivo.name, campanha_id: campanhaId });
+          continue;
+        }
+        const mensagemId = caixaDeEntrada.get(arquivo.name);
+        if (mensagemId) {
+          emUso.push({ user_id: pasta, arquivo: arquivo.name, mensagem_id: mensagemId });
+          continue;
+        }
+
+        if (!dryRun) {
+          await storage.remove(pasta, arquivo.name);
+          logger.info(`Arquivo ${pasta}/${arquivo.name} deletado.`);
+        }
+        restantes -= 1;
+        removidos.push({
+          user_id: pasta,
+          arquivo: arquivo.name,
+          tamanho: arquivo.size ?? null,
+          modificado_em: modificadoEm.toISOString(),
+          retencao_horas: horas,
+        });
+      }
+
+      if (restantes === 0) {
+        if (!dryRun) {
+          await storage.removeFolder(pasta);
+          logger.info(`Pasta ${pasta} deletada.`);
+        }
+        pastasRemovidas.push(pasta);
+      }
+    }
+  } finally {
+    if (!dryRun && removidos.length > 0) {
+      await recordDeletions(removidos, origem);
+    }
+  }
+
+  return {
+    dry_run: dryRun,
+    executado_em: new Date(agora).toISOString(),
+    retencao_padrao_horas: STORAGE_RETENTION_HOURS,
+    total_removidos: removidos.length,
+    bytes_liberados: removidos.reduce((total, removido) => total + (removido.tamanho || 0), 0),
+    removidos,
+    mantidos_em_uso: emUso,
+    pastas_removidas: pastasRemovidas,
+  };
+}
+
+module.exports = {
+  cleanupUploads,
+};
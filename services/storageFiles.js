@@ -0,0 +1,100 @@
+const storage = require('./storage');
+const { loadRetention, loadQuota, loadReferencedFiles, loadInboxFiles } = require('./storagePolicy');
+const { mimeTypeFromName, categoryOf, formatSize } = require('../utils/fileType');
+
+const HOUR = 60 * 60 * 1000;
+
+const SORTERS = {
+  nome: (a, b) => a.name.localeCompare(b.name),
+  tamanho: (a, b) => (a.size || 0) - (b.size || 0),
+  enviado_em: (a, b) => new Date(a.updatedAt) - new Date(b.updatedAt),
+};
+
+// Arquivos de um usuário, ordenados e paginados em memória (os drivers não ordenam nem paginam).
+// expira_em é a remoção prevista pela limpeza; anexos de campanhas não finalizadas e mídias da
+// caixa de entrada não expiram.
+// A URL de download é gerada só para os arquivos da página.
+async function listFiles(userId, { page = 1, limit = 20, ordenar = 'enviado_em', ordem = 'desc', baseUrl } = {}) {
+  const [arquivos, retencao, referenciados] = await Promise.all([
+    storage.list(userId),
+    loadRetention([userId]),
+    loadReferencedFiles(userId),
+  ]);
+  const horas = retencao.get(userId);
+
+  const sorter = SORTERS[ordenar];
+  const ordenados = [...arquivos].sort((a, b) => (ordem === 'asc' ? sorter(a, b) : sorter(b, a)));
+  const pagina = ordenados.slice((page - 1) * limit, page * limit);
+  const caixaDeEntrada = await loadInboxFiles(userId, pagina.map((arquivo) => arquivo.name));
+
+  const itens = await Promise.all(pagina.map(async (arquivo) => {
+    const mimetype = mimeTypeFromName(arquivo.name);
+    const enviadoEm = new Date(arquivo.updatedAt);
+    const campanhaId = referenciados.get(`${userId}/${arquivo.name}`) || null;
+    const mensagemId = caixaDeEntrada.get(arquivo.name) || null;
+
+    return {
+      nome: arquivo.name,
+      tamanho: arquivo.size ?? null,
+      mimetype,
+      tipo: categoryOf(mimetype),
+      enviado_em: enviadoEm.toISOString(),
+      expira_em: campanhaId || mensagemId ? null : new Date(enviadoEm.getTime() + horas * HOUR).toISOString(),
+      campanha_id: campanhaId,
+      mensagem_id: mensagemId,
+      url: await storage.getUrl(userId, arquivo.name, { baseUrl }),
+    };
+  }));
+
+  return {
+    arquivos: itens,
+    paginacao: { page, limit, total: arquivos.length },
+  };
+}
+
+// Espaço ocupado pelo usuário, por tipo de mídia, e a cota (null = sem limite)
+async function getUsage(userId) {
+  const [arquivos, cota] = await Promise.all([storage.list(userId), loadQuota(userId)]);
+
+  const porTipo = {};
+  let bytes = 0;
+  for (const arquivo of arquivos) {
+    const tipo = categoryOf(mimeTypeFromName(arquivo.name)) || 'outro';
+    const tamanho = arquivo.size || 0;
+    porTipo[tipo] = porTipo[tipo] || { arquivos: 0, bytes: 0 };
+    porTipo[tipo].arquivos += 1;
+    porTipo[tipo].bytes += tamanho;
+    bytes += tamanho;
+  }
+
+  return {
+    user_id: userId,
+    arquivos: arquivos.length,
+    bytes,
+    cota_bytes: cota,
+    disponivel_bytes: cota === null ? null : Math.max(0, cota - bytes),
+    uso_percentual: cota === null ? null : Math.round((bytes / cota) * 1000) / 10,
+    por_tipo: porTipo,
+  };
+}
+
+// Lança QUOTA_EXCEEDED (413) se o novo arquivo não couber na cota do usuário
+async function checkQuota(userId, tamanho) {
+  const uso = await getUsage(userId);
+  if (uso.cota_bytes === null || uso.bytes + tamanho <= uso.cota_bytes) return uso;
+
+  const error = new Error(
+    `Cota de armazenamento excedida: ${formatSize(uso.bytes)} usados de ${formatSize(uso.cota_bytes)}, e o arquivo tem ${formatSize(tamanho)}. Remova arquivos antigos ou solicite uma cota maior.`
+  );
+  error.code = 'QUOTA_EXCEEDED';
+  error.statusCode = 413;
+  error.uso_bytes = uso.bytes;
+  error.cota_bytes = uso.cota_bytes;
+  throw error;
+}
+
+module.exports = {
+  listFiles,
+  getUsage,
+  checkQuota,
+};
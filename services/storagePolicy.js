@@ -0,0 +1,106 @@
+const supabase = require('../config/supabase');
+const { storedFilename } = require('./campaignAttachment');
+const { STORAGE_RETENTION_HOURS, STORAGE_QUOTA_MB } = require('../config/storage');
+
+const MB = 1024 * 1024;
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Campanhas que ainda podem enviar o anexo: seus arquivos nunca são removidos.
+// Campanhas failed podem ser iniciadas de novo (comecar-campanha), então também contam.
+const ACTIVE_CAMPAIGN_STATUSES = ['draft', 'scheduled', 'running', 'paused', 'failed'];
+
+// Regras por usuário ou plano (tabelas com user_id, plano e a coluna do valor). Para cada id,
+// vale a regra do usuário, a do plano dele ou o padrão. Pastas cujo nome não é um id de usuário
+// (uuid) ficam com o padrão.
+async function loadRules(table, column, userIds, fallback) {
+  const values = new Map(userIds.map((id) => [id, fallback]));
+  const ids = userIds.filter((id) => UUID.test(id));
+  if (ids.length === 0) return values;
+
+  const [usuarios, regras] = await Promise.all([
+    supabase.from('usuarios').select('id, plano').in('id', ids),
+    supabase.from(table).select(`user_id, plano, ${column}`),
+  ]);
+
+  const error = usuarios.error || regras.error;
+  if (error) {
+    throw new Error(`Erro ao buscar regras de ${table}: ${error.message}`);
+  }
+
+  const porUsuario = new Map(regras.data.filter((r) => r.user_id).map((r) => [r.user_id, r[column]]));
+  const porPlano = new Map(regras.data.filter((r) => r.plano).map((r) => [r.plano, r[column]]));
+
+  for (const usuario of usuarios.data) {
+    values.set(usuario.id, porUsuario.get(usuario.id) ?? porPlano.get(usuario.plano) ?? fallback);
+  }
+  return values;
+}
+
+// Retenção dos arquivos, em horas, de cada usuário
+const loadRetention = (userIds) => loadRules('retencao_arquivos', 'horas', userIds, STORAGE_RETENTION_HOURS);
+
+// Cota de armazenamento do usuário em bytes, ou null se não houver limite
+async function loadQuota(userId) {
+  const quotas = await loadRules('cotas_armazenamento', 'megabytes', [userId], STORAGE_QUOTA_MB || null);
+  const megabytes = quotas.get(userId);
+  return megabytes ? megabytes * MB : null;
+}
+
+// Anexos de campanhas não finalizadas, de todos os usuários ou de um: "user_id/arquivo" -> campanha_id
+async function loadReferencedFiles(userId = null) {
+  let query = supabase
+    .from('campanhas')
+    .select('id, user_id, url_anexo')
+    .in('status', ACTIVE_CAMPAIGN_STATUSES)
+    .not('url_anexo', 'is', null);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Erro ao buscar anexos de campanhas: ${error.message}`);
+  }
+
+  const referenced = new Map();
+  for (const campanha of data) {
+    const filename = storedFilename(campanha.user_id, campanha.url_anexo);
+    if (filename) referenced.set(`${campanha.user_id}/${filename}`, campanha.id);
+  }
+  return referenced;
+}
+
+// Nomes consultados por chamada ao Supabase (o filtro in vai na URL)
+const INBOX_LOOKUP_CHUNK_SIZE = 100;
+
+// Mídias recebidas na caixa de entrada entre os arquivos informados de um usuário: arquivo -> mensagem_id.
+// A mensagem continua apontando para o arquivo, então ele não expira pela retenção.
+async function loadInboxFiles(userId, filenames) {
+  const inbox = new Map();
+  if (!UUID.test(userId)) return inbox;
+
+  for (let i = 0; i < filenames.length; i += INBOX_LOOKUP_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('mensagens')
+      .select('id, arquivo')
+      .eq('user_id', userId)
+      .in('arquivo', filenames.slice(i, i + INBOX_LOOKUP_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Erro ao buscar mídias da caixa de entrada: ${error.message}`);
+    }
+    for (const mensagem of data) {
+      inbox.set(mensagem.arquivo, mensagem.id);
+    }
+  }
+  return inbox;
+}
+
+module.exports = {
+  loadRetention,
+  loadQuota,
+  loadReferencedFiles,
+  loadInboxFiles,
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const logger = require('../logger');
+
+// Reserva a entrega para este processo por ttlMs. Retorna:
+// - { estado: 'nova', dono }: primeira vez; processe e chame completeDelivery ou releaseDelivery
+// - { estado: 'concluida' }: já processada por este ou outro processo
+// - { estado: 'processando' }: outro processo ainda a processa
+async function claimDelivery(entrega, ttlMs) {
+  const dono = crypto.randomUUID();
+
+  for (let tentativa = 0; tentativa < 2; tentativa++) {
+    const { error } = await supabase
+      .from('webhook_entregas')
+      .insert({ entrega, dono, status: 'processando', expira_em: new Date(Date.now() + ttlMs).toISOString() });
+
+    if (!error) {
+      return { estado: 'nova', dono };
+    }
+    if (error.code !== '23505') {
+      throw new Error(`Erro ao registrar a entrega do webhook: ${error.message}`);
+    }
+
+    const { data: registro, error: fetchError } = await supabase
+      .from('webhook_entregas')
+      .select('status, expira_em')
+      .eq('entrega', entrega)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Erro ao consultar a entrega do webhook: ${fetchError.message}`);
+    }
+    if (!registro) continue; // Liberada entre o insert e a consulta: tenta de novo
+
+    // Reserva de um processo que caiu ou registro vencido: é removida e a entrega, reservada de novo
+    if (new Date(registro.expira_em) <= new Date()) {
+      const { error: deleteError } = await supabase
+        .from('webhook_entregas')
+        .delete()
+        .eq('entrega', entrega)
+        .lt('expira_em', new Date().toISOString());
+
+      if (deleteError) {
+        throw new Error(`Erro ao liberar a entrega vencida do webhook: ${deleteError.message}`);
+      }
+      continue;
+    }
+
+    return { estado: registro.status === 'concluida' ? 'concluida' : 'processando' };
+  }
+
+  return { estado: 'processando' };
+}
+
+// Dá a entrega por processada, guardando-a por ttlMs para reconhecer os reenvios
+async function completeDelivery(entrega, dono, ttlMs) {
+  const { error } = await supabase
+    .from('webhook_entregas')
+    .update({ status: 'concluida', expira_em: new Date(Date.now() + ttlMs).toISOString() })
+    .eq('entrega', entrega)
+    .eq('dono', dono);
+
+  if (error) {
+    logger.error(`Erro ao concluir a entrega ${entrega} do webhook:`, error.message);
+  }
+}
+
+// Libera a entrega (falha no processamento): o reenvio do provedor é processado
+async function releaseDelivery(entrega, dono) {
+  const { error } = await supabase
+    .from('webhook_entregas')
+    .delete()
+    .eq('entrega', entrega)
+    .eq('dono', dono);
+
+  if (error) {
+    logger.error(`Erro ao liberar a entrega ${entrega} do webhook:`, error.message);
+  }
+}
+
+// Remove as entregas vencidas (cron). Retorna quantas foram removidas.
+async function purgeExpiredDeliveries() {
+  const { data, error } = await supabase
+    .from('webhook_entregas')
+    .delete()
+    .lt('expira_em', new Date().toISOString())
+    .select('entrega');
+
+  if (error) {
+    throw new Error(`Erro ao remover entregas de webhook vencidas: ${error.message}`);
+  }
+  return data.length;
+}
+
+module.exports = {
+  claimDelivery,
+  completeDelivery,
+  releaseDelivery,
+  purgeExpiredDeliveries,
+};
@@ -0,0 +1,248 @@
+const axios = require('axios');
+const logger = require('../../logger');
+const config = require('../../config/whatsapp');
+const supabase = require('../../config/supabase');
+const { whatsappIdToNumber } = require('../../utils/phone');
+const { encryptSecret, decryptSecret, isEncrypted } = require('../../utils/secretBox');
+const { normalizeCloudApiError } = require('./errors');
+
+const TIPO_INTEGRACAO = 'WHATSAPP-CLOUD-API';
+
+// Download de mídia recebida, como no cliente da Evolution
+const MEDIA_TIMEOUT_MS = 60000;
+
+// Tipo da mensagem na Cloud API -> tipo salvo na tabela mensagens
+const MESSAGE_TYPES = {
+  text: 'texto',
+  button: 'texto',
+  interactive: 'texto',
+  image: 'imagem',
+  video: 'video',
+  audio: 'audio',
+  document: 'documento',
+  sticker: 'sticker',
+};
+
+// Status da Cloud API -> status do destinatário
+const MESSAGE_STATUSES = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed',
+};
+
+const graphUrl = (path) => `${config.CLOUD_API_URL.replace(/\/$/, '')}/${config.CLOUD_API_VERSION}/${path}`;
+
+// Chamada à Graph API com o token da instância. Os erros saem normalizados (CLOUD_API_*).
+async function graphRequest(accessToken, method, path, { data, operation, timeout = config.CLOUD_API_TIMEOUT_MS, responseType } = {}) {
+  const url = /^https?:\/\//.test(path) ? path : graphUrl(path);
+  const requestConfig = { headers: { Authorization: `Bearer ${accessToken}` }, timeout, ...(responseType && { responseType }) };
+
+  try {
+    const response = method === 'post'
+      ? await axios.post(url, data, requestConfig)
+      : await axios.get(url, requestConfig);
+    return response.data;
+  } catch (error) {
+    throw normalizeCloudApiError(error, operation, timeout);
+  }
+}
+
+// O token fica cifrado na coluna cloud_access_token_cifrado (CLOUD_API_TOKEN_SECRET)
+const encryptToken = (accessToken) => encryptSecret(config.CLOUD_API_TOKEN_SECRET, accessToken, 'CLOUD_API_TOKEN_SECRET');
+const accessTokenOf = (instance) => decryptSecret(config.CLOUD_API_TOKEN_SECRET, instance.cloud_access_token_cifrado, 'CLOUD_API_TOKEN_SECRET');
+
+const request = (instance, method, path, options) => graphRequest(accessTokenOf(instance), method, path, options);
+
+// Envia uma mensagem pelo número da instância e retorna o id da mensagem (wamid)
+async function sendMessage(instance, numero, message, operation) {
+  const data = await request(instance, 'post', `${instance.cloud_phone_number_id}/messages`, {
+    data: { messaging_product: 'whatsapp', recipient_type: 'individual', to: numero, ...message },
+    operation,
+  });
+  return data?.messages?.[0]?.id || null;
+}
+
+// Confere as credenciais e devolve os dados do número na Meta
+function fetchPhoneNumber(accessToken, phoneNumberId) {
+  return graphRequest(accessToken, 'get', `${phoneNumberId}?fields=display_phone_number,verified_name`, {
+    operation: `consultar o número ${phoneNumberId}`,
+  });
+}
+
+// Extrai os dados relevantes de uma mensagem recebida (value.messages[] do webhook)
+function parseInboundMessage(message, contacts = []) {
+  if (!message?.id || !message.from) return null;
+
+  const media = message[message.type] || {};
+  const contact = contacts.find((item) => item.wa_id === message.from);
+
+  return {
+    messageId: message.id,
+    contato: whatsappIdToNumber(message.from),
+    nomeContato: contact?.profile?.name || null,
+    tipo: MESSAGE_TYPES[message.type] || 'outro',
+    texto: message.text?.body
+      || message.button?.text
+      || message.interactive?.button_reply?.title
+      || message.interactive?.list_reply?.title
+      || media.caption
+      || null,
+    mimetype: media.mime_type || null,
+    fileName: media.filename || null,
+    mediaId: media.id || null,
+    criadoEm: message.timestamp
+      ? new Date(Number(message.timestamp) * 1000).toISOString()
+      : new Date().toISOString(),
+  };
+}
+
+// Confirmações de envio, entrega e leitura (value.statuses[] do webhook)
+function parseStatusEvents(statuses = []) {
+  return statuses
+    .map((item) => ({
+      messageId: item?.id,
+      status: MESSAGE_STATUSES[item?.status] || null,
+      erro: item?.errors?.[0]?.error_data?.details || item?.errors?.[0]?.title || null,
+    }))
+    .filter((item) => item.messageId && item.status);
+}
+
+// Cifra os tokens salvos em texto puro antes da migração 20261018001600 (chamada ao iniciar a API)
+async function encryptLegacyTokens() {
+  const { data: instancias, error } = await supabase
+    .from('whatsapp')
+    .select('id, cloud_access_token_cifrado')
+    .not('cloud_access_token_cifrado', 'is', null);
+
+  if (error) throw error;
+
+  const legadas = instancias.filter((instancia) => !isEncrypted(instancia.cloud_access_token_cifrado));
+  for (const instancia of legadas) {
+    const { error: updateError } = await supabase
+      .from('whatsapp')
+      .update({ cloud_access_token_cifrado: encryptToken(instancia.cloud_access_token_cifrado) })
+      .eq('id', instancia.id)
+      .eq('cloud_access_token_cifrado', instancia.cloud_access_token_cifrado);
+
+    if (updateError) throw updateError;
+  }
+
+  if (legadas.length > 0) {
+    logger.info(`${legadas.length} token(s) da Cloud API cifrados.`);
+  }
+  return legadas.length;
+}
+
+// Provedor Cloud API (API oficial da Meta): cada instância guarda o id do número, da conta
+// do WhatsApp Business e o token de acesso. Não há QR Code: o número fica conectado enquanto o token valer.
+const provider = {
+  tipoIntegracao: TIPO_INTEGRACAO,
+  usesQrCode: false,
+  supportsTemplates: true,
+
+  // Confere as credenciais e inscreve o app nos webhooks da conta. Retorna as colunas a salvar na tabela whatsapp.
+  async create(instanceName, { phone_number_id: phoneNumberId, business_account_id: businessAccountId, access_token: accessToken }) {
+    const tokenCifrado = encryptToken(accessToken);
+    const numero = await fetchPhoneNumber(accessToken, phoneNumberId);
+
+    await graphRequest(accessToken, 'post', `${businessAccountId}/subscribed_apps`, {
+      operation: `inscrever o app na conta ${businessAccountId}`,
+    });
+    logger.info(`Número ${numero.display_phone_number} da Cloud API vinculado à instância ${instanceName}.`);
+
+    return {
+      numero: whatsappIdToNumber(String(numero.display_phone_number || '').replace(/\D/g, '')),
+      status: 'connected',
+      profile_name: numero.verified_name || null,
+      last_connection_at: new Date().toISOString(),
+      cloud_phone_number_id: phoneNumberId,
+      cloud_business_account_id: businessAccountId,
+      cloud_access_token_cifrado: tokenCifrado,
+    };
+  },
+
+  async connect(instance) {
+    return { status: await provider.getStatus(instance), qrcode: null, changes: {} };
+  },
+
+  // Conectado enquanto o token da instância for aceito pela Meta
+  async getStatus(instance) {
+    if (!instance.cloud_access_token_cifrado) return 'disconnected';
+
+    try {
+      await fetchPhoneNumber(accessTokenOf(instance), instance.cloud_phone_number_id);
+      return 'connected';
+    } catch (error) {
+      if (error.code === 'CLOUD_API_UNAUTHORIZED') return 'disconnected';
+      throw error;
+    }
+  },
+
+  async getProfile(instance) {
+    const [numero, perfil] = await Promise.all([
+      fetchPhoneNumber(accessTokenOf(instance), instance.cloud_phone_number_id),
+      request(instance, 'get', `${instance.cloud_phone_number_id}/whatsapp_business_profile?fields=profile_picture_url`, {
+        operation: `buscar o perfil de ${instance.nome_instancia}`,
+      }),
+    ]);
+    return { name: numero.verified_name || null, profilePictureUrl: perfil?.data?.[0]?.profile_picture_url || null };
+  },
+
+  getQrCode: async () => null,
+
+  sendText: (instance, numero, texto) => sendMessage(instance, numero, {
+    type: 'text',
+    text: { body: texto, preview_url: false },
+  }, `enviar texto para ${numero}`),
+
+  // mediatype: image | video | document
+  sendMedia: (instance, numero, { mediatype, url, caption, fileName }) => sendMessage(instance, numero, {
+    type: mediatype,
+    [mediatype]: {
+      link: url,
+      ...(caption && { caption }),
+      ...(mediatype === 'document' && { filename: fileName || decodeURIComponent(url.split('/').pop().split('?')[0]) }),
+    },
+  }, `enviar mídia para ${numero}`),
+
+  // Template aprovado na Meta; parametros preenchem as variáveis do corpo ({{1}}, {{2}}...) em ordem
+  sendTemplate: (instance, numero, { nome, idioma, parametros = [] }) => sendMessage(instance, numero, {
+    type: 'template',
+    template: {
+      name: nome,
+      language: { code: idioma },
+      ...(parametros.length > 0 && {
+        components: [{ type: 'body', parameters: parametros.map((text) => ({ type: 'text', text })) }],
+      }),
+    },
+  }, `enviar template ${nome} para ${numero}`),
+
+  // A Cloud API não tem logout: a instância é desconectada descartando o token
+  logout: async () => ({ cloud_access_token_cifrado: null }),
+  remove: async () => {},
+
+  // Baixa a mídia de uma mensagem recebida pelo id da mídia. Retorna { buffer, mimetype, fileName }.
+  async downloadMedia(instance, mensagem) {
+    const media = await request(instance, 'get', mensagem.mediaId, { operation: `consultar a mídia ${mensagem.mediaId}` });
+    const content = await request(instance, 'get', media.url, {
+      operation: `baixar a mídia ${mensagem.mediaId}`,
+      timeout: MEDIA_TIMEOUT_MS,
+      responseType: 'arraybuffer',
+    });
+    return { buffer: Buffer.from(content), mimetype: media.mime_type, fileName: mensagem.fileName };
+  },
+
+  // Converte uma alteração do webhook (entry[].changes[].value) no evento comum aos provedores
+  parseWebhook(value) {
+    return {
+      statuses: parseStatusEvents(value?.statuses),
+      messages: (value?.messages || []).map((message) => parseInboundMessage(message, value.contacts)).filter(Boolean),
+    };
+  },
+
+  parseInboundMessage,
+  encryptLegacyTokens,
+};
+
+module.exports = provider;
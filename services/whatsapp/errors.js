@@ -0,0 +1,74 @@
+// Operação que o provedor da instância não oferece (ex.: template pela Evolution API)
+function providerUnsupported(tipoIntegracao, operation) {
+  const error = new Error(`${operation} não é suportado por instâncias ${tipoIntegracao}`);
+  error.statusCode = 400;
+  error.code = 'PROVIDER_UNSUPPORTED';
+  return error;
+}
+
+// PUBLIC_API_URL ausente: sem o endereço do webhook, a instância nunca receberia eventos
+function webhookUrlNotConfigured() {
+  const error = new Error('PUBLIC_API_URL não configurado: não é possível registrar o webhook da instância na Evolution API');
+  error.statusCode = 500;
+  error.code = 'WEBHOOK_URL_NOT_CONFIGURED';
+  return error;
+}
+
+// Códigos de erro da Graph API: 190 = token inválido ou expirado; 4, 80007 e 130429 = limite de chamadas
+const GRAPH_AUTH_CODES = [190];
+const GRAPH_RATE_LIMIT_CODES = [4, 80007, 130429];
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ERR_CANCELED'];
+
+function cloudApiError(message, { code, statusCode, status = null, details = null }) {
+  const error = new Error(message);
+  error.name = 'CloudApiError';
+  error.code = code;
+  error.statusCode = statusCode;
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Converte um erro do axios nas chamadas à Graph API, no mesmo formato dos erros da Evolution API
+function normalizeCloudApiError(error, operation, timeout) {
+  if (error.name === 'CloudApiError') return error;
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return cloudApiError(`Cloud API não respondeu em ${timeout} ms (${operation})`, { code: 'CLOUD_API_TIMEOUT', statusCode: 504 });
+  }
+
+  if (!error.response) {
+    return cloudApiError(`Cloud API indisponível (${operation}): ${error.code || error.message}`, { code: 'CLOUD_API_UNAVAILABLE', statusCode: 503 });
+  }
+
+  const status = error.response.status;
+  const graphError = error.response.data?.error || {};
+  const details = graphError.error_data?.details || graphError.message || null;
+  const message = details || error.message;
+
+  if (status === 401 || GRAPH_AUTH_CODES.includes(graphError.code)) {
+    return cloudApiError(`Token de acesso da Cloud API inválido ou expirado (${operation})`, {
+      code: 'CLOUD_API_UNAUTHORIZED',
+      statusCode: 502,
+      status,
+      details,
+    });
+  }
+
+  if (status === 429 || GRAPH_RATE_LIMIT_CODES.includes(graphError.code)) {
+    return cloudApiError(message, { code: 'CLOUD_API_RATE_LIMITED', statusCode: 503, status, details });
+  }
+
+  if (status >= 500) {
+    return cloudApiError(message, { code: 'CLOUD_API_UNAVAILABLE', statusCode: 503, status, details });
+  }
+
+  return cloudApiError(message, { code: 'CLOUD_API_REQUEST_FAILED', statusCode: 502, status, details });
+}
+
+module.exports = {
+  providerUnsupported,
+  webhookUrlNotConfigured,
+  normalizeCloudApiError,
+};
@@ -0,0 +1,222 @@
+const supabase = require('../../config/supabase');
+const logger = require('../../logger');
+const evolution = require('../evolution');
+const { generateWebhookSecret, webhookUrlConfigured, buildWebhookUrl } = require('../../webhookMiddleware');
+const { whatsappIdToNumber } = require('../../utils/phone');
+const { providerUnsupported, webhookUrlNotConfigured } = require('./errors');
+
+const TIPO_INTEGRACAO = 'WHATSAPP-BAILEYS';
+
+// Eventos da Evolution API encaminhados para /v1/webhooks/whatsapp
+const WEBHOOK_EVENTS = ['CONNECTION_UPDATE', 'QRCODE_UPDATED', 'SEND_MESSAGE', 'MESSAGES_UPDATE', 'MESSAGES_UPSERT'];
+
+// Tipo da mensagem no WhatsApp -> tipo salvo na tabela mensagens
+const MESSAGE_TYPES = {
+  conversation: 'texto',
+  extendedTextMessage: 'texto',
+  imageMessage: 'imagem',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'documento',
+  documentWithCaptionMessage: 'documento',
+  stickerMessage: 'sticker',
+};
+
+// Status da Evolution API (texto no v2, número no v1) -> status do destinatário
+const MESSAGE_STATUSES = {
+  ERROR: 'failed',
+  SERVER_ACK: 'sent',
+  DELIVERY_ACK: 'delivered',
+  READ: 'read',
+  PLAYED: 'played',
+  0: 'failed',
+  2: 'sent',
+  3: 'delivered',
+  4: 'read',
+  5: 'played',
+};
+
+// Registra o webhook da instância na Evolution API com um novo segredo. Retorna as colunas a salvar
+// no Supabase (hash do segredo e eventos registrados), ou null se a Evolution recusou o registro
+// (a próxima conexão tenta de novo). Sem PUBLIC_API_URL, lança WEBHOOK_URL_NOT_CONFIGURED.
+async function configureWebhook(instanceName) {
+  const { token, hash } = generateWebhookSecret();
+  const url = buildWebhookUrl(token);
+
+  if (!url) {
+    throw webhookUrlNotConfigured();
+  }
+
+  try {
+    await evolution.setWebhook(instanceName, { url, events: WEBHOOK_EVENTS });
+    logger.info(`Webhook registrado na Evolution API para a instância ${instanceName}.`);
+    return { webhook_secret_hash: hash, webhook_eventos: WEBHOOK_EVENTS };
+  } catch (webhookError) {
+    logger.error(`Erro ao registrar webhook para ${instanceName}:`, webhookError.message);
+    return null;
+  }
+}
+
+// Instâncias criadas antes da autenticação do webhook (sem segredo) ou registradas com
+// outra lista de eventos precisam registrar o webhook de novo
+function webhookOutdated(instance) {
+  const eventos = instance.webhook_eventos || [];
+  return !instance.webhook_secret_hash
+    || eventos.length !== WEBHOOK_EVENTS.length
+    || WEBHOOK_EVENTS.some((evento) => !eventos.includes(evento));
+}
+
+// Registra de novo o webhook das instâncias da Evolution desatualizadas (ver webhookOutdated).
+// Roda na inicialização; retorna quantas foram atualizadas.
+async function updateOutdatedWebhooks() {
+  if (!webhookUrlConfigured()) {
+    logger.warn('PUBLIC_API_URL não configurado. Os webhooks das instâncias da Evolution API não foram atualizados.');
+    return 0;
+  }
+
+  const { data: instancias, error } = await supabase
+    .from('whatsapp')
+    .select('id, nome_instancia, webhook_secret_hash, webhook_eventos')
+    .eq('is_active', true)
+    .or(`tipo_integracao.is.null,tipo_integracao.eq.${TIPO_INTEGRACAO}`);
+
+  if (error) throw error;
+
+  let atualizadas = 0;
+  for (const instancia of instancias.filter(webhookOutdated)) {
+    const changes = await configureWebhook(instancia.nome_instancia);
+    if (!changes) continue;
+
+    const { error: updateError } = await supabase
+      .from('whatsapp')
+      .update(changes)
+      .eq('id', instancia.id);
+
+    if (updateError) throw updateError;
+    atualizadas += 1;
+  }
+
+  if (atualizadas > 0) {
+    logger.info(`Webhook registrado de novo em ${atualizadas} instância(s) da Evolution API.`);
+  }
+  return atualizadas;
+}
+
+// Extrai os dados relevantes de uma mensagem de messages.upsert.
+// Retorna null para mensagens que não entram na caixa de entrada (enviadas por nós, grupos, status).
+function parseInboundMessage(data) {
+  const { key, message, pushName, messageTimestamp } = data || {};
+
+  if (!key?.id || !message || key.fromMe) return null;
+  if (!key.remoteJid?.endsWith('@s.whatsapp.net')) return null;
+
+  const messageType = data.messageType || Object.keys(message).find((type) => MESSAGE_TYPES[type]);
+  const content = message[messageType] || {};
+  const inner = content.message?.documentMessage || content;
+
+  return {
+    messageId: key.id,
+    contato: whatsappIdToNumber(key.remoteJid),
+    nomeContato: pushName || null,
+    tipo: MESSAGE_TYPES[messageType] || 'outro',
+    texto: message.conversation || content.text || inner.caption || null,
+    mimetype: inner.mimetype || null,
+    fileName: inner.fileName || null,
+    criadoEm: messageTimestamp
+      ? new Date(Number(messageTimestamp) * 1000).toISOString()
+      : new Date().toISOString(),
+  };
+}
+
+// Normaliza os formatos de messages.update / send.message (v1 envia listas e status numérico)
+function parseStatusEvents(event, data) {
+  const items = Array.isArray(data) ? data : [data];
+
+  return items
+    .map((item) => ({
+      messageId: item?.keyId || item?.key?.id || item?.messageId,
+      status: MESSAGE_STATUSES[item?.status ?? item?.update?.status] || (event === 'send.message' ? 'sent' : null),
+    }))
+    .filter((item) => item.messageId && item.status);
+}
+
+// Provedor Evolution API / Baileys: o número é conectado lendo o QR Code no aparelho
+const provider = {
+  tipoIntegracao: TIPO_INTEGRACAO,
+  usesQrCode: true,
+  supportsTemplates: false,
+
+  // Cria a instância na Evolution API e registra o webhook. Retorna as colunas a salvar na tabela whatsapp.
+  async create(instanceName) {
+    // Confere antes de criar: uma instância sem webhook ficaria criada na Evolution sem receber eventos
+    if (!webhookUrlConfigured()) {
+      throw webhookUrlNotConfigured();
+    }
+    await evolution.createInstance(instanceName, { integration: TIPO_INTEGRACAO });
+    logger.info(`Instância ${instanceName} criada na Evolution API com sucesso.`);
+    return { webhook_secret_hash: null, ...await configureWebhook(instanceName), status: 'disconnected' };
+  },
+
+  // Sincroniza o status e devolve um QR Code enquanto o número não estiver conectado
+  async connect(instance) {
+    const status = await provider.getStatus(instance);
+
+    const changes = webhookOutdated(instance) ? await configureWebhook(instance.nome_instancia) || {} : {};
+
+    const qrcode = status === 'connected' ? null : await provider.getQrCode(instance);
+    return { status, qrcode, changes };
+  },
+
+  async getStatus(instance) {
+    return evolution.toInstanceStatus(await evolution.getConnectionState(instance.nome_instancia));
+  },
+
+  getProfile: (instance) => evolution.fetchProfile(instance.nome_instancia),
+  getQrCode: (instance) => evolution.connect(instance.nome_instancia),
+
+  sendText: (instance, numero, texto) => evolution.sendText(instance.nome_instancia, numero, texto),
+  sendMedia: (instance, numero, media) => evolution.sendMedia(instance.nome_instancia, numero, media),
+
+  async sendTemplate() {
+    throw providerUnsupported(TIPO_INTEGRACAO, 'Envio de template');
+  },
+
+  logout: (instance) => evolution.logout(instance.nome_instancia),
+
+  async remove(instance) {
+    try {
+      await evolution.deleteInstance(instance.nome_instancia);
+      logger.info(`Instância ${instance.nome_instancia} deletada da Evolution API.`);
+    } catch (evolutionError) {
+      if (evolutionError.code !== 'EVOLUTION_NOT_FOUND') {
+        logger.warn(`Erro não crítico ao deletar instância ${instance.nome_instancia} da Evolution (pode já ter sido removida):`, evolutionError.message);
+      }
+    }
+  },
+
+  downloadMedia: (instance, mensagem) => evolution.downloadMedia(instance.nome_instancia, mensagem.messageId),
+
+  // Converte uma entrega do webhook ({ event, instance, data }) no evento comum aos provedores.
+  // Retorna null para eventos que não são tratados.
+  parseWebhook({ event, data }) {
+    switch (event) {
+      case 'connection.update':
+        return { status: evolution.toInstanceStatus(data?.state) };
+      case 'qrcode.updated':
+        return { qrcode: data?.qrcode || null };
+      case 'send.message':
+      case 'messages.update':
+        return { statuses: parseStatusEvents(event, data) };
+      case 'messages.upsert':
+        return { messages: [].concat(data).map(parseInboundMessage).filter(Boolean) };
+      default:
+        return null;
+    }
+  },
+
+  parseInboundMessage,
+  parseStatusEvents,
+  updateOutdatedWebhooks,
+};
+
+module.exports = provider;
@@ -0,0 +1,41 @@
+// Provedores de WhatsApp, escolhidos pela coluna tipo_integracao de cada instância (config/whatsapp.js).
+// Todo provedor implementa (instance é a linha da tabela whatsapp):
+//   create(instanceName, credenciais) -> colunas a salvar na nova instância (status, numero, ...)
+//   connect(instance) -> { status, qrcode, changes }: sincroniza o status; qrcode enquanto não conectar,
+//     changes são colunas a atualizar na instância
+//   getStatus(instance) -> 'connected' | 'connecting' | 'disconnected'
+//   getProfile(instance) -> { name, profilePictureUrl }
+//   getQrCode(instance) -> QR Code em base64, ou null
+//   sendText(instance, numero, texto) / sendMedia(instance, numero, { mediatype, url, caption, fileName })
+//     / sendTemplate(instance, numero, { nome, idioma, parametros }) -> id da mensagem no WhatsApp
+//   logout(instance) -> colunas a atualizar na instância, se houver
+//   remove(instance)
+//   downloadMedia(instance, mensagem) -> { buffer, mimetype, fileName }
+//   parseWebhook(payload) -> { status, qrcode, statuses: [{ messageId, status, erro }], messages: [mensagem] },
+//     com só os campos presentes na entrega; null para eventos não tratados
+// e informa usesQrCode e supportsTemplates. Os erros têm statusCode e code (EVOLUTION_*, CLOUD_API_*).
+const { INTEGRATIONS } = require('../../config/whatsapp');
+
+const providers = {
+  'WHATSAPP-BAILEYS': require('./evolution'),
+  'WHATSAPP-CLOUD-API': require('./cloudApi'),
+};
+
+// Colunas da tabela whatsapp que os provedores usam, para os selects que não trazem a linha inteira
+const PROVIDER_COLUMNS = 'tipo_integracao, cloud_phone_number_id, cloud_access_token_cifrado';
+
+// Provedor de uma instância (ou de um tipo_integracao). Instâncias antigas, sem tipo, são da Evolution.
+function getProvider(instanceOrTipo) {
+  const tipo = (typeof instanceOrTipo === 'string' ? instanceOrTipo : instanceOrTipo?.tipo_integracao) || INTEGRATIONS[0];
+  const provider = providers[tipo];
+
+  if (!provider) {
+    throw new Error(`Provedor de WhatsApp desconhecido: ${tipo}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  PROVIDER_COLUMNS,
+  getProvider,
+};
@@ -0,0 +1,3 @@
+-- Segredo do webhook por instância (apenas o hash SHA-256 do token é armazenado)
+alter table public.whatsapp
+  add column if not exists webhook_secret_hash text;
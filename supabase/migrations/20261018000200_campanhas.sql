@@ -0,0 +1,35 @@
+-- Campanhas enviadas pelo dispatcher interno (CAMPANHAS_BACKEND=interno)
+create table if not exists public.campanhas (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null references public.usuarios (id) on delete cascade,
+  nome text not null,
+  tipo text not null default 'texto',
+  mensagem text,
+  url_anexo text,
+  config_envio jsonb not null default '{}'::jsonb,
+  -- draft | running | paused | finished | failed
+  status text not null default 'draft',
+  erro text,
+  iniciado_em timestamptz,
+  finalizado_em timestamptz,
+  criado_em timestamptz not null default now(),
+  atualizado_em timestamptz not null default now()
+);
+
+create index if not exists campanhas_user_id_status_idx on public.campanhas (user_id, status);
+
+create table if not exists public.campanha_destinatarios (
+  id bigint generated by default as identity primary key,
+  campanha_id bigint not null references public.campanhas (id) on delete cascade,
+  numero text not null,
+  -- pending | sent | failed
+  status text not null default 'pending',
+  message_id text,
+  erro text,
+  enviado_em timestamptz,
+  criado_em timestamptz not null default now()
+);
+
+-- O dispatcher busca os pendentes de cada campanha em ordem de id
+create index if not exists campanha_destinatarios_campanha_status_idx
+  on public.campanha_destinatarios (campanha_id, status, id);
@@ -0,0 +1,12 @@
+-- Contagem de destinatários por status, usada pelos endpoints de acompanhamento de campanhas
+create or replace view public.campanha_progresso as
+select
+  campanha_id,
+  count(*) as total,
+  count(*) filter (where status = 'pending') as pending,
+  count(*) filter (where status = 'sent') as sent,
+  count(*) filter (where status = 'delivered') as delivered,
+  count(*) filter (where status in ('read', 'played')) as read,
+  count(*) filter (where status = 'failed') as failed
+from public.campanha_destinatarios
+group by campanha_id;
@@ -0,0 +1,11 @@
+-- Confirmações de envio, entrega e leitura recebidas pelo webhook (messages.update / send.message)
+alter table public.campanha_destinatarios
+  add column if not exists confirmado_em timestamptz,
+  add column if not exists entregue_em timestamptz,
+  add column if not exists lido_em timestamptz,
+  add column if not exists reproduzido_em timestamptz,
+  add column if not exists falhou_em timestamptz;
+
+-- O webhook localiza o destinatário pelo id da mensagem no WhatsApp
+create index if not exists campanha_destinatarios_message_id_idx
+  on public.campanha_destinatarios (message_id);
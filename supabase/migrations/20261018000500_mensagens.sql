@@ -0,0 +1,40 @@
+-- Caixa de entrada: mensagens recebidas (messages.upsert) e respostas enviadas pela API
+create table if not exists public.mensagens (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null references public.usuarios (id) on delete cascade,
+  whatsapp_id bigint references public.whatsapp (id) on delete set null,
+  message_id text unique,
+  contato text not null,
+  nome_contato text,
+  -- entrada | saida
+  direcao text not null,
+  -- texto | imagem | video | audio | documento | sticker | outro
+  tipo text not null default 'texto',
+  texto text,
+  -- nome do arquivo na pasta de uploads do usuário
+  arquivo text,
+  mimetype text,
+  campanha_id bigint references public.campanhas (id) on delete set null,
+  criado_em timestamptz not null default now()
+);
+
+create index if not exists mensagens_user_contato_idx on public.mensagens (user_id, contato, criado_em desc);
+
+-- Última mensagem de cada conversa (usuário + contato)
+create or replace view public.conversas as
+select distinct on (user_id, contato)
+  user_id,
+  contato,
+  nome_contato,
+  whatsapp_id,
+  campanha_id,
+  direcao,
+  tipo,
+  texto,
+  criado_em as ultima_mensagem_em
+from public.mensagens
+order by user_id, contato, criado_em desc;
+
+-- Busca da última campanha enviada a um contato
+create index if not exists campanha_destinatarios_numero_idx
+  on public.campanha_destinatarios (numero, enviado_em desc);
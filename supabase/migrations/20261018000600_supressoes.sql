@@ -0,0 +1,11 @@
+-- Lista de supressão (opt-out) por usuário
+create table if not exists public.supressoes (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null references public.usuarios (id) on delete cascade,
+  numero text not null,
+  -- palavra_chave | manual | importacao
+  origem text not null,
+  motivo text,
+  criado_em timestamptz not null default now(),
+  unique (user_id, numero)
+);
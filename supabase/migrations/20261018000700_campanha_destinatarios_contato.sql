@@ -0,0 +1,4 @@
+-- Nome e campos personalizados do contato, vindos da lista manual ou do arquivo importado
+alter table public.campanha_destinatarios
+  add column if not exists nome text,
+  add column if not exists campos jsonb not null default '{}'::jsonb;
@@ -0,0 +1,46 @@
+-- Contatos reutilizáveis entre campanhas, com campos personalizados e tags
+create table if not exists public.contatos (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null references public.usuarios (id) on delete cascade,
+  numero text not null,
+  nome text,
+  campos jsonb not null default '{}'::jsonb,
+  tags text[] not null default '{}',
+  criado_em timestamptz not null default now(),
+  atualizado_em timestamptz not null default now(),
+  unique (user_id, numero)
+);
+
+create index if not exists contatos_tags_idx on public.contatos using gin (tags);
+
+create table if not exists public.listas (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null references public.usuarios (id) on delete cascade,
+  nome text not null,
+  descricao text,
+  criado_em timestamptz not null default now(),
+  atualizado_em timestamptz not null default now(),
+  unique (user_id, nome)
+);
+
+create table if not exists public.lista_contatos (
+  lista_id bigint not null references public.listas (id) on delete cascade,
+  contato_id bigint not null references public.contatos (id) on delete cascade,
+  criado_em timestamptz not null default now(),
+  primary key (lista_id, contato_id)
+);
+
+create index if not exists lista_contatos_contato_id_idx on public.lista_contatos (contato_id);
+
+-- Tags em uso por usuário, com a quantidade de contatos em cada uma
+create or replace view public.contato_tags as
+select user_id, tag, count(*)::int as total
+from public.contatos, unnest(tags) as tag
+group by user_id, tag;
+
+-- Quantidade de contatos por lista
+create or replace view public.lista_totais as
+select l.id as lista_id, count(lc.contato_id)::int as total_contatos
+from public.listas l
+left join public.lista_contatos lc on lc.lista_id = l.id
+group by l.id;
@@ -0,0 +1,13 @@
+-- Agendamento e janela de envio das campanhas.
+-- status ganha 'scheduled' (aguardando agendado_para).
+alter table public.campanhas
+  add column if not exists agendado_para timestamptz,
+  -- { dias: [1..5], inicio: '08:00', fim: '20:00', fuso: 'America/Sao_Paulo' }
+  add column if not exists janela_envio jsonb,
+  -- manual | fora_janela | whatsapp_desconectado
+  add column if not exists pausa_motivo text;
+
+-- O agendador busca a cada minuto as campanhas agendadas vencidas
+create index if not exists campanhas_agendado_para_idx
+  on public.campanhas (agendado_para)
+  where status = 'scheduled';
@@ -0,0 +1,32 @@
+-- Retenção dos arquivos enviados por /v1/storage e registro das remoções feitas pela limpeza.
+
+-- Plano do usuário, usado para escolher a retenção padrão do plano
+alter table public.usuarios
+  add column if not exists plano text;
+
+-- Retenção, em horas, por usuário ou por plano. A do usuário tem prioridade sobre a do plano;
+-- sem nenhuma das duas, vale STORAGE_RETENTION_HOURS (padrão: 24).
+create table if not exists public.retencao_arquivos (
+  id bigint generated by default as identity primary key,
+  user_id uuid unique references public.usuarios (id) on delete cascade,
+  plano text unique,
+  horas integer not null check (horas > 0),
+  criado_em timestamptz not null default now(),
+  check ((user_id is null) <> (plano is null))
+);
+
+-- Arquivos removidos pela limpeza. user_id é o nome da pasta no armazenamento, por isso text.
+create table if not exists public.arquivos_removidos (
+  id bigint generated by default as identity primary key,
+  user_id text not null,
+  arquivo text not null,
+  tamanho bigint,
+  modificado_em timestamptz,
+  retencao_horas integer not null,
+  -- cron | manual
+  origem text not null,
+  removido_em timestamptz not null default now()
+);
+
+create index if not exists arquivos_removidos_user_id_idx
+  on public.arquivos_removidos (user_id, removido_em desc);
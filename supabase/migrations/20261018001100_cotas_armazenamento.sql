@@ -0,0 +1,10 @@
+-- Cota de armazenamento, em megabytes, por usuário ou por plano. A do usuário tem prioridade
+-- sobre a do plano (usuarios.plano); sem nenhuma das duas, vale STORAGE_QUOTA_MB (sem limite se vazia).
+create table if not exists public.cotas_armazenamento (
+  id bigint generated by default as identity primary key,
+  user_id uuid unique references public.usuarios (id) on delete cascade,
+  plano text unique,
+  megabytes integer not null check (megabytes > 0),
+  criado_em timestamptz not null default now(),
+  check ((user_id is null) <> (plano is null))
+);
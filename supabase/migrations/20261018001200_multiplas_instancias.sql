@@ -0,0 +1,17 @@
+-- Vários números de WhatsApp por usuário: rótulo e peso de cada instância
+alter table public.whatsapp
+  add column if not exists rotulo text,
+  add column if not exists peso integer not null default 1 check (peso between 1 and 100);
+
+-- Instâncias ativas de um usuário (listagem, escolha da campanha e rotação)
+create index if not exists whatsapp_user_id_ativas_idx
+  on public.whatsapp (user_id, id) where is_active;
+
+-- Instâncias escolhidas para a campanha (null = todas as conectadas do usuário).
+-- A forma de rotação fica em config_envio.rotacao ('round_robin' ou 'peso').
+alter table public.campanhas
+  add column if not exists instancias bigint[];
+
+-- Instância que enviou a mensagem ao destinatário
+alter table public.campanha_destinatarios
+  add column if not exists whatsapp_id bigint references public.whatsapp (id) on delete set null;
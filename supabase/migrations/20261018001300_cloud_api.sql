@@ -0,0 +1,26 @@
+-- Instâncias da API oficial do WhatsApp (Cloud API da Meta), ao lado das da Evolution API.
+-- tipo_integracao: 'WHATSAPP-BAILEYS' (Evolution) ou 'WHATSAPP-CLOUD-API'.
+update public.whatsapp set tipo_integracao = 'WHATSAPP-BAILEYS' where tipo_integracao is null;
+
+alter table public.whatsapp
+  add column if not exists cloud_phone_number_id text,
+  add column if not exists cloud_business_account_id text,
+  add column if not exists cloud_access_token text;
+
+alter table public.whatsapp
+  drop constraint if exists whatsapp_tipo_integracao_check,
+  add constraint whatsapp_tipo_integracao_check
+    check (tipo_integracao in ('WHATSAPP-BAILEYS', 'WHATSAPP-CLOUD-API'));
+
+-- O webhook da Cloud API identifica a instância pelo id do número; cada número fica em uma só instância ativa
+create unique index if not exists whatsapp_cloud_phone_number_id_idx
+  on public.whatsapp (cloud_phone_number_id) where is_active and cloud_phone_number_id is not null;
+
+-- Provedor das novas instâncias do usuário no /setup (null = WHATSAPP_PROVIDER do servidor)
+alter table public.usuarios
+  add column if not exists provedor_whatsapp text
+    check (provedor_whatsapp in ('WHATSAPP-BAILEYS', 'WHATSAPP-CLOUD-API'));
+
+-- Template da Cloud API das campanhas de tipo 'template': { nome, idioma, parametros }
+alter table public.campanhas
+  add column if not exists template jsonb;
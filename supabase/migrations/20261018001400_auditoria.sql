@@ -0,0 +1,40 @@
+-- Trilha de auditoria das ações sobre instâncias e campanhas (só inserção)
+create table if not exists public.auditoria (
+  id bigint generated by default as identity primary key,
+  -- Quem executou: o usuário do JWT, ou null com a chave de serviço
+  ator_id uuid,
+  -- usuario | servico
+  ator_tipo text not null,
+  -- Dono do recurso afetado. Sem foreign key: o registro sobrevive à remoção do usuário
+  user_id uuid,
+  -- whatsapp.setup | whatsapp.disconnect | whatsapp.delete | campanha.iniciar | campanha.pausar
+  acao text not null,
+  -- whatsapp | campanha
+  alvo_tipo text not null,
+  alvo_id text,
+  request_id text,
+  ip text,
+  -- sucesso | falha
+  resultado text not null,
+  status_http integer,
+  erro text,
+  -- Campos alterados: { "status": { "antes": "connected", "depois": "disconnected" } }
+  mudancas jsonb not null default '{}'::jsonb,
+  criado_em timestamptz not null default now()
+);
+
+create index if not exists auditoria_user_id_criado_em_idx on public.auditoria (user_id, criado_em desc);
+create index if not exists auditoria_acao_criado_em_idx on public.auditoria (acao, criado_em desc);
+
+-- Registros não podem ser alterados nem removidos, nem pela service role
+create or replace function public.auditoria_somente_insercao() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'A tabela auditoria aceita apenas inserções';
+end;
+$$;
+
+drop trigger if exists auditoria_somente_insercao on public.auditoria;
+create trigger auditoria_somente_insercao
+  before update or delete on public.auditoria
+  for each row execute function public.auditoria_somente_insercao();
@@ -0,0 +1,28 @@
+-- Respostas guardadas por Idempotency-Key, para repetir a primeira resposta nas novas tentativas do cliente
+create table if not exists public.idempotencia (
+  id bigint generated by default as identity primary key,
+  -- Dono da chave: o user_id do JWT ou 'servico' para a chave de API
+  ator text not null,
+  chave text not null,
+  -- Método e rota (POST /v1/disparos/criar-campanha) e hash do body da primeira requisição
+  rota text not null,
+  body_hash text not null,
+  -- processando | concluida
+  status text not null default 'processando',
+  status_http integer,
+  resposta jsonb,
+  criado_em timestamptz not null default now(),
+  expira_em timestamptz not null,
+  unique (ator, chave)
+);
+
+create index if not exists idempotencia_expira_em_idx on public.idempotencia (expira_em);
+
+-- Travas entre requisições e réplicas da API (ex.: um /whatsapp/setup por usuário de cada vez).
+-- A linha existe enquanto a trava está com alguém; expira_em libera travas de processos que caíram.
+create table if not exists public.travas (
+  chave text primary key,
+  dono text not null,
+  expira_em timestamptz not null,
+  criado_em timestamptz not null default now()
+);
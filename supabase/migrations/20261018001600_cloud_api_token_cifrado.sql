@@ -0,0 +1,12 @@
+-- Tokens de acesso da Cloud API passam a ser salvos cifrados (AES-256-GCM, com CLOUD_API_TOKEN_SECRET).
+-- A coluna é renomeada para que nenhum código leia o valor como texto puro. Os tokens já salvos
+-- são cifrados pela API ao iniciar (encryptLegacyTokens em services/whatsapp/cloudApi.js).
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'whatsapp' and column_name = 'cloud_access_token'
+  ) then
+    alter table public.whatsapp rename column cloud_access_token to cloud_access_token_cifrado;
+  end if;
+end $$;
@@ -0,0 +1,8 @@
+-- Reserva da campanha em execução: só o processo em executor envia, enquanto executor_ate não
+-- vencer. Impede que reinícios, réplicas ou cold starts enviem a mesma campanha duas vezes.
+alter table public.campanhas
+  add column if not exists executor text,
+  add column if not exists executor_ate timestamptz;
+
+create index if not exists campanhas_running_executor_ate_idx
+  on public.campanhas (executor_ate) where status = 'running';
@@ -0,0 +1,2 @@
+-- Status dos destinatários desde as confirmações do webhook (20261018000400_campanha_destinatarios_recibos.sql)
+comment on column public.campanha_destinatarios.status is 'pending | sent | delivered | read | played | failed';
@@ -0,0 +1,4 @@
+-- Eventos com que o webhook de cada instância foi registrado na Evolution API.
+-- Quando a API passa a tratar outros eventos, o webhook é registrado de novo.
+alter table public.whatsapp
+  add column if not exists webhook_eventos text[];
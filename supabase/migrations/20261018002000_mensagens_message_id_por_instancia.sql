@@ -0,0 +1,6 @@
+-- O id da mensagem é único só dentro da instância que a enviou ou recebeu: ids iguais em
+-- instâncias diferentes são mensagens diferentes e precisam ser registradas
+alter table public.mensagens drop constraint if exists mensagens_message_id_key;
+
+alter table public.mensagens
+  add constraint mensagens_whatsapp_id_message_id_key unique (whatsapp_id, message_id);
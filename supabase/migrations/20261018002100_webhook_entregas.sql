@@ -0,0 +1,14 @@
+-- Entregas de webhook já processadas ou em processamento, compartilhadas entre as réplicas da API,
+-- para que um reenvio do provedor não seja processado duas vezes por processos diferentes
+create table if not exists public.webhook_entregas (
+  -- Hash do payload da entrega
+  entrega text primary key,
+  -- Token do processo que a reservou, para que só ele a conclua ou libere
+  dono text not null,
+  -- processando | concluida
+  status text not null default 'processando',
+  criado_em timestamptz not null default now(),
+  expira_em timestamptz not null
+);
+
+create index if not exists webhook_entregas_expira_em_idx on public.webhook_entregas (expira_em);
@@ -0,0 +1,11 @@
+-- A resposta guardada passa a ser o corpo exato enviado ao cliente, com o seu Content-Type:
+-- rotas que repassam respostas de outros serviços (n8n) podem responder com texto, não só JSON
+alter table public.idempotencia
+  alter column resposta type text using resposta::text;
+
+alter table public.idempotencia
+  add column if not exists content_type text;
+
+update public.idempotencia
+set content_type = 'application/json; charset=utf-8'
+where resposta is not null and content_type is null;
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('./config/supabase');
+const logger = require('./logger');
+const { ensureOwnUser, resolveUserId } = require('./auth');
+const { validate } = require('./validationMiddleware');
+const { idempotency } = require('./idempotencyMiddleware');
+const schemas = require('./schemas/suppression');
+const { parsePagination } = require('./utils/pagination');
+const { suppressNumbers } = require('./services/optOut');
+const { normalizePhone, normalizePhoneList } = require('./utils/phone');
+
+const toDigits = (numero) => String(numero ?? '').replace(/\D/g, '');
+
+/**
+ * @swagger
+ * /v1/supressoes:
+ *   get:
+ *     summary: Lista a lista de supressão (opt-out) do usuário
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: supressoes.listar
+ *     responses:
+ *       200:
+ *         description: Página de números suprimidos, dos mais recentes para os mais antigos
+ *       400:
+ *         description: user_id não fornecido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.get('/', ensureOwnUser, validate(schemas.listar), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    let query = supabase
+      .from('supressoes')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (req.query.numero) {
+      query = query.ilike('numero', `%${toDigits(req.query.numero)}%`);
+    }
+
+    const { data: supressoes, count, error } = await query
+      .order('criado_em', { ascending: false })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, supressoes, paginacao: { page, limit, total: count } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/supressoes:
+ *   post:
+ *     summary: Adiciona um número à lista de supressão
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: supressoes.adicionar
+ *     x-idempotent: true
+ *     responses:
+ *       201:
+ *         description: Número adicionado (ou já presente) na lista de supressão
+ *       400:
+ *         description: Número inválido
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/', ensureOwnUser, validate(schemas.adicionar), idempotency, async (req, res, next) => {
+  const { user_id, motivo } = req.body;
+  const { valido, numero, motivo: motivoInvalido } = normalizePhone(req.body.numero);
+
+  if (!valido) {
+    return res.status(400).json({ success: false, error: `Número inválido: ${motivoInvalido}`, code: 'INVALID_NUMBER' });
+  }
+
+  try {
+    await suppressNumbers(user_id, [numero], 'manual', motivo || null);
+    logger.info(`Número ${numero} adicionado à lista de supressão do usuário ${user_id}.`);
+    res.status(201).json({ success: true, numero });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/supressoes/importar:
+ *   post:
+ *     summary: Importa números em massa para a lista de supressão
+ *     description: "Os números são normalizados como no criar-campanha. Entradas inválidas são ignoradas e devolvidas na resposta com o motivo. Números já suprimidos são mantidos."
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: supressoes.importar
+ *     x-idempotent: true
+ *     responses:
+ *       200:
+ *         description: Resultado da importação
+ *       400:
+ *         description: Lista ausente ou muito grande
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.post('/importar', ensureOwnUser, validate(schemas.importar), idempotency, async (req, res, next) => {
+  const { user_id, numeros, motivo } = req.body;
+
+  try {
+    const { validos, invalidos } = normalizePhoneList(numeros);
+
+    const importados = await suppressNumbers(user_id, validos.map((v) => v.numero), 'importacao', motivo || null);
+    logger.info(`${importados} números importados para a lista de supressão do usuário ${user_id}.`);
+
+    res.json({ success: true, importados, invalidos });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/supressoes/{numero}:
+ *   delete:
+ *     summary: Remove um número da lista de supressão
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     x-schema: supressoes.remover
+ *     responses:
+ *       200:
+ *         description: Número removido da lista de supressão
+ *       401:
+ *         description: Chave de API inválida ou não fornecida
+ *       404:
+ *         description: Número não está na lista de supressão
+ *       500:
+ *         description: Erro interno no servidor
+ */
+router.delete('/:numero', ensureOwnUser, validate(schemas.remover), async (req, res, next) => {
+  const userId = resolveUserId(req, req.query.user_id);
+  const normalized = normalizePhone(req.params.numero);
+  const numero = normalized.valido ? normalized.numero : toDigits(req.params.numero);
+
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'user_id é obrigatório' });
+  }
+
+  try {
+    const { data: removidos, error } = await supabase
+      .from('supressoes')
+      .delete()
+      .eq('user_id', userId)
+      .eq('numero', numero)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (removidos.length === 0) {
+      return res.status(404).json({ success: false, error: 'Número não está na lista de supressão' });
+    }
+
+    logger.info(`Número ${numero} removido da lista de supressão do usuário ${userId}.`);
+    res.json({ success: true, message: 'Número removido da lista de supressão' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const swaggerJSDoc = require('swagger-jsdoc');
 const path = require('path');
+const routeSchemas = require('./schemas');
+const { metaOf, toOpenApiSchema, toParameters } = require('./utils/joiToOpenApi');
 
 const swaggerDefinition = {
   openapi: '3.0.0',
@@ -21,20 +23,90 @@ const swaggerDefinition = {
         in: 'header',
         name: 'x-api-key',
       },
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+      },
+    },
+    parameters: {
+      IdempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: 'Chave única da ação (ex.: um UUID). Repetições com a mesma chave devolvem a primeira resposta, com o cabeçalho Idempotent-Replayed; a mesma chave com outro body responde 422 (IDEMPOTENCY_KEY_MISMATCH) e, enquanto a primeira requisição não termina, 409 (IDEMPOTENCY_KEY_IN_USE).',
+        schema: { type: 'string', maxLength: 255 },
+      },
     },
   },
   security: [
     {
       apiKey: [],
     },
+    {
+      bearerAuth: [],
+    },
   ],
 };
 
 const options = {
   swaggerDefinition,
-  apis: [path.join(__dirname, './index.js'), path.join(__dirname, './instanceRoutes.js')], 
+  apis: [
+    path.join(__dirname, './index.js'),
+    path.join(__dirname, './instanceRoutes.js'),
+    path.join(__dirname, './campaignRoutes.js'),
+    path.join(__dirname, './inboxRoutes.js'),
+    path.join(__dirname, './suppressionRoutes.js'),
+    path.join(__dirname, './contactRoutes.js'),
+    path.join(__dirname, './listRoutes.js'),
+    path.join(__dirname, './monitoringRoutes.js'),
+    path.join(__dirname, './auditRoutes.js'),
+  ],
 };
 
 const swaggerSpec = swaggerJSDoc(options);
 
+const toPascalCase = (value) => value.replace(/(^|[^a-zA-Z0-9])([a-zA-Z0-9])/g, (_, __, char) => char.toUpperCase());
+
+// Parâmetros e body das operações vêm dos mesmos schemas Joi usados pelo validate().
+// No JSDoc, cada operação indica sua rota em schemas/ com x-schema: <grupo>.<rota>.
+swaggerSpec.components.schemas = swaggerSpec.components.schemas || {};
+for (const [route, operations] of Object.entries(swaggerSpec.paths)) {
+  for (const operation of Object.values(operations)) {
+    const reference = operation['x-schema'];
+    if (!reference) continue;
+
+    const [group, name] = reference.split('.');
+    const schemas = routeSchemas[group]?.[name];
+    if (!schemas) {
+      throw new Error(`Schema "${reference}" da documentação de ${route} não encontrado em schemas/`);
+    }
+    delete operation['x-schema'];
+
+    const components = swaggerSpec.components.schemas;
+    const parameters = [
+      ...toParameters(schemas.params, 'path', components),
+      ...toParameters(schemas.query, 'query', components),
+    ];
+    // Rotas com o middleware idempotency marcam x-idempotent: true no JSDoc
+    if (operation['x-idempotent']) {
+      parameters.push({ $ref: '#/components/parameters/IdempotencyKey' });
+      delete operation['x-idempotent'];
+    }
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+
+    if (schemas.body) {
+      const componentName = toPascalCase(`${group}-${name}`);
+      const { contentType = 'application/json' } = metaOf(schemas.body.describe());
+      components[componentName] = toOpenApiSchema(schemas.body, components);
+      operation.requestBody = {
+        required: true,
+        content: { [contentType]: { schema: { $ref: `#/components/schemas/${componentName}` } } },
+      };
+    }
+  }
+}
+
 module.exports = swaggerSpec;
\ No newline at end of file
@@ -0,0 +1,144 @@
+const http = require('http');
+const express = require('express');
+const chai = require('chai');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { diffFields, listAudit } = require('../services/audit');
+const { audit } = require('../auditMiddleware');
+const { parseTrustProxy } = require('../config/proxy');
+const { idempotency } = require('../idempotencyMiddleware');
+const requestId = require('../requestIdMiddleware');
+const expect = chai.expect;
+
+const USER = '49e72cf1-ac56-463d-bc11-189907599938';
+
+describe('Audit trail', () => {
+  let db;
+
+  beforeEach(() => {
+    db = installFakeSupabase({ unique: { idempotencia: [['ator', 'chave']] } });
+  });
+
+  afterEach(() => db.restore());
+
+  it('diffs only the fields that changed', () => {
+    expect(diffFields({ status: 'connected', is_active: true }, { status: 'disconnected', is_active: true }))
+      .to.deep.equal({ status: { antes: 'connected', depois: 'disconnected' } });
+    expect(diffFields(undefined, { status: 'disconnected' }))
+      .to.deep.equal({ status: { antes: null, depois: 'disconnected' } });
+  });
+
+  describe('audit middleware', () => {
+    let server;
+    let port;
+
+    before((done) => {
+      const app = express();
+      app.set('trust proxy', parseTrustProxy('loopback'));
+      app.use(express.json());
+      app.use(requestId);
+      app.use((req, res, next) => { req.user = { id: USER, isService: false }; next(); });
+      app.post('/disconnect', audit('whatsapp.disconnect', 'whatsapp'), idempotency, (req, res) => {
+        res.locals.auditoria = { alvo_id: 7, antes: { status: 'connected' } };
+        if (req.body.falhar) {
+          return res.status(502).json({ success: false, error: 'Erro ao desconectar WhatsApp', details: 'Evolution API indisponível' });
+        }
+        res.locals.auditoria.depois = { status: 'disconnected' };
+        res.json({ success: true });
+      });
+      server = app.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    after((done) => server.close(done));
+
+    const post = (body, headers = {}) => new Promise((resolve, reject) => {
+      const req = http.request({
+        port,
+        method: 'POST',
+        path: '/disconnect',
+        headers: { 'content-type': 'application/json', ...headers },
+      }, (res) => res.resume().on('end', () => setImmediate(() => resolve(res))));
+      req.on('error', reject);
+      req.end(JSON.stringify(body));
+    });
+
+    it('records actor, target, request id and the status diff', async () => {
+      const res = await post({ user_id: USER }, { 'x-request-id': 'req-123' });
+
+      expect(res.headers['x-request-id']).to.equal('req-123');
+      expect(db.tables.auditoria).to.have.length(1);
+      expect(db.tables.auditoria[0]).to.deep.include({
+        ator_id: USER,
+        ator_tipo: 'usuario',
+        user_id: USER,
+        acao: 'whatsapp.disconnect',
+        alvo_tipo: 'whatsapp',
+        alvo_id: '7',
+        request_id: 'req-123',
+        resultado: 'sucesso',
+        status_http: 200,
+        erro: null,
+        mudancas: { status: { antes: 'connected', depois: 'disconnected' } },
+      });
+      expect(db.tables.auditoria[0].ip).to.be.a('string');
+    });
+
+    it('records the client IP forwarded by a trusted proxy', async () => {
+      await post({ user_id: USER }, { 'x-forwarded-for': '198.51.100.20, 203.0.113.7' });
+
+      expect(db.tables.auditoria[0].ip).to.equal('203.0.113.7');
+    });
+
+    it('records failures with the error returned to the client', async () => {
+      const res = await post({ user_id: USER, falhar: true }, { 'x-request-id': 'id inválido!' });
+
+      const [registro] = db.tables.auditoria;
+      expect(registro.request_id).to.equal(res.headers['x-request-id']).and.not.equal('id inválido!');
+      expect(registro).to.deep.include({
+        resultado: 'falha',
+        status_http: 502,
+        erro: 'Erro ao desconectar WhatsApp: Evolution API indisponível',
+        mudancas: {},
+      });
+    });
+
+    it('does not record responses replayed for a repeated Idempotency-Key', async () => {
+      await post({ user_id: USER }, { 'idempotency-key': 'k1' });
+      const repetida = await post({ user_id: USER }, { 'idempotency-key': 'k1' });
+
+      expect(repetida.headers['idempotent-replayed']).to.equal('true');
+      expect(db.tables.auditoria).to.have.length(1);
+    });
+  });
+
+  it('parses TRUST_PROXY as hop count, boolean or address list', () => {
+    expect(parseTrustProxy(undefined)).to.equal(false);
+    expect(parseTrustProxy('false')).to.equal(false);
+    expect(parseTrustProxy('true')).to.equal(true);
+    expect(parseTrustProxy('1')).to.equal(1);
+    expect(parseTrustProxy('loopback, 10.0.0.0/8')).to.deep.equal(['loopback', '10.0.0.0/8']);
+  });
+
+  it('filters the log by user, action and date range, newest first', async () => {
+    db.tables.auditoria = [
+      { id: 1, user_id: USER, acao: 'whatsapp.setup', criado_em: '2026-10-01T10:00:00.000Z' },
+      { id: 2, user_id: USER, acao: 'campanha.iniciar', criado_em: '2026-10-05T10:00:00.000Z' },
+      { id: 3, user_id: USER, acao: 'campanha.iniciar', criado_em: '2026-10-09T10:00:00.000Z' },
+      { id: 4, user_id: 'outro', acao: 'campanha.iniciar', criado_em: '2026-10-06T10:00:00.000Z' },
+    ];
+
+    const { registros, total } = await listAudit({
+      userId: USER,
+      acao: 'campanha.iniciar',
+      de: new Date('2026-10-02T00:00:00Z'),
+      ate: new Date('2026-10-10T00:00:00Z'),
+      from: 0,
+      to: 19,
+    });
+
+    expect(total).to.equal(2);
+    expect(registros.map((r) => r.id)).to.deep.equal([3, 2]);
+  });
+});
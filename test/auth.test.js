@@ -0,0 +1,114 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const express = require('express');
+const http = require('http');
+const { supabase } = require('./helpers/fakeSupabase');
+const { authenticate, ensureOwnUser, tokenFromQuery } = require('../auth');
+const expect = chai.expect;
+
+const USER_ID = 'user-1';
+const OTHER_USER_ID = 'user-2';
+
+describe('Authentication', () => {
+  let server;
+  let baseUrl;
+  let getUserStub;
+  let streamUrls;
+
+  before((done) => {
+    const app = express();
+    app.use(express.json());
+    const echo = (req, res) => res.json({ user: req.user, body: req.body });
+    app.get('/usuarios/:user_id', authenticate, ensureOwnUser, echo);
+    app.get('/arquivos', authenticate, ensureOwnUser, echo);
+    app.post('/acoes', authenticate, ensureOwnUser, echo);
+    app.get('/eventos', tokenFromQuery, authenticate, (req, res) => {
+      streamUrls.push(req.originalUrl);
+      res.json({ user: req.user });
+    });
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => server.close(done));
+
+  beforeEach(() => {
+    streamUrls = [];
+    getUserStub = sinon.stub(supabase.auth, 'getUser').callsFake(async (token) => (
+      token === 'jwt-valido'
+        ? { data: { user: { id: USER_ID, email: 'ana@exemplo.com' } }, error: null }
+        : { data: { user: null }, error: { message: 'invalid JWT' } }
+    ));
+  });
+
+  afterEach(() => sinon.restore());
+
+  const request = (method, path, { headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: { ...headers, ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }) },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        const json = res.headers['content-type']?.includes('application/json');
+        resolve({ status: res.statusCode, body: json ? JSON.parse(data) : data });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  const asUser = { Authorization: 'Bearer jwt-valido' };
+  const asService = { 'x-api-key': process.env.API_KEY };
+
+  it('rejects requests without credentials or with a wrong key or token', async () => {
+    expect((await request('GET', `/usuarios/${USER_ID}`)).status).to.equal(401);
+    expect((await request('GET', `/usuarios/${USER_ID}`, { headers: { 'x-api-key': 'errada' } })).status).to.equal(401);
+    expect((await request('GET', `/usuarios/${USER_ID}`, { headers: { Authorization: 'Bearer expirado' } })).status).to.equal(401);
+  });
+
+  it('lets a JWT user act on their own user_id and fills it in the body', async () => {
+    expect((await request('GET', `/usuarios/${USER_ID}`, { headers: asUser })).status).to.equal(200);
+
+    const { status, body } = await request('POST', '/acoes', { headers: asUser, body: { nome: 'teste' } });
+    expect(status).to.equal(200);
+    expect(body.body).to.deep.equal({ nome: 'teste', user_id: USER_ID });
+  });
+
+  it('forbids a JWT user from naming another user in params, query or body', async () => {
+    const respostas = [
+      await request('GET', `/usuarios/${OTHER_USER_ID}`, { headers: asUser }),
+      await request('GET', `/arquivos?user_id=${OTHER_USER_ID}`, { headers: asUser }),
+      await request('POST', '/acoes', { headers: asUser, body: { user_id: OTHER_USER_ID } }),
+    ];
+
+    for (const { status, body } of respostas) {
+      expect(status).to.equal(403);
+      expect(body).to.include({ success: false, code: 'FORBIDDEN_USER' });
+    }
+  });
+
+  it('lets the service key act for any user', async () => {
+    expect((await request('GET', `/usuarios/${OTHER_USER_ID}`, { headers: asService })).status).to.equal(200);
+    expect((await request('GET', `/arquivos?user_id=${OTHER_USER_ID}`, { headers: asService })).status).to.equal(200);
+
+    const { status, body } = await request('POST', '/acoes', { headers: asService, body: { user_id: OTHER_USER_ID } });
+    expect(status).to.equal(200);
+    expect(body.body.user_id).to.equal(OTHER_USER_ID);
+    expect(body.user).to.include({ isService: true });
+    expect(getUserStub.called).to.be.false;
+  });
+
+  it('accepts the JWT in access_token and masks it in the logged URL', async () => {
+    const { status, body } = await request('GET', '/eventos?access_token=jwt-valido&tipo=status');
+
+    expect(status).to.equal(200);
+    expect(body.user).to.include({ id: USER_ID });
+    expect(getUserStub.firstCall.args[0]).to.equal('jwt-valido');
+    expect(streamUrls).to.deep.equal(['/eventos?access_token=***&tipo=status']);
+  });
+});
@@ -0,0 +1,260 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const axios = require('axios');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { startCampaign, pauseCampaign, resumeRunningCampaigns } = require('../services/campaignDispatcher');
+const expect = chai.expect;
+
+const USER_ID = 'user-1';
+
+const waitFor = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Tempo esgotado aguardando condição');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+describe('Campaign dispatcher', () => {
+  let db;
+  let axiosPostStub;
+  let axiosGetStub;
+
+  const campaign = () => db.tables.campanhas[0];
+  const recipients = () => db.tables.campanha_destinatarios;
+
+  beforeEach(() => {
+    db = installFakeSupabase();
+    db.tables.whatsapp = [{ id: 1, user_id: USER_ID, nome_instancia: 'inst_1', status: 'connected', is_active: true }];
+    db.tables.campanhas = [{
+      id: 1,
+      user_id: USER_ID,
+      tipo: 'texto',
+      mensagem: 'Olá!',
+      config_envio: { lote: 2, atraso_lote: 0, atraso_msg: 0 },
+      status: 'draft'
+    }];
+    db.tables.campanha_destinatarios = ['5511900000001', '5511900000002', '5511900000003', '5511900000004', '5511900000005']
+      .map((numero, i) => ({ id: i + 1, campanha_id: 1, numero, status: 'pending' }));
+
+    let messageCount = 0;
+    axiosPostStub = sinon.stub(axios, 'post').callsFake(async () => {
+      messageCount += 1;
+      return { data: { key: { id: `MSG${messageCount}` } } };
+    });
+    axiosGetStub = sinon.stub(axios, 'get').resolves({ data: { instance: { state: 'open' } } });
+  });
+
+  afterEach(() => {
+    axiosPostStub.restore();
+    axiosGetStub.restore();
+    db.restore();
+  });
+
+  it('sends every pending recipient in order and finishes the campaign', async () => {
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'finished');
+
+    const numbers = axiosPostStub.args.map((args) => args[1].number);
+    expect(numbers).to.deep.equal(recipients().map((r) => r.numero));
+    expect(axiosPostStub.args[0][0]).to.include('/message/sendText/inst_1');
+    expect(recipients().every((r) => r.status === 'sent')).to.be.true;
+    expect(recipients()[0].message_id).to.equal('MSG1');
+    expect(campaign().finalizado_em).to.be.a('string');
+  });
+
+  it('fills the message variables with each recipient data', async () => {
+    campaign().mensagem = 'Oi {{primeiro_nome|cliente}}, até {{cidade}}!';
+    Object.assign(recipients()[0], { nome: 'Ana Souza', campos: { cidade: 'Campinas' } });
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'finished');
+
+    expect(axiosPostStub.args[0][1].text).to.equal('Oi Ana, até Campinas!');
+    expect(axiosPostStub.args[1][1].text).to.equal('Oi cliente, até !');
+  });
+
+  it('resumes exactly where it was paused', async () => {
+    let pausing;
+    axiosPostStub.onCall(1).callsFake(async () => {
+      pausing = pauseCampaign(1);
+      return { data: { key: { id: 'MSG2' } } };
+    });
+
+    await startCampaign(1);
+    await waitFor(() => pausing);
+    await pausing;
+
+    expect(campaign().status).to.equal('paused');
+    expect(recipients().filter((r) => r.status === 'sent')).to.have.length(2);
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'finished');
+
+    const numbers = axiosPostStub.args.map((args) => args[1].number);
+    expect(numbers).to.deep.equal(recipients().map((r) => r.numero));
+  });
+
+  it('marks failed recipients with the error reason and keeps sending', async () => {
+    axiosPostStub.onCall(0).rejects({ response: { data: { response: { message: 'número inexistente' } } } });
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'finished');
+
+    expect(recipients()[0]).to.include({ status: 'failed', erro: 'número inexistente', whatsapp_id: 1 });
+    expect(recipients().slice(1).every((r) => r.status === 'sent')).to.be.true;
+    expect(axiosGetStub.args[0][0]).to.include('/instance/connectionState/inst_1');
+  });
+
+  it('skips recipients that opted out after the campaign was created', async () => {
+    db.tables.supressoes = [{ id: 1, user_id: USER_ID, numero: '5511900000002' }];
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'finished');
+
+    expect(axiosPostStub.args.map((args) => args[1].number)).to.not.include('5511900000002');
+    expect(recipients()[1]).to.include({ status: 'failed', erro: 'Contato na lista de supressão' });
+  });
+
+  it('alternates the chosen instances by weight', async () => {
+    db.tables.whatsapp.push(
+      { id: 2, user_id: USER_ID, nome_instancia: 'inst_2', status: 'connected', is_active: true, peso: 2 },
+      { id: 3, user_id: USER_ID, nome_instancia: 'inst_3', status: 'connected', is_active: true }
+    );
+    Object.assign(campaign(), { instancias: [1, 2], config_envio: { lote: 10, atraso_lote: 0, atraso_msg: 0, rotacao: 'peso' } });
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'finished');
+
+    const instances = axiosPostStub.args.map((args) => args[0].split('/').pop());
+    expect(instances).to.deep.equal(['inst_2', 'inst_1', 'inst_2', 'inst_2', 'inst_1']);
+    expect(recipients().map((r) => r.whatsapp_id)).to.deep.equal([2, 1, 2, 2, 1]);
+  });
+
+  it('fails over to another instance when one disconnects mid-campaign', async () => {
+    db.tables.whatsapp.push({ id: 2, user_id: USER_ID, nome_instancia: 'inst_2', status: 'connected', is_active: true });
+    axiosPostStub.callsFake(async (url) => {
+      if (url.endsWith('/inst_2')) throw new Error('Connection Closed');
+      return { data: { key: { id: `MSG${axiosPostStub.callCount}` } } };
+    });
+    axiosGetStub.withArgs(sinon.match(/connectionState\/inst_2$/)).resolves({ data: { instance: { state: 'close' } } });
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'finished');
+
+    expect(recipients().every((r) => r.status === 'sent' && r.whatsapp_id === 1)).to.be.true;
+    expect(db.tables.whatsapp[1].status).to.equal('disconnected');
+  });
+
+  it('pauses the campaign when the last instance disconnects', async () => {
+    axiosPostStub.onCall(2).rejects(new Error('Connection Closed'));
+    axiosGetStub.resolves({ data: { instance: { state: 'close' } } });
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'paused');
+
+    expect(campaign().pausa_motivo).to.equal('whatsapp_desconectado');
+    expect(recipients().map((r) => r.status)).to.deep.equal(['sent', 'sent', 'pending', 'pending', 'pending']);
+  });
+
+  it('pauses the campaign without failing recipients when the Evolution circuit opens', async () => {
+    const circuitOpen = Object.assign(new Error('Evolution API indisponível'), { name: 'EvolutionError', code: 'EVOLUTION_CIRCUIT_OPEN' });
+    axiosPostStub.onCall(1).rejects(circuitOpen);
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'paused');
+
+    expect(campaign().pausa_motivo).to.equal('evolution_indisponivel');
+    expect(recipients().map((r) => r.status)).to.deep.equal(['sent', 'pending', 'pending', 'pending', 'pending']);
+  });
+
+  it('keeps sending through other instances while one circuit is open', async () => {
+    db.tables.whatsapp.push({ id: 2, user_id: USER_ID, nome_instancia: 'inst_2', status: 'connected', is_active: true });
+    const circuitOpen = Object.assign(new Error('Evolution API indisponível para a instância inst_2'), { name: 'EvolutionError', code: 'EVOLUTION_CIRCUIT_OPEN' });
+    axiosPostStub.callsFake(async (url) => {
+      if (url.endsWith('/inst_2')) throw circuitOpen;
+      return { data: { key: { id: `MSG${axiosPostStub.callCount}` } } };
+    });
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'finished');
+
+    expect(recipients().every((r) => r.status === 'sent' && r.whatsapp_id === 1)).to.be.true;
+    expect(db.tables.whatsapp[1].status).to.equal('connected');
+  });
+
+  it('does not send a campaign reserved by another process', async () => {
+    Object.assign(campaign(), { status: 'running', executor: 'outra-replica', executor_ate: new Date(Date.now() + 60000).toISOString() });
+
+    expect(await startCampaign(1, { status: ['running'] })).to.equal(false);
+    await resumeRunningCampaigns();
+
+    expect(axiosPostStub.notCalled).to.be.true;
+    expect(campaign().executor).to.equal('outra-replica');
+  });
+
+  it('stops before the next message when another process pauses the campaign', async () => {
+    // Outra réplica atende o /pausar-campanha: só o banco muda, este processo não é avisado
+    axiosPostStub.onCall(0).callsFake(async () => {
+      Object.assign(campaign(), { status: 'paused', pausa_motivo: 'manual' });
+      return { data: { key: { id: 'MSG1' } } };
+    });
+
+    await startCampaign(1);
+    await waitFor(() => campaign().executor === null);
+
+    expect(axiosPostStub.calledOnce).to.be.true;
+    expect(campaign()).to.include({ status: 'paused', pausa_motivo: 'manual' });
+    expect(recipients().filter((r) => r.status === 'pending')).to.have.length(4);
+  });
+
+  it('does not overwrite a pause from another process when the last message goes out', async () => {
+    recipients().splice(1);
+    axiosPostStub.onCall(0).callsFake(async () => {
+      Object.assign(campaign(), { status: 'paused', pausa_motivo: 'manual' });
+      return { data: { key: { id: 'MSG1' } } };
+    });
+
+    await startCampaign(1);
+    await waitFor(() => campaign().executor === null);
+
+    expect(campaign().status).to.equal('paused');
+    expect(campaign().finalizado_em).to.equal(undefined);
+  });
+
+  it('does not pause a campaign that finished before the pause', async () => {
+    campaign().status = 'finished';
+
+    expect(await pauseCampaign(1)).to.equal(false);
+    expect(campaign().status).to.equal('finished');
+  });
+
+  it('resumes a running campaign once the reservation of a dead process expires', async () => {
+    Object.assign(campaign(), { status: 'running', executor: 'replica-encerrada', executor_ate: new Date(Date.now() - 1000).toISOString() });
+    recipients()[0].status = 'sent';
+
+    await resumeRunningCampaigns();
+    await waitFor(() => campaign().status === 'finished' && campaign().executor === null);
+
+    expect(axiosPostStub.args.map((args) => args[1].number)).to.deep.equal(recipients().slice(1).map((r) => r.numero));
+    expect(campaign().executor_ate).to.equal(null);
+  });
+
+  it('starts a campaign only once when two starts race', async () => {
+    const [primeira, segunda] = await Promise.all([startCampaign(1), startCampaign(1)]);
+    await waitFor(() => campaign().status === 'finished');
+
+    expect([primeira, segunda].filter(Boolean)).to.have.length(1);
+    expect(axiosPostStub.callCount).to.equal(recipients().length);
+  });
+
+  it('pauses the campaign when WhatsApp is not connected', async () => {
+    db.tables.whatsapp[0].status = 'disconnected';
+
+    await startCampaign(1);
+    await waitFor(() => campaign().status === 'paused');
+
+    expect(campaign().erro).to.equal('WhatsApp não conectado');
+    expect(axiosPostStub.notCalled).to.be.true;
+  });
+});
@@ -0,0 +1,131 @@
+const chai = require('chai');
+const express = require('express');
+const http = require('http');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const campaignRoutes = require('../campaignRoutes');
+const errorHandler = require('../errorMiddleware');
+const expect = chai.expect;
+
+const USER_ID = 'user-1';
+const OTHER_USER_ID = 'user-2';
+
+describe('Campaign list and detail routes', () => {
+  let db;
+  let server;
+  let baseUrl;
+  let currentUser;
+
+  before((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = currentUser;
+      next();
+    });
+    app.use('/v1/disparos', campaignRoutes);
+    app.use(errorHandler);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => server.close(done));
+
+  beforeEach(() => {
+    currentUser = { id: USER_ID, isService: false };
+    db = installFakeSupabase();
+    db.tables.campanhas = [
+      { id: 1, user_id: USER_ID, nome: 'Janeiro', status: 'finished', criado_em: '2026-01-01T00:00:00Z' },
+      { id: 2, user_id: USER_ID, nome: 'Fevereiro', status: 'paused', criado_em: '2026-02-01T00:00:00Z' },
+      { id: 3, user_id: USER_ID, nome: 'Março', status: 'draft', criado_em: '2026-03-01T00:00:00Z' },
+      { id: 4, user_id: OTHER_USER_ID, nome: 'Outro usuário', status: 'draft', criado_em: '2026-04-01T00:00:00Z' },
+    ];
+    db.tables.campanha_progresso = [{ campanha_id: 2, total: 3, pending: 1, sent: 1, delivered: 0, read: 0, failed: 1 }];
+    db.tables.campanha_destinatarios = [
+      { id: 1, campanha_id: 2, numero: '5511900000001', status: 'sent' },
+      { id: 2, campanha_id: 2, numero: '5511900000002', status: 'failed', erro: 'número inexistente' },
+      { id: 3, campanha_id: 2, numero: '5511900000003', status: 'pending' },
+      { id: 4, campanha_id: 4, numero: '5511900000004', status: 'pending' },
+    ];
+  });
+
+  afterEach(() => db.restore());
+
+  const get = (path) => new Promise((resolve, reject) => {
+    http.get(`${baseUrl}/v1/disparos${path}`, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+
+  describe('GET /campanhas', () => {
+    it('lists only the user campaigns, newest first, with pagination and progress', async () => {
+      const { status, body } = await get('/campanhas?page=1&limit=2');
+
+      expect(status).to.equal(200);
+      expect(body.campanhas.map((c) => c.id)).to.deep.equal([3, 2]);
+      expect(body.paginacao).to.deep.equal({ page: 1, limit: 2, total: 3 });
+      expect(body.campanhas[0].contagem).to.include({ total: 0, pending: 0 });
+      expect(body.campanhas[1].contagem).to.include({ total: 3, sent: 1, failed: 1 });
+
+      const segunda = await get('/campanhas?page=2&limit=2');
+      expect(segunda.body.campanhas.map((c) => c.id)).to.deep.equal([1]);
+    });
+
+    it('filters by status and rejects unknown statuses', async () => {
+      const { body } = await get('/campanhas?status=paused');
+      expect(body.campanhas.map((c) => c.id)).to.deep.equal([2]);
+      expect(body.paginacao.total).to.equal(1);
+
+      expect((await get('/campanhas?status=arquivada')).status).to.equal(400);
+    });
+
+    it('forbids a JWT user from listing another user campaigns', async () => {
+      const { status, body } = await get(`/campanhas?user_id=${OTHER_USER_ID}`);
+
+      expect(status).to.equal(403);
+      expect(body.code).to.equal('FORBIDDEN_USER');
+    });
+
+    it('requires user_id with the service key', async () => {
+      currentUser = { id: null, isService: true };
+
+      expect((await get('/campanhas')).status).to.equal(400);
+
+      const { body } = await get(`/campanhas?user_id=${OTHER_USER_ID}`);
+      expect(body.campanhas.map((c) => c.id)).to.deep.equal([4]);
+    });
+  });
+
+  describe('GET /campanhas/:id', () => {
+    it('returns the campaign with its recipients, paginated and filtered by status', async () => {
+      const { status, body } = await get('/campanhas/2?limit=2');
+
+      expect(status).to.equal(200);
+      expect(body.campanha).to.include({ id: 2, nome: 'Fevereiro' });
+      expect(body.campanha.contagem).to.include({ total: 3 });
+      expect(body.destinatarios.map((d) => d.id)).to.deep.equal([1, 2]);
+      expect(body.paginacao).to.deep.equal({ page: 1, limit: 2, total: 3 });
+
+      const falhas = await get('/campanhas/2?status=failed');
+      expect(falhas.body.destinatarios).to.have.length(1);
+      expect(falhas.body.destinatarios[0]).to.include({ numero: '5511900000002', erro: 'número inexistente' });
+    });
+
+    it('answers 404 for a campaign of another user', async () => {
+      const { status, body } = await get('/campanhas/4');
+
+      expect(status).to.equal(404);
+      expect(body.code).to.equal('CAMPAIGN_NOT_FOUND');
+    });
+
+    it('answers 403 when a JWT user names another user', async () => {
+      const { status, body } = await get(`/campanhas/4?user_id=${OTHER_USER_ID}`);
+
+      expect(status).to.equal(403);
+      expect(body.code).to.equal('FORBIDDEN_USER');
+    });
+  });
+});
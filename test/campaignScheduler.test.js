@@ -0,0 +1,126 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const axios = require('axios');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { runScheduledCampaigns } = require('../services/campaignScheduler');
+const expect = chai.expect;
+
+const USER_ID = 'user-1';
+
+const waitFor = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Tempo esgotado aguardando condição');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+// Janelas sempre abertas ou fechadas hoje, independentemente da hora em que o teste roda
+const openWindow = { dias: [0, 1, 2, 3, 4, 5, 6], inicio: '00:00', fim: '24:00', fuso: 'UTC' };
+const closedWindow = () => ({ dias: [(new Date().getUTCDay() + 1) % 7], inicio: '00:00', fim: '24:00', fuso: 'UTC' });
+
+describe('Campaign scheduler', () => {
+  let db;
+  let axiosPostStub;
+
+  const campaign = (id) => db.tables.campanhas.find((c) => c.id === id);
+  const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+  const addCampaign = (id, fields) => {
+    db.tables.campanhas.push({
+      id,
+      user_id: USER_ID,
+      tipo: 'texto',
+      mensagem: 'Olá!',
+      config_envio: { lote: 10, atraso_lote: 0, atraso_msg: 0 },
+      ...fields
+    });
+    db.tables.campanha_destinatarios.push({ id, campanha_id: id, numero: `551190000000${id}`, status: 'pending' });
+  };
+
+  beforeEach(() => {
+    db = installFakeSupabase();
+    db.tables.whatsapp = [{ id: 1, user_id: USER_ID, nome_instancia: 'inst_1', status: 'connected', is_active: true }];
+    db.tables.campanhas = [];
+    db.tables.campanha_destinatarios = [];
+    axiosPostStub = sinon.stub(axios, 'post').resolves({ data: { key: { id: 'MSG' } } });
+  });
+
+  afterEach(() => {
+    axiosPostStub.restore();
+    db.restore();
+  });
+
+  it('starts scheduled campaigns whose time has passed, including missed ones', async () => {
+    addCampaign(1, { status: 'scheduled', agendado_para: minutesFromNow(-90) });
+    addCampaign(2, { status: 'scheduled', agendado_para: minutesFromNow(30) });
+
+    await runScheduledCampaigns();
+    await waitFor(() => campaign(1).status === 'finished');
+
+    expect(campaign(2).status).to.equal('scheduled');
+    expect(axiosPostStub.calledOnce).to.be.true;
+  });
+
+  it('pauses outside the sending window and resumes when it opens', async () => {
+    addCampaign(1, { status: 'scheduled', agendado_para: minutesFromNow(-1), janela_envio: closedWindow() });
+
+    await runScheduledCampaigns();
+    await waitFor(() => campaign(1).status === 'paused');
+
+    expect(campaign(1).pausa_motivo).to.equal('fora_janela');
+    expect(axiosPostStub.notCalled).to.be.true;
+
+    campaign(1).janela_envio = openWindow;
+    await runScheduledCampaigns();
+    await waitFor(() => campaign(1).status === 'finished');
+
+    expect(axiosPostStub.calledOnce).to.be.true;
+  });
+
+  it('resumes campaigns paused by an unavailable Evolution API after the circuit reset time', async () => {
+    addCampaign(1, { status: 'paused', pausa_motivo: 'evolution_indisponivel', atualizado_em: minutesFromNow(-5) });
+    addCampaign(2, { status: 'paused', pausa_motivo: 'evolution_indisponivel', atualizado_em: new Date().toISOString() });
+
+    await runScheduledCampaigns();
+    await waitFor(() => campaign(1).status === 'finished');
+
+    expect(campaign(1).pausa_motivo).to.equal(null);
+    expect(campaign(2).status).to.equal('paused');
+    expect(axiosPostStub.calledOnce).to.be.true;
+  });
+
+  it('resumes campaigns paused without a connected WhatsApp once a number reconnects', async () => {
+    db.tables.whatsapp[0].status = 'disconnected';
+    addCampaign(1, { status: 'paused', pausa_motivo: 'whatsapp_desconectado' });
+
+    await runScheduledCampaigns();
+    expect(campaign(1).status).to.equal('paused');
+
+    db.tables.whatsapp[0].status = 'connected';
+    await runScheduledCampaigns();
+    await waitFor(() => campaign(1).status === 'finished');
+
+    expect(campaign(1).pausa_motivo).to.equal(null);
+    expect(axiosPostStub.calledOnce).to.be.true;
+  });
+
+  it('waits for one of the campaign numbers when it was restricted to some instances', async () => {
+    db.tables.whatsapp.push({ id: 2, user_id: USER_ID, nome_instancia: 'inst_2', status: 'disconnected', is_active: true });
+    addCampaign(1, { status: 'paused', pausa_motivo: 'whatsapp_desconectado', instancias: [2] });
+
+    await runScheduledCampaigns();
+
+    expect(campaign(1).status).to.equal('paused');
+    expect(axiosPostStub.notCalled).to.be.true;
+  });
+
+  it('does not resume campaigns paused by the user', async () => {
+    addCampaign(1, { status: 'paused', pausa_motivo: 'manual', janela_envio: openWindow });
+
+    await runScheduledCampaigns();
+
+    expect(campaign(1).status).to.equal('paused');
+    expect(axiosPostStub.notCalled).to.be.true;
+  });
+});
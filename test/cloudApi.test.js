@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const chai = require('chai');
+const sinon = require('sinon');
+const axios = require('axios');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const cloudApi = require('../services/whatsapp/cloudApi');
+const { getProvider } = require('../services/whatsapp');
+const { verifyCloudApiWebhook } = require('../webhookMiddleware');
+const { encryptSecret, isEncrypted } = require('../utils/secretBox');
+const expect = chai.expect;
+
+const instance = {
+  id: 'w1',
+  nome_instancia: '1234567890_0001',
+  tipo_integracao: 'WHATSAPP-CLOUD-API',
+  cloud_phone_number_id: '1234567890',
+  cloud_access_token_cifrado: encryptSecret(process.env.CLOUD_API_TOKEN_SECRET, 'token-teste'),
+};
+
+describe('Cloud API provider', () => {
+  afterEach(() => sinon.restore());
+
+  it('is selected by the instance tipo_integracao, defaulting to Evolution', () => {
+    expect(getProvider(instance)).to.equal(cloudApi);
+    expect(getProvider({}).tipoIntegracao).to.equal('WHATSAPP-BAILEYS');
+  });
+
+  it('sends templates with the body parameters in order', async () => {
+    const post = sinon.stub(axios, 'post').resolves({ data: { messages: [{ id: 'wamid.1' }] } });
+
+    const id = await cloudApi.sendTemplate(instance, '5511999999999', {
+      nome: 'boas_vindas',
+      idioma: 'pt_BR',
+      parametros: ['Ana', 'sexta'],
+    });
+
+    expect(id).to.equal('wamid.1');
+    const [url, body, config] = post.firstCall.args;
+    expect(url).to.match(/\/v\d+\.\d+\/1234567890\/messages$/);
+    expect(config.headers.Authorization).to.equal('Bearer token-teste');
+    expect(body).to.deep.include({ messaging_product: 'whatsapp', to: '5511999999999', type: 'template' });
+    expect(body.template).to.deep.equal({
+      name: 'boas_vindas',
+      language: { code: 'pt_BR' },
+      components: [{ type: 'body', parameters: [{ type: 'text', text: 'Ana' }, { type: 'text', text: 'sexta' }] }],
+    });
+  });
+
+  it('reports the instance as disconnected when the token is rejected', async () => {
+    sinon.stub(axios, 'get').rejects(Object.assign(new Error('Request failed with status code 401'), {
+      response: { status: 401, data: { error: { code: 190, message: 'Error validating access token' } } },
+    }));
+
+    expect(await cloudApi.getStatus(instance)).to.equal('disconnected');
+    expect(await cloudApi.getStatus({ ...instance, cloud_access_token_cifrado: null })).to.equal('disconnected');
+  });
+
+  it('stores the access token encrypted', async () => {
+    sinon.stub(axios, 'get').resolves({ data: { display_phone_number: '+55 11 3333-4444', verified_name: 'Loja' } });
+    sinon.stub(axios, 'post').resolves({ data: { success: true } });
+
+    const campos = await cloudApi.create('1234567890_0001', { phone_number_id: '1234567890', business_account_id: 'waba', access_token: 'token-novo' });
+
+    expect(campos).to.not.have.property('cloud_access_token');
+    expect(isEncrypted(campos.cloud_access_token_cifrado)).to.equal(true);
+    expect(campos.cloud_access_token_cifrado).to.not.include('token-novo');
+
+    await cloudApi.getStatus({ ...instance, ...campos });
+    expect(axios.get.lastCall.args[1].headers.Authorization).to.equal('Bearer token-novo');
+  });
+
+  it('encrypts tokens saved in plain text before the migration', async () => {
+    const db = installFakeSupabase();
+    try {
+      db.tables.whatsapp = [
+        { id: 1, cloud_access_token_cifrado: 'token-antigo' },
+        { id: 2, cloud_access_token_cifrado: instance.cloud_access_token_cifrado },
+        { id: 3, cloud_access_token_cifrado: null },
+      ];
+
+      expect(await cloudApi.encryptLegacyTokens()).to.equal(1);
+      expect(isEncrypted(db.tables.whatsapp[0].cloud_access_token_cifrado)).to.equal(true);
+      expect(db.tables.whatsapp[1].cloud_access_token_cifrado).to.equal(instance.cloud_access_token_cifrado);
+
+      sinon.stub(axios, 'get').resolves({ data: {} });
+      await cloudApi.getStatus({ ...instance, ...db.tables.whatsapp[0] });
+      expect(axios.get.firstCall.args[1].headers.Authorization).to.equal('Bearer token-antigo');
+    } finally {
+      db.restore();
+    }
+  });
+
+  it('normalizes Graph API errors', async () => {
+    sinon.stub(axios, 'post').rejects(Object.assign(new Error('Request failed with status code 400'), {
+      response: { status: 400, data: { error: { code: 131047, message: 'Re-engagement message', error_data: { details: 'Mensagem fora da janela de 24 horas' } } } },
+    }));
+
+    try {
+      await cloudApi.sendText(instance, '5511999999999', 'Olá');
+      expect.fail('deveria ter falhado');
+    } catch (error) {
+      expect(error).to.include({ statusCode: 502, code: 'CLOUD_API_REQUEST_FAILED' });
+      expect(error.message).to.include('Mensagem fora da janela de 24 horas');
+    }
+  });
+
+  it('parses statuses and inbound messages from a webhook change', () => {
+    const evento = cloudApi.parseWebhook({
+      metadata: { phone_number_id: '1234567890' },
+      contacts: [{ wa_id: '5511988887777', profile: { name: 'Maria' } }],
+      messages: [
+        { id: 'wamid.in1', from: '5511988887777', timestamp: '1760000000', type: 'text', text: { body: 'Oi' } },
+        { id: 'wamid.in2', from: '5511988887777', timestamp: '1760000001', type: 'document', document: { id: 'media1', mime_type: 'application/pdf', filename: 'boleto.pdf' } },
+      ],
+      statuses: [
+        { id: 'wamid.out1', status: 'delivered' },
+        { id: 'wamid.out2', status: 'failed', errors: [{ code: 131047, title: 'Re-engagement message' }] },
+        { id: 'wamid.out3', status: 'deleted' },
+      ],
+    });
+
+    expect(evento.statuses).to.deep.equal([
+      { messageId: 'wamid.out1', status: 'delivered', erro: null },
+      { messageId: 'wamid.out2', status: 'failed', erro: 'Re-engagement message' },
+    ]);
+    expect(evento.messages).to.have.length(2);
+    expect(evento.messages[0]).to.include({ messageId: 'wamid.in1', contato: '5511988887777', nomeContato: 'Maria', tipo: 'texto', texto: 'Oi' });
+    expect(evento.messages[1]).to.include({ tipo: 'documento', mediaId: 'media1', mimetype: 'application/pdf', fileName: 'boleto.pdf' });
+  });
+});
+
+describe('verifyCloudApiWebhook', () => {
+  const body = JSON.stringify({ object: 'whatsapp_business_account', entry: [{ id: 'waba', changes: [] }] });
+
+  const request = (signature) => ({
+    rawBody: Buffer.from(body),
+    body: JSON.parse(body),
+    headers: { 'x-hub-signature-256': signature },
+    get(name) { return this.headers[name.toLowerCase()]; },
+  });
+
+  const response = () => {
+    const res = { statusCode: 200 };
+    res.on = () => res;
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (payload) => { res.payload = payload; return res; };
+    return res;
+  };
+
+  const sign = (secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+  let db;
+
+  beforeEach(() => {
+    db = installFakeSupabase({ unique: { webhook_entregas: [['entrega']] } });
+  });
+
+  afterEach(() => db.restore());
+
+  it('accepts deliveries signed with the app secret', async () => {
+    const next = sinon.spy();
+    await verifyCloudApiWebhook(request(sign(process.env.CLOUD_API_APP_SECRET)), response(), next);
+
+    expect(next.calledOnce).to.equal(true);
+    expect(db.tables.webhook_entregas).to.have.length(1);
+  });
+
+  it('rejects deliveries with an invalid signature', async () => {
+    const next = sinon.spy();
+    const res = response();
+    await verifyCloudApiWebhook(request(sign('outro-segredo')), res, next);
+
+    expect(next.called).to.equal(false);
+    expect(res.statusCode).to.equal(401);
+  });
+});
@@ -0,0 +1,73 @@
+const chai = require('chai');
+const ExcelJS = require('exceljs');
+const { parseContactFile } = require('../services/contactImport');
+const expect = chai.expect;
+
+const buildXlsx = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Contatos');
+  rows.forEach((row) => sheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+describe('Contact file import', () => {
+  it('reads a semicolon CSV exported by Excel in Windows-1252', async () => {
+    const csv = 'Nome;Celular;Cidade\r\nJoão;(11) 98765-4321;São Paulo\r\nMaria;21 8765-4321;Niterói\r\n';
+    const result = await parseContactFile(Buffer.from(csv, 'latin1'), 'clientes.csv');
+
+    expect(result.formato).to.include({ formato: 'csv', encoding: 'windows-1252', delimitador: ';' });
+    expect(result.mapeamento).to.deep.equal({ telefone: 'Celular', nome: 'Nome', campos: { cidade: 'Cidade' } });
+    expect(result.contatos).to.deep.equal([
+      { linha: 2, numero: '5511987654321', nome: 'João', campos: { cidade: 'São Paulo' } },
+      { linha: 3, numero: '5521987654321', nome: 'Maria', campos: { cidade: 'Niterói' } },
+    ]);
+  });
+
+  it('reports invalid and duplicated rows with their line numbers', async () => {
+    const csv = '﻿nome,telefone\nAna,11987654321\nBia,123\nAna de novo,+55 11 98765-4321\n';
+    const result = await parseContactFile(Buffer.from(csv, 'utf8'), 'lista.csv');
+
+    expect(result.resumo).to.deep.equal({ total: 3, validos: 1, invalidos: 1, duplicados: 1 });
+    expect(result.invalidos).to.deep.equal([{ linha: 3, entrada: '123', motivo: 'Quantidade de dígitos inválida' }]);
+    expect(result.duplicados).to.deep.equal([{ linha: 4, entrada: '+55 11 98765-4321', numero: '5511987654321' }]);
+  });
+
+  it('finds the header below title rows and guesses the phone column without one', async () => {
+    const titled = await parseContactFile(Buffer.from('Lista de outubro\n\nCliente,Whatsapp\nAna,11987654321\n'), 'a.csv');
+    expect(titled.linha_cabecalho).to.equal(3);
+    expect(titled.contatos[0]).to.include({ numero: '5511987654321', nome: 'Ana', linha: 4 });
+
+    const headless = await parseContactFile(Buffer.from('Ana,11987654321\nBia,21987654321\n'), 'b.csv');
+    expect(headless.linha_cabecalho).to.equal(0);
+    expect(headless.contatos.map((c) => c.numero)).to.deep.equal(['5511987654321', '5521987654321']);
+  });
+
+  it('reads the first sheet of an XLSX file with an explicit mapping', async () => {
+    const xlsx = await buildXlsx([
+      ['Cliente', 'Fone', 'Plano'],
+      ['Carlos', 5511987654321, 'Ouro'],
+      ['Dani', '(21) 98765-4321', 'Prata'],
+    ]);
+
+    const result = await parseContactFile(xlsx, 'planilha.xlsx', {
+      mapeamento: { telefone: 1, nome: 'Cliente', campos: { plano_atual: 'Plano' } },
+    });
+
+    expect(result.formato).to.include({ formato: 'xlsx', aba: 'Contatos' });
+    expect(result.contatos).to.deep.equal([
+      { linha: 2, numero: '5511987654321', nome: 'Carlos', campos: { plano_atual: 'Ouro' } },
+      { linha: 3, numero: '5521987654321', nome: 'Dani', campos: { plano_atual: 'Prata' } },
+    ]);
+  });
+
+  it('rejects mappings that point to missing columns', async () => {
+    let error;
+    try {
+      await parseContactFile(Buffer.from('nome,telefone\nAna,11987654321\n'), 'a.csv', { mapeamento: { nome: 'Apelido' } });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).to.include({ statusCode: 400, code: 'COLUMN_NOT_FOUND' });
+  });
+});
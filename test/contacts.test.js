@@ -0,0 +1,67 @@
+const chai = require('chai');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { saveContacts, loadAudience } = require('../services/contacts');
+const { prepareContacts } = require('../services/campaignContacts');
+const expect = chai.expect;
+
+const USER_ID = 'user-1';
+
+describe('Contacts and lists', () => {
+  let db;
+
+  beforeEach(() => {
+    db = installFakeSupabase();
+    db.tables.contatos = [
+      { id: 1, user_id: USER_ID, numero: '5511900000001', nome: 'Ana', campos: { cidade: 'SP' }, tags: ['cliente'] },
+      { id: 2, user_id: USER_ID, numero: '5511900000002', nome: 'Bia', campos: {}, tags: ['lead'] },
+      { id: 3, user_id: USER_ID, numero: '5511900000003', nome: 'Caio', campos: {}, tags: ['cliente', 'vip'] },
+      { id: 4, user_id: 'user-2', numero: '5511900000004', nome: 'Outro', campos: {}, tags: ['cliente'] },
+    ];
+    db.tables.listas = [{ id: 10, user_id: USER_ID, nome: 'Outubro' }, { id: 20, user_id: 'user-2', nome: 'Alheia' }];
+    db.tables.lista_contatos = [{ lista_id: 10, contato_id: 1 }, { lista_id: 10, contato_id: 2 }];
+    db.tables.supressoes = [];
+  });
+
+  afterEach(() => db.restore());
+
+  it('merges fields and tags into existing contacts and creates new ones', async () => {
+    const saved = await saveContacts(USER_ID, [
+      { numero: '5511900000001', nome: null, campos: { plano: 'ouro' }, tags: ['VIP '] },
+      { numero: '5511900000009', nome: 'Novo', campos: {} },
+    ], ['outubro']);
+
+    expect(saved.map((c) => c.numero)).to.deep.equal(['5511900000001', '5511900000009']);
+    expect(db.tables.contatos[0]).to.include({ nome: 'Ana' });
+    expect(db.tables.contatos[0].campos).to.deep.equal({ cidade: 'SP', plano: 'ouro' });
+    expect(db.tables.contatos[0].tags).to.deep.equal(['cliente', 'vip', 'outubro']);
+    expect(db.tables.contatos.find((c) => c.numero === '5511900000009').tags).to.deep.equal(['outubro']);
+  });
+
+  it('selects the audience by list, by tag, or by list filtered by tag', async () => {
+    const numbers = (contatos) => contatos.map((c) => c.numero);
+
+    expect(numbers(await loadAudience(USER_ID, { listas: [10] }))).to.deep.equal(['5511900000001', '5511900000002']);
+    expect(numbers(await loadAudience(USER_ID, { tags: ['Cliente'] }))).to.deep.equal(['5511900000001', '5511900000003']);
+    expect(numbers(await loadAudience(USER_ID, { listas: [10], tags: ['lead'] }))).to.deep.equal(['5511900000002']);
+  });
+
+  it('rejects lists that belong to another user', async () => {
+    let error;
+    try {
+      await loadAudience(USER_ID, { listas: [10, 20] });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).to.include({ statusCode: 404, code: 'LIST_NOT_FOUND' });
+  });
+
+  it('builds campaign recipients from a list, without suppressed numbers', async () => {
+    db.tables.supressoes = [{ id: 1, user_id: USER_ID, numero: '5511900000002' }];
+
+    const { destinatarios, relatorio } = await prepareContacts(USER_ID, { origem: 'lista', listas: ['10'] });
+
+    expect(destinatarios).to.deep.equal([{ numero: '5511900000001', nome: 'Ana', campos: { cidade: 'SP' } }]);
+    expect(relatorio.resumo).to.include({ total: 2, removidos_supressao: 1, enviaveis: 1 });
+  });
+});
@@ -0,0 +1,166 @@
+const http = require('http');
+const chai = require('chai');
+const { createEvolutionClient } = require('../services/evolution/client');
+const expect = chai.expect;
+
+// Evolution API falsa: cada requisição é respondida pelo próximo handler da fila
+// (o último se repete). Os handlers recebem (req, body) e devolvem [status, json] ou null para não responder.
+describe('Evolution API client', () => {
+  let server;
+  let baseUrl;
+  let handlers;
+  let requests;
+
+  const respondWith = (...list) => { handlers = list; };
+
+  const createClient = (options = {}) => createEvolutionClient({
+    baseUrl,
+    apiKey: 'chave-teste',
+    timeout: 200,
+    retries: 2,
+    retryDelay: 1,
+    circuitThreshold: 5,
+    circuitResetMs: 100,
+    ...options,
+  });
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', (chunk) => { raw += chunk; });
+      req.on('end', () => {
+        const body = raw ? JSON.parse(raw) : null;
+        requests.push({ method: req.method, url: req.url, apikey: req.headers.apikey, body });
+        const handler = handlers.length > 1 ? handlers.shift() : handlers[0];
+        const reply = handler(req, body);
+        if (!reply) return; // simula timeout
+        res.writeHead(reply[0], { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply[1]));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  beforeEach(() => {
+    handlers = [];
+    requests = [];
+  });
+
+  after((done) => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  it('retries idempotent calls on 503 and sends the apikey header', async () => {
+    respondWith(() => [503, { message: 'ocupado' }], () => [200, { instance: { state: 'open' } }]);
+
+    const state = await createClient().getConnectionState('inst 1');
+
+    expect(state).to.equal('open');
+    expect(requests).to.have.length(2);
+    expect(requests[0].url).to.equal('/instance/connectionState/inst%201');
+    expect(requests[0].apikey).to.equal('chave-teste');
+  });
+
+  it('normalizes timeouts', async () => {
+    respondWith(() => null);
+
+    const error = await createClient({ retries: 0, timeout: 50 }).getConnectionState('inst_1').catch((e) => e);
+
+    expect(error.code).to.equal('EVOLUTION_TIMEOUT');
+    expect(error.statusCode).to.equal(504);
+  });
+
+  it('does not retry a send that may have been processed, but retries on 429', async () => {
+    respondWith(() => [500, { message: 'falha interna' }]);
+    const error = await createClient().sendText('inst_1', '5511999990000', 'Oi').catch((e) => e);
+
+    expect(error.code).to.equal('EVOLUTION_UNAVAILABLE');
+    expect(requests).to.have.length(1);
+
+    requests = [];
+    respondWith(() => [429, { message: 'limite' }], () => [201, { key: { id: 'MSG1' } }]);
+    const messageId = await createClient().sendText('inst_1', '5511999990000', 'Oi');
+
+    expect(messageId).to.equal('MSG1');
+    expect(requests).to.have.length(2);
+    expect(requests[1].body).to.deep.equal({ number: '5511999990000', text: 'Oi' });
+  });
+
+  it('returns client errors with the Evolution message, without retrying', async () => {
+    respondWith(() => [400, { response: { message: 'número inexistente' } }]);
+
+    const error = await createClient().sendText('inst_1', '5511999990000', 'Oi').catch((e) => e);
+
+    expect(error.code).to.equal('EVOLUTION_REQUEST_FAILED');
+    expect(error.message).to.equal('número inexistente');
+    expect(error.status).to.equal(400);
+    expect(requests).to.have.length(1);
+  });
+
+  it('retries sends when the server cannot be reached', async () => {
+    const client = createEvolutionClient({
+      baseUrl: 'http://127.0.0.1:1',
+      apiKey: 'chave-teste',
+      timeout: 200,
+      retries: 1,
+      retryDelay: 1,
+      circuitThreshold: 5,
+      circuitResetMs: 100,
+    });
+
+    const error = await client.sendText('inst_1', '5511999990000', 'Oi').catch((e) => e);
+
+    expect(error.code).to.equal('EVOLUTION_UNAVAILABLE');
+    expect(error.notDelivered).to.equal(true);
+  });
+
+  it('opens the circuit after repeated failures and closes it after a successful test call', async () => {
+    const client = createClient({ retries: 0, circuitThreshold: 2, circuitResetMs: 50 });
+    respondWith(() => [502, {}]);
+
+    await client.logout('inst_1').catch(() => {});
+    await client.logout('inst_1').catch(() => {});
+    const blocked = await client.logout('inst_1').catch((e) => e);
+
+    expect(blocked.code).to.equal('EVOLUTION_CIRCUIT_OPEN');
+    expect(requests).to.have.length(2);
+    expect(client.circuitState('inst_1')).to.equal('open');
+    expect(client.openCircuits()).to.deep.equal(['inst_1']);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    respondWith(() => [200, {}]);
+    await client.logout('inst_1');
+
+    expect(client.circuitState('inst_1')).to.equal('closed');
+    expect(client.openCircuits()).to.deep.equal([]);
+    expect(requests).to.have.length(3);
+  });
+
+  it('keeps one circuit per instance and leaves the health ping out of them', async () => {
+    const client = createClient({ retries: 0, circuitThreshold: 2, circuitResetMs: 1000 });
+    respondWith((req) => (req.url.endsWith('/inst_1') || req.url === '/' ? [502, {}] : [200, {}]));
+
+    await client.logout('inst_1').catch(() => {});
+    await client.logout('inst_1').catch(() => {});
+    await client.ping().catch(() => {});
+    await client.ping().catch(() => {});
+    await client.ping().catch(() => {});
+
+    expect(client.circuitState('inst_1')).to.equal('open');
+    expect(client.circuitState('inst_2')).to.equal('closed');
+    await client.logout('inst_2');
+    expect((await client.ping().catch((e) => e)).code).to.equal('EVOLUTION_UNAVAILABLE');
+    expect(client.openCircuits()).to.deep.equal(['inst_1']);
+  });
+
+  it('fails without calling the API when it is not configured', async () => {
+    const error = await createEvolutionClient({ baseUrl: '', apiKey: '' }).connect('inst_1').catch((e) => e);
+
+    expect(error.code).to.equal('EVOLUTION_NOT_CONFIGURED');
+    expect(requests).to.have.length(0);
+  });
+});
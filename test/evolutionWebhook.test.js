@@ -0,0 +1,91 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const evolution = require('../services/evolution');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const provider = require('../services/whatsapp/evolution');
+const expect = chai.expect;
+
+const EVENTOS = ['CONNECTION_UPDATE', 'QRCODE_UPDATED', 'SEND_MESSAGE', 'MESSAGES_UPDATE', 'MESSAGES_UPSERT'];
+
+describe('Evolution webhook registration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = installFakeSupabase();
+    sinon.stub(evolution, 'setWebhook').resolves();
+    sinon.stub(evolution, 'getConnectionState').resolves('open');
+  });
+
+  afterEach(() => {
+    db.restore();
+    sinon.restore();
+  });
+
+  it('registers the webhook again when the instance was registered with other events', async () => {
+    const { changes } = await provider.connect({
+      nome_instancia: 'inst_1',
+      webhook_secret_hash: 'hash-antigo',
+      webhook_eventos: ['CONNECTION_UPDATE', 'QRCODE_UPDATED'],
+    });
+
+    expect(evolution.setWebhook.calledOnce).to.be.true;
+    expect(evolution.setWebhook.firstCall.args[1].events).to.have.members(EVENTOS);
+    expect(changes.webhook_secret_hash).to.be.a('string').and.not.equal('hash-antigo');
+    expect(changes.webhook_eventos).to.have.members(EVENTOS);
+  });
+
+  it('keeps the webhook of instances registered with the current events', async () => {
+    const { changes } = await provider.connect({ nome_instancia: 'inst_1', webhook_secret_hash: 'hash', webhook_eventos: [...EVENTOS].reverse() });
+
+    expect(evolution.setWebhook.notCalled).to.be.true;
+    expect(changes).to.deep.equal({});
+  });
+
+  it('updates the outdated Evolution instances on startup', async () => {
+    db.tables.whatsapp = [
+      { id: 1, nome_instancia: 'antiga', is_active: true, tipo_integracao: null, webhook_secret_hash: 'hash', webhook_eventos: null },
+      { id: 2, nome_instancia: 'atual', is_active: true, tipo_integracao: 'WHATSAPP-BAILEYS', webhook_secret_hash: 'hash', webhook_eventos: EVENTOS },
+      { id: 3, nome_instancia: 'cloud', is_active: true, tipo_integracao: 'WHATSAPP-CLOUD-API', webhook_secret_hash: null },
+      { id: 4, nome_instancia: 'removida', is_active: false, tipo_integracao: null, webhook_secret_hash: null },
+    ];
+
+    expect(await provider.updateOutdatedWebhooks()).to.equal(1);
+    expect(evolution.setWebhook.firstCall.args[0]).to.equal('antiga');
+    expect(db.tables.whatsapp[0].webhook_eventos).to.have.members(EVENTOS);
+    expect(db.tables.whatsapp[0].webhook_secret_hash).to.not.equal('hash');
+  });
+
+  describe('without PUBLIC_API_URL', () => {
+    const publicApiUrl = process.env.PUBLIC_API_URL;
+
+    beforeEach(() => {
+      delete process.env.PUBLIC_API_URL;
+      sinon.stub(evolution, 'createInstance').resolves();
+    });
+
+    afterEach(() => {
+      process.env.PUBLIC_API_URL = publicApiUrl;
+    });
+
+    it('refuses to create an instance that would never receive webhooks', async () => {
+      const error = await provider.create('inst_1').catch((e) => e);
+
+      expect(error).to.include({ code: 'WEBHOOK_URL_NOT_CONFIGURED', statusCode: 500 });
+      expect(evolution.createInstance.notCalled).to.be.true;
+    });
+
+    it('fails to connect an instance whose webhook must be registered again', async () => {
+      const error = await provider.connect({ nome_instancia: 'inst_1', webhook_secret_hash: null }).catch((e) => e);
+
+      expect(error.code).to.equal('WEBHOOK_URL_NOT_CONFIGURED');
+      expect(evolution.setWebhook.notCalled).to.be.true;
+    });
+
+    it('skips the startup update', async () => {
+      db.tables.whatsapp = [{ id: 1, nome_instancia: 'antiga', is_active: true, tipo_integracao: null, webhook_secret_hash: null }];
+
+      expect(await provider.updateOutdatedWebhooks()).to.equal(0);
+      expect(evolution.setWebhook.notCalled).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const axios = require('axios');
+const dns = require('dns');
+require('./helpers/fakeSupabase'); // Variáveis do Supabase exigidas pelo dispatcher
+const storage = require('../services/storage');
+const { detectMimeType, inspectFile } = require('../utils/fileType');
+const { isSafeSegment, sanitizeFilename } = require('../utils/safePath');
+const { publicLookup } = require('../utils/publicAddress');
+const { checkAttachment, signAttachmentUrl } = require('../services/campaignAttachment');
+const { estimateDuration } = require('../services/campaignDispatcher');
+const expect = chai.expect;
+
+const MB = 1024 * 1024;
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+const MP4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom'), Buffer.alloc(8)]);
+
+describe('File type detection', () => {
+  it('detects the type from the content, not the name', () => {
+    expect(detectMimeType(PNG, 'foto.pdf')).to.equal('image/png');
+    expect(detectMimeType(MP4, 'video.png')).to.equal('video/mp4');
+    expect(detectMimeType(Buffer.from('%PDF-1.4'), 'boleto')).to.equal('application/pdf');
+    expect(detectMimeType(Buffer.from([0xff, 0xf1, 0x50, 0x80]), 'audio.bin')).to.equal('audio/aac');
+    expect(detectMimeType(Buffer.from('nome;telefone\n'), 'lista.csv')).to.equal('text/csv');
+    expect(detectMimeType(Buffer.from([0x4d, 0x5a, 0x90, 0x00]), 'programa.exe')).to.be.null;
+  });
+
+  it('accepts text only with a text extension and valid UTF-8', () => {
+    expect(detectMimeType(Buffer.from('Promoção de verão\n'), 'aviso.txt')).to.equal('text/plain');
+    expect(detectMimeType(Buffer.from('nome;telefone\n'), 'lista.pdf')).to.be.null;
+    expect(detectMimeType(Buffer.from('nome;telefone\n'), 'lista')).to.be.null;
+    expect(detectMimeType(Buffer.from('Promo\xe7\xe3o', 'latin1'), 'aviso.txt')).to.be.null;
+    expect(detectMimeType(Buffer.from('nome;cidade\nJo\xe3o;S\xe3o Paulo\n', 'latin1'), 'lista.csv')).to.equal('text/csv');
+    expect(detectMimeType(Buffer.from([0x6e, 0x6f, 0x81, 0x02, 0xff]), 'lista.csv')).to.be.null;
+    expect(detectMimeType(Buffer.from([0x61, 0x00, 0x62]), 'aviso.txt')).to.be.null;
+  });
+
+  it('accepts only known MP4 and 3GP ftyp brands', () => {
+    const ftyp = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`), Buffer.alloc(8)]);
+
+    expect(detectMimeType(ftyp('mp42'), 'video.mp4')).to.equal('video/mp4');
+    expect(detectMimeType(ftyp('3gp5'), 'video.3gp')).to.equal('video/3gpp');
+    expect(detectMimeType(ftyp('M4A '), 'audio.m4a')).to.equal('audio/mp4');
+    expect(detectMimeType(ftyp('qt  '), 'video.mp4')).to.be.null;
+    expect(detectMimeType(ftyp('xxxx'), 'video.mp4')).to.be.null;
+  });
+
+  it('tells HEIC photos apart from MP4 videos by the ftyp brand', () => {
+    const heic = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypheic'), Buffer.alloc(8)]);
+
+    expect(detectMimeType(heic, 'foto.mp4')).to.equal('image/heic');
+    expect(() => inspectFile(heic, 'foto.heic')).to.throw().with.property('code', 'UNSUPPORTED_FILE_TYPE');
+  });
+
+  it('rejects types and sizes WhatsApp does not accept', () => {
+    expect(inspectFile(PNG, 'foto.png')).to.deep.equal({ mimetype: 'image/png', categoria: 'imagem', tamanho: PNG.length });
+
+    const tooLarge = Buffer.concat([PNG, Buffer.alloc(5 * MB)]);
+    expect(() => inspectFile(tooLarge, 'foto.png')).to.throw().with.property('code', 'FILE_TOO_LARGE');
+    expect(() => inspectFile(Buffer.from([0x4d, 0x5a, 0x90, 0x00]), 'programa.exe'))
+      .to.throw().with.property('code', 'UNSUPPORTED_FILE_TYPE');
+  });
+});
+
+describe('Safe paths', () => {
+  it('rejects path traversal and sanitizes uploaded names', () => {
+    expect(isSafeSegment('user-1')).to.be.true;
+    expect(isSafeSegment('..')).to.be.false;
+    expect(isSafeSegment('../config')).to.be.false;
+    expect(isSafeSegment('.env')).to.be.false;
+
+    expect(sanitizeFilename('../../etc/passwd')).to.equal('passwd');
+    expect(sanitizeFilename('C:\\fotos\\Promoção de verão.PNG')).to.equal('Promocao_de_verao.PNG');
+    expect(sanitizeFilename('..')).to.equal('arquivo');
+  });
+
+  it('refuses unsafe names before reaching the storage driver', async () => {
+    const error = await storage.read('user-1', '../../.env').catch((err) => err);
+    expect(error).to.include({ code: 'INVALID_PATH', statusCode: 400 });
+  });
+});
+
+describe('Campaign attachments', () => {
+  let readStub;
+  let headStub;
+  let lookupStub;
+
+  beforeEach(() => {
+    readStub = sinon.stub(storage, 'read');
+    headStub = sinon.stub(axios, 'head');
+    lookupStub = sinon.stub(dns.promises, 'lookup').resolves([{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  afterEach(() => {
+    readStub.restore();
+    headStub.restore();
+    lookupStub.restore();
+  });
+
+  it('checks uploaded files by their content', async () => {
+    readStub.resolves(MP4);
+
+    const error = await checkAttachment('user-1', 'imagem', 'https://api.exemplo.com/uploads/user-1/1700000000000-foto.png')
+      .catch((err) => err);
+
+    expect(readStub.args[0]).to.deep.equal(['user-1', '1700000000000-foto.png']);
+    expect(error).to.include({ code: 'UNSUPPORTED_FILE_TYPE', statusCode: 400 });
+    expect(headStub.called).to.be.false;
+  });
+
+  it('checks external URLs by their headers', async () => {
+    headStub.resolves({ headers: { 'content-type': 'video/mp4', 'content-length': String(20 * MB) } });
+
+    const error = await checkAttachment('user-1', 'video', 'https://cdn.exemplo.com/promo.mp4').catch((err) => err);
+    expect(error).to.include({ code: 'FILE_TOO_LARGE' });
+
+    headStub.resolves({ headers: { 'content-type': 'video/mp4', 'content-length': String(20 * MB) } });
+    expect(await checkAttachment('user-1', 'documento', 'https://cdn.exemplo.com/promo.mp4'))
+      .to.deep.equal({ mimetype: 'video/mp4', categoria: 'video', tamanho: 20 * MB });
+    expect(headStub.args[0][1]).to.include({ maxRedirects: 0 });
+  });
+
+  it('refuses external URLs that point to internal addresses', async () => {
+    lookupStub.resolves([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+    const urls = [
+      'https://interno.exemplo.com/foto.png',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]:8080/foto.png',
+      'http://[::ffff:127.0.0.1]/foto.png',
+      'file:///etc/passwd',
+    ];
+    for (const url of urls) {
+      const error = await checkAttachment('user-1', 'imagem', url).catch((err) => err);
+      expect(error).to.include({ code: 'ATTACHMENT_UNREACHABLE', message: 'Não foi possível acessar o anexo' });
+    }
+    expect(headStub.called).to.be.false;
+  });
+
+  it('checks the address again when the HEAD connects', async () => {
+    const lookup = (addresses) => new Promise((resolve) => {
+      const dnsStub = sinon.stub(dns, 'lookup').callsFake((hostname, options, callback) => callback(null, addresses));
+      publicLookup('cdn.exemplo.com', {}, (error, address) => {
+        dnsStub.restore();
+        resolve({ error, address });
+      });
+    });
+
+    expect(await lookup([{ address: '93.184.216.34', family: 4 }])).to.deep.include({ error: null, address: '93.184.216.34' });
+    expect((await lookup([{ address: '127.0.0.1', family: 4 }])).error).to.include({ code: 'ADDRESS_NOT_PUBLIC' });
+  });
+
+  it('does not reveal why an external URL failed', async () => {
+    headStub.rejects(new Error('connect ECONNREFUSED 93.184.216.34:443'));
+
+    const error = await checkAttachment('user-1', 'imagem', 'https://cdn.exemplo.com/foto.png').catch((err) => err);
+
+    expect(error.message).to.equal('Não foi possível acessar o anexo');
+  });
+
+  it('signs uploaded attachments for the whole estimated campaign', async () => {
+    const getUrlStub = sinon.stub(storage, 'getUrl').resolves('https://api.exemplo.com/v1/storage/download/user-1/1-a.png?expires=1&signature=ab');
+
+    try {
+      // 120 mensagens, 5 s entre mensagens e 2 pausas de 120 s entre os lotes de 50
+      const duration = estimateDuration(120, { lote: 50 });
+      expect(duration).to.equal(120 * 5 + 2 * 120);
+
+      await signAttachmentUrl('user-1', 'https://api.exemplo.com/v1/storage/download/user-1/1-a.png?expires=1&signature=00', duration);
+      expect(getUrlStub.args[0]).to.deep.equal(['user-1', '1-a.png', {
+        baseUrl: 'https://api.exemplo.com',
+        expiresIn: duration + 24 * 60 * 60,
+      }]);
+
+      expect(await signAttachmentUrl('user-1', 'https://cdn.exemplo.com/promo.png', duration)).to.equal('https://cdn.exemplo.com/promo.png');
+      expect(getUrlStub.calledOnce).to.be.true;
+    } finally {
+      getUrlStub.restore();
+    }
+  });
+});
@@ -0,0 +1,184 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const express = require('express');
+const http = require('http');
+const { installFakeSupabase, supabase } = require('./helpers/fakeSupabase');
+const evolution = require('../services/evolution');
+const { checkReadiness, resetReadinessCache } = require('../services/health');
+const monitoringRoutes = require('../monitoringRoutes');
+const { register, metricsMiddleware, recordCampaignMessage } = require('../services/metrics');
+const expect = chai.expect;
+
+describe('Health checks', () => {
+  let db;
+
+  beforeEach(() => {
+    resetReadinessCache();
+    db = installFakeSupabase();
+    sinon.stub(evolution, 'ping').resolves({ version: '2.2.0' });
+  });
+
+  afterEach(() => {
+    db.restore();
+    sinon.restore();
+  });
+
+  it('is ok when every dependency answers', async () => {
+    const resultado = await checkReadiness();
+
+    expect(resultado.status).to.equal('ok');
+    expect(resultado.dependencias.supabase).to.include({ status: 'ok', critica: true });
+    expect(resultado.dependencias.evolution).to.include({ status: 'ok', critica: false, circuitos_abertos: 0 });
+    expect(resultado.dependencias.supabase.latencia_ms).to.be.a('number');
+  });
+
+  it('is degraded when a non-critical dependency is down', async () => {
+    evolution.ping.rejects(Object.assign(new Error('Evolution API indisponível'), { code: 'EVOLUTION_UNAVAILABLE' }));
+
+    const resultado = await checkReadiness();
+
+    expect(resultado.status).to.equal('degraded');
+    expect(resultado.dependencias.evolution).to.include({ status: 'down', code: 'EVOLUTION_UNAVAILABLE' });
+  });
+
+  it('is down when Supabase fails', async () => {
+    db.restore();
+    const stub = sinon.stub(supabase, 'from').returns({
+      select: () => ({ limit: async () => ({ data: null, error: { message: 'connection refused' } }) }),
+    });
+    db.restore = () => stub.restore();
+
+    const resultado = await checkReadiness();
+
+    expect(resultado.status).to.equal('down');
+    expect(resultado.dependencias.supabase).to.include({ status: 'down', erro: 'connection refused' });
+  });
+
+  it('ignores Evolution when it is not configured', async () => {
+    evolution.ping.rejects(Object.assign(new Error('Evolution API não configurada'), { code: 'EVOLUTION_NOT_CONFIGURED' }));
+
+    const resultado = await checkReadiness();
+
+    expect(resultado.status).to.equal('ok');
+    expect(resultado.dependencias.evolution.status).to.equal('disabled');
+  });
+
+  it('reuses the last result instead of checking on every call', async () => {
+    await Promise.all([checkReadiness(), checkReadiness()]);
+    await checkReadiness();
+
+    expect(evolution.ping.calledOnce).to.be.true;
+  });
+
+  describe('GET /health/ready', () => {
+    let server;
+    let baseUrl;
+
+    before((done) => {
+      const app = express();
+      app.use(monitoringRoutes);
+      server = app.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    after((done) => server.close(done));
+
+    const get = (headers = {}) => new Promise((resolve, reject) => {
+      http.get(`${baseUrl}/health/ready`, { headers }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+      }).on('error', reject);
+    });
+
+    beforeEach(() => {
+      evolution.ping.rejects(Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:8080'), { code: 'EVOLUTION_UNAVAILABLE' }));
+    });
+
+    it('returns only the statuses to anonymous callers', async () => {
+      const { status, body } = await get();
+
+      expect(status).to.equal(200);
+      expect(body.status).to.equal('degraded');
+      expect(body.dependencias.evolution).to.deep.equal({ status: 'down' });
+      expect(JSON.stringify(body)).to.not.include('ECONNREFUSED');
+    });
+
+    it('returns the details to callers with the API key', async () => {
+      const { body } = await get({ 'x-api-key': process.env.API_KEY });
+
+      expect(body.dependencias.evolution).to.include({ status: 'down', code: 'EVOLUTION_UNAVAILABLE' });
+      expect(body.dependencias.evolution.erro).to.include('ECONNREFUSED');
+    });
+  });
+});
+
+describe('Metrics', () => {
+  let db;
+
+  beforeEach(() => {
+    db = installFakeSupabase();
+    db.tables.whatsapp = [
+      { id: 1, status: 'connected', is_active: true },
+      { id: 2, status: 'connected', is_active: true },
+      { id: 3, status: 'disconnected', is_active: true },
+      { id: 4, status: 'connected', is_active: false },
+    ];
+  });
+
+  afterEach(() => db.restore());
+
+  // Os contadores são do registro global, compartilhado com os outros arquivos de teste:
+  // as verificações comparam o valor antes e depois
+  const counterValue = async (name, labels) => {
+    const { values } = await register.getSingleMetric(name).get();
+    const item = values.find((value) => Object.entries(labels).every(([key, label]) => String(value.labels[key]) === label));
+    return item ? item.value : 0;
+  };
+
+  it('labels requests by route pattern instead of URL', async () => {
+    const app = express();
+    app.use(metricsMiddleware);
+    const router = express.Router();
+    router.get('/campanhas/:id', (req, res) => res.json({ ok: true }));
+    app.use('/v1/disparos', router);
+
+    const rotaCampanha = { method: 'GET', route: '/v1/disparos/campanhas/:id', status: '200' };
+    const semRota = { method: 'GET', route: 'unmatched', status: '404' };
+    const antes = [await counterValue('http_requests_total', rotaCampanha), await counterValue('http_requests_total', semRota)];
+
+    const server = app.listen(0);
+    const { port } = server.address();
+    const get = (path) => new Promise((resolve) => http.get(`http://127.0.0.1:${port}${path}`, (res) => res.resume().on('end', resolve)));
+
+    try {
+      await get('/v1/disparos/campanhas/1');
+      await get('/v1/disparos/campanhas/2');
+      await get('/nao-existe');
+    } finally {
+      server.close();
+    }
+
+    expect(await counterValue('http_requests_total', rotaCampanha)).to.equal(antes[0] + 2);
+    expect(await counterValue('http_requests_total', semRota)).to.equal(antes[1] + 1);
+    expect(await register.metrics()).to.not.match(/route="\/v1\/disparos\/campanhas\/\d+"/);
+  });
+
+  it('counts active instances by status and campaign sends', async () => {
+    const enviadas = await counterValue('campaign_messages_total', { status: 'sent' });
+    const falhas = await counterValue('campaign_messages_total', { status: 'failed' });
+
+    recordCampaignMessage('sent');
+    recordCampaignMessage('sent');
+    recordCampaignMessage('failed');
+
+    const metrics = await register.metrics();
+    expect(metrics).to.include('whatsapp_instances{status="connected"} 2');
+    expect(metrics).to.include('whatsapp_instances{status="disconnected"} 1');
+    expect(metrics).to.include('whatsapp_instances{status="connecting"} 0');
+    expect(await counterValue('campaign_messages_total', { status: 'sent' })).to.equal(enviadas + 2);
+    expect(await counterValue('campaign_messages_total', { status: 'failed' })).to.equal(falhas + 1);
+  });
+});
@@ -0,0 +1,13 @@
+// Variáveis de ambiente dos testes. Carregado pelo .mocharc.json antes de qualquer arquivo
+// de teste: os módulos de config/ leem o ambiente uma única vez, ao serem carregados, e o
+// mocha carrega todos os arquivos no mesmo processo.
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
+process.env.EVOLUTION_API_URL = process.env.EVOLUTION_API_URL || 'http://evolution.test';
+process.env.EVOLUTION_API_KEY = process.env.EVOLUTION_API_KEY || 'test-evolution-key';
+process.env.API_KEY = process.env.API_KEY || 'test-api-key';
+process.env.CLOUD_API_APP_SECRET = process.env.CLOUD_API_APP_SECRET || 'segredo-app';
+process.env.CLOUD_API_VERIFY_TOKEN = process.env.CLOUD_API_VERIFY_TOKEN || 'token-verificacao';
+process.env.CLOUD_API_TOKEN_SECRET = process.env.CLOUD_API_TOKEN_SECRET || 'segredo-tokens';
+process.env.PUBLIC_API_URL = process.env.PUBLIC_API_URL || 'https://api.test';
+process.env.STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || 'segredo-downloads';
@@ -0,0 +1,238 @@
+// Supabase em memória para testes. Implementa o subconjunto do query builder
+// usado pela API (select/insert/update/delete com filtros, ordenação e paginação).
+require('./env');
+
+const sinon = require('sinon');
+const supabase = require('../../config/supabase');
+
+class Query {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = 0;
+    this.rangeTo = Infinity;
+    this.mode = 'many';
+    this.returning = false;
+    this.countRequested = false;
+    this.head = false;
+  }
+
+  rows() {
+    if (!this.db.tables[this.table]) this.db.tables[this.table] = [];
+    return this.db.tables[this.table];
+  }
+
+  select(columns, options = {}) {
+    if (this.action === 'select') {
+      this.countRequested = options.count === 'exact';
+      this.head = Boolean(options.head);
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.conflictColumns = (options.onConflict || 'id').split(',').map((c) => c.trim());
+    this.ignoreDuplicates = Boolean(options.ignoreDuplicates);
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(fn) {
+    this.filters.push(fn);
+    return this;
+  }
+
+  eq(column, value) { return this.filter((row) => row[column] === value); }
+  neq(column, value) { return this.filter((row) => row[column] !== value); }
+  gt(column, value) { return this.filter((row) => row[column] > value); }
+  gte(column, value) { return this.filter((row) => row[column] >= value); }
+  lt(column, value) { return this.filter((row) => row[column] < value); }
+  lte(column, value) { return this.filter((row) => row[column] <= value); }
+  in(column, values) { return this.filter((row) => values.includes(row[column])); }
+  is(column, value) { return this.filter((row) => (row[column] ?? null) === value); }
+  contains(column, values) {
+    return this.filter((row) => values.every((v) => (row[column] || []).includes(v)));
+  }
+  overlaps(column, values) {
+    return this.filter((row) => values.some((v) => (row[column] || []).includes(v)));
+  }
+  not(column, operator, value) {
+    if (operator !== 'is') throw new Error(`Operador não suportado no fake: not.${operator}`);
+    return this.filter((row) => (row[column] ?? null) !== value);
+  }
+  ilike(column, pattern) {
+    const regex = new RegExp(`^${pattern.replace(/%/g, '.*')}$`, 'i');
+    return this.filter((row) => regex.test(String(row[column] ?? '')));
+  }
+  // Filtros do PostgREST separados por vírgula (ex.: 'executor.is.null,executor_ate.lt.2026-01-01')
+  or(expression) {
+    const conditions = expression.split(',').map((condition) => {
+      const [column, operator, ...rest] = condition.split('.');
+      const value = rest.join('.');
+      const probe = new Query(this.db, this.table);
+      if (operator === 'is') return probe.is(column, value === 'null' ? null : value).filters[0];
+      // Os valores chegam como texto, como na URL do PostgREST
+      if (operator === 'eq') return (row) => String(row[column]) === value;
+      if (operator === 'neq') return (row) => String(row[column]) !== value;
+      if (!['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'ilike'].includes(operator)) {
+        throw new Error(`Operador não suportado no fake: or(${operator})`);
+      }
+      return probe[operator](column, value).filters[0];
+    });
+    return this.filter((row) => conditions.some((fn) => fn(row)));
+  }
+
+  order(column, options = {}) {
+    this.orders.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) {
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  matches() {
+    return this.rows().filter((row) => this.filters.every((fn) => fn(row)));
+  }
+
+  execute() {
+    const table = this.rows();
+    let result;
+
+    const failure = this.db.failures[`${this.table}.${this.action}`];
+    if (failure) return { data: null, error: failure };
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      result = [];
+      for (const value of this.values) {
+        const existing = this.action === 'upsert'
+          && table.find((row) => this.conflictColumns.every((c) => row[c] === value[c]));
+        if (existing) {
+          if (!this.ignoreDuplicates) {
+            Object.assign(existing, value);
+            result.push(existing);
+          }
+          continue;
+        }
+        const violation = this.db.uniqueViolation(this.table, value);
+        if (violation) return { data: null, error: violation };
+        const row = { id: this.db.nextId(this.table), ...value };
+        table.push(row);
+        result.push(row);
+      }
+    } else if (this.action === 'update') {
+      result = this.matches();
+      result.forEach((row) => Object.assign(row, this.values));
+    } else if (this.action === 'delete') {
+      result = this.matches();
+      this.db.tables[this.table] = table.filter((row) => !result.includes(row));
+    } else {
+      result = this.matches();
+    }
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      result = [...result].sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+      });
+    }
+
+    const count = result.length;
+    if (this.action === 'select') {
+      result = result.slice(this.rangeFrom, this.rangeTo + 1);
+    }
+
+    const data = result.map((row) => ({ ...row }));
+
+    if (this.mode === 'single' || this.mode === 'maybeSingle') {
+      if (data.length > 1 || (this.mode === 'single' && data.length === 0)) {
+        return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+      return { data: data[0] || null, error: null };
+    }
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    return {
+      data: this.head ? null : data,
+      error: null,
+      ...(this.countRequested && { count }),
+    };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+}
+
+// Substitui supabase.from pelo banco em memória. Retorna o banco para
+// que o teste popule tabelas e inspecione o resultado; chame restore() no afterEach.
+// db.failures['tabela.acao'] = { message } faz as operações dessa ação na tabela falharem.
+function installFakeSupabase({ unique = {} } = {}) {
+  const ids = {};
+  const db = {
+    tables: {},
+    failures: {},
+    nextId(table) {
+      ids[table] = (ids[table] || 0) + 1;
+      return ids[table];
+    },
+    uniqueViolation(table, value) {
+      const rows = db.tables[table] || [];
+      for (const columns of unique[table] || []) {
+        if (rows.some((row) => columns.every((c) => row[c] === value[c]))) {
+          return { code: '23505', message: `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"` };
+        }
+      }
+      return null;
+    },
+  };
+
+  const stub = sinon.stub(supabase, 'from').callsFake((table) => new Query(db, table));
+  db.restore = () => stub.restore();
+  return db;
+}
+
+module.exports = { installFakeSupabase, supabase };
@@ -0,0 +1,180 @@
+const http = require('http');
+const express = require('express');
+const chai = require('chai');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { idempotency } = require('../idempotencyMiddleware');
+const { userLock } = require('../lockMiddleware');
+const { acquireLock } = require('../services/locks');
+const expect = chai.expect;
+
+const USER = '49e72cf1-ac56-463d-bc11-189907599938';
+
+describe('Idempotency keys', () => {
+  let db;
+  let server;
+  let port;
+  let execucoes;
+  let liberarSetup;
+
+  before((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => { req.user = { id: USER, isService: false }; next(); });
+
+    app.post('/campanhas', idempotency, (req, res) => {
+      execucoes += 1;
+      if (req.body.quebrar) {
+        return res.status(500).json({ success: false, error: 'Erro interno' });
+      }
+      res.status(201).json({ success: true, campanha_id: execucoes });
+    });
+
+    // Como o repasse ao n8n: a resposta do webhook pode ser texto
+    app.post('/repasse', idempotency, (req, res) => {
+      execucoes += 1;
+      res.status(202).type('text/plain').send(`Workflow iniciado (${execucoes})`);
+    });
+
+    // Rota lenta: só responde quando o teste chama liberarSetup()
+    app.post('/setup', userLock('whatsapp.setup', 60000), (req, res) => {
+      execucoes += 1;
+      liberarSetup = () => res.json({ success: true });
+    });
+
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  after((done) => server.close(done));
+
+  beforeEach(() => {
+    db = installFakeSupabase({ unique: { idempotencia: [['ator', 'chave']], travas: [['chave']] } });
+    execucoes = 0;
+  });
+
+  afterEach(() => db.restore());
+
+  const post = (path, body, headers = {}) => new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      method: 'POST',
+      path,
+      headers: { 'content-type': 'application/json', ...headers },
+    }, (res) => {
+      let raw = '';
+      res.on('data', (chunk) => { raw += chunk; });
+      // Espera os registros feitos no 'finish' da resposta
+      res.on('end', () => setImmediate(() => {
+        const json = res.headers['content-type']?.includes('application/json');
+        resolve({ status: res.statusCode, headers: res.headers, body: json ? JSON.parse(raw) : raw });
+      }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+
+  it('replays the first response for repeated keys', async () => {
+    const primeira = await post('/campanhas', { nome: 'Black Friday', lote: 50 }, { 'idempotency-key': 'k1' });
+    const repetida = await post('/campanhas', { lote: 50, nome: 'Black Friday' }, { 'idempotency-key': 'k1' });
+
+    expect(execucoes).to.equal(1);
+    expect(repetida.status).to.equal(201);
+    expect(repetida.body).to.deep.equal(primeira.body);
+    expect(repetida.headers['idempotent-replayed']).to.equal('true');
+    expect(primeira.headers['idempotent-replayed']).to.equal(undefined);
+  });
+
+  it('replays text responses with their content type', async () => {
+    const primeira = await post('/repasse', { campanha: 1 }, { 'idempotency-key': 'k1' });
+    const repetida = await post('/repasse', { campanha: 1 }, { 'idempotency-key': 'k1' });
+
+    expect(execucoes).to.equal(1);
+    expect(primeira).to.deep.include({ status: 202, body: 'Workflow iniciado (1)' });
+    expect(repetida).to.deep.include({ status: 202, body: 'Workflow iniciado (1)' });
+    expect(repetida.headers['content-type']).to.equal(primeira.headers['content-type']).and.include('text/plain');
+    expect(db.tables.idempotencia[0]).to.include({ resposta: 'Workflow iniciado (1)', status_http: 202 });
+  });
+
+  it('rejects the same key with a different body', async () => {
+    await post('/campanhas', { nome: 'Black Friday' }, { 'idempotency-key': 'k1' });
+    const outra = await post('/campanhas', { nome: 'Natal' }, { 'idempotency-key': 'k1' });
+
+    expect(outra.status).to.equal(422);
+    expect(outra.body.code).to.equal('IDEMPOTENCY_KEY_MISMATCH');
+    expect(execucoes).to.equal(1);
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    db.tables.idempotencia = [{
+      id: 1, ator: USER, chave: 'k1', rota: 'POST /campanhas', status: 'processando',
+      body_hash: require('../services/idempotency').hashBody({ nome: 'Black Friday' }),
+      expira_em: new Date(Date.now() + 60000).toISOString(),
+    }];
+
+    const res = await post('/campanhas', { nome: 'Black Friday' }, { 'idempotency-key': 'k1' });
+
+    expect(res.status).to.equal(409);
+    expect(res.body.code).to.equal('IDEMPOTENCY_KEY_IN_USE');
+    expect(execucoes).to.equal(0);
+  });
+
+  it('lets the client retry after a server error', async () => {
+    await post('/campanhas', { quebrar: true }, { 'idempotency-key': 'k1' });
+    expect(db.tables.idempotencia).to.have.length(0);
+
+    const res = await post('/campanhas', { quebrar: true }, { 'idempotency-key': 'k1' });
+    expect(res.status).to.equal(500);
+    expect(execucoes).to.equal(2);
+  });
+
+  it('releases the key when the response cannot be saved', async () => {
+    db.failures['idempotencia.update'] = { message: 'canceling statement due to statement timeout' };
+
+    const primeira = await post('/campanhas', { nome: 'Black Friday' }, { 'idempotency-key': 'k1' });
+    expect(primeira.status).to.equal(201);
+    expect(db.tables.idempotencia).to.have.length(0);
+
+    delete db.failures['idempotencia.update'];
+    const retry = await post('/campanhas', { nome: 'Black Friday' }, { 'idempotency-key': 'k1' });
+    expect(retry.status).to.equal(201);
+    expect(execucoes).to.equal(2);
+  });
+
+  it('runs normally without the header', async () => {
+    await post('/campanhas', { nome: 'Black Friday' });
+    await post('/campanhas', { nome: 'Black Friday' });
+
+    expect(execucoes).to.equal(2);
+    expect(db.tables.idempotencia || []).to.have.length(0);
+  });
+
+  it('allows a single /setup per user at a time', async () => {
+    const primeira = post('/setup', { user_id: USER });
+    while (!liberarSetup) await new Promise((resolve) => setImmediate(resolve));
+
+    const concorrente = await post('/setup', { user_id: USER });
+    expect(concorrente.status).to.equal(409);
+    expect(concorrente.body.code).to.equal('REQUEST_IN_PROGRESS');
+
+    liberarSetup();
+    liberarSetup = null;
+    expect((await primeira).status).to.equal(200);
+    expect(db.tables.travas).to.have.length(0);
+
+    const depois = post('/setup', { user_id: USER });
+    while (!liberarSetup) await new Promise((resolve) => setImmediate(resolve));
+    liberarSetup();
+    liberarSetup = null;
+    expect((await depois).status).to.equal(200);
+    expect(execucoes).to.equal(2);
+  });
+
+  it('takes over locks left expired by a crashed process', async () => {
+    db.tables.travas = [{ chave: 'whatsapp.setup:u1', dono: 'antigo', expira_em: new Date(Date.now() - 1000).toISOString() }];
+
+    expect(await acquireLock('whatsapp.setup:u1', 60000)).to.be.a('string');
+    expect(await acquireLock('whatsapp.setup:u1', 60000)).to.equal(null);
+  });
+});
@@ -0,0 +1,156 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const axios = require('axios');
+const fs = require('fs').promises;
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const storage = require('../services/storage');
+const { saveInboundMessages } = require('../services/inbox');
+const { parseInboundMessage } = require('../services/whatsapp/evolution');
+const expect = chai.expect;
+
+const instance = { id: 7, user_id: 'user-1', nome_instancia: 'inst_1' };
+
+const upsert = (overrides = {}) => ({
+  key: { id: 'IN1', remoteJid: '5511987654321@s.whatsapp.net', fromMe: false },
+  pushName: 'Maria',
+  messageType: 'conversation',
+  message: { conversation: 'SAIR' },
+  messageTimestamp: 1760000000,
+  ...overrides
+});
+
+describe('Inbound messages (messages.upsert)', () => {
+  describe('parseInboundMessage', () => {
+    it('extracts contact, text and timestamp from a text message', () => {
+      expect(parseInboundMessage(upsert())).to.deep.include({
+        messageId: 'IN1',
+        contato: '5511987654321',
+        nomeContato: 'Maria',
+        tipo: 'texto',
+        texto: 'SAIR',
+        criadoEm: new Date(1760000000 * 1000).toISOString()
+      });
+    });
+
+    it('reads the caption of media messages', () => {
+      const parsed = parseInboundMessage(upsert({
+        messageType: 'imageMessage',
+        message: { imageMessage: { caption: 'foto', mimetype: 'image/jpeg' } }
+      }));
+
+      expect(parsed).to.include({ tipo: 'imagem', texto: 'foto', mimetype: 'image/jpeg' });
+    });
+
+    it('ignores our own messages and group messages', () => {
+      expect(parseInboundMessage(upsert({ key: { id: 'X', remoteJid: '5511987654321@s.whatsapp.net', fromMe: true } }))).to.be.null;
+      expect(parseInboundMessage(upsert({ key: { id: 'X', remoteJid: '1203630@g.us', fromMe: false } }))).to.be.null;
+    });
+  });
+
+  describe('saveInboundMessages', () => {
+    let db;
+    let axiosPostStub;
+
+    beforeEach(() => {
+      db = installFakeSupabase({ unique: { mensagens: [['whatsapp_id', 'message_id']] } });
+      axiosPostStub = sinon.stub(axios, 'post');
+    });
+
+    afterEach(() => {
+      axiosPostStub.restore();
+      db.restore();
+    });
+
+    it('stores the message once even if the webhook is delivered twice', async () => {
+      await saveInboundMessages(instance, [parseInboundMessage(upsert())]);
+      const saved = await saveInboundMessages(instance, [parseInboundMessage(upsert())]);
+
+      expect(saved).to.equal(0);
+      expect(db.tables.mensagens).to.have.length(1);
+      expect(db.tables.mensagens[0]).to.include({ user_id: 'user-1', whatsapp_id: 7, direcao: 'entrada', contato: '5511987654321' });
+    });
+
+    it('stores a message of another instance that has the same id', async () => {
+      await saveInboundMessages(instance, [parseInboundMessage(upsert())]);
+      const saved = await saveInboundMessages({ ...instance, id: 8, nome_instancia: 'inst_2' }, [parseInboundMessage(upsert())]);
+
+      expect(saved).to.equal(1);
+      expect(db.tables.mensagens.map((m) => m.whatsapp_id)).to.deep.equal([7, 8]);
+    });
+
+    it('fails on a conflict with another unique key', async () => {
+      db.failures['mensagens.insert'] = { code: '23505', message: 'duplicate key value violates unique constraint "mensagens_pkey"' };
+
+      const error = await saveInboundMessages(instance, [parseInboundMessage(upsert())]).catch((e) => e);
+
+      expect(error.message).to.include('mensagens_pkey');
+    });
+
+    it('downloads media into the user upload folder', async () => {
+      axiosPostStub.resolves({ data: { base64: Buffer.from('%PDF-1.4').toString('base64'), mimetype: 'application/pdf' } });
+      const writeStub = sinon.stub(fs, 'writeFile').resolves();
+      const mkdirStub = sinon.stub(fs, 'mkdir').resolves();
+
+      try {
+        await saveInboundMessages(instance, [parseInboundMessage(upsert({
+          messageType: 'documentMessage',
+          message: { documentMessage: { fileName: 'boleto.pdf', mimetype: 'application/pdf' } }
+        }))]);
+      } finally {
+        writeStub.restore();
+        mkdirStub.restore();
+      }
+
+      expect(axiosPostStub.args[0][0]).to.include('/chat/getBase64FromMediaMessage/inst_1');
+      expect(writeStub.args[0][0]).to.match(/uploads\/user-1\/\d+-boleto\.pdf$/);
+      expect(db.tables.mensagens[0]).to.include({ tipo: 'documento', mimetype: 'application/pdf' });
+      expect(db.tables.mensagens[0].arquivo).to.match(/^\d+-boleto\.pdf$/);
+    });
+
+    describe('media checks', () => {
+      const documento = () => parseInboundMessage(upsert({
+        messageType: 'documentMessage',
+        message: { documentMessage: { fileName: 'boleto.pdf', mimetype: 'application/pdf' } }
+      }));
+
+      let saveStub;
+
+      beforeEach(() => {
+        saveStub = sinon.stub(storage, 'save').resolves();
+        axiosPostStub.resolves({ data: { base64: Buffer.from('%PDF-1.4').toString('base64'), mimetype: 'application/pdf' } });
+      });
+
+      afterEach(() => sinon.restore());
+
+      it('does not download the media again when the webhook is redelivered', async () => {
+        await saveInboundMessages(instance, [documento()]);
+        await saveInboundMessages(instance, [documento()]);
+
+        expect(axiosPostStub.calledOnce).to.be.true;
+        expect(saveStub.calledOnce).to.be.true;
+        expect(db.tables.mensagens).to.have.length(1);
+      });
+
+      it('keeps the message without the file when the content is not an accepted type', async () => {
+        axiosPostStub.resolves({ data: { base64: Buffer.from([0x4d, 0x5a, 0x90, 0x00]).toString('base64'), mimetype: 'application/pdf' } });
+
+        expect(await saveInboundMessages(instance, [documento()])).to.equal(1);
+
+        expect(saveStub.notCalled).to.be.true;
+        expect(db.tables.mensagens[0]).to.include({ tipo: 'documento', arquivo: null });
+      });
+
+      it('keeps the message without the file when it exceeds the user quota', async () => {
+        const userId = '0b6f4f2e-6c1a-4a8e-9d63-1f0c2b7a5e11';
+        db.tables.usuarios = [{ id: userId, plano: null }];
+        db.tables.cotas_armazenamento = [{ user_id: userId, megabytes: 1 }];
+        sinon.stub(storage, 'list').resolves([{ name: 'video.mp4', size: 1024 * 1024, updatedAt: new Date() }]);
+
+        expect(await saveInboundMessages({ ...instance, user_id: userId }, [documento()])).to.equal(1);
+
+        expect(saveStub.notCalled).to.be.true;
+        expect(db.tables.mensagens[0].arquivo).to.equal(null);
+      });
+    });
+  });
+});
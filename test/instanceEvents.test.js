@@ -0,0 +1,120 @@
+const http = require('http');
+const express = require('express');
+const chai = require('chai');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { publishInstanceEvent, subscribeInstanceEvents } = require('../services/instanceEvents');
+const instanceRoutes = require('../instanceRoutes');
+const expect = chai.expect;
+
+const USER = '49e72cf1-ac56-463d-bc11-189907599938';
+const OTHER_USER = '5f1c2e9a-7b3d-4c8e-9a6f-0d2b4e6c8a10';
+
+describe('Instance events', () => {
+  it('delivers events only to the subscribers of the instance owner', () => {
+    const received = [];
+    const unsubscribe = subscribeInstanceEvents(USER, (evento) => received.push(evento));
+
+    publishInstanceEvent({ id: 1, user_id: USER, nome_instancia: 'inst_1' }, 'status', { status: 'connected' });
+    publishInstanceEvent({ id: 2, user_id: OTHER_USER, nome_instancia: 'inst_2' }, 'status', { status: 'connected' });
+    unsubscribe();
+    publishInstanceEvent({ id: 1, user_id: USER, nome_instancia: 'inst_1' }, 'qrcode', { qrcode: 'abc' });
+
+    expect(received).to.have.length(1);
+    expect(received[0]).to.deep.include({ tipo: 'status' });
+    expect(received[0].dados).to.deep.equal({ instance_id: 1, nome_instancia: 'inst_1', status: 'connected' });
+  });
+
+  describe('GET /events/:user_id', () => {
+    let db;
+    let server;
+    let baseUrl;
+    let stream;
+
+    before((done) => {
+      const app = express();
+      app.use((req, res, next) => { req.user = { id: null, isService: true }; next(); });
+      app.use('/v1/whatsapp', instanceRoutes);
+      server = app.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    after((done) => server.close(done));
+
+    beforeEach(() => {
+      db = installFakeSupabase();
+      db.tables.whatsapp = [
+        { id: 1, user_id: USER, nome_instancia: 'inst_1', rotulo: 'Vendas', status: 'disconnected', qr_code: 'qr-antigo', is_active: true },
+        { id: 2, user_id: USER, nome_instancia: 'inst_2', rotulo: 'Suporte', status: 'connected', qr_code: 'qr-velho', is_active: true },
+      ];
+    });
+
+    afterEach(() => {
+      stream?.destroy();
+      db.restore();
+    });
+
+    // Abre o stream e entrega os eventos SSE (event + data) conforme chegam
+    const openStream = (query = '') => new Promise((resolve, reject) => {
+      const eventos = [];
+      const waiters = [];
+      let buffer = '';
+
+      const req = http.get(`${baseUrl}/v1/whatsapp/events/${USER}${query}`, (res) => {
+        stream = res;
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          const blocos = buffer.split('\n\n');
+          buffer = blocos.pop();
+          for (const bloco of blocos) {
+            const event = bloco.match(/^event: (.+)$/m)?.[1];
+            const data = bloco.match(/^data: (.+)$/m)?.[1];
+            if (!event) continue;
+            eventos.push({ event, data: JSON.parse(data) });
+            waiters.splice(0).forEach((wake) => wake());
+          }
+        });
+
+        const next = async (count) => {
+          while (eventos.length < count) await new Promise((wake) => waiters.push(wake));
+          return eventos[count - 1];
+        };
+        resolve({ res, eventos, next });
+      });
+      req.on('error', reject);
+    });
+
+    it('starts with a snapshot of the user instances', async () => {
+      const { res, next } = await openStream();
+
+      expect(res.headers['content-type']).to.match(/^text\/event-stream/);
+      const { event, data } = await next(1);
+      expect(event).to.equal('snapshot');
+      expect(data.instancias).to.have.length(2);
+      expect(data.instancias[0]).to.include({ instance_id: 1, status: 'disconnected', qrcode: 'qr-antigo' });
+      expect(data.instancias[1]).to.include({ instance_id: 2, status: 'connected', qrcode: null });
+    });
+
+    it('pushes published events, filtered by instance_id', async () => {
+      const { next, eventos } = await openStream('?instance_id=1');
+      await next(1);
+
+      publishInstanceEvent(db.tables.whatsapp[1], 'status', { status: 'disconnected' });
+      publishInstanceEvent(db.tables.whatsapp[0], 'qrcode', { qrcode: 'qr-novo' });
+
+      const { event, data } = await next(2);
+      expect(event).to.equal('qrcode');
+      expect(data).to.include({ instance_id: 1, qrcode: 'qr-novo' });
+      expect(eventos.map((item) => item.event)).to.deep.equal(['snapshot', 'qrcode']);
+    });
+
+    it('returns 404 for an instance of another user', async () => {
+      db.tables.whatsapp[1].user_id = OTHER_USER;
+      const { res } = await openStream('?instance_id=2');
+
+      expect(res.statusCode).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const chai = require('chai');
+const { createRotation } = require('../services/instanceRotation');
+const expect = chai.expect;
+
+const A = { id: 1, peso: 3 };
+const B = { id: 2, peso: 1 };
+const C = { id: 3, peso: 1 };
+
+const take = (rotation, n) => Array.from({ length: n }, () => rotation.next()?.id ?? null);
+
+describe('Instance rotation', () => {
+  it('cycles through the instances in round-robin, ignoring weights', () => {
+    const rotation = createRotation('round_robin');
+    rotation.setInstances([A, B, C]);
+
+    expect(take(rotation, 6)).to.deep.equal([1, 2, 3, 1, 2, 3]);
+  });
+
+  it('spreads sends proportionally to the weights', () => {
+    const rotation = createRotation('peso');
+    rotation.setInstances([A, B, C]);
+
+    const ids = take(rotation, 10);
+    expect(ids.slice(0, 5)).to.deep.equal([1, 2, 1, 3, 1]);
+    expect(ids.filter((id) => id === 1)).to.have.length(6);
+  });
+
+  it('drops removed instances and returns null when none is left', () => {
+    const rotation = createRotation('round_robin');
+    rotation.setInstances([A, B]);
+
+    rotation.remove(1);
+    expect(take(rotation, 2)).to.deep.equal([2, 2]);
+
+    rotation.remove(2);
+    expect(rotation.size).to.equal(0);
+    expect(rotation.next()).to.be.null;
+  });
+});
@@ -0,0 +1,81 @@
+const chai = require('chai');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { applyMessageStatuses } = require('../services/messageStatus');
+const { parseStatusEvents } = require('../services/whatsapp/evolution');
+const expect = chai.expect;
+
+const instance = { id: 7, user_id: 'user-1', nome_instancia: 'inst_1' };
+
+describe('Message status webhook events', () => {
+  let db;
+
+  const recipient = () => db.tables.campanha_destinatarios[0];
+
+  beforeEach(() => {
+    db = installFakeSupabase();
+    db.tables.campanhas = [{ id: 1, user_id: 'user-1' }];
+    db.tables.campanha_destinatarios = [
+      { id: 1, campanha_id: 1, numero: '5511900000001', status: 'sent', message_id: 'MSG1', whatsapp_id: 7 }
+    ];
+  });
+
+  afterEach(() => {
+    db.restore();
+  });
+
+  it('marks a recipient as delivered from a v2 messages.update event', async () => {
+    const updated = await applyMessageStatuses(instance, parseStatusEvents('messages.update', { keyId: 'MSG1', status: 'DELIVERY_ACK' }), 't1');
+
+    expect(updated).to.equal(1);
+    expect(recipient()).to.include({ status: 'delivered', entregue_em: 't1' });
+  });
+
+  it('accepts v1 payloads with numeric status inside a list', async () => {
+    await applyMessageStatuses(instance, parseStatusEvents('messages.update', [{ key: { id: 'MSG1' }, update: { status: 4 } }]), 't1');
+
+    expect(recipient()).to.include({ status: 'read', lido_em: 't1' });
+  });
+
+  it('never moves a recipient backwards when events arrive out of order', async () => {
+    await applyMessageStatuses(instance, parseStatusEvents('messages.update', { keyId: 'MSG1', status: 'READ' }), 't2');
+    await applyMessageStatuses(instance, parseStatusEvents('messages.update', { keyId: 'MSG1', status: 'DELIVERY_ACK' }), 't1');
+
+    expect(recipient()).to.include({ status: 'read', lido_em: 't2', entregue_em: 't1' });
+  });
+
+  it('records failures reported before delivery', async () => {
+    await applyMessageStatuses(instance, parseStatusEvents('messages.update', { keyId: 'MSG1', status: 'ERROR' }), 't1');
+
+    expect(recipient()).to.include({ status: 'failed', falhou_em: 't1', erro: 'Falha reportada pelo WhatsApp' });
+  });
+
+  it('keeps the failure reason reported by the provider', async () => {
+    await applyMessageStatuses(instance, [{ messageId: 'MSG1', status: 'failed', erro: 'Mensagem fora da janela de 24 horas' }], 't1');
+
+    expect(recipient()).to.include({ status: 'failed', erro: 'Mensagem fora da janela de 24 horas' });
+  });
+
+  it('ignores messages that do not belong to a campaign', async () => {
+    const updated = await applyMessageStatuses(instance, parseStatusEvents('send.message', { key: { id: 'OTHER' } }));
+
+    expect(updated).to.equal(0);
+    expect(recipient().status).to.equal('sent');
+  });
+
+  it('ignores events for a message id sent by another instance', async () => {
+    const updated = await applyMessageStatuses({ id: 8, user_id: 'user-2' }, [{ messageId: 'MSG1', status: 'read' }]);
+
+    expect(updated).to.equal(0);
+    expect(recipient().status).to.equal('sent');
+  });
+
+  it('updates recipients without instance only from instances of the campaign owner', async () => {
+    delete recipient().whatsapp_id;
+
+    await applyMessageStatuses({ id: 8, user_id: 'user-2' }, [{ messageId: 'MSG1', status: 'read' }], 't1');
+    expect(recipient().status).to.equal('sent');
+
+    await applyMessageStatuses(instance, [{ messageId: 'MSG1', status: 'delivered' }], 't2');
+    expect(recipient()).to.include({ status: 'delivered', entregue_em: 't2' });
+  });
+});
@@ -0,0 +1,57 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const axios = require('axios');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { isOptOutMessage, filterSuppressed, handleOptOutMessage } = require('../services/optOut');
+const expect = chai.expect;
+
+describe('Opt-out', () => {
+  describe('isOptOutMessage', () => {
+    it('matches the default keywords ignoring case, accents and punctuation', () => {
+      expect(isOptOutMessage('sair')).to.be.true;
+      expect(isOptOutMessage('  Parar! ')).to.be.true;
+      expect(isOptOutMessage('STOP.')).to.be.true;
+    });
+
+    it('does not match keywords inside longer messages', () => {
+      expect(isOptOutMessage('quero sair do grupo')).to.be.false;
+      expect(isOptOutMessage(null)).to.be.false;
+    });
+  });
+
+  describe('suppression list', () => {
+    let db;
+    let axiosPostStub;
+
+    beforeEach(() => {
+      db = installFakeSupabase();
+      axiosPostStub = sinon.stub(axios, 'post').resolves({ data: {} });
+    });
+
+    afterEach(() => {
+      axiosPostStub.restore();
+      db.restore();
+    });
+
+    it('suppresses the contact that sent an opt-out keyword', async () => {
+      const instance = { id: 1, user_id: 'user-1', nome_instancia: 'inst_1' };
+
+      expect(await handleOptOutMessage(instance, '5511987654321', 'Sair')).to.be.true;
+      expect(await handleOptOutMessage(instance, '5511987654321', 'SAIR')).to.be.true;
+
+      expect(db.tables.supressoes).to.have.length(1);
+      expect(db.tables.supressoes[0]).to.include({ user_id: 'user-1', numero: '5511987654321', origem: 'palavra_chave' });
+    });
+
+    it('removes suppressed numbers of the same user only', async () => {
+      db.tables.supressoes = [
+        { id: 1, user_id: 'user-1', numero: '5511900000001' },
+        { id: 2, user_id: 'user-2', numero: '5511900000002' }
+      ];
+
+      const result = await filterSuppressed('user-1', ['5511900000001', '5511900000002', '5511900000003']);
+
+      expect(result).to.deep.equal({ permitidos: ['5511900000002', '5511900000003'], removidos: 1 });
+    });
+  });
+});
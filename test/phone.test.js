@@ -0,0 +1,53 @@
+const chai = require('chai');
+const { normalizePhone, normalizePhoneList } = require('../utils/phone');
+const expect = chai.expect;
+
+describe('Phone normalization', () => {
+  describe('normalizePhone', () => {
+    it('normalizes the common Brazilian formats to the same E.164 number', () => {
+      for (const input of ['(11) 98765-4321', '11987654321', '5511987654321', '+55 11 98765-4321', '011 98765-4321']) {
+        expect(normalizePhone(input), input).to.include({
+          valido: true,
+          numero: '5511987654321',
+          e164: '+5511987654321',
+          jid: '5511987654321@s.whatsapp.net',
+          tipo: 'celular'
+        });
+      }
+    });
+
+    it('adds the ninth digit to 8-digit mobile numbers', () => {
+      const result = normalizePhone('21 8765-4321');
+
+      expect(result).to.include({ valido: true, numero: '5521987654321', tipo: 'celular' });
+      expect(result.ajustes).to.include('nono_digito_adicionado');
+    });
+
+    it('keeps landlines with 8 digits', () => {
+      expect(normalizePhone('(11) 3456-7890')).to.include({ valido: true, numero: '551134567890', tipo: 'fixo' });
+    });
+
+    it('accepts explicit international numbers from other countries', () => {
+      expect(normalizePhone('+1 (415) 555-2671')).to.include({ valido: true, numero: '14155552671', tipo: 'internacional' });
+    });
+
+    it('rejects invalid DDDs, missing DDDs and malformed numbers', () => {
+      expect(normalizePhone('(20) 98765-4321')).to.deep.equal({ valido: false, motivo: 'DDD 20 inválido' });
+      expect(normalizePhone('98765-4321')).to.deep.equal({ valido: false, motivo: 'DDD ausente' });
+      expect(normalizePhone('11 88765-4321')).to.deep.equal({ valido: false, motivo: 'Celular com 9 dígitos deve começar com 9' });
+      expect(normalizePhone('abc')).to.deep.equal({ valido: false, motivo: 'Número ausente' });
+      expect(normalizePhone('123')).to.deep.equal({ valido: false, motivo: 'Quantidade de dígitos inválida' });
+    });
+  });
+
+  describe('normalizePhoneList', () => {
+    it('drops duplicates after normalization and reports invalid entries by index', () => {
+      const result = normalizePhoneList(['5511987654321', '(11) 98765-4321', '12', '21987654321']);
+
+      expect(result.validos.map((v) => v.numero)).to.deep.equal(['5511987654321', '5521987654321']);
+      expect(result.duplicados).to.deep.equal([{ indice: 1, entrada: '(11) 98765-4321', numero: '5511987654321' }]);
+      expect(result.invalidos).to.deep.equal([{ indice: 2, entrada: '12', motivo: 'Quantidade de dígitos inválida' }]);
+      expect(result.resumo).to.deep.equal({ total: 4, validos: 2, invalidos: 1, duplicados: 1 });
+    });
+  });
+});
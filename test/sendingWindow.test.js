@@ -0,0 +1,44 @@
+const chai = require('chai');
+const { validateWindow, isWithinWindow, nextWindowStart } = require('../utils/sendingWindow');
+const expect = chai.expect;
+
+describe('Sending window', () => {
+  // Segunda a sexta, 08:00 às 20:00 em São Paulo (UTC-3)
+  const businessHours = { dias: [1, 2, 3, 4, 5], inicio: '08:00', fim: '20:00', fuso: 'America/Sao_Paulo' };
+
+  it('checks weekday and time in the window time zone', () => {
+    expect(isWithinWindow(businessHours, new Date('2026-10-19T11:00:00Z'))).to.be.true; // seg 08:00
+    expect(isWithinWindow(businessHours, new Date('2026-10-19T10:59:00Z'))).to.be.false; // seg 07:59
+    expect(isWithinWindow(businessHours, new Date('2026-10-19T23:00:00Z'))).to.be.false; // seg 20:00
+    expect(isWithinWindow(businessHours, new Date('2026-10-24T15:00:00Z'))).to.be.false; // sáb 12:00
+    expect(isWithinWindow(null, new Date('2026-10-24T15:00:00Z'))).to.be.true;
+  });
+
+  it('finds the next opening of the window', () => {
+    // Sexta 21:00 -> segunda 08:00
+    expect(nextWindowStart(businessHours, new Date('2026-10-24T00:00:00Z')).toISOString()).to.equal('2026-10-26T11:00:00.000Z');
+    // Segunda 06:00 -> mesmo dia 08:00
+    expect(nextWindowStart(businessHours, new Date('2026-10-19T09:00:00Z')).toISOString()).to.equal('2026-10-19T11:00:00.000Z');
+
+    const inside = new Date('2026-10-19T15:00:00Z');
+    expect(nextWindowStart(businessHours, inside)).to.equal(inside);
+  });
+
+  it('handles daylight saving time in other time zones', () => {
+    const ny = { dias: [1], inicio: '09:00', fim: '17:00', fuso: 'America/New_York' };
+
+    // 02/11/2026 (após o fim do horário de verão): 09:00 EST = 14:00 UTC
+    expect(nextWindowStart(ny, new Date('2026-10-31T12:00:00Z')).toISOString()).to.equal('2026-11-02T14:00:00.000Z');
+    // 26/10/2026 (ainda em horário de verão): 09:00 EDT = 13:00 UTC
+    expect(nextWindowStart(ny, new Date('2026-10-24T12:00:00Z')).toISOString()).to.equal('2026-10-26T13:00:00.000Z');
+  });
+
+  it('validates days, times and time zone', () => {
+    expect(validateWindow(businessHours)).to.be.null;
+    expect(validateWindow({ inicio: '08:00', fim: '24:00' })).to.be.null;
+    expect(validateWindow({ dias: [7] })).to.match(/dias/);
+    expect(validateWindow({ inicio: '8h' })).to.match(/HH:MM/);
+    expect(validateWindow({ inicio: '20:00', fim: '08:00' })).to.match(/depois/);
+    expect(validateWindow({ fuso: 'Marte/Olympus' })).to.match(/Fuso horário inválido/);
+  });
+});
@@ -0,0 +1,127 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { createLocalDriver } = require('../services/storage/local');
+const { createS3Driver } = require('../services/storage/s3');
+const { verifyDownloadSignature } = require('../utils/signedUrl');
+const expect = chai.expect;
+
+describe('Storage drivers', () => {
+  describe('local', () => {
+    let root;
+    let storage;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+      storage = createLocalDriver({ root, signingSecret: 'segredo' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('saves, lists, reads and removes files in the user folder', async () => {
+      await storage.save('user-1', '1700000000000-lista.csv', Buffer.from('nome,telefone\n'), 'text/csv');
+
+      expect(await storage.listFolders()).to.deep.equal(['user-1']);
+      const [file] = await storage.list('user-1');
+      expect(file).to.include({ name: '1700000000000-lista.csv', size: 14 });
+      expect(file.updatedAt).to.be.instanceOf(Date);
+      expect((await storage.read('user-1', '1700000000000-lista.csv')).toString()).to.equal('nome,telefone\n');
+
+      await storage.removeFolder('user-1');
+      expect(await storage.listFolders()).to.deep.equal(['user-1']);
+
+      await storage.remove('user-1', '1700000000000-lista.csv');
+      expect(await storage.list('user-1')).to.deep.equal([]);
+      await storage.removeFolder('user-1');
+      expect(await storage.listFolders()).to.deep.equal([]);
+    });
+
+    it('reports missing files as FILE_NOT_FOUND', async () => {
+      const error = await storage.read('user-1', 'nada.csv').catch((err) => err);
+      expect(error).to.include({ code: 'FILE_NOT_FOUND', statusCode: 404 });
+    });
+
+    it('builds expiring download URLs signed by the API', async () => {
+      const url = new URL(await storage.getUrl('user-1', '1-foto.png', { baseUrl: 'http://localhost:3000/', expiresIn: 60 }));
+      const expires = Number(url.searchParams.get('expires'));
+      const signature = url.searchParams.get('signature');
+
+      expect(url.origin + url.pathname).to.equal('http://localhost:3000/v1/storage/download/user-1/1-foto.png');
+      expect(expires).to.be.closeTo(Date.now() / 1000 + 60, 2);
+      expect(verifyDownloadSignature('segredo', 'user-1', '1-foto.png', expires, signature)).to.equal('valid');
+      expect(verifyDownloadSignature('segredo', 'user-2', '1-foto.png', expires, signature)).to.equal('invalid');
+      expect(verifyDownloadSignature('outro', 'user-1', '1-foto.png', expires, signature)).to.equal('invalid');
+
+      const expired = new URL(await storage.getUrl('user-1', '1-foto.png', { baseUrl: 'http://localhost:3000', expiresIn: -1 }));
+      expect(verifyDownloadSignature('segredo', 'user-1', '1-foto.png', Number(expired.searchParams.get('expires')), expired.searchParams.get('signature')))
+        .to.equal('expired');
+
+      const publicUrl = createLocalDriver({ root, publicUrl: 'https://api.exemplo.com', signingSecret: 'segredo' });
+      expect(await publicUrl.getUrl('user-1', 'a.png', { baseUrl: 'http://localhost:3000', expiresIn: 60 }))
+        .to.match(/^https:\/\/api\.exemplo\.com\/v1\/storage\/download\/user-1\/a\.png\?expires=\d+&signature=[0-9a-f]{64}$/);
+      expect(storage.urlExpiresIn(60)).to.equal(60);
+    });
+  });
+
+  describe('s3', () => {
+    let sendStub;
+    const storage = createS3Driver({
+      bucket: 'arquivos',
+      region: 'us-east-1',
+      endpoint: 'http://127.0.0.1:9000',
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio123',
+      forcePathStyle: true,
+    });
+
+    beforeEach(() => {
+      sendStub = sinon.stub(S3Client.prototype, 'send');
+    });
+
+    afterEach(() => {
+      sendStub.restore();
+    });
+
+    it('lists user files and folders by prefix', async () => {
+      const updatedAt = new Date('2025-01-01T00:00:00Z');
+      sendStub.onFirstCall().resolves({
+        Contents: [{ Key: 'user-1/1-a.png', Size: 10, LastModified: updatedAt }],
+        IsTruncated: true,
+        NextContinuationToken: 'proxima',
+      });
+      sendStub.onSecondCall().resolves({ Contents: [{ Key: 'user-1/2-b.png', Size: 20, LastModified: updatedAt }] });
+      sendStub.onThirdCall().resolves({ CommonPrefixes: [{ Prefix: 'user-1/' }, { Prefix: 'user-2/' }] });
+
+      expect(await storage.list('user-1')).to.deep.equal([
+        { name: '1-a.png', size: 10, updatedAt },
+        { name: '2-b.png', size: 20, updatedAt },
+      ]);
+      expect(sendStub.args[1][0].input).to.include({ Bucket: 'arquivos', Prefix: 'user-1/', ContinuationToken: 'proxima' });
+      expect(await storage.listFolders()).to.deep.equal(['user-1', 'user-2']);
+    });
+
+    it('maps NoSuchKey to FILE_NOT_FOUND and signs download URLs', async () => {
+      sendStub.rejects(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' }));
+
+      const error = await storage.read('user-1', 'nada.csv').catch((err) => err);
+      expect(error).to.include({ code: 'FILE_NOT_FOUND', statusCode: 404 });
+
+      const url = await storage.getUrl('user-1', '1-a.png', { expiresIn: 3600 });
+      expect(url).to.match(/^http:\/\/127\.0\.0\.1:9000\/arquivos\/user-1\/1-a\.png\?/);
+      expect(url).to.include('X-Amz-Expires=3600');
+      expect(storage.urlExpiresIn(30 * 24 * 3600)).to.equal(7 * 24 * 3600);
+    });
+
+    it('builds public URLs that do not expire when S3_PUBLIC_URL is set', async () => {
+      const publico = createS3Driver({ bucket: 'arquivos', region: 'us-east-1', publicUrl: 'https://cdn.exemplo.com/' });
+
+      expect(await publico.getUrl('user-1', '1-a.png', { expiresIn: 3600 })).to.equal('https://cdn.exemplo.com/user-1/1-a.png');
+      expect(publico.urlExpiresIn(3600)).to.equal(null);
+    });
+  });
+});
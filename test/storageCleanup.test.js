@@ -0,0 +1,86 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const storage = require('../services/storage');
+const { cleanupUploads } = require('../services/storageCleanup');
+const expect = chai.expect;
+
+const USER_ID = '49e72cf1-ac56-463d-bc11-189907599938';
+const PRO_USER_ID = '7d1f7a52-2c0e-4d55-9a43-5f0d2f1c6b10';
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+describe('Uploads cleanup', () => {
+  let db;
+  let files;
+  let removeStub;
+  let removeFolderStub;
+
+  beforeEach(() => {
+    db = installFakeSupabase();
+    db.tables.usuarios = [{ id: USER_ID, plano: 'basico' }, { id: PRO_USER_ID, plano: 'pro' }];
+    db.tables.retencao_arquivos = [{ id: 1, user_id: null, plano: 'pro', horas: 72 }];
+    db.tables.campanhas = [
+      { id: 10, user_id: USER_ID, status: 'scheduled', url_anexo: `https://api.exemplo.com/v1/storage/download/${USER_ID}/1-promo.png?expires=1&signature=ab` },
+      { id: 11, user_id: USER_ID, status: 'finished', url_anexo: `https://api.exemplo.com/v1/storage/download/${USER_ID}/2-antiga.png?expires=1&signature=ab` },
+      { id: 12, user_id: USER_ID, status: 'failed', url_anexo: `https://api.exemplo.com/v1/storage/download/${USER_ID}/5-falhou.png?expires=1&signature=ab` },
+    ];
+    db.tables.mensagens = [{ id: 30, user_id: USER_ID, direcao: 'entrada', tipo: 'documento', arquivo: '6-comprovante.pdf' }];
+    db.tables.arquivos_removidos = [];
+
+    files = {
+      [USER_ID]: [
+        { name: '1-promo.png', size: 100, updatedAt: hoursAgo(48) },
+        { name: '2-antiga.png', size: 200, updatedAt: hoursAgo(48) },
+        { name: '3-nova.csv', size: 10, updatedAt: hoursAgo(1) },
+        { name: '5-falhou.png', size: 50, updatedAt: hoursAgo(48) },
+        { name: '6-comprovante.pdf', size: 70, updatedAt: hoursAgo(48) },
+      ],
+      [PRO_USER_ID]: [{ name: '4-relatorio.pdf', size: 300, updatedAt: hoursAgo(48) }],
+      vazia: [],
+    };
+    sinon.stub(storage, 'listFolders').resolves(Object.keys(files));
+    sinon.stub(storage, 'list').callsFake(async (userId) => files[userId]);
+    removeStub = sinon.stub(storage, 'remove').resolves();
+    removeFolderStub = sinon.stub(storage, 'removeFolder').resolves();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('keeps attachments of unfinished campaigns and inbox media, and applies the plan retention', async () => {
+    const relatorio = await cleanupUploads({ origem: 'manual' });
+
+    expect(removeStub.args).to.deep.equal([[USER_ID, '2-antiga.png']]);
+    expect(relatorio.mantidos_em_uso).to.deep.equal([
+      { user_id: USER_ID, arquivo: '1-promo.png', campanha_id: 10 },
+      { user_id: USER_ID, arquivo: '5-falhou.png', campanha_id: 12 },
+      { user_id: USER_ID, arquivo: '6-comprovante.pdf', mensagem_id: 30 },
+    ]);
+    expect(relatorio.pastas_removidas).to.deep.equal(['vazia']);
+    expect(removeFolderStub.args).to.deep.equal([['vazia']]);
+    expect(relatorio).to.include({ dry_run: false, total_removidos: 1, bytes_liberados: 200 });
+
+    expect(db.tables.arquivos_removidos).to.have.length(1);
+    expect(db.tables.arquivos_removidos[0]).to.include({ user_id: USER_ID, arquivo: '2-antiga.png', retencao_horas: 24, origem: 'manual' });
+  });
+
+  it('only reports what would be removed in a dry run', async () => {
+    db.tables.retencao_arquivos.push({ id: 2, user_id: PRO_USER_ID, plano: null, horas: 12 });
+
+    const relatorio = await cleanupUploads({ userId: PRO_USER_ID, dryRun: true });
+
+    expect(relatorio.removidos).to.deep.equal([{
+      user_id: PRO_USER_ID,
+      arquivo: '4-relatorio.pdf',
+      tamanho: 300,
+      modificado_em: files[PRO_USER_ID][0].updatedAt.toISOString(),
+      retencao_horas: 12,
+    }]);
+    expect(relatorio.pastas_removidas).to.deep.equal([PRO_USER_ID]);
+    expect(removeStub.called).to.be.false;
+    expect(removeFolderStub.called).to.be.false;
+    expect(db.tables.arquivos_removidos).to.be.empty;
+  });
+});
@@ -0,0 +1,94 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const storage = require('../services/storage');
+const { listFiles, getUsage, checkQuota } = require('../services/storageFiles');
+const expect = chai.expect;
+
+const USER_ID = '49e72cf1-ac56-463d-bc11-189907599938';
+const MB = 1024 * 1024;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+describe('Storage listings and quotas', () => {
+  let db;
+  let files;
+
+  beforeEach(() => {
+    db = installFakeSupabase();
+    db.tables.usuarios = [{ id: USER_ID, plano: 'basico' }];
+    db.tables.retencao_arquivos = [{ id: 1, user_id: USER_ID, plano: null, horas: 48 }];
+    db.tables.cotas_armazenamento = [{ id: 1, user_id: null, plano: 'basico', megabytes: 10 }];
+    db.tables.campanhas = [
+      { id: 10, user_id: USER_ID, status: 'running', url_anexo: `https://api.exemplo.com/v1/storage/download/${USER_ID}/1-promo.png?expires=1&signature=ab` },
+    ];
+
+    files = [
+      { name: '1-promo.png', size: 4 * MB, updatedAt: hoursAgo(30) },
+      { name: '2-lista.csv', size: 1 * MB, updatedAt: hoursAgo(2) },
+      { name: '3-video.mp4', size: 3 * MB, updatedAt: hoursAgo(10) },
+    ];
+    sinon.stub(storage, 'list').resolves(files);
+    sinon.stub(storage, 'getUrl').callsFake(async (userId, filename) => `https://api.exemplo.com/v1/storage/download/${userId}/${filename}?expires=1&signature=ab`);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('lists files with metadata, sorted and paginated', async () => {
+    const { arquivos, paginacao } = await listFiles(USER_ID, { page: 1, limit: 2, ordenar: 'tamanho', ordem: 'desc', baseUrl: 'https://api.exemplo.com' });
+
+    expect(paginacao).to.deep.equal({ page: 1, limit: 2, total: 3 });
+    expect(arquivos.map((arquivo) => arquivo.nome)).to.deep.equal(['1-promo.png', '3-video.mp4']);
+    expect(arquivos[0]).to.include({ tamanho: 4 * MB, mimetype: 'image/png', tipo: 'imagem', expira_em: null, campanha_id: 10 });
+    expect(arquivos[1]).to.include({
+      mimetype: 'video/mp4',
+      tipo: 'video',
+      enviado_em: files[2].updatedAt.toISOString(),
+      expira_em: new Date(files[2].updatedAt.getTime() + 48 * 60 * 60 * 1000).toISOString(),
+      campanha_id: null,
+    });
+    expect(arquivos[1].url).to.include(`/${USER_ID}/3-video.mp4`);
+    expect(storage.getUrl.calledTwice).to.be.true;
+
+    db.tables.mensagens = [{ id: 30, user_id: USER_ID, direcao: 'entrada', arquivo: '3-video.mp4' }];
+    const { arquivos: comMensagem } = await listFiles(USER_ID, { page: 1, limit: 2, ordenar: 'tamanho', ordem: 'desc' });
+    expect(comMensagem[1]).to.include({ expira_em: null, campanha_id: null, mensagem_id: 30 });
+
+    const { arquivos: recentes } = await listFiles(USER_ID, { page: 2, limit: 2 });
+    expect(recentes.map((arquivo) => arquivo.nome)).to.deep.equal(['1-promo.png']);
+  });
+
+  it('reports usage against the plan quota', async () => {
+    expect(await getUsage(USER_ID)).to.deep.equal({
+      user_id: USER_ID,
+      arquivos: 3,
+      bytes: 8 * MB,
+      cota_bytes: 10 * MB,
+      disponivel_bytes: 2 * MB,
+      uso_percentual: 80,
+      por_tipo: {
+        imagem: { arquivos: 1, bytes: 4 * MB },
+        documento: { arquivos: 1, bytes: 1 * MB },
+        video: { arquivos: 1, bytes: 3 * MB },
+      },
+    });
+  });
+
+  it('refuses uploads over the quota and honors per-user quotas', async () => {
+    await checkQuota(USER_ID, 2 * MB);
+
+    const error = await checkQuota(USER_ID, 3 * MB).catch((err) => err);
+    expect(error).to.include({ code: 'QUOTA_EXCEEDED', statusCode: 413, uso_bytes: 8 * MB, cota_bytes: 10 * MB });
+
+    db.tables.cotas_armazenamento.push({ id: 2, user_id: USER_ID, plano: null, megabytes: 50 });
+    expect((await checkQuota(USER_ID, 3 * MB)).cota_bytes).to.equal(50 * MB);
+  });
+
+  it('has no quota by default', async () => {
+    db.tables.cotas_armazenamento = [];
+    const uso = await checkQuota(USER_ID, 500 * MB);
+    expect(uso).to.include({ cota_bytes: null, disponivel_bytes: null, uso_percentual: null });
+  });
+});
@@ -0,0 +1,32 @@
+const chai = require('chai');
+const { parseTemplate, validateTemplate, renderTemplate } = require('../utils/template');
+const expect = chai.expect;
+
+describe('Message templates', () => {
+  const ana = { numero: '5511987654321', nome: 'Ana Souza', campos: { cidade: 'Campinas', pedido: 1234 } };
+
+  it('renders built-in variables and custom fields', () => {
+    const { texto, faltando } = renderTemplate('Oi {{primeiro_nome}} ({{ nome }}), pedido {{pedido}} em {{cidade}}.', ana);
+
+    expect(texto).to.equal('Oi Ana (Ana Souza), pedido 1234 em Campinas.');
+    expect(faltando).to.deep.equal([]);
+  });
+
+  it('uses the fallback for missing values and reports variables left empty', () => {
+    const contato = { numero: '5511900000001', nome: null, campos: {} };
+    const { texto, faltando } = renderTemplate('Olá, {{primeiro_nome|cliente}}! Loja {{cidade}}.', contato);
+
+    expect(texto).to.equal('Olá, cliente! Loja .');
+    expect(faltando).to.deep.equal(['cidade']);
+  });
+
+  it('rejects unknown variables and malformed placeholders', () => {
+    expect(validateTemplate('Oi {{nome}} de {{cidade}}', ['cidade']).erros).to.be.empty;
+
+    const unknown = validateTemplate('Oi {{nmoe}}, {{cidade|aqui}}', []);
+    expect(unknown.desconhecidas).to.deep.equal(['nmoe', 'cidade']);
+
+    expect(parseTemplate('Oi {{nome}').erros).to.deep.equal(['Chaves {{ }} sem fechamento']);
+    expect(parseTemplate('Oi {{ 1nome }}').erros).to.deep.equal(['Variável inválida: {{ 1nome }}']);
+  });
+});
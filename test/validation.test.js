@@ -0,0 +1,122 @@
+const chai = require('chai');
+const Joi = require('joi');
+require('./helpers/fakeSupabase'); // Variáveis do Supabase exigidas pelos services usados nos schemas
+const { validate } = require('../validationMiddleware');
+const { toOpenApiSchema, toParameters } = require('../utils/joiToOpenApi');
+const campaignSchemas = require('../schemas/campaign');
+const swaggerSpec = require('../swagger');
+const expect = chai.expect;
+
+// Executa o middleware e retorna a resposta enviada, ou null se ele chamou next()
+const run = (middleware, req) => {
+  let response = null;
+  const res = {
+    status(code) {
+      return { json: (body) => { response = { code, body }; } };
+    },
+  };
+  middleware(req, res, () => {});
+  return response;
+};
+
+describe('Request validation', () => {
+  it('converts params, query and body and strips unknown fields', () => {
+    const req = {
+      path: '/campanhas/12',
+      params: { id: '12' },
+      query: { status: 'sent', limit: '5' },
+      body: undefined,
+    };
+
+    expect(run(validate(campaignSchemas.campanha), req)).to.be.null;
+    expect(req.params.id).to.equal(12);
+    expect(req.query).to.deep.equal({ status: 'sent', limit: 5, page: 1 });
+
+    const body = {
+      user_id: 'user-1',
+      campanha: { nome: 'Promoção', mensagem: 'Olá!' },
+      contatos: { dados: ['11987654321'] },
+      campo_desconhecido: true,
+    };
+    const create = { path: '/criar-campanha', body };
+    expect(run(validate(campaignSchemas.criarCampanha), create)).to.be.null;
+    expect(create.body).to.not.have.property('campo_desconhecido');
+    expect(create.body.campanha.tipo).to.equal('texto');
+    expect(create.body.contatos.origem).to.equal('manual');
+  });
+
+  it('reports every error in Portuguese with VALIDATION_ERROR', () => {
+    const response = run(validate(campaignSchemas.criarCampanha), {
+      path: '/criar-campanha',
+      body: {
+        user_id: 'user-1',
+        campanha: { nome: 'Promoção', tipo: 'imagem' },
+        contatos: { origem: 'lista' },
+        janela_envio: { inicio: '20:00', fim: '08:00' },
+      },
+    });
+
+    expect(response.code).to.equal(400);
+    expect(response.body).to.include({ success: false, code: 'VALIDATION_ERROR' });
+    expect(response.body.errors).to.deep.equal([
+      'campanha.url_anexo é obrigatório',
+      'contatos deve conter ao menos um de: [listas, tags]',
+      'janela_envio.fim deve ser depois de janela_envio.inicio',
+    ]);
+  });
+
+  it('accepts a bare schema as the body schema', () => {
+    const response = run(validate(Joi.object({ texto: Joi.string().required() })), { path: '/teste', body: {} });
+    expect(response.body.errors).to.deep.equal(['texto é obrigatório']);
+  });
+});
+
+describe('Joi to OpenAPI', () => {
+  it('converts types, constraints and named components', () => {
+    const components = {};
+    const schema = toOpenApiSchema(Joi.object({
+      nome: Joi.string().required().description('Nome da lista'),
+      tipo: Joi.string().valid('a', 'b').default('a'),
+      ids: Joi.array().items(Joi.number().integer()).max(10),
+      janela: Joi.object({ fuso: Joi.string() }).allow(null).meta({ className: 'Janela' }),
+    }), components);
+
+    expect(schema).to.deep.equal({
+      type: 'object',
+      properties: {
+        nome: { type: 'string', description: 'Nome da lista' },
+        tipo: { type: 'string', enum: ['a', 'b'], default: 'a' },
+        ids: { type: 'array', items: { type: 'integer' }, maxItems: 10 },
+        janela: { $ref: '#/components/schemas/Janela' },
+      },
+      required: ['nome'],
+    });
+    expect(components.Janela).to.deep.equal({
+      type: 'object',
+      properties: { fuso: { type: 'string' } },
+      nullable: true,
+    });
+  });
+
+  it('converts path and query keys into parameters', () => {
+    const parameters = toParameters(campaignSchemas.campanha.query, 'query');
+    expect(parameters.map((p) => p.name)).to.deep.equal(['user_id', 'status', 'page', 'limit']);
+    expect(parameters[3]).to.deep.equal({
+      in: 'query',
+      name: 'limit',
+      required: false,
+      schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    });
+  });
+
+  it('documents the routes from the same schemas used for validation', () => {
+    const operation = swaggerSpec.paths['/v1/disparos/criar-campanha'].post;
+
+    expect(operation).to.not.have.property('x-schema');
+    expect(operation.requestBody.content['application/json'].schema)
+      .to.deep.equal({ $ref: '#/components/schemas/DisparosCriarCampanha' });
+    expect(swaggerSpec.components.schemas.DisparosCriarCampanha.required).to.deep.equal(['user_id', 'campanha', 'contatos']);
+    expect(swaggerSpec.paths['/v1/listas/{id}'].get.parameters.map((p) => `${p.in}:${p.name}`))
+      .to.deep.equal(['path:id', 'query:user_id']);
+  });
+});
@@ -0,0 +1,185 @@
+const chai = require('chai');
+const express = require('express');
+const http = require('http');
+const crypto = require('crypto');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { verifyEvolutionWebhook, generateWebhookSecret } = require('../webhookMiddleware');
+const expect = chai.expect;
+
+describe('verifyEvolutionWebhook', () => {
+  let db;
+  let server;
+  let baseUrl;
+  let secret;
+  let handler;
+  let loggedUrls;
+
+  before((done) => {
+    const app = express();
+    app.use(express.json());
+    app.post('/webhook', verifyEvolutionWebhook, (req, res) => handler(req, res));
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => server.close(done));
+
+  beforeEach(() => {
+    db = installFakeSupabase({ unique: { webhook_entregas: [['entrega']] } });
+    secret = generateWebhookSecret();
+    db.tables.whatsapp = [{ id: 1, user_id: 'user-1', nome_instancia: 'inst_1', status: 'connected', is_active: true, webhook_secret_hash: secret.hash }];
+    loggedUrls = [];
+    handler = (req, res) => {
+      loggedUrls.push(req.originalUrl);
+      res.json({ success: true, instancia: req.whatsappInstance.id });
+    };
+  });
+
+  afterEach(() => db.restore());
+
+  let sequence = 0;
+  const delivery = (overrides = {}) => {
+    sequence += 1;
+    return { event: 'messages.update', instance: 'inst_1', date_time: new Date().toISOString(), data: { seq: sequence }, ...overrides };
+  };
+
+  const post = (body, token = secret.token) => new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const query = token === null ? '' : `?token=${token}`;
+    const req = http.request(`${baseUrl}/webhook${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  it('accepts a delivery with the instance token and masks the token in the URL', async () => {
+    const { status } = await post(delivery());
+
+    expect(status).to.equal(200);
+    expect(loggedUrls).to.deep.equal(['/webhook?token=***']);
+  });
+
+  it('rejects deliveries with a missing or wrong token', async () => {
+    expect((await post(delivery(), null)).status).to.equal(401);
+    expect((await post(delivery(), 'token-errado')).status).to.equal(401);
+    expect(loggedUrls).to.be.empty;
+  });
+
+  it('ignores inactive instances with the same name', async () => {
+    db.tables.whatsapp[0].is_active = false;
+
+    expect((await post(delivery())).status).to.equal(404);
+    expect(loggedUrls).to.be.empty;
+  });
+
+  it('picks the active instance whose secret matches the token when the name is repeated', async () => {
+    const outro = generateWebhookSecret();
+    db.tables.whatsapp.unshift({ id: 2, user_id: 'user-2', nome_instancia: 'inst_1', status: 'connected', is_active: true, webhook_secret_hash: outro.hash });
+
+    expect((await post(delivery())).body.instancia).to.equal(1);
+    expect((await post(delivery(), outro.token)).body.instancia).to.equal(2);
+  });
+
+  it('rejects stale deliveries and deliveries without date_time', async () => {
+    const stale = await post(delivery({ date_time: new Date(Date.now() - 3600000).toISOString() }));
+    const missing = await post(delivery({ date_time: undefined }));
+
+    expect(stale).to.deep.include({ status: 400 });
+    expect(stale.body.code).to.equal('WEBHOOK_STALE');
+    expect(missing.body.code).to.equal('WEBHOOK_STALE');
+    expect(loggedUrls).to.be.empty;
+  });
+
+  it('ignores a delivery that was already processed', async () => {
+    const body = delivery();
+
+    await post(body);
+    const repetida = await post(body);
+
+    expect(repetida.status).to.equal(200);
+    expect(repetida.body.message).to.equal('Entrega duplicada ignorada');
+    expect(loggedUrls).to.have.length(1);
+  });
+
+  it('processes the retry of a delivery whose handler failed', async () => {
+    const body = delivery();
+    handler = (req, res) => {
+      loggedUrls.push(req.originalUrl);
+      res.status(500).json({ success: false, error: 'falha temporária' });
+    };
+
+    expect((await post(body)).status).to.equal(500);
+
+    handler = (req, res) => {
+      loggedUrls.push(req.originalUrl);
+      res.json({ success: true });
+    };
+    const retry = await post(body);
+
+    expect(retry).to.deep.equal({ status: 200, body: { success: true } });
+    expect(loggedUrls).to.have.length(2);
+  });
+
+  it('asks for a retry when a copy arrives while the original is still processing', async () => {
+    const body = delivery();
+    let finish;
+    handler = (req, res) => {
+      finish = () => res.json({ success: true });
+    };
+
+    const original = post(body);
+    while (!finish) await new Promise((resolve) => setTimeout(resolve, 5));
+    const copia = await post(body);
+    finish();
+
+    expect(copia.status).to.equal(409);
+    expect(copia.body.code).to.equal('WEBHOOK_IN_PROGRESS');
+    expect((await original).status).to.equal(200);
+  });
+
+  describe('deliveries shared between processes', () => {
+    const entregaDe = (body) => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+    const emMinutos = (minutos) => new Date(Date.now() + minutos * 60000).toISOString();
+
+    it('ignores a delivery another process already handled', async () => {
+      const body = delivery();
+      db.tables.webhook_entregas = [{ entrega: entregaDe(body), dono: 'outro-processo', status: 'concluida', expira_em: emMinutos(5) }];
+
+      const { body: resposta } = await post(body);
+
+      expect(resposta.message).to.equal('Entrega duplicada ignorada');
+      expect(loggedUrls).to.be.empty;
+    });
+
+    it('asks for a retry while another process handles the delivery', async () => {
+      const body = delivery();
+      db.tables.webhook_entregas = [{ entrega: entregaDe(body), dono: 'outro-processo', status: 'processando', expira_em: emMinutos(1) }];
+
+      const { status } = await post(body);
+
+      expect(status).to.equal(409);
+      expect(loggedUrls).to.be.empty;
+    });
+
+    it('takes over a delivery whose reservation expired, after its process crashed', async () => {
+      const body = delivery();
+      db.tables.webhook_entregas = [{ entrega: entregaDe(body), dono: 'outro-processo', status: 'processando', expira_em: emMinutos(-1) }];
+
+      expect((await post(body)).status).to.equal(200);
+      expect(loggedUrls).to.have.length(1);
+
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(db.tables.webhook_entregas).to.have.length(1);
+      expect(db.tables.webhook_entregas[0]).to.include({ entrega: entregaDe(body), status: 'concluida' });
+      expect(db.tables.webhook_entregas[0].dono).to.not.equal('outro-processo');
+    });
+  });
+});
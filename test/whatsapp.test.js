@@ -1,114 +1,101 @@
 const chai = require('chai');
-const chaiHttp = require('chai-http');
 const sinon = require('sinon');
-const axios = require('axios');
-const app = require('../index'); // Sua aplicação Express
+const express = require('express');
+const http = require('http');
+const evolution = require('../services/evolution');
+const { notConfigured } = require('../services/evolution/errors');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+const { authenticate } = require('../auth');
+const instanceRoutes = require('../instanceRoutes');
+const errorHandler = require('../errorMiddleware');
 const expect = chai.expect;
 
-chai.use(require('chai-http'));
+const USER_ID = '49e72cf1-ac56-463d-bc11-189907599938';
 
 describe('WhatsApp API', () => {
-  let axiosPostStub;
+  let db;
+  let server;
+  let baseUrl;
+
+  before((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/v1/whatsapp', authenticate, instanceRoutes);
+    app.use(errorHandler);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => server.close(done));
 
   beforeEach(() => {
-    // Stub para axios.post para evitar chamadas reais à Evolution API
-    axiosPostStub = sinon.stub(axios, 'post');
+    db = installFakeSupabase({ unique: { idempotencia: [['ator', 'chave']], travas: [['chave']] } });
+    db.tables.usuarios = [{ id: USER_ID, telefone: '5511999990000', provedor_whatsapp: null }];
+    sinon.stub(evolution, 'createInstance').resolves();
+    sinon.stub(evolution, 'setWebhook').resolves();
+    sinon.stub(evolution, 'connect').resolves('data:image/png;base64,qr');
   });
 
   afterEach(() => {
-    axiosPostStub.restore(); // Restaura o método original após cada teste
+    db.restore();
+    sinon.restore();
   });
 
-  describe('POST /v1/whatsapp/criar', () => {
-    it('should create a new instance with valid data', async () => {
-      axiosPostStub.resolves({ status: 200, data: { message: 'Instance created successfully' } });
-
-      const res = await chai.request(app)
-        .post('/v1/whatsapp/criar')
-        .set('x-api-key', process.env.API_KEY) // Use a API_KEY da sua aplicação
-        .send({
-          instanceName: 'test-instance',
-          qrcode: true,
-          integration: 'WHATSAPP-BAILEYS',
-        });
-
-      expect(res).to.have.status(200);
-      expect(res.body).to.be.an('object');
-      expect(res.body).to.have.property('message', 'Instance created successfully');
-      expect(axiosPostStub.calledOnce).to.be.true;
-      expect(axiosPostStub.args[0][0]).to.include('/instance/create');
+  const post = (path, body, headers = { 'x-api-key': process.env.API_KEY }) => new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const req = http.request(`${baseUrl}/v1/whatsapp${path}`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        const json = res.headers['content-type']?.includes('application/json');
+        resolve({ status: res.statusCode, body: json ? JSON.parse(data) : data });
+      });
     });
+    req.on('error', reject);
+    req.end(payload);
+  });
 
-    it('should return 400 if instanceName is missing', async () => {
-      const res = await chai.request(app)
-        .post('/v1/whatsapp/criar')
-        .set('x-api-key', process.env.API_KEY)
-        .send({
-          qrcode: true,
-          integration: 'WHATSAPP-BAILEYS',
-        });
-
-      expect(res).to.have.status(400);
-      expect(res.body).to.be.an('object');
-      expect(res.body).to.have.property('message', 'Validation failed');
-      expect(res.body.errors).to.include('"instanceName" is required');
-      expect(axiosPostStub.notCalled).to.be.true;
+  describe('POST /v1/whatsapp/setup', () => {
+    it('creates an Evolution instance with its webhook and returns the QR code', async () => {
+      const { status, body } = await post('/setup', { user_id: USER_ID, tipo_integracao: 'WHATSAPP-BAILEYS' });
+
+      expect(status).to.equal(201);
+      expect(body).to.include({ success: true, qrcode: 'data:image/png;base64,qr' });
+      expect(body.instance).to.include({ user_id: USER_ID, tipo_integracao: 'WHATSAPP-BAILEYS', status: 'disconnected' });
+      expect(body.instance).to.not.have.property('webhook_secret_hash');
+      expect(evolution.createInstance.firstCall.args[0]).to.match(/^5511999990000_\d{4}$/);
+      expect(evolution.setWebhook.calledOnce).to.be.true;
+      expect(db.tables.whatsapp).to.have.length(1);
     });
 
-    it('should return 401 if API key is missing', async () => {
-      const res = await chai.request(app)
-        .post('/v1/whatsapp/criar')
-        .send({
-          instanceName: 'test-instance',
-          qrcode: true,
-          integration: 'WHATSAPP-BAILEYS',
-        });
-
-      expect(res).to.have.status(401);
-      expect(res.body).to.be.an('object');
-      expect(res.body).to.have.property('message', 'API key is missing');
-      expect(axiosPostStub.notCalled).to.be.true;
+    it('answers 400 when user_id is missing', async () => {
+      const { status, body } = await post('/setup', { tipo_integracao: 'WHATSAPP-BAILEYS' });
+
+      expect(status).to.equal(400);
+      expect(body.code).to.equal('VALIDATION_ERROR');
+      expect(evolution.createInstance.notCalled).to.be.true;
     });
 
-    it('should return 500 if Evolution API is not configured', async () => {
-      // Temporariamente remove a variável de ambiente para simular o erro
-      const originalEvolutionApiBaseUrl = process.env.EVOLUTION_API_BASE_URL;
-      process.env.EVOLUTION_API_BASE_URL = '';
-
-      const res = await chai.request(app)
-        .post('/v1/whatsapp/criar')
-        .set('x-api-key', process.env.API_KEY)
-        .send({
-          instanceName: 'test-instance',
-          qrcode: true,
-          integration: 'WHATSAPP-BAILEYS',
-        });
-
-      expect(res).to.have.status(500);
-      expect(res.body).to.be.an('object');
-      expect(res.body).to.have.property('message', 'EVOLUTION_API_BASE_URL not configured.');
-      expect(axiosPostStub.notCalled).to.be.true;
-
-      // Restaura a variável de ambiente
-      process.env.EVOLUTION_API_BASE_URL = originalEvolutionApiBaseUrl;
+    it('answers 401 without credentials', async () => {
+      const { status } = await post('/setup', { user_id: USER_ID }, {});
+
+      expect(status).to.equal(401);
+      expect(evolution.createInstance.notCalled).to.be.true;
     });
 
-    it('should return 500 if Evolution API returns an error', async () => {
-      axiosPostStub.rejects({ response: { status: 500, data: { message: 'Evolution API internal error' } } });
-
-      const res = await chai.request(app)
-        .post('/v1/whatsapp/criar')
-        .set('x-api-key', process.env.API_KEY)
-        .send({
-          instanceName: 'test-instance',
-          qrcode: true,
-          integration: 'WHATSAPP-BAILEYS',
-        });
-
-      expect(res).to.have.status(500);
-      expect(res.body).to.be.an('object');
-      expect(res.body).to.have.property('message', 'Evolution API internal error');
-      expect(axiosPostStub.calledOnce).to.be.true;
+    it('answers 500 when the Evolution API is not configured', async () => {
+      evolution.createInstance.rejects(notConfigured());
+
+      const { status, body } = await post('/setup', { user_id: USER_ID, tipo_integracao: 'WHATSAPP-BAILEYS' });
+
+      expect(status).to.equal(500);
+      expect(body).to.include({ success: false, code: 'EVOLUTION_NOT_CONFIGURED' });
+      expect(db.tables.whatsapp || []).to.be.empty;
     });
   });
 });
@@ -0,0 +1,200 @@
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+// Tipos e tamanhos aceitos pelo WhatsApp para cada categoria de mídia
+const WHATSAPP_MEDIA = {
+  imagem: { limite: 5 * MB, tipos: ['image/jpeg', 'image/png'] },
+  video: { limite: 16 * MB, tipos: ['video/mp4', 'video/3gpp'] },
+  audio: { limite: 16 * MB, tipos: ['audio/aac', 'audio/mp4', 'audio/mpeg', 'audio/amr', 'audio/ogg'] },
+  documento: {
+    limite: 100 * MB,
+    tipos: [
+      'application/pdf',
+      'text/plain',
+      'text/csv',
+      'application/msword',
+      'application/vnd.ms-excel',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    ],
+  },
+};
+
+const MAX_FILE_SIZE = Math.max(...Object.values(WHATSAPP_MEDIA).map((media) => media.limite));
+
+// Documentos do Office antigos (OLE) têm a mesma assinatura; o tipo vem da extensão
+const OLE_TYPES = {
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel',
+  '.ppt': 'application/vnd.ms-powerpoint',
+};
+
+// Documentos do Office atuais são ZIPs; o tipo vem da pasta interna
+const OOXML_TYPES = [
+  ['word/', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  ['xl/', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ['ppt/', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+];
+
+// Marcas (ftyp) aceitas como vídeo MP4 ou áudio M4A. Outras marcas do contêiner ISO BMFF
+// (QuickTime, HEIC, CMAF...) não são reconhecidas como MP4; as de 3GPP começam por '3gp'.
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'mmp4', 'M4V '];
+const M4A_BRANDS = ['M4A '];
+
+// Marcas (ftyp) de imagens no contêiner ISO BMFF
+const HEIF_BRANDS = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  heim: 'image/heic',
+  heis: 'image/heic',
+  hevc: 'image/heic-sequence',
+  hevx: 'image/heic-sequence',
+  mif1: 'image/heif',
+  msf1: 'image/heif-sequence',
+  avif: 'image/avif',
+  avis: 'image/avif',
+};
+
+// Tipo MIME pela extensão, para listagens (sem ler o conteúdo de cada arquivo)
+const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.aac': 'audio/aac',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.amr': 'audio/amr',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  ...OLE_TYPES,
+};
+
+// Documentos de texto: só com estas extensões, já que texto não tem assinatura
+const TEXT_TYPES = {
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+};
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+function isUtf8(buffer) {
+  try {
+    utf8.decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Windows-1252 (CSV salvo pelo Excel em português, lido pela importação de contatos): sem caracteres de
+// controle além de tab e quebras de linha, nem os bytes que a codificação não define
+const isWindows1252Byte = (byte) => (byte >= 0x20 && byte !== 0x7f && ![0x81, 0x8d, 0x8f, 0x90, 0x9d].includes(byte))
+  || byte === 0x09 || byte === 0x0a || byte === 0x0d;
+
+function isText(buffer, extension) {
+  if (buffer.length === 0 || buffer.includes(0)) return false;
+  if (isUtf8(buffer)) return true;
+  return extension === '.csv' && buffer.every(isWindows1252Byte);
+}
+
+// Tipo MIME pelo conteúdo do arquivo (assinatura nos primeiros bytes), ou null se não reconhecido.
+// O nome só desempata formatos com a mesma assinatura (DOC/XLS/PPT) e identifica texto (TXT/CSV),
+// que além da extensão precisa ser UTF-8 válido (CSV também em Windows-1252).
+function detectMimeType(buffer, filename = '') {
+  const extension = path.extname(filename).toLowerCase();
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (ascii(buffer, 0, 4) === '%PDF') return 'application/pdf';
+  if (ascii(buffer, 0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(buffer, 0, 5) === '#!AMR') return 'audio/amr';
+  if (ascii(buffer, 0, 3) === 'ID3') return 'audio/mpeg';
+
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    if (brand.startsWith('3gp')) return 'video/3gpp';
+    if (M4A_BRANDS.includes(brand)) return 'audio/mp4';
+    if (MP4_BRANDS.includes(brand)) return 'video/mp4';
+    // Fotos HEIC/HEIF e AVIF usam o mesmo contêiner do MP4, mas o WhatsApp não as aceita
+    return HEIF_BRANDS[brand] || null;
+  }
+
+  // Quadros de áudio MPEG: ADTS (AAC) tem layer 00; MP3 tem layer diferente de 00
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'audio/aac';
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0) return 'audio/mpeg';
+
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    const match = OOXML_TYPES.find(([folder]) => buffer.includes(folder, 0, 'latin1'));
+    return match ? match[1] : null;
+  }
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return OLE_TYPES[extension] || null;
+
+  if (TEXT_TYPES[extension] && isText(buffer, extension)) return TEXT_TYPES[extension];
+  return null;
+}
+
+// Tipo MIME presumido pela extensão do nome, ou application/octet-stream
+const mimeTypeFromName = (filename) => EXTENSION_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+// Categoria de mídia do WhatsApp (imagem, video, audio ou documento) de um tipo MIME
+const categoryOf = (mimetype) => Object.keys(WHATSAPP_MEDIA)
+  .find((categoria) => WHATSAPP_MEDIA[categoria].tipos.includes(mimetype)) || null;
+
+const formatSize = (bytes) => `${Math.round((bytes / MB) * 10) / 10} MB`;
+
+function mediaError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Confere se o arquivo pode ser enviado pelo WhatsApp e retorna { mimetype, categoria, tamanho }.
+// Lança UNSUPPORTED_FILE_TYPE (415) ou FILE_TOO_LARGE (413).
+function inspectFile(buffer, filename) {
+  const mimetype = detectMimeType(buffer, filename);
+  const categoria = categoryOf(mimetype);
+
+  if (!categoria) {
+    throw mediaError(
+      'Tipo de arquivo não aceito pelo WhatsApp. Envie imagens JPEG/PNG, vídeos MP4/3GP, áudios AAC/MP4/MP3/AMR/OGG ou documentos PDF, TXT (em UTF-8), CSV (em UTF-8 ou Windows-1252) e do Office.',
+      'UNSUPPORTED_FILE_TYPE',
+      415
+    );
+  }
+
+  const { limite } = WHATSAPP_MEDIA[categoria];
+  if (buffer.length > limite) {
+    throw mediaError(
+      `Arquivo de ${formatSize(buffer.length)} excede o limite de ${formatSize(limite)} do WhatsApp para ${categoria}`,
+      'FILE_TOO_LARGE',
+      413
+    );
+  }
+
+  return { mimetype, categoria, tamanho: buffer.length };
+}
+
+module.exports = {
+  WHATSAPP_MEDIA,
+  MAX_FILE_SIZE,
+  detectMimeType,
+  mimeTypeFromName,
+  categoryOf,
+  formatSize,
+  inspectFile,
+};
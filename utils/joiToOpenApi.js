@@ -0,0 +1,130 @@
+// Converte schemas Joi em schemas e parâmetros OpenAPI 3.0 a partir de schema.describe().
+// Schemas com .meta({ className }) viram componentes reutilizáveis e são referenciados por $ref.
+// Condições (.when) não são representadas: a descrição do campo deve explicá-las.
+
+// Metadados de .meta() mesclados em um objeto
+const metaOf = (description) => Object.assign({}, ...(description.metas || []));
+
+const findRule = (description, name) => (description.rules || []).find((rule) => rule.name === name);
+
+// Valores de .valid()/.allow(), sem null e sem os "coringas" de referência do Joi
+const literals = (description) => (description.allow || []).filter((value) => value !== null && typeof value !== 'object');
+
+function convertObject(description, components) {
+  const schema = { type: 'object' };
+  const keys = Object.entries(description.keys || {});
+
+  if (keys.length > 0) {
+    schema.properties = Object.fromEntries(keys.map(([name, key]) => [name, convert(key, components)]));
+    const required = keys.filter(([, key]) => key.flags?.presence === 'required').map(([name]) => name);
+    if (required.length > 0) schema.required = required;
+  }
+  if (description.patterns?.length > 0) {
+    schema.additionalProperties = convert(description.patterns[0].rule, components);
+  }
+  return schema;
+}
+
+function convertNumber(description) {
+  const schema = { type: findRule(description, 'integer') ? 'integer' : 'number' };
+  const min = findRule(description, 'min');
+  const max = findRule(description, 'max');
+
+  if (min) schema.minimum = min.args.limit;
+  if (max) schema.maximum = max.args.limit;
+  if (findRule(description, 'sign')?.args.sign === 'positive') {
+    schema.minimum = 0;
+    schema.exclusiveMinimum = true;
+  }
+  return schema;
+}
+
+function convertString(description) {
+  const schema = { type: 'string' };
+  const min = findRule(description, 'min');
+  const max = findRule(description, 'max');
+  const pattern = findRule(description, 'pattern');
+
+  if (min) schema.minLength = min.args.limit;
+  if (max) schema.maxLength = max.args.limit;
+  if (pattern) schema.pattern = pattern.args.regex.replace(/^\/(.*)\/\w*$/, '$1');
+  return schema;
+}
+
+function convertByType(description, components) {
+  switch (description.type) {
+    case 'object':
+      return convertObject(description, components);
+    case 'array': {
+      const schema = { type: 'array' };
+      const min = findRule(description, 'min');
+      const max = findRule(description, 'max');
+      if (description.items?.length === 1) schema.items = convert(description.items[0], components);
+      else if (description.items?.length > 1) schema.items = { oneOf: description.items.map((item) => convert(item, components)) };
+      else schema.items = {};
+      if (min) schema.minItems = min.args.limit;
+      if (max) schema.maxItems = max.args.limit;
+      return schema;
+    }
+    case 'alternatives':
+      return { oneOf: description.matches.filter((match) => match.schema).map((match) => convert(match.schema, components)) };
+    case 'string':
+      return convertString(description);
+    case 'number':
+      return convertNumber(description);
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'date':
+      return { type: 'string', format: 'date-time' };
+    default:
+      return {};
+  }
+}
+
+function convert(description, components) {
+  const flags = description.flags || {};
+  const meta = metaOf(description);
+  const schema = convertByType(description, components);
+
+  const values = literals(description);
+  if (flags.only && values.length > 0) schema.enum = values;
+  if ((description.allow || []).includes(null)) schema.nullable = true;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+  if (flags.description) schema.description = flags.description;
+  if (description.examples?.length > 0) schema.example = description.examples[0];
+  if (meta.type) schema.type = meta.type;
+  if (meta.format) schema.format = meta.format;
+
+  if (meta.className && components) {
+    components[meta.className] = schema;
+    return { $ref: `#/components/schemas/${meta.className}` };
+  }
+  return schema;
+}
+
+// Schema OpenAPI de um schema Joi. Componentes nomeados são adicionados a components.
+function toOpenApiSchema(joiSchema, components) {
+  return convert(joiSchema.describe(), components);
+}
+
+// Parâmetros OpenAPI ("path" ou "query") a partir das chaves de um Joi.object()
+function toParameters(joiSchema, location, components) {
+  if (!joiSchema) return [];
+
+  return Object.entries(joiSchema.describe().keys || {}).map(([name, key]) => {
+    const { description, ...schema } = convert(key, components);
+    return {
+      in: location,
+      name,
+      required: location === 'path' || key.flags?.presence === 'required',
+      schema,
+      ...(description && { description }),
+    };
+  });
+}
+
+module.exports = {
+  metaOf,
+  toOpenApiSchema,
+  toParameters,
+};
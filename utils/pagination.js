@@ -0,0 +1,13 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Lê ?page e ?limit da query string e calcula o intervalo para o .range() do Supabase
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+  const from = (page - 1) * limit;
+
+  return { page, limit, from, to: from + limit - 1 };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parsePagination };
@@ -0,0 +1,162 @@
+// Normalização de telefones brasileiros para E.164 / JID do WhatsApp.
+// Aceita formatos livres como "(11) 98765-4321", "11987654321", "+55 11 98765-4321" e "011987654321".
+
+const BRAZIL_COUNTRY_CODE = '55';
+
+// DDDs em uso no Brasil (Anatel)
+const VALID_DDDS = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19,
+  21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38,
+  41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55,
+  61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79,
+  81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99,
+].map(String));
+
+const invalid = (motivo) => ({ valido: false, motivo });
+
+const valid = (numero, tipo, ajustes = []) => ({
+  valido: true,
+  numero,
+  e164: `+${numero}`,
+  jid: `${numero}@s.whatsapp.net`,
+  tipo,
+  ajustes,
+});
+
+// Valida DDD + número de assinante (sem o código do país)
+function normalizeNational(national, ajustes) {
+  const ddd = national.slice(0, 2);
+  let subscriber = national.slice(2);
+
+  if (!VALID_DDDS.has(ddd)) {
+    return invalid(`DDD ${ddd} inválido`);
+  }
+
+  if (subscriber.length === 9) {
+    if (subscriber[0] !== '9') {
+      return invalid('Celular com 9 dígitos deve começar com 9');
+    }
+    return valid(`${BRAZIL_COUNTRY_CODE}${ddd}${subscriber}`, 'celular', ajustes);
+  }
+
+  if (subscriber.length === 8) {
+    // Celulares antigos (6 a 9) ganharam o nono dígito; fixos começam com 2 a 5
+    if (/^[6-9]/.test(subscriber)) {
+      subscriber = `9${subscriber}`;
+      return valid(`${BRAZIL_COUNTRY_CODE}${ddd}${subscriber}`, 'celular', [...ajustes, 'nono_digito_adicionado']);
+    }
+    if (/^[2-5]/.test(subscriber)) {
+      return valid(`${BRAZIL_COUNTRY_CODE}${ddd}${subscriber}`, 'fixo', ajustes);
+    }
+  }
+
+  return invalid('Número de assinante inválido');
+}
+
+// Normaliza um telefone. Retorna { valido: true, numero, e164, jid, tipo, ajustes }
+// ou { valido: false, motivo }. `numero` são os dígitos em E.164, sem o "+".
+function normalizePhone(input) {
+  if (input === null || input === undefined || typeof input === 'object') {
+    return invalid('Número ausente');
+  }
+
+  const raw = String(input).trim();
+  let digits = raw.replace(/\D/g, '');
+  const ajustes = [];
+
+  if (!digits) {
+    return invalid('Número ausente');
+  }
+
+  // Prefixo internacional discado (00) equivale ao "+"
+  const international = raw.startsWith('+') || digits.startsWith('00');
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+
+  if (international && !digits.startsWith(BRAZIL_COUNTRY_CODE)) {
+    // Números de outros países: apenas a validação genérica de E.164
+    if (digits.length < 8 || digits.length > 15) {
+      return invalid('Número internacional deve ter de 8 a 15 dígitos');
+    }
+    return valid(digits, 'internacional');
+  }
+
+  if (!international && digits.startsWith('0')) {
+    digits = digits.slice(1); // prefixo de chamada interurbana
+    ajustes.push('prefixo_zero_removido');
+  }
+
+  if (digits.length === 10 || digits.length === 11) {
+    ajustes.push('codigo_pais_adicionado');
+    return normalizeNational(digits, ajustes);
+  }
+
+  if ((digits.length === 12 || digits.length === 13) && digits.startsWith(BRAZIL_COUNTRY_CODE)) {
+    return normalizeNational(digits.slice(2), ajustes);
+  }
+
+  if (digits.length === 8 || digits.length === 9) {
+    return invalid('DDD ausente');
+  }
+
+  return invalid('Quantidade de dígitos inválida');
+}
+
+// Normaliza uma lista de contatos, removendo duplicados (após a normalização).
+// Retorna { validos, invalidos, duplicados, resumo }; cada item traz o índice e a entrada original.
+function normalizePhoneList(entries) {
+  const validos = [];
+  const invalidos = [];
+  const duplicados = [];
+  const seen = new Set();
+
+  entries.forEach((entrada, indice) => {
+    const result = normalizePhone(entrada);
+
+    if (!result.valido) {
+      invalidos.push({ indice, entrada, motivo: result.motivo });
+      return;
+    }
+
+    if (seen.has(result.numero)) {
+      duplicados.push({ indice, entrada, numero: result.numero });
+      return;
+    }
+
+    seen.add(result.numero);
+    const { valido, ...normalized } = result;
+    validos.push({ indice, entrada, ...normalized });
+  });
+
+  return {
+    validos,
+    invalidos,
+    duplicados,
+    resumo: {
+      total: entries.length,
+      validos: validos.length,
+      invalidos: invalidos.length,
+      duplicados: duplicados.length,
+    },
+  };
+}
+
+// Número do contato a partir do id do WhatsApp: JID da Evolution (5511987654321@s.whatsapp.net)
+// ou wa_id da Cloud API (5511987654321). Contas antigas sem o nono dígito são normalizadas
+// para casar com os números das campanhas.
+function whatsappIdToNumber(id) {
+  const digits = String(id || '').split('@')[0].split(':')[0];
+  const normalized = normalizePhone(`+${digits}`);
+  return normalized.valido ? normalized.numero : digits;
+}
+
+module.exports = {
+  normalizePhone,
+  normalizePhoneList,
+  whatsappIdToNumber,
+};
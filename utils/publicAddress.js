@@ -0,0 +1,68 @@
+const dns = require('dns');
+const net = require('net');
+
+// Faixas que não podem ser alcançadas a partir de URLs informadas pelos usuários: rede local,
+// loopback, link-local (inclui o endpoint de metadados das nuvens, 169.254.169.254), CGNAT,
+// multicast e reservadas. Endereços IPv4 mapeados em IPv6 (::ffff:a.b.c.d) seguem as regras do IPv4.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+function blockedAddress(hostname) {
+  const error = new Error(`O endereço de ${hostname} não é público`);
+  error.code = 'ADDRESS_NOT_PUBLIC';
+  return error;
+}
+
+// Confere se o host resolve apenas para endereços públicos. Lança ADDRESS_NOT_PUBLIC ou o erro do DNS.
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw blockedAddress(hostname);
+  }
+}
+
+// lookup para http.Agent/https.Agent que recusa endereços não públicos no momento da conexão,
+// para que o DNS não devolva outro endereço entre a verificação e a requisição
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked || addresses.length === 0) return callback(blockedAddress(hostname));
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicHost,
+  publicLookup,
+};
@@ -0,0 +1,31 @@
+// Nomes usados como pasta (user_id) ou arquivo no armazenamento: letras sem acento, números,
+// ponto, hífen, sublinhado e @. Sem separadores, sem "." e ".." e sem começar por ponto.
+const SAFE_SEGMENT = /^(?!\.)[\w.@-]{1,200}$/;
+
+const MAX_FILENAME_LENGTH = 120;
+
+const isSafeSegment = (value) => typeof value === 'string' && SAFE_SEGMENT.test(value);
+
+// Nome de arquivo seguro a partir do nome original enviado pelo cliente ou pelo WhatsApp:
+// descarta o caminho, remove acentos e troca os demais caracteres por "_", preservando a extensão.
+function sanitizeFilename(name, fallback = 'arquivo') {
+  const base = String(name || '').split(/[\\/]/).pop();
+  const clean = base
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/_{2,}/g, '_')
+    .replace(/^[._-]+/, '');
+
+  if (!clean) return fallback;
+  if (clean.length <= MAX_FILENAME_LENGTH) return clean;
+
+  const extension = (clean.match(/\.\w{1,10}$/) || [''])[0];
+  return clean.slice(0, MAX_FILENAME_LENGTH - extension.length) + extension;
+}
+
+module.exports = {
+  SAFE_SEGMENT,
+  isSafeSegment,
+  sanitizeFilename,
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// Credenciais guardadas no banco (ex.: token da Cloud API), cifradas com AES-256-GCM.
+// Formato: v1:<iv>:<tag>:<dados>, em base64. A chave é o SHA-256 do segredo do servidor.
+const PREFIX = 'v1:';
+
+function keyOf(secret, variavel) {
+  if (!secret) {
+    throw new Error(`Defina ${variavel} para cifrar as credenciais salvas no banco`);
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+function encryptSecret(secret, plaintext, variavel) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyOf(secret, variavel), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return `${PREFIX}${[iv, cipher.getAuthTag(), data].map((part) => part.toString('base64')).join(':')}`;
+}
+
+// Falha com um segredo diferente do usado para cifrar ou com o valor adulterado
+function decryptSecret(secret, value, variavel) {
+  if (value === null || value === undefined) return null;
+  if (!isEncrypted(value)) {
+    throw new Error('Credencial salva sem criptografia');
+  }
+
+  const [iv, tag, data] = value.slice(PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', keyOf(secret, variavel), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  decryptSecret,
+  encryptSecret,
+  isEncrypted,
+};
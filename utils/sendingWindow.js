@@ -0,0 +1,122 @@
+// Janela de envio das campanhas: dias da semana e horário em um fuso horário.
+// Formato: { dias: [1, 2, 3, 4, 5], inicio: '08:00', fim: '20:00', fuso: 'America/Sao_Paulo' }
+// dias usa 0 = domingo ... 6 = sábado; fim é exclusivo e pode ser '24:00'.
+
+const DEFAULT_WINDOW = { dias: [0, 1, 2, 3, 4, 5, 6], inicio: '00:00', fim: '24:00', fuso: 'America/Sao_Paulo' };
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+function formatterFor(fuso) {
+  if (!formatters.has(fuso)) {
+    formatters.set(fuso, new Intl.DateTimeFormat('en-US', {
+      timeZone: fuso,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(fuso);
+}
+
+// Data e hora locais de um instante no fuso informado
+function localParts(date, fuso) {
+  const parts = Object.fromEntries(formatterFor(fuso).formatToParts(date).map((p) => [p.type, p.value]));
+  return {
+    ano: Number(parts.year),
+    mes: Number(parts.month),
+    dia: Number(parts.day),
+    diaSemana: WEEKDAYS[parts.weekday],
+    minutos: Number(parts.hour) * 60 + Number(parts.minute),
+    segundos: Number(parts.second),
+  };
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Instante UTC correspondente a uma data/hora local no fuso (considera horário de verão)
+function zonedTimeToUtc(ano, mes, dia, minutos, fuso) {
+  const guess = Date.UTC(ano, mes - 1, dia, 0, minutos);
+  const offsetAt = (timestamp) => {
+    const local = localParts(new Date(timestamp), fuso);
+    return Date.UTC(local.ano, local.mes - 1, local.dia, 0, local.minutos, local.segundos) - timestamp;
+  };
+
+  const first = guess - offsetAt(guess);
+  return new Date(guess - offsetAt(first));
+}
+
+const normalizeWindow = (janela) => ({ ...DEFAULT_WINDOW, ...janela });
+
+// Retorna a mensagem de erro da janela, ou null se ela for válida
+function validateWindow(janela) {
+  if (!janela || typeof janela !== 'object' || Array.isArray(janela)) {
+    return 'janela_envio deve ser um objeto';
+  }
+
+  const { dias, inicio, fim, fuso } = normalizeWindow(janela);
+
+  if (!Array.isArray(dias) || dias.length === 0 || !dias.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+    return 'janela_envio.dias deve ser uma lista de dias entre 0 (domingo) e 6 (sábado)';
+  }
+  if (!TIME_FORMAT.test(inicio) || !TIME_FORMAT.test(fim)) {
+    return 'janela_envio.inicio e janela_envio.fim devem estar no formato HH:MM';
+  }
+  if (toMinutes(inicio) >= toMinutes(fim)) {
+    return 'janela_envio.fim deve ser depois de janela_envio.inicio';
+  }
+
+  try {
+    formatterFor(fuso);
+  } catch (error) {
+    return `Fuso horário inválido: ${fuso}`;
+  }
+
+  return null;
+}
+
+// Indica se o instante está dentro da janela. Sem janela, sempre está.
+function isWithinWindow(janela, date = new Date()) {
+  if (!janela) return true;
+
+  const { dias, inicio, fim, fuso } = normalizeWindow(janela);
+  const local = localParts(date, fuso);
+
+  return dias.includes(local.diaSemana)
+    && local.minutos >= toMinutes(inicio)
+    && local.minutos < toMinutes(fim);
+}
+
+// Próximo instante em que a janela está aberta (o próprio instante, se já estiver)
+function nextWindowStart(janela, date = new Date()) {
+  if (isWithinWindow(janela, date)) return date;
+
+  const { dias, inicio, fuso } = normalizeWindow(janela);
+  const local = localParts(date, fuso);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(Date.UTC(local.ano, local.mes - 1, local.dia + offset));
+    if (!dias.includes(day.getUTCDay())) continue;
+
+    const start = zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), toMinutes(inicio), fuso);
+    if (start > date) return start;
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateWindow,
+  isWithinWindow,
+  nextWindowStart,
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+const DOWNLOAD_PATH = '/v1/storage/download';
+
+function signature(secret, userId, filename, expires) {
+  if (!secret) {
+    throw new Error('Defina STORAGE_SIGNING_SECRET para assinar URLs de download');
+  }
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${userId}/${filename}:${expires}`)
+    .digest('hex');
+}
+
+// URL de download assinada, válida por expiresIn segundos. expires é um timestamp Unix em segundos.
+function signDownloadUrl(secret, baseUrl, userId, filename, expiresIn) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const sig = signature(secret, userId, filename, expires);
+  return `${baseUrl.replace(/\/$/, '')}${DOWNLOAD_PATH}/${encodeURIComponent(userId)}/${encodeURIComponent(filename)}?expires=${expires}&signature=${sig}`;
+}
+
+// 'valid', 'expired' ou 'invalid'. A assinatura é conferida antes da validade,
+// para não revelar se uma URL adulterada já teria expirado.
+function verifyDownloadSignature(secret, userId, filename, expires, received) {
+  const expected = Buffer.from(signature(secret, userId, filename, expires), 'hex');
+  const given = Buffer.from(String(received || ''), 'hex');
+
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return 'invalid';
+  }
+  return expires * 1000 < Date.now() ? 'expired' : 'valid';
+}
+
+module.exports = {
+  DOWNLOAD_PATH,
+  signDownloadUrl,
+  verifyDownloadSignature,
+};
@@ -0,0 +1,95 @@
+// Variáveis de mensagem no formato {{variavel}} ou {{variavel|valor padrão}}.
+// Variáveis padrão: nome, primeiro_nome e numero. As demais vêm dos campos
+// personalizados de cada contato (contato.campos).
+
+const BUILTIN_VARIABLES = ['nome', 'primeiro_nome', 'numero'];
+
+const PLACEHOLDER = /\{\{([^{}]*)\}\}/g;
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Lê os placeholders do texto. Retorna { variaveis, erros }: os nomes usados
+// (sem repetição) e os problemas de sintaxe encontrados.
+function parseTemplate(texto) {
+  const variaveis = new Set();
+  const erros = [];
+
+  for (const [placeholder, inner] of String(texto ?? '').matchAll(PLACEHOLDER)) {
+    const name = inner.split('|')[0].trim();
+    if (!VARIABLE_NAME.test(name)) {
+      erros.push(`Variável inválida: ${placeholder}`);
+      continue;
+    }
+    variaveis.add(name);
+  }
+
+  // Chaves que sobram depois de remover os placeholders são "{{" ou "}}" sem par
+  const leftover = String(texto ?? '').replace(PLACEHOLDER, '');
+  if (leftover.includes('{{') || leftover.includes('}}')) {
+    erros.push('Chaves {{ }} sem fechamento');
+  }
+
+  return { variaveis: [...variaveis], erros };
+}
+
+// Valida o texto contra as variáveis disponíveis (padrão + campos informados).
+// Retorna a lista de erros, vazia se o texto for válido.
+function validateTemplate(texto, camposDisponiveis = []) {
+  const { variaveis, erros } = parseTemplate(texto);
+  const known = new Set([...BUILTIN_VARIABLES, ...camposDisponiveis]);
+  const desconhecidas = variaveis.filter((name) => !known.has(name));
+
+  if (desconhecidas.length > 0) {
+    erros.push(`Variáveis desconhecidas: ${desconhecidas.join(', ')}`);
+  }
+  return { erros, desconhecidas };
+}
+
+// Nomes dos campos personalizados presentes em pelo menos um contato
+const availableFields = (contatos) => [...new Set(contatos.flatMap((c) => Object.keys(c.campos || {})))];
+
+function contactValue(name, contato) {
+  const nome = String(contato.nome ?? '').trim();
+
+  switch (name) {
+    case 'nome':
+      return nome;
+    case 'primeiro_nome':
+      return nome.split(/\s+/)[0];
+    case 'numero':
+      return contato.numero ?? '';
+    default: {
+      const value = contato.campos?.[name];
+      return value === null || value === undefined ? '' : String(value).trim();
+    }
+  }
+}
+
+// Substitui as variáveis pelos dados do contato ({ numero, nome, campos }).
+// Valores ausentes usam o padrão do placeholder, ou ficam vazios.
+// Retorna { texto, faltando } com as variáveis sem valor nem padrão.
+function renderTemplate(texto, contato) {
+  const faltando = new Set();
+
+  const rendered = String(texto ?? '').replace(PLACEHOLDER, (placeholder, inner) => {
+    const separator = inner.indexOf('|');
+    const name = (separator === -1 ? inner : inner.slice(0, separator)).trim();
+    const fallback = separator === -1 ? null : inner.slice(separator + 1).trim();
+
+    if (!VARIABLE_NAME.test(name)) return placeholder;
+
+    const value = contactValue(name, contato);
+    if (value) return value;
+    if (fallback === null) faltando.add(name);
+    return fallback ?? '';
+  });
+
+  return { texto: rendered, faltando: [...faltando] };
+}
+
+module.exports = {
+  BUILTIN_VARIABLES,
+  parseTemplate,
+  validateTemplate,
+  availableFields,
+  renderTemplate,
+};
@@ -1,25 +1,89 @@
 const Joi = require('joi');
 const logger = require('./logger');
 
-const validate = (schema) => (req, res, next) => {
-  const { error } = schema.validate(req.body, { abortEarly: false });
-
-  if (error) {
-    const errors = error.details.map((err) => err.message);
-    logger.warn(`Validation error for ${req.path}: ${errors.join(', ')}`);
-    return res.status(400).json({ message: 'Validation failed', errors });
-  }
-  next();
+// Partes da requisição validadas, na ordem em que os erros são reportados
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+// Mensagens do Joi em português. {{#label}} é o caminho do campo (ex.: campanha.nome).
+const MESSAGES = {
+  'any.required': '{{#label}} é obrigatório',
+  'any.only': '{{#label}} deve ser um de: {{#valids}}',
+  'any.unknown': '{{#label}} não é permitido',
+  'alternatives.match': '{{#label}} não corresponde a nenhum dos formatos aceitos',
+  'alternatives.types': '{{#label}} não corresponde a nenhum dos formatos aceitos',
+  'array.base': '{{#label}} deve ser uma lista',
+  'array.min': '{{#label}} deve ter ao menos {{#limit}} item(ns)',
+  'array.max': '{{#label}} deve ter no máximo {{#limit}} item(ns)',
+  'array.unique': '{{#label}} tem um item repetido',
+  'boolean.base': '{{#label}} deve ser verdadeiro ou falso',
+  'date.base': '{{#label}} deve ser uma data válida',
+  'date.format': '{{#label}} deve ser uma data no formato ISO 8601',
+  'date.greater': '{{#label}} deve ser uma data futura',
+  'number.base': '{{#label}} deve ser um número',
+  'number.integer': '{{#label}} deve ser um número inteiro',
+  'number.min': '{{#label}} deve ser maior ou igual a {{#limit}}',
+  'number.max': '{{#label}} deve ser menor ou igual a {{#limit}}',
+  'number.positive': '{{#label}} deve ser um número positivo',
+  'object.base': '{{#label}} deve ser um objeto',
+  'object.missing': '{{#label}} deve conter ao menos um de: {{#peers}}',
+  'object.min': '{{#label}} deve conter ao menos {{#limit}} campo(s)',
+  'string.base': '{{#label}} deve ser um texto',
+  'string.empty': '{{#label}} não pode ser vazio',
+  'string.hex': '{{#label}} deve conter apenas caracteres hexadecimais',
+  'string.max': '{{#label}} deve ter no máximo {{#limit}} caracteres',
+  'string.pattern.base': '{{#label}} está em formato inválido',
+  'string.pattern.name': '{{#label}} deve estar no formato {{#name}}',
+  'string.uri': '{{#label}} deve ser uma URL válida',
+  'string.uriCustomScheme': '{{#label}} deve ser uma URL http ou https',
+};
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true, // Só os campos documentados seguem para os handlers e para o n8n
+  messages: MESSAGES,
+  errors: { wrap: { label: false } },
 };
 
-// Schemas de validação
-const whatsappCreateSchema = Joi.object({
-  instanceName: Joi.string().required().description('Name of the instance to be created.'),
-  qrcode: Joi.boolean().required().description('Indicates whether a QR code should be generated.'),
-  integration: Joi.string().valid('WHATSAPP-BAILEYS').required().description('Type of integration (e.g., WHATSAPP-BAILEYS).'),
-});
+// Valida a requisição contra os schemas Joi da rota e substitui params, query e body
+// pelos valores convertidos (números, defaults, campos desconhecidos removidos).
+// Aceita um schema (body) ou um objeto { params, query, body }.
+const validate = (schema) => {
+  const schemas = Joi.isSchema(schema) ? { body: schema } : schema;
+
+  return (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    for (const part of REQUEST_PARTS) {
+      if (!schemas[part]) continue;
+
+      const { error, value } = schemas[part].validate(req[part] ?? {}, VALIDATION_OPTIONS);
+      if (error) {
+        errors.push(...error.details.map((err) => err.message));
+      } else {
+        values[part] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      logger.warn(`Validation error for ${req.path}: ${errors.join(', ')}`);
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        code: 'VALIDATION_ERROR',
+        errors
+      });
+    }
+
+    if (values.params) Object.assign(req.params, values.params);
+    if (values.body) req.body = values.body;
+    // No Express 5, req.query é um getter recalculado a cada acesso
+    if (values.query) Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true });
+
+    next();
+  };
+};
 
 module.exports = {
   validate,
-  whatsappCreateSchema,
 };
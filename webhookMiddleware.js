@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const supabase = require('./config/supabase');
+const logger = require('./logger');
+const { CLOUD_API_APP_SECRET } = require('./config/whatsapp');
+const { claimDelivery: claimStoredDelivery, completeDelivery, releaseDelivery } = require('./services/webhookDeliveries');
+
+const WEBHOOK_MAX_AGE_MS = (parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS, 10) || 300) * 1000;
+
+// As entregas ficam na tabela webhook_entregas, compartilhada entre as réplicas. Uma entrega é aceita
+// enquanto date_time estiver a menos de WEBHOOK_MAX_AGE_MS do relógio (para trás ou para frente), então
+// as processadas são guardadas pelo dobro disso; depois, os reenvios são recusados por idade.
+const DELIVERY_TTL_MS = 2 * WEBHOOK_MAX_AGE_MS;
+// Reserva de uma entrega em processamento: se o processo cair, o reenvio é aceito depois deste prazo
+const DELIVERY_PROCESSING_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Gera o segredo de uma instância. Apenas o hash é salvo no Supabase.
+function generateWebhookSecret() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+// Sem PUBLIC_API_URL não há endereço para registrar os webhooks
+const webhookUrlConfigured = () => Boolean(process.env.PUBLIC_API_URL);
+
+function buildWebhookUrl(token) {
+  if (!webhookUrlConfigured()) {
+    return null;
+  }
+  return `${process.env.PUBLIC_API_URL.replace(/\/$/, '')}/v1/webhooks/whatsapp?token=${token}`;
+}
+
+// Reserva a entrega enquanto ela é processada e só a dá por processada quando a resposta
+// sai sem erro: se o handler falhar (5xx ou conexão encerrada antes da resposta), a reserva é
+// desfeita e o reenvio do provedor é processado. Retorna 'duplicada', 'em_processamento' ou null.
+async function claimDelivery(deliveryId, res) {
+  const { estado, dono } = await claimStoredDelivery(deliveryId, DELIVERY_PROCESSING_MS);
+  if (estado === 'concluida') return 'duplicada';
+  if (estado === 'processando') return 'em_processamento';
+
+  res.on('close', () => {
+    if (res.writableFinished && res.statusCode < 500) {
+      completeDelivery(deliveryId, dono, DELIVERY_TTL_MS);
+    } else {
+      releaseDelivery(deliveryId, dono);
+    }
+  });
+  return null;
+}
+
+// Responde às entregas repetidas. Uma cópia que chega enquanto a original ainda é processada
+// recebe 409, para que o provedor a reenvie caso a original falhe.
+function rejectRepeated(situacao, res, origem) {
+  if (situacao === 'em_processamento') {
+    logger.info(`[WEBHOOK] Entrega ${origem} ainda em processamento; cópia recusada.`);
+    return res.status(409).json({ success: false, error: 'Entrega em processamento', code: 'WEBHOOK_IN_PROGRESS' });
+  }
+  logger.info(`[WEBHOOK] Entrega duplicada ${origem} ignorada.`);
+  return res.json({ success: true, message: 'Entrega duplicada ignorada' });
+}
+
+// Valida o token da instância enviado na URL do webhook e recusa entregas
+// antigas, sem date_time ou repetidas. Em caso de sucesso, expõe a instância em req.whatsappInstance.
+// O token é mascarado na URL para não ir aos logs de acesso.
+const verifyEvolutionWebhook = async (req, res, next) => {
+  const { instance, date_time: dateTime } = req.body || {};
+  const token = req.query.token;
+  req.originalUrl = req.originalUrl.replace(/([?&]token=)[^&]*/, '$1***');
+
+  if (!instance || typeof token !== 'string' || !token) {
+    logger.warn(`[WEBHOOK] Entrega sem token ou instância recusada (instância '${instance}').`);
+    return res.status(401).json({ success: false, error: 'Webhook não autenticado' });
+  }
+
+  try {
+    // Instâncias removidas ficam inativas com o mesmo nome, e um nome reaproveitado pode aparecer
+    // em mais de uma linha ativa: a instância da entrega é a ativa cujo segredo confere com o token
+    const { data: instancias, error: findError } = await supabase
+      .from('whatsapp')
+      .select('id, user_id, nome_instancia, status, webhook_secret_hash, tipo_integracao')
+      .eq('nome_instancia', instance)
+      .eq('is_active', true);
+
+    if (findError) {
+      throw new Error(findError.message);
+    }
+    if (instancias.length === 0) {
+      logger.warn(`[WEBHOOK] Instância ativa '${instance}' não encontrada no Supabase.`);
+      return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+    }
+    if (instancias.length > 1) {
+      logger.warn(`[WEBHOOK] ${instancias.length} instâncias ativas com o nome '${instance}'; usando a do token.`);
+    }
+
+    const received = Buffer.from(hashToken(token), 'hex');
+    const whatsappInstance = instancias.find((candidata) => {
+      const expected = Buffer.from(candidata.webhook_secret_hash || '', 'hex');
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    });
+    if (!whatsappInstance) {
+      logger.warn(`[WEBHOOK] Token inválido para a instância '${instance}'.`);
+      return res.status(401).json({ success: false, error: 'Webhook não autenticado' });
+    }
+
+    const age = dateTime ? Date.now() - new Date(dateTime).getTime() : NaN;
+    if (Number.isNaN(age) || Math.abs(age) > WEBHOOK_MAX_AGE_MS) {
+      logger.warn(`[WEBHOOK] Entrega expirada ou sem date_time para a instância '${instance}' (${dateTime}).`);
+      return res.status(400).json({ success: false, error: 'Entrega expirada ou sem date_time', code: 'WEBHOOK_STALE' });
+    }
+
+    const deliveryId = crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex');
+    const repetida = await claimDelivery(deliveryId, res);
+    if (repetida) {
+      return rejectRepeated(repetida, res, `da instância '${instance}'`);
+    }
+
+    req.whatsappInstance = whatsappInstance;
+    next();
+  } catch (error) {
+    logger.error(`[WEBHOOK] Erro ao validar webhook da instância ${instance}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Valida a assinatura das entregas da Cloud API (X-Hub-Signature-256: HMAC-SHA256 do body
+// com o segredo do app da Meta) e ignora entregas repetidas. O body bruto vem de req.rawBody.
+const verifyCloudApiWebhook = async (req, res, next) => {
+  if (!CLOUD_API_APP_SECRET) {
+    logger.error('[WEBHOOK] CLOUD_API_APP_SECRET não configurado. Entrega da Cloud API recusada.');
+    return res.status(500).json({ success: false, error: 'Webhook da Cloud API não configurado' });
+  }
+
+  const signature = String(req.get('x-hub-signature-256') || '').replace(/^sha256=/, '');
+  const expected = crypto.createHmac('sha256', CLOUD_API_APP_SECRET).update(req.rawBody || '').digest();
+  const received = Buffer.from(signature, 'hex');
+
+  if (!req.rawBody || received.length !== expected.length || !crypto.timingSafeEqual(expected, received)) {
+    logger.warn('[WEBHOOK] Assinatura inválida em entrega da Cloud API.');
+    return res.status(401).json({ success: false, error: 'Webhook não autenticado' });
+  }
+
+  try {
+    const deliveryId = crypto.createHash('sha256').update(req.rawBody).digest('hex');
+    const repetida = await claimDelivery(deliveryId, res);
+    if (repetida) {
+      return rejectRepeated(repetida, res, 'da Cloud API');
+    }
+
+    next();
+  } catch (error) {
+    logger.error('[WEBHOOK] Erro ao validar entrega da Cloud API:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports = {
+  verifyEvolutionWebhook,
+  verifyCloudApiWebhook,
+  generateWebhookSecret,
+  webhookUrlConfigured,
+  buildWebhookUrl,
+};
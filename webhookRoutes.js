@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('./config/supabase');
+const logger = require('./logger');
+const { CLOUD_API_VERIFY_TOKEN } = require('./config/whatsapp');
+const { verifyEvolutionWebhook, verifyCloudApiWebhook } = require('./webhookMiddleware');
+const { applyMessageStatuses } = require('./services/messageStatus');
+const { saveInboundMessages } = require('./services/inbox');
+const { getProvider, PROVIDER_COLUMNS } = require('./services/whatsapp');
+const { publishInstanceEvent } = require('./services/instanceEvents');
+const { recordWebhookEvent } = require('./services/metrics');
+
+// Busca o perfil do número recém-conectado, salva na instância e publica para os streams.
+// Roda fora da resposta do webhook: uma falha aqui só fica no log.
+async function refreshProfile(whatsappInstance) {
+  try {
+    const profile = await getProvider(whatsappInstance).getProfile(whatsappInstance);
+    const profileData = {
+      profile_name: profile?.name || null,
+      profile_picture_url: profile?.profilePictureUrl || null,
+    };
+
+    const { error } = await supabase
+      .from('whatsapp')
+      .update(profileData)
+      .eq('id', whatsappInstance.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    publishInstanceEvent(whatsappInstance, 'profile', profileData);
+  } catch (error) {
+    logger.error(`[WEBHOOK] Erro ao atualizar o perfil da instância ${whatsappInstance.nome_instancia}:`, error.message);
+  }
+}
+
+// Aplica um evento já convertido pelo provedor (parseWebhook) à instância:
+// status e QR Code na tabela whatsapp, confirmações nas campanhas e mensagens na caixa de entrada.
+// Retorna a descrição do que foi feito, para a resposta e os logs.
+async function applyWebhookEvent(whatsappInstance, evento) {
+  const resultado = [];
+  const updateData = {};
+
+  if (evento.status && whatsappInstance.status !== evento.status) {
+    Object.assign(updateData, {
+      status: evento.status,
+      ...(evento.status === 'connected' && { last_connection_at: new Date().toISOString(), connection_attempts: 0 })
+    });
+    resultado.push(`Status atualizado para: ${evento.status}`);
+  }
+
+  if (evento.qrcode) {
+    updateData.qr_code = evento.qrcode;
+    resultado.push('QR Code atualizado no banco de dados.');
+  }
+
+  if (Object.keys(updateData).length > 0) {
+    const { error: updateError } = await supabase
+      .from('whatsapp')
+      .update({ ...updateData, atualizado_em: new Date().toISOString() })
+      .eq('id', whatsappInstance.id);
+
+    if (updateError) {
+      throw new Error(`Erro ao atualizar dados: ${updateError.message}`);
+    }
+
+    if (updateData.status) {
+      publishInstanceEvent(whatsappInstance, 'status', { status: updateData.status });
+      if (updateData.status === 'connected') {
+        refreshProfile(whatsappInstance);
+      }
+    }
+    if (updateData.qr_code) {
+      publishInstanceEvent(whatsappInstance, 'qrcode', { qrcode: updateData.qr_code });
+    }
+  }
+
+  if (evento.statuses) {
+    const updated = await applyMessageStatuses(whatsappInstance, evento.statuses);
+    resultado.push(`${updated} destinatário(s) atualizado(s)`);
+  }
+
+  if (evento.messages) {
+    const saved = await saveInboundMessages(whatsappInstance, evento.messages);
+    resultado.push(`${saved} mensagem(ns) recebida(s) registrada(s)`);
+  }
+
+  return resultado.join('; ') || 'Webhook processado com sucesso';
+}
+
+// Webhook para receber atualizações da Evolution API.
+// Autenticado pelo token da instância (?token=), configurado no /setup.
+router.post('/whatsapp', verifyEvolutionWebhook, async (req, res) => {
+  const { event, instance } = req.body;
+  const whatsappInstance = req.whatsappInstance;
+
+  logger.info(`[WEBHOOK] Recebido evento '${event}' para a instância '${instance}'`);
+  recordWebhookEvent('evolution', event);
+
+  try {
+    const evento = getProvider(whatsappInstance).parseWebhook(req.body);
+    if (!evento) {
+      logger.info(`[WEBHOOK] Evento não tratado: ${event}`);
+      return res.json({ success: true, message: 'Evento não tratado' });
+    }
+
+    const message = await applyWebhookEvent(whatsappInstance, evento);
+    logger.info(`[WEBHOOK] ${message}`);
+    res.json({ success: true, message });
+
+  } catch (error) {
+    logger.error(`[WEBHOOK] Erro fatal no processamento do webhook para instância ${instance}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Verificação do webhook da Cloud API: a Meta envia hub.verify_token, que precisa ser
+// igual a CLOUD_API_VERIFY_TOKEN, e espera de volta o hub.challenge.
+router.get('/whatsapp-cloud', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (!CLOUD_API_VERIFY_TOKEN || mode !== 'subscribe' || token !== CLOUD_API_VERIFY_TOKEN) {
+    logger.warn('[WEBHOOK] Verificação do webhook da Cloud API recusada.');
+    return res.status(403).json({ success: false, error: 'Token de verificação inválido' });
+  }
+
+  logger.info('[WEBHOOK] Webhook da Cloud API verificado.');
+  res.type('text/plain').send(String(challenge ?? ''));
+});
+
+// Webhook da Cloud API. Uma entrega pode trazer alterações de vários números,
+// identificados por metadata.phone_number_id. Autenticado pela assinatura do app da Meta.
+router.post('/whatsapp-cloud', verifyCloudApiWebhook, async (req, res) => {
+  const cloudProvider = getProvider('WHATSAPP-CLOUD-API');
+  const resultados = [];
+
+  try {
+    const changes = (req.body?.entry || [])
+      .flatMap((entry) => entry.changes || [])
+      .filter((change) => change.field === 'messages');
+
+    for (const { value } of changes) {
+      const phoneNumberId = value?.metadata?.phone_number_id;
+      if (value?.messages) recordWebhookEvent('cloud_api', 'messages');
+      if (value?.statuses) recordWebhookEvent('cloud_api', 'statuses');
+
+      const { data: whatsappInstance, error } = await supabase
+        .from('whatsapp')
+        .select(`id, user_id, nome_instancia, status, ${PROVIDER_COLUMNS}`)
+        .eq('cloud_phone_number_id', phoneNumberId)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (!whatsappInstance) {
+        logger.warn(`[WEBHOOK] Número ${phoneNumberId} da Cloud API não pertence a nenhuma instância ativa.`);
+        continue;
+      }
+
+      const message = await applyWebhookEvent(whatsappInstance, cloudProvider.parseWebhook(value));
+      logger.info(`[WEBHOOK] Cloud API, instância ${whatsappInstance.nome_instancia}: ${message}`);
+      resultados.push(message);
+    }
+
+    res.json({ success: true, message: resultados.join('; ') || 'Evento não tratado' });
+  } catch (error) {
+    logger.error('[WEBHOOK] Erro fatal no processamento do webhook da Cloud API:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;